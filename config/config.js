@@ -1,55 +1,242 @@
 /**
  * Application Configuration
- * Environment-based configuration management
+ * Environment-based configuration management: every environment starts from
+ * the shared base and overrides what differs
  */
 
-const config = {
-  development: {
-    port: process.env.PORT || 3000,
-    cors: {
-      origin: process.env.CORS_ORIGIN || "http://localhost:3000",
-      credentials: true
-    },
-    rateLimit: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100 // limit each IP to 100 requests per windowMs
-    },
-    maxEventMessageLength: 500,
-    supportedTenants: ['tenant_a', 'tenant_b'],
-    logLevel: 'debug'
+/**
+ * Deep merges overrides into a copy of a config; arrays and other values are replaced
+ * @param {Object} target - Config to start from
+ * @param {Object} overrides - Values to override
+ * @returns {Object} - Merged config
+ */
+const merge = (target, overrides) => {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && merged[key] ? merge(merged[key], value) : value;
+  }
+  return merged;
+};
+
+const base = {
+  port: process.env.PORT || 3000,
+  cors: {
+    origin: process.env.CORS_ORIGIN || "http://localhost:3000",
+    credentials: true
+  },
+  rateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  },
+  maxEventMessageLength: 500,
+  maxEventDataBytes: 64 * 1024,
+  supportedTenants: ['tenant_a', 'tenant_b'], // seed for the tenant registry
+  tenantRegistryFile: process.env.TENANT_REGISTRY_FILE || null,
+  adminToken: process.env.ADMIN_API_TOKEN || null,
+  apiKeyStoreFile: process.env.API_KEY_STORE_FILE || null,
+  // JSON file event schemas are persisted to (null keeps them in memory)
+  schemaRegistryFile: process.env.SCHEMA_REGISTRY_FILE || null,
+  auth: {
+    mode: process.env.AUTH_MODE || 'header', // 'header' (trust X-Tenant-ID), 'apiKey' or 'jwt'
+    headerRoles: ['reader', 'publisher'], // roles granted in 'header' mode
+    jwt: {
+      secret: process.env.JWT_SECRET || null, // enables HS256
+      jwksFile: process.env.JWT_JWKS_FILE || null, // enables RS256
+      algorithms: ['HS256', 'RS256'],
+      issuer: process.env.JWT_ISSUER || null,
+      audience: process.env.JWT_AUDIENCE || null,
+      tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant_id',
+      rolesClaim: process.env.JWT_ROLES_CLAIM || 'roles',
+      clockToleranceSec: 30
+    }
+  },
+  retention: {
+    maxCount: 1000,
+    maxAgeMs: null, // e.g. 7 * 24 * 60 * 60 * 1000
+    maxBytes: null,
+    sweepIntervalMs: 60 * 1000,
+    tenants: {} // per-tenant overrides, e.g. { tenant_a: { maxAgeMs: 86400000 } }
+  },
+  sse: {
+    heartbeatIntervalMs: 15 * 1000, // comment lines keeping idle streams open
+    retryMs: 3000 // reconnect delay suggested to EventSource clients
+  },
+  rawSocket: {
+    path: '/ws', // plain WebSocket endpoint, see README "Plain WebSocket protocol"
+    authTimeoutMs: 10 * 1000, // time allowed for the auth frame
+    heartbeatIntervalMs: 30 * 1000, // protocol pings; unanswered connections are dropped
+    maxPayloadBytes: 64 * 1024
+  },
+  delivery: {
+    ackTimeoutMs: 30 * 1000, // unacked events are redelivered after this long
+    maxUnacked: 1000, // a consumer at this many unacked events gets nothing new until it acks
+    consumerStoreFile: process.env.CONSUMER_STORE_FILE || null // durable consumer positions
+  },
+  backpressure: {
+    policy: process.env.BACKPRESSURE_POLICY || 'drop-oldest', // 'drop-oldest' | 'coalesce' | 'disconnect'
+    maxPendingMessages: 1000, // unsent messages before a connection counts as slow
+    maxPendingBytes: 1024 * 1024,
+    maxQueuedEvents: 100, // drop-oldest: events kept for a slow connection
+    checkIntervalMs: 1000 // how often slow connections are checked for recovery
+  },
+  webhooks: {
+    storeFile: process.env.WEBHOOK_STORE_FILE || null, // JSON file webhooks (and their secrets) are persisted to
+    timeoutMs: 10 * 1000, // per delivery attempt
+    maxAttempts: 8, // attempts before a delivery moves to the dead-letter list
+    retryBaseMs: 1000, // backoff doubles after each failed attempt...
+    retryMaxMs: 10 * 60 * 1000, // ...up to this delay
+    logSize: 100, // deliveries kept per webhook in the delivery log
+    deadLetterSize: 1000, // dead deliveries kept per webhook
+    maxInFlight: 1000, // unsettled deliveries per webhook; new ones beyond this are dead-lettered
+    // CIDR ranges exempt from the default block of private, loopback and link-local addresses
+    allowedNetworks: process.env.WEBHOOK_ALLOWED_NETWORKS ? process.env.WEBHOOK_ALLOWED_NETWORKS.split(',') : [],
+    // CIDR ranges blocked in addition to those
+    blockedNetworks: process.env.WEBHOOK_BLOCKED_NETWORKS ? process.env.WEBHOOK_BLOCKED_NETWORKS.split(',') : []
+  },
+  ingest: {
+    storeFile: process.env.INGEST_SOURCE_FILE || null, // JSON file ingest sources (and their secrets) are persisted to
+    signatureHeader: 'X-Signature' // default header carrying a source's signature
+  },
+  metrics: {
+    token: process.env.METRICS_TOKEN || null, // bearer token required on GET /metrics, if set
+    requireToken: false // true refuses scrapes while no token is set
+  },
+  cluster: {
+    enabled: process.env.CLUSTER_ENABLED === 'true', // share events and stats with other processes
+    bus: process.env.CLUSTER_BUS || 'ipc', // 'ipc' (Unix socket on this host) | 'local' (in-process)
+    socketPath: process.env.CLUSTER_SOCKET_PATH || 'data/cluster.sock',
+    hub: process.env.CLUSTER_HUB === 'true', // this process hosts the IPC hub (src/cluster.js does it itself)
+    nodeId: process.env.CLUSTER_NODE_ID || null, // defaults to <hostname>-<pid>
+    workers: Number(process.env.CLUSTER_WORKERS) || null, // src/cluster.js, defaults to one per CPU
+    heartbeatIntervalMs: 5 * 1000, // how often nodes share their connection stats
+    heartbeatTimeoutMs: 15 * 1000, // nodes silent for this long are left out of the stats
+    sequenceTimeoutMs: 5 * 1000, // publishing fails if the hub does not number the event in time
+    reconnectMs: 1000
+  },
+  idempotency: {
+    windowMs: Number(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000, // how long Idempotency-Key replays are honoured
+    maxKeys: 100000 // oldest keys are forgotten first once exceeded
   },
-  
+  storage: {
+    driver: process.env.EVENT_STORAGE_DRIVER || 'memory',
+    directory: process.env.EVENT_STORAGE_DIR || 'data/events',
+    fsync: process.env.EVENT_STORAGE_FSYNC || 'always', // always | interval | never
+    fsyncIntervalMs: 1000,
+    maxSegmentBytes: 8 * 1024 * 1024
+  },
+  logLevel: process.env.LOG_LEVEL || 'debug' // error | warn | info | debug
+};
+
+const overrides = {
+  development: {},
+
   production: {
-    port: process.env.PORT || 3000,
     cors: {
-      origin: process.env.CORS_ORIGIN,
-      credentials: true
+      origin: process.env.CORS_ORIGIN
     },
     rateLimit: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
       max: 50 // more restrictive in production
     },
-    maxEventMessageLength: 500,
-    supportedTenants: ['tenant_a', 'tenant_b'],
-    logLevel: 'info'
+    // Registries are kept on disk so tenants, API keys and secrets survive restarts
+    tenantRegistryFile: process.env.TENANT_REGISTRY_FILE || 'data/tenants.json',
+    apiKeyStoreFile: process.env.API_KEY_STORE_FILE || 'data/api-keys.json',
+    schemaRegistryFile: process.env.SCHEMA_REGISTRY_FILE || 'data/schemas.json',
+    auth: {
+      mode: process.env.AUTH_MODE || 'apiKey',
+      headerRoles: ['reader']
+    },
+    webhooks: {
+      storeFile: process.env.WEBHOOK_STORE_FILE || 'data/webhooks.json'
+    },
+    ingest: {
+      storeFile: process.env.INGEST_SOURCE_FILE || 'data/ingest-sources.json'
+    },
+    metrics: {
+      requireToken: true // without METRICS_TOKEN, scrapes are refused
+    },
+    logLevel: process.env.LOG_LEVEL || 'info'
   },
-  
+
   test: {
     port: process.env.PORT || 3001,
     cors: {
-      origin: "http://localhost:3001",
-      credentials: true
+      origin: "http://localhost:3001"
     },
     rateLimit: {
-      windowMs: 15 * 60 * 1000,
       max: 1000 // relaxed for testing
     },
-    maxEventMessageLength: 500,
-    supportedTenants: ['tenant_a', 'tenant_b'],
+    tenantRegistryFile: null,
+    adminToken: 'test-admin-token',
+    apiKeyStoreFile: null,
+    schemaRegistryFile: null,
+    auth: {
+      mode: 'header',
+      jwt: {
+        secret: 'test-jwt-secret',
+        jwksFile: null,
+        issuer: null,
+        audience: null,
+        tenantClaim: 'tenant_id',
+        rolesClaim: 'roles',
+        clockToleranceSec: 0
+      }
+    },
+    sse: {
+      heartbeatIntervalMs: 100
+    },
+    rawSocket: {
+      authTimeoutMs: 500
+    },
+    delivery: {
+      ackTimeoutMs: 200,
+      maxUnacked: 100,
+      consumerStoreFile: null
+    },
+    backpressure: {
+      policy: 'drop-oldest',
+      maxQueuedEvents: 3,
+      checkIntervalMs: 50
+    },
+    webhooks: {
+      storeFile: null,
+      timeoutMs: 500,
+      maxAttempts: 3,
+      retryBaseMs: 20,
+      retryMaxMs: 100,
+      logSize: 5,
+      deadLetterSize: 5,
+      maxInFlight: 10,
+      allowedNetworks: ['127.0.0.0/8', '::1/128'], // local stand-in receivers
+      blockedNetworks: []
+    },
+    ingest: {
+      storeFile: null
+    },
+    metrics: {
+      token: null
+    },
+    cluster: {
+      socketPath: process.env.CLUSTER_SOCKET_PATH || 'data/test-cluster.sock',
+      workers: 2,
+      heartbeatIntervalMs: 100,
+      heartbeatTimeoutMs: 500,
+      sequenceTimeoutMs: 1000,
+      reconnectMs: 100
+    },
+    idempotency: {
+      windowMs: 60 * 1000,
+      maxKeys: 1000
+    },
+    storage: {
+      driver: 'memory',
+      directory: 'data/test-events',
+      fsync: 'never'
+    },
     logLevel: 'error'
   }
 };
 
 const env = process.env.NODE_ENV || 'development';
 
-module.exports = config[env];
+module.exports = merge(base, overrides[env]);
@@ -15,6 +15,7 @@ module.exports = {
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/app.js', // Exclude main app file from coverage
+    '!src/cluster.js', // and the cluster entry point
     '!**/node_modules/**',
     '!**/tests/**'
   ],
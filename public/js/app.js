@@ -7,6 +7,7 @@ class EventFeedApp {
     constructor() {
         // DOM elements
         this.tenantSelect = document.getElementById('tenant-select');
+        this.apiKeyInput = document.getElementById('api-key-input');
         this.connectionStatus = document.getElementById('connection-status');
         this.eventForm = document.getElementById('event-form');
         this.messageInput = document.getElementById('message-input');
@@ -22,6 +23,7 @@ class EventFeedApp {
         this.socket = null;
         this.events = [];
         this.isConnected = false;
+        this.lastSequence = null; // Highest sequence seen, sent when resuming
 
         // Initialize application
         this.init();
@@ -45,6 +47,13 @@ class EventFeedApp {
             this.switchTenant(e.target.value);
         });
 
+        // Reconnect with the new API key
+        this.apiKeyInput.addEventListener('change', () => {
+            const tenantId = this.currentTenant;
+            this.currentTenant = null;
+            this.switchTenant(tenantId);
+        });
+
         // Form submission
         this.eventForm.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -88,6 +97,7 @@ class EventFeedApp {
         this.currentTenant = tenantId;
         this.events = [];
         this.isConnected = false;
+        this.lastSequence = null;
 
         if (tenantId) {
             this.connectWebSocket(tenantId);
@@ -105,9 +115,10 @@ class EventFeedApp {
         this.updateConnectionStatus('connecting');
 
         try {
-            // Connect with tenant query parameter
+            // Connect with tenant query parameter and API key (if any)
             this.socket = io({
                 query: { tenant: tenantId },
+                auth: { apiKey: this.apiKeyInput.value.trim() || undefined },
                 transports: ['websocket', 'polling'],
                 timeout: 5000,
                 forceNew: true
@@ -132,15 +143,34 @@ class EventFeedApp {
             this.socket.on('initial_events', (data) => {
                 console.log('[WEBSOCKET] Received initial events:', data.count);
                 this.events = data.events || [];
+                this.events.forEach(event => this.trackSequence(event));
                 this.renderEvents();
                 this.updateEventCount();
             });
 
-            // New event received
+            // New (or replayed) event received
             this.socket.on('event_created', (data) => {
+                if (this.events.some(event => event.id === data.event.id)) {
+                    return;
+                }
                 console.log('[WEBSOCKET] New event received:', data.event.id);
+                this.trackSequence(data.event);
                 this.addNewEvent(data.event);
-                this.updateLastActivity('New event received');
+                this.updateLastActivity(data.replayed ? 'Missed event replayed' : 'New event received');
+            });
+
+            // Missed events replayed after reconnecting
+            this.socket.on('replay_complete', (data) => {
+                console.log('[WEBSOCKET] Replay complete:', data.count);
+                if (data.count > 0) {
+                    this.showFeedback(`Caught up on ${data.count} missed event(s)`, 'success');
+                }
+            });
+
+            // Some missed events are no longer available
+            this.socket.on('gap', (data) => {
+                console.warn('[WEBSOCKET] Gap in event stream:', data);
+                this.showFeedback('Some events were missed while disconnected and are no longer available', 'warning');
             });
 
             // System messages
@@ -171,8 +201,15 @@ class EventFeedApp {
                 }
             });
 
-            // Reconnection
-            this.socket.on('reconnect', () => {
+            // Resume from the last seen event when the manager reconnects
+            this.socket.io.on('reconnect_attempt', () => {
+                if (this.lastSequence !== null) {
+                    this.socket.auth.lastSequence = this.lastSequence;
+                }
+            });
+
+            // Reconnection (emitted by the manager, not the socket)
+            this.socket.io.on('reconnect', () => {
                 console.log('[WEBSOCKET] Reconnected');
                 this.isConnected = true;
                 this.updateConnectionStatus('connected');
@@ -211,26 +248,23 @@ class EventFeedApp {
         this.submitBtn.innerHTML = '<span class="loading-spinner"></span> Posting...';
 
         try {
-            const response = await fetch('/api/events', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Tenant-ID': this.currentTenant
-                },
-                body: JSON.stringify({ message })
+            // Publish over the open socket; the acknowledgement carries the result
+            const result = await new Promise((resolve) => {
+                this.socket.timeout(5000).emit('publish_event', { message }, (err, response) => {
+                    resolve(err ? { success: false, error: 'No response from server' } : response);
+                });
             });
 
-            const data = await response.json();
-
-            if (response.ok) {
+            if (result.success) {
                 this.showFeedback('Event posted successfully', 'success');
                 this.clearForm();
             } else {
-                throw new Error(data.error || 'Failed to post event');
+                const detail = result.details && result.details[0] && result.details[0].message;
+                throw new Error(detail || result.error || 'Failed to post event');
             }
 
         } catch (error) {
-            console.error('[API] Failed to post event:', error);
+            console.error('[WEBSOCKET] Failed to post event:', error);
             this.showFeedback(`Failed to post event: ${error.message}`, 'error');
         } finally {
             this.submitBtn.disabled = false;
@@ -238,6 +272,16 @@ class EventFeedApp {
         }
     }
 
+    /**
+     * Remember the highest sequence number seen
+     * @param {Object} event - The event object
+     */
+    trackSequence(event) {
+        if (typeof event.sequence === 'number' && event.sequence > (this.lastSequence || 0)) {
+            this.lastSequence = event.sequence;
+        }
+    }
+
     /**
      * Add a new event to the display
      * @param {Object} event - The event object
@@ -299,9 +343,12 @@ class EventFeedApp {
                 <div class="event-header">
                     <span class="event-id">${shortId}</span>
                     <span class="event-tenant">${event.tenant_id}</span>
+                    <span class="event-type">${this.escapeHtml(event.type || 'message')}</span>
+                    ${event.channel ? `<span class="event-channel">#${this.escapeHtml(event.channel)}</span>` : ''}
                     <span class="event-timestamp">${timestamp}</span>
                 </div>
-                <div class="event-message">${this.escapeHtml(event.message)}</div>
+                <div class="event-message">${this.escapeHtml(event.message || event.type)}</div>
+                ${event.data ? `<pre class="event-data">${this.escapeHtml(JSON.stringify(event.data, null, 2))}</pre>` : ''}
             </div>
         `;
     }
@@ -9,14 +9,25 @@ const path = require('node:path');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 // Application modules
 const config = require('../config/config');
 const eventRoutes = require('./routes/eventRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const ingestRoutes = require('./routes/ingestRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
 const socketService = require('./services/socketService');
+const sseService = require('./services/sseService');
 const eventService = require('./services/eventService');
+const tenantService = require('./services/tenantService');
+const retentionService = require('./services/retentionService');
+const clusterService = require('./services/clusterService');
+const webhookService = require('./services/webhookService');
 const { errorHandler, notFoundHandler } = require('./middleware/errorMiddleware');
+const { recordHttpMetrics } = require('./middleware/metricsMiddleware');
+const { apiLimiter } = require('./middleware/rateLimitMiddleware');
+const { requestLogger } = require('./middleware/loggingMiddleware');
+const logger = require('./utils/logger');
 
 // Create Express application
 const app = express();
@@ -40,13 +51,26 @@ app.use(
 // CORS configuration
 app.use(cors(config.cors));
 
-// Rate limiting
-const limiter = rateLimit(config.rateLimit);
-app.use('/api/', limiter);
+// Request ids, logging and metrics, including requests the rate limiter rejects
+app.use(requestLogger);
+app.use(recordHttpMetrics);
+
+// Rate limiting; socket publishes count against the same limits
+app.use('/api/', apiLimiter);
 
 // Body parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '1mb' }));
+app.use(
+  express.json({
+    limit: '1mb',
+    // Ingest sources sign the body as sent, so keep it for verification
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith('/api/ingest/')) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Trust proxy for accurate IP addresses
@@ -55,13 +79,10 @@ app.set('trust proxy', 1);
 // Static file serving
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Request logging middleware
-app.use((req, _res, next) => {
-  console.log(`[HTTP] ${new Date().toISOString()} - ${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
-});
-
 // API routes
+app.use('/api/admin', adminRoutes);
+app.use('/api', ingestRoutes);
+app.use(metricsRoutes);
 app.use('/api', eventRoutes);
 
 // Serve main HTML page
@@ -75,38 +96,56 @@ app.use(notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
+// Join the other processes of a cluster before Socket.io picks its adapter
+if (config.cluster.enabled) {
+  clusterService.start().catch((error) => {
+    logger.error('APP', { message: 'Failed to join the cluster', error });
+    process.exit(1);
+  });
+}
+
 // Initialize Socket.io
-socketService.initialize(server, config.cors);
+socketService.initialize(server, config.cors, { adapter: clusterService.createAdapter() });
 
-// Subscribe SocketService to EventService for automatic broadcasting
+// Subscribe SocketService, SSE streams and webhooks to EventService for automatic broadcasting
 socketService.subscribeToEventService(eventService);
+sseService.subscribeToEventService(eventService);
+webhookService.subscribeToEventService(eventService);
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
-  console.log('[APP] SIGTERM received, shutting down gracefully');
+  logger.info('APP', { message: 'SIGTERM received, shutting down gracefully' });
 
+  retentionService.stop();
   socketService.disconnectAll();
+  sseService.disconnectAll();
 
   server.close(() => {
-    console.log('[APP] Server closed');
+    tenantService.close();
+    clusterService.stop();
+    logger.info('APP', { message: 'Server closed' });
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('[APP] SIGINT received, shutting down gracefully');
+  logger.info('APP', { message: 'SIGINT received, shutting down gracefully' });
 
+  retentionService.stop();
   socketService.disconnectAll();
+  sseService.disconnectAll();
 
   server.close(() => {
-    console.log('[APP] Server closed');
+    tenantService.close();
+    clusterService.stop();
+    logger.info('APP', { message: 'Server closed' });
     process.exit(0);
   });
 });
 
 // Unhandled promise rejection handler
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[APP] Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('APP', { message: 'Unhandled rejection', error: reason });
   // Don't exit in production, just log
   if (process.env.NODE_ENV !== 'production') {
     process.exit(1);
@@ -116,10 +155,17 @@ process.on('unhandledRejection', (reason, promise) => {
 // Start server only if not in test environment or when explicitly required
 if (process.env.NODE_ENV !== 'test' || require.main === module) {
   const PORT = config.port;
+
+  // Enforce retention policies in the background
+  retentionService.start(eventService);
+
   server.listen(PORT, () => {
-    console.log(`[APP] Server running on port ${PORT}`);
-    console.log(`[APP] Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`[APP] Supported tenants: ${config.supportedTenants.join(', ')}`);
+    logger.info('APP', {
+      message: 'Server running',
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      tenants: tenantService.getSupportedTenants(),
+    });
   });
 }
 
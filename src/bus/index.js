@@ -0,0 +1,59 @@
+/**
+ * Message Bus
+ * Registry of pub/sub buses connecting the nodes of a cluster
+ *
+ * A bus is any object implementing:
+ *   publish(channel, message)   - send a JSON message to every other node
+ *   sequence(channel, key, message)
+ *                               - number a JSON message in one place for the whole cluster and
+ *                                 send it to every node, this one included, in number order.
+ *                                 message.sequence becomes one past the highest number given
+ *                                 out for key, or past the sequence the message carries if higher.
+ *   subscribe(channel, handler) - handle messages from other nodes, returns an unsubscribe function
+ *   ready()                     - promise resolved once the bus is connected
+ *   close()                     - release connections on shutdown
+ *
+ * Nodes never receive their own published messages; sequenced messages reach every node.
+ */
+
+const LocalBus = require('./localBus');
+const IpcBus = require('./ipcBus');
+const { createBusAdapter } = require('./socketAdapter');
+
+const drivers = new Map([
+  ['local', (options) => new LocalBus(options)],
+  ['ipc', (options) => new IpcBus(options)],
+]);
+
+/**
+ * Registers a bus driver factory (e.g. Redis or NATS)
+ * @param {string} name - Driver name referenced from config.cluster.bus
+ * @param {Function} factory - Receives config.cluster and returns a bus
+ */
+const registerBusDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+/**
+ * Creates a bus from configuration
+ * @param {Object} options - Cluster configuration (config.cluster)
+ * @returns {Object} - Bus instance
+ */
+const createBus = (options = {}) => {
+  const driver = options.bus || 'ipc';
+  const factory = drivers.get(driver);
+
+  if (!factory) {
+    throw new Error(`Unknown bus driver: ${driver}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createBus,
+  registerBusDriver,
+  createBusAdapter,
+  LocalBus,
+  IpcBus,
+};
@@ -0,0 +1,249 @@
+/**
+ * IPC Bus
+ * Message bus between processes on one host over a Unix domain socket
+ *
+ * One process hosts the hub (the cluster primary, or the node started with
+ * hub: true); every other node connects to it. Frames are newline-delimited
+ * JSON { channel, message }, and the hub relays each frame to all other peers.
+ * Frames that also carry a key are to be sequenced: the hub numbers them and
+ * sends them to every peer, the sender included. Numbers live in the hub
+ * process, and the lower bound carried by each message keeps them going up
+ * after the hub restarts. Messages published while a node is reconnecting are lost.
+ */
+
+const fs = require('node:fs');
+const net = require('node:net');
+const path = require('node:path');
+const logger = require('../utils/logger');
+
+class IpcBus {
+  /**
+   * @param {Object} options - Bus options
+   * @param {string} options.socketPath - Unix socket the hub listens on
+   * @param {boolean} options.hub - Host the hub in this process
+   * @param {number} options.reconnectMs - Delay before reconnecting to a lost hub
+   */
+  constructor(options = {}) {
+    this.socketPath = path.resolve(options.socketPath || 'data/cluster.sock');
+    this.hub = Boolean(options.hub);
+    this.reconnectMs = options.reconnectMs || 1000;
+
+    // Map of channel -> Set of handlers
+    this.handlers = new Map();
+
+    // Hub: connected peers and the last number given out per key; node: the connection to the hub
+    this.peers = new Set();
+    this.sequences = new Map();
+    this.server = null;
+    this.connection = null;
+    this.reconnectTimer = null;
+    this.closed = false;
+
+    this.readyPromise = this.hub ? this.listen() : this.connect();
+  }
+
+  /**
+   * Starts the hub, replacing the socket file a previous run left behind
+   * @returns {Promise} - Resolves once the hub is listening
+   */
+  listen() {
+    fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+    fs.rmSync(this.socketPath, { force: true });
+
+    this.server = net.createServer((peer) => {
+      this.peers.add(peer);
+      this.readFrames(peer, (frame, line) => this.relay(peer, frame, line));
+      peer.on('close', () => this.peers.delete(peer));
+      peer.on('error', (error) => {
+        logger.error('IPC_BUS_ERROR', { message: 'Peer error', error });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        logger.info('IPC_BUS', { message: 'Hub listening', socketPath: this.socketPath });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Connects to the hub, retrying until it is reachable
+   * @returns {Promise} - Resolves once connected for the first time
+   */
+  connect() {
+    return new Promise((resolve) => {
+      const connection = net.connect(this.socketPath);
+      this.connection = connection;
+
+      connection.on('connect', () => {
+        logger.info('IPC_BUS', { message: 'Connected to hub', socketPath: this.socketPath });
+        resolve();
+      });
+      this.readFrames(connection, (frame) => this.dispatch(frame.channel, frame.message));
+      connection.on('error', (error) => {
+        logger.error('IPC_BUS_ERROR', { message: 'Hub connection error', error });
+      });
+      connection.on('close', () => {
+        if (this.closed) {
+          return;
+        }
+        this.reconnectTimer = setTimeout(() => {
+          this.connect().then(resolve);
+        }, this.reconnectMs);
+        this.reconnectTimer.unref();
+      });
+    });
+  }
+
+  /**
+   * Hands each frame read from a connection to a handler
+   * @param {Object} socket - Peer or hub connection
+   * @param {Function} handle - Receives the parsed frame and its raw line
+   */
+  readFrames(socket, handle) {
+    let partial = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      const lines = `${partial}${chunk}`.split('\n');
+      partial = lines.pop();
+
+      for (const line of lines) {
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch {
+          logger.error('IPC_BUS_ERROR', { message: 'Ignored a frame that is not JSON' });
+          continue;
+        }
+
+        handle(frame, line);
+      }
+    });
+  }
+
+  /**
+   * Hub: numbers a peer's sequenced frame, or passes a published one on to the other peers
+   * @param {Object} from - Peer the frame came from
+   * @param {Object} frame - { channel, message } or { channel, key, message }
+   * @param {string} line - The raw frame
+   */
+  relay(from, frame, line) {
+    if (frame.key !== undefined) {
+      this.numberAndSend(frame.channel, frame.key, frame.message);
+      return;
+    }
+
+    for (const other of this.peers) {
+      if (other !== from) {
+        other.write(`${line}\n`);
+      }
+    }
+    this.dispatch(frame.channel, frame.message);
+  }
+
+  /**
+   * Hub: gives a message the next number for its key and sends it to every node
+   * @param {string} channel - Channel name
+   * @param {string} key - What the number counts
+   * @param {Object} message - Message whose sequence is a lower bound
+   */
+  numberAndSend(channel, key, message) {
+    const sequence = Math.max(this.sequences.get(key) || 0, message.sequence || 0) + 1;
+    this.sequences.set(key, sequence);
+
+    const numbered = { ...message, sequence };
+    const line = `${JSON.stringify({ channel, message: numbered })}\n`;
+    for (const peer of this.peers) {
+      peer.write(line);
+    }
+    this.dispatch(channel, numbered);
+  }
+
+  /**
+   * Sends a message to every other node
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serializable message
+   */
+  publish(channel, message) {
+    const line = `${JSON.stringify({ channel, message })}\n`;
+
+    if (this.hub) {
+      for (const peer of this.peers) {
+        peer.write(line);
+      }
+    } else if (this.connection && !this.connection.destroyed) {
+      // Written once connected if the connection is still being opened
+      this.connection.write(line);
+    }
+  }
+
+  /**
+   * Has the hub number a message and send it to every node, this one included
+   * @param {string} channel - Channel name
+   * @param {string} key - What the number counts, e.g. a tenant id
+   * @param {Object} message - JSON-serializable message; its sequence is a lower bound
+   */
+  sequence(channel, key, message) {
+    if (this.hub) {
+      this.numberAndSend(channel, key, message);
+    } else if (this.connection && !this.connection.destroyed) {
+      this.connection.write(`${JSON.stringify({ channel, key, message })}\n`);
+    }
+  }
+
+  /**
+   * Calls a handler for messages other nodes publish on a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Receives each message
+   * @returns {Function} - Removes the handler
+   */
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    return () => this.handlers.get(channel)?.delete(handler);
+  }
+
+  /**
+   * @param {string} channel - Channel name
+   * @param {Object} message - Received message
+   */
+  dispatch(channel, message) {
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (error) {
+        logger.error('IPC_BUS_ERROR', { channel, message: 'Handler failed', error });
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise} - Resolves once the hub listens or the node is connected
+   */
+  ready() {
+    return this.readyPromise;
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.handlers.clear();
+
+    if (this.connection) {
+      this.connection.destroy();
+    }
+    if (this.server) {
+      for (const peer of this.peers) {
+        peer.destroy();
+      }
+      this.server.close();
+    }
+  }
+}
+
+module.exports = IpcBus;
@@ -0,0 +1,100 @@
+/**
+ * Local Bus
+ * Message bus connecting the nodes of one process, e.g. several servers
+ * embedded in a test or a single binary
+ */
+
+// Buses created without a hub share this one
+const defaultHub = new Set();
+
+// Map of hub -> Map of key -> last number given out by sequence()
+const hubSequences = new WeakMap();
+
+class LocalBus {
+  /**
+   * @param {Object} options - Bus options
+   * @param {Set} options.hub - Buses that see each other's messages
+   */
+  constructor(options = {}) {
+    this.hub = options.hub || defaultHub;
+    // Map of channel -> Set of handlers
+    this.handlers = new Map();
+
+    this.hub.add(this);
+  }
+
+  /**
+   * Sends a message to every other bus of the hub
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serializable message
+   */
+  publish(channel, message) {
+    // Copy like a network hop would, so no node shares objects with another
+    const copy = JSON.parse(JSON.stringify(message));
+
+    for (const bus of this.hub) {
+      if (bus !== this) {
+        bus.dispatch(channel, copy);
+      }
+    }
+  }
+
+  /**
+   * Numbers a message and sends it to every bus of the hub, this one included
+   * @param {string} channel - Channel name
+   * @param {string} key - What the number counts, e.g. a tenant id
+   * @param {Object} message - JSON-serializable message; its sequence is a lower bound
+   */
+  sequence(channel, key, message) {
+    if (!hubSequences.has(this.hub)) {
+      hubSequences.set(this.hub, new Map());
+    }
+    const sequences = hubSequences.get(this.hub);
+    const copy = JSON.parse(JSON.stringify(message));
+    copy.sequence = Math.max(sequences.get(key) || 0, copy.sequence || 0) + 1;
+    sequences.set(key, copy.sequence);
+
+    for (const bus of this.hub) {
+      bus.dispatch(channel, copy);
+    }
+  }
+
+  /**
+   * Calls a handler for messages other nodes publish on a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Receives each message
+   * @returns {Function} - Removes the handler
+   */
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    return () => this.handlers.get(channel)?.delete(handler);
+  }
+
+  /**
+   * @param {string} channel - Channel name
+   * @param {Object} message - Received message
+   */
+  dispatch(channel, message) {
+    for (const handler of this.handlers.get(channel) || []) {
+      handler(message);
+    }
+  }
+
+  /**
+   * @returns {Promise} - Resolves right away; the hub needs no connection
+   */
+  ready() {
+    return Promise.resolve();
+  }
+
+  close() {
+    this.hub.delete(this);
+    this.handlers.clear();
+  }
+}
+
+module.exports = LocalBus;
@@ -0,0 +1,53 @@
+/**
+ * Socket.io Bus Adapter
+ * Socket.io adapter forwarding room broadcasts, disconnects and fetchSockets
+ * to the other nodes over a message bus. Packets travel as JSON, so binary
+ * attachments are not supported.
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * Creates an adapter class for the Server `adapter` option
+ * @param {Object} bus - Message bus (see src/bus/index.js)
+ * @param {Object} options - Adapter options
+ * @param {number} options.heartbeatInterval - ms between heartbeats to the other nodes
+ * @param {number} options.heartbeatTimeout - ms without a heartbeat before a node counts as down
+ * @returns {Function} - Adapter class
+ */
+const createBusAdapter = (bus, options = {}) =>
+  class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, options);
+
+      this.channel = `socket.io${nsp.name}`;
+      this.unsubscribe = bus.subscribe(this.channel, ({ message, requesterUid, response }) => {
+        if (message) {
+          this.onMessage(message);
+        } else if (requesterUid === this.uid) {
+          this.onResponse(response);
+        }
+      });
+
+      // Socket.io 4.8 does not call init() itself; it announces this node to the others
+      this.init();
+    }
+
+    doPublish(message) {
+      bus.publish(this.channel, { message });
+      // The bus keeps no log, so there is no offset to resume from
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      bus.publish(this.channel, { requesterUid, response });
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      this.unsubscribe();
+    }
+  };
+
+module.exports = { createBusAdapter };
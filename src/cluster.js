@@ -0,0 +1,82 @@
+/**
+ * Cluster Entry Point
+ * Runs one application worker per CPU (or config.cluster.workers) sharing the
+ * HTTP port, with the IPC bus hub in the primary process. Workers that exit
+ * unexpectedly are replaced. Each worker slot stores events in its own
+ * subdirectory of config.storage.directory, which its replacement takes over.
+ *
+ * Node's cluster module hands each new TCP connection to any worker, so
+ * Socket.io clients must use the websocket transport only; long-polling needs
+ * separate processes behind a load balancer with sticky sessions instead.
+ */
+
+const cluster = require('node:cluster');
+const os = require('node:os');
+const path = require('node:path');
+const config = require('../config/config');
+const logger = require('./utils/logger');
+
+if (cluster.isPrimary) {
+  const { IpcBus } = require('./bus');
+
+  const workerCount = config.cluster.workers || os.availableParallelism();
+  const hub = new IpcBus({ socketPath: config.cluster.socketPath, hub: true });
+  let shuttingDown = false;
+
+  // Map of worker id -> slot number, which picks the worker's storage directory
+  const slots = new Map();
+
+  /**
+   * @param {number} slot - Worker slot, from 1 to the worker count
+   */
+  const fork = (slot) => {
+    const worker = cluster.fork({
+      CLUSTER_ENABLED: 'true',
+      CLUSTER_BUS: 'ipc',
+      CLUSTER_HUB: 'false',
+      CLUSTER_SOCKET_PATH: hub.socketPath,
+      // File storage segments must have a single writer
+      EVENT_STORAGE_DIR: path.resolve(config.storage.directory, `worker-${slot}`),
+    });
+    slots.set(worker.id, slot);
+  };
+
+  hub.ready().then(() => {
+    logger.info('CLUSTER', { message: 'Primary starting workers', pid: process.pid, workerCount });
+    for (let slot = 1; slot <= workerCount; slot++) {
+      fork(slot);
+    }
+  });
+
+  cluster.on('exit', (worker, code, signal) => {
+    const slot = slots.get(worker.id);
+    slots.delete(worker.id);
+    if (shuttingDown) {
+      return;
+    }
+    logger.error('CLUSTER', {
+      message: 'Worker exited, starting a new one',
+      pid: worker.process.pid,
+      exit: signal || code,
+    });
+    fork(slot);
+  });
+
+  const shutdown = (signal) => {
+    logger.info('CLUSTER', { message: `${signal} received, stopping workers` });
+    shuttingDown = true;
+
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill(signal);
+    }
+    cluster.disconnect(() => {
+      hub.close();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+} else {
+  require('./app');
+}
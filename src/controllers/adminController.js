@@ -0,0 +1,586 @@
+/**
+ * Admin Controller
+ * Handles HTTP requests for tenant administration
+ */
+
+const { validationResult } = require('express-validator');
+const tenantService = require('../services/tenantService');
+const clusterService = require('../services/clusterService');
+const apiKeyService = require('../services/apiKeyService');
+const schemaRegistry = require('../services/schemaRegistry');
+const idempotencyService = require('../services/idempotencyService');
+const consumerService = require('../services/consumerService');
+const webhookService = require('../services/webhookService');
+const ingestService = require('../services/ingestService');
+const { formatValidationErrors } = require('../middleware/errorMiddleware');
+
+/**
+ * Sends a 400 response if express-validator collected errors
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Validation failed',
+    code: 'VALIDATION_ERROR',
+    details: formatValidationErrors(errors.array()),
+    timestamp: new Date().toISOString(),
+  });
+  return true;
+};
+
+/**
+ * List tenants
+ * GET /api/admin/tenants
+ */
+const listTenants = async (_req, res) => {
+  const tenants = tenantService.listTenants();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tenants,
+      count: tenants.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a tenant
+ * GET /api/admin/tenants/:tenantId
+ */
+const getTenant = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: tenantService.getTenant(req.params.tenantId),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Provision a tenant
+ * POST /api/admin/tenants
+ */
+const createTenant = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { id, displayName } = req.body;
+  const tenant = tenantService.createTenant({ id, displayName });
+
+  req.log.info('TENANT_CREATED', { tenantId: tenant.id });
+
+  res.status(201).json({
+    success: true,
+    data: tenant,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Rename, suspend or reactivate a tenant
+ * PATCH /api/admin/tenants/:tenantId
+ */
+const updateTenant = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { displayName, status } = req.body;
+  const tenant = tenantService.updateTenant(req.params.tenantId, { displayName, status });
+
+  if (status === 'suspended') {
+    clusterService.disconnectTenant(tenant.id, 'Tenant suspended');
+  }
+
+  req.log.info('TENANT_UPDATED', { tenantId: tenant.id, status: tenant.status });
+
+  res.status(200).json({
+    success: true,
+    data: tenant,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Delete a tenant and its events
+ * DELETE /api/admin/tenants/:tenantId
+ */
+const deleteTenant = async (req, res) => {
+  const { tenantId } = req.params;
+
+  tenantService.deleteTenant(tenantId);
+  apiKeyService.revokeAllForTenant(tenantId);
+  schemaRegistry.removeAllForTenant(tenantId);
+  idempotencyService.clearTenant(tenantId);
+  consumerService.removeAllForTenant(tenantId);
+  webhookService.removeAllForTenant(tenantId);
+  ingestService.removeAllForTenant(tenantId);
+  clusterService.disconnectTenant(tenantId, 'Tenant deleted');
+
+  req.log.info('TENANT_DELETED', { tenantId });
+
+  res.status(200).json({
+    success: true,
+    data: { id: tenantId, deleted: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a tenant's API keys
+ * GET /api/admin/tenants/:tenantId/api-keys
+ */
+const listApiKeys = async (req, res) => {
+  const tenant = tenantService.getTenant(req.params.tenantId);
+  const keys = apiKeyService.list(tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      keys,
+      count: keys.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Issue an API key for a tenant
+ * POST /api/admin/tenants/:tenantId/api-keys
+ */
+const createApiKey = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { name, roles } = req.body;
+  const apiKey = apiKeyService.create(req.params.tenantId, { name, roles });
+
+  req.log.info('API_KEY_CREATED', { tenantId: apiKey.tenantId, keyId: apiKey.id });
+
+  // The plaintext key is only ever returned in this response
+  res.status(201).json({
+    success: true,
+    data: apiKey,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Revoke a tenant's API key
+ * DELETE /api/admin/tenants/:tenantId/api-keys/:keyId
+ */
+const revokeApiKey = async (req, res) => {
+  const { tenantId, keyId } = req.params;
+
+  apiKeyService.revoke(tenantId, keyId);
+  clusterService.disconnectApiKey(keyId);
+
+  req.log.info('API_KEY_REVOKED', { tenantId, keyId });
+
+  res.status(200).json({
+    success: true,
+    data: { id: keyId, revoked: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List the event types a tenant has schemas for
+ * GET /api/admin/tenants/:tenantId/schemas
+ */
+const listSchemas = async (req, res) => {
+  const tenant = tenantService.getTenant(req.params.tenantId);
+  const schemas = schemaRegistry.list(tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      schemas,
+      count: schemas.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Register a new schema version for an event type
+ * POST /api/admin/tenants/:tenantId/schemas
+ */
+const registerSchema = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { type, schema } = req.body;
+  const record = schemaRegistry.register(req.params.tenantId, type, schema);
+
+  req.log.info('SCHEMA_REGISTERED', {
+    tenantId: record.tenantId,
+    type: record.type,
+    version: record.version,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: record,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get every schema version of an event type
+ * GET /api/admin/tenants/:tenantId/schemas/:type
+ */
+const getSchemaVersions = async (req, res) => {
+  const versions = schemaRegistry.getVersions(req.params.tenantId, req.params.type);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      type: req.params.type,
+      versions,
+      count: versions.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Remove every schema version of an event type
+ * DELETE /api/admin/tenants/:tenantId/schemas/:type
+ */
+const deleteSchema = async (req, res) => {
+  const { tenantId, type } = req.params;
+
+  schemaRegistry.remove(tenantId, type);
+
+  req.log.info('SCHEMA_DELETED', { tenantId, type });
+
+  res.status(200).json({
+    success: true,
+    data: { type, deleted: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a tenant's durable consumers
+ * GET /api/admin/tenants/:tenantId/consumers
+ */
+const listConsumers = async (req, res) => {
+  const tenant = tenantService.getTenant(req.params.tenantId);
+  const consumers = consumerService.list(tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      consumers,
+      count: consumers.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a durable consumer's position and connection state
+ * GET /api/admin/tenants/:tenantId/consumers/:name
+ */
+const getConsumer = async (req, res) => {
+  const consumer = consumerService.get(req.params.tenantId, req.params.name);
+
+  res.status(200).json({
+    success: true,
+    data: consumer,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Delete a durable consumer, disconnecting it if connected
+ * DELETE /api/admin/tenants/:tenantId/consumers/:name
+ */
+const deleteConsumer = async (req, res) => {
+  const { tenantId, name } = req.params;
+
+  consumerService.remove(tenantId, name);
+
+  req.log.info('CONSUMER_DELETED', { tenantId, consumer: name });
+
+  res.status(200).json({
+    success: true,
+    data: { name, deleted: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a tenant's webhooks
+ * GET /api/admin/tenants/:tenantId/webhooks
+ */
+const listWebhooks = async (req, res) => {
+  const tenant = tenantService.getTenant(req.params.tenantId);
+  const webhooks = webhookService.list(tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      webhooks,
+      count: webhooks.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Register a webhook endpoint for a tenant
+ * POST /api/admin/tenants/:tenantId/webhooks
+ */
+const createWebhook = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { url, eventTypes, secret, description } = req.body;
+  const webhook = webhookService.create(req.params.tenantId, {
+    url,
+    eventTypes,
+    secret,
+    description,
+  });
+
+  req.log.info('WEBHOOK_CREATED', { tenantId: webhook.tenantId, webhookId: webhook.id });
+
+  // The signing secret is only ever returned in this response
+  res.status(201).json({
+    success: true,
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a tenant's webhook
+ * GET /api/admin/tenants/:tenantId/webhooks/:webhookId
+ */
+const getWebhook = async (req, res) => {
+  const webhook = webhookService.get(req.params.tenantId, req.params.webhookId);
+
+  res.status(200).json({
+    success: true,
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Delete a tenant's webhook, dropping its pending retries
+ * DELETE /api/admin/tenants/:tenantId/webhooks/:webhookId
+ */
+const deleteWebhook = async (req, res) => {
+  const { tenantId, webhookId } = req.params;
+
+  webhookService.remove(tenantId, webhookId);
+
+  req.log.info('WEBHOOK_DELETED', { tenantId, webhookId });
+
+  res.status(200).json({
+    success: true,
+    data: { id: webhookId, deleted: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a webhook's recent deliveries
+ * GET /api/admin/tenants/:tenantId/webhooks/:webhookId/deliveries
+ */
+const listWebhookDeliveries = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { status, limit } = req.query;
+  const deliveries = webhookService.listDeliveries(req.params.tenantId, req.params.webhookId, {
+    status,
+    limit: limit === undefined ? undefined : Number.parseInt(limit, 10),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a webhook's dead-lettered deliveries
+ * GET /api/admin/tenants/:tenantId/webhooks/:webhookId/dead-letters
+ */
+const listWebhookDeadLetters = async (req, res) => {
+  const deliveries = webhookService.listDeadLetters(req.params.tenantId, req.params.webhookId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Retry a dead-lettered delivery
+ * POST /api/admin/tenants/:tenantId/webhooks/:webhookId/dead-letters/:deliveryId/redeliver
+ */
+const redeliverWebhook = async (req, res) => {
+  const { tenantId, webhookId, deliveryId } = req.params;
+  const delivery = webhookService.redeliver(tenantId, webhookId, deliveryId);
+
+  res.status(202).json({
+    success: true,
+    data: delivery,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List a tenant's ingest sources
+ * GET /api/admin/tenants/:tenantId/sources
+ */
+const listSources = async (req, res) => {
+  const tenant = tenantService.getTenant(req.params.tenantId);
+  const sources = ingestService.list(tenant.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sources,
+      count: sources.length,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Register an ingest source for a tenant
+ * POST /api/admin/tenants/:tenantId/sources
+ */
+const createSource = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { name, verification, mapping, idempotencyHeader } = req.body;
+  const source = ingestService.create(req.params.tenantId, {
+    name,
+    verification,
+    mapping,
+    idempotencyHeader,
+  });
+
+  req.log.info('SOURCE_CREATED', { tenantId: source.tenantId, sourceId: source.id });
+
+  // The verification secret is only ever returned in this response
+  res.status(201).json({
+    success: true,
+    data: source,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get a tenant's ingest source
+ * GET /api/admin/tenants/:tenantId/sources/:sourceId
+ */
+const getSource = async (req, res) => {
+  const source = ingestService.get(req.params.tenantId, req.params.sourceId);
+
+  res.status(200).json({
+    success: true,
+    data: source,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Update an ingest source's name, mapping or idempotency header
+ * PATCH /api/admin/tenants/:tenantId/sources/:sourceId
+ */
+const updateSource = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) {
+    return;
+  }
+
+  const { name, mapping, idempotencyHeader } = req.body;
+  const source = ingestService.update(req.params.tenantId, req.params.sourceId, {
+    name,
+    mapping,
+    idempotencyHeader,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: source,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Delete an ingest source
+ * DELETE /api/admin/tenants/:tenantId/sources/:sourceId
+ */
+const deleteSource = async (req, res) => {
+  const { tenantId, sourceId } = req.params;
+
+  ingestService.remove(tenantId, sourceId);
+
+  req.log.info('SOURCE_DELETED', { tenantId, sourceId });
+
+  res.status(200).json({
+    success: true,
+    data: { id: sourceId, deleted: true },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+module.exports = {
+  listTenants,
+  getTenant,
+  createTenant,
+  updateTenant,
+  deleteTenant,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listSchemas,
+  registerSchema,
+  getSchemaVersions,
+  deleteSchema,
+  listConsumers,
+  getConsumer,
+  deleteConsumer,
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  listWebhookDeadLetters,
+  redeliverWebhook,
+  listSources,
+  createSource,
+  getSource,
+  updateSource,
+  deleteSource,
+};
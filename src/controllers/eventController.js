@@ -5,8 +5,52 @@
 
 const { validationResult } = require('express-validator');
 const eventService = require('../services/eventService');
+const idempotencyService = require('../services/idempotencyService');
+const sseService = require('../services/sseService');
+const clusterService = require('../services/clusterService');
+const metricsService = require('../services/metricsService');
+const { ALL_CHANNELS, isValidPattern } = require('../services/channels');
 const { AppError, formatValidationErrors } = require('../middleware/errorMiddleware');
 
+/**
+ * Parses a time query parameter given as ISO 8601 or epoch milliseconds
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {number|null} - Time in milliseconds, or null if not given
+ */
+const parseTimeParam = (value, name) => {
+  if (value === undefined) {
+    return null;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new AppError(
+      `${name} must be an ISO 8601 date or epoch milliseconds`,
+      400,
+      'INVALID_TIME_RANGE'
+    );
+  }
+  return time;
+};
+
+/**
+ * Parses a sequence number query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {number|null} - Sequence number, or null if not given
+ */
+const parseSequenceParam = (value, name) => {
+  if (value === undefined) {
+    return null;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new AppError(`${name} must be a non-negative integer`, 400, 'INVALID_SEQUENCE_RANGE');
+  }
+  return Number(value);
+};
+
 /**
  * Create a new event
  * POST /api/events
@@ -25,19 +69,72 @@ const createEvent = async (req, res, next) => {
       });
     }
 
-    const { message } = req.body;
     const tenantId = req.tenantId; // Set by tenant middleware
 
-    // Sanitize message content
-    const sanitizedMessage = eventService.sanitizeMessage(message);
+    // Retries carrying a known Idempotency-Key get the original event back
+    const idempotencyKey = req.get('Idempotency-Key');
+    let fingerprint = null;
+    if (idempotencyKey !== undefined) {
+      if (idempotencyKey.length === 0 || idempotencyKey.length > 255) {
+        throw new AppError(
+          'Idempotency-Key must be between 1 and 255 characters',
+          400,
+          'INVALID_IDEMPOTENCY_KEY'
+        );
+      }
+
+      fingerprint = idempotencyService.fingerprint(req.body);
+      const original = await idempotencyService.reserve(tenantId, idempotencyKey, fingerprint);
+      if (original) {
+        req.log.info('EVENT_REPLAYED', { eventId: original.id });
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json({
+          success: true,
+          data: original,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    let event;
+    try {
+      // Validate structured fields (type, data, metadata, tags) and the tenant's schema
+      const validation = eventService.validateEventData(req.body, req.tenantId);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: formatValidationErrors(validation.fieldErrors),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { message, type, channel, data, metadata, tags, schemaVersion } = req.body;
 
-    // Create event
-    const event = eventService.createEvent(tenantId, sanitizedMessage);
+      // Create event, sanitizing the human readable message
+      event = await eventService.publishEvent(tenantId, {
+        type,
+        channel,
+        message: message === undefined ? undefined : eventService.sanitizeMessage(message),
+        data,
+        metadata,
+        tags,
+        schemaVersion,
+      });
+
+      if (fingerprint) {
+        idempotencyService.remember(tenantId, idempotencyKey, fingerprint, event);
+      }
+    } finally {
+      // Frees a key whose event was not created, for the next retry
+      if (fingerprint) {
+        idempotencyService.release(tenantId, idempotencyKey);
+      }
+    }
 
     // Log event creation for monitoring
-    console.log(
-      `[EVENT_CREATED] ${new Date().toISOString()} - Tenant: ${tenantId}, Event: ${event.id}`
-    );
+    req.log.info('EVENT_CREATED', { eventId: event.id });
 
     res.status(201).json({
       success: true,
@@ -64,7 +161,26 @@ const getEvents = async (req, res, next) => {
       throw new AppError('Limit must be between 1 and 100', 400, 'INVALID_LIMIT');
     }
 
-    const events = eventService.getEventsByTenant(tenantId, limit);
+    const { cursor, after_id: afterId, order } = req.query;
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+      throw new AppError('Order must be asc or desc', 400, 'INVALID_ORDER');
+    }
+
+    const since = parseTimeParam(req.query.since, 'since');
+    const until = parseTimeParam(req.query.until, 'until');
+    const fromSequence = parseSequenceParam(req.query.from_sequence, 'from_sequence');
+    const toSequence = parseSequenceParam(req.query.to_sequence, 'to_sequence');
+
+    const { events, nextCursor } = eventService.queryEvents(tenantId, {
+      cursor,
+      since,
+      until,
+      afterId: afterId || null,
+      fromSequence,
+      toSequence,
+      order,
+      limit,
+    });
 
     res.status(200).json({
       success: true,
@@ -72,6 +188,7 @@ const getEvents = async (req, res, next) => {
         events,
         count: events.length,
         tenant: tenantId,
+        next_cursor: nextCursor,
       },
       timestamp: new Date().toISOString(),
     });
@@ -81,16 +198,41 @@ const getEvents = async (req, res, next) => {
 };
 
 /**
- * Get event statistics
+ * Stream a tenant's events as Server-Sent Events
+ * GET /api/events/stream
+ */
+const streamEvents = async (req, res, next) => {
+  try {
+    // EventSource sends Last-Event-ID on reconnects; the query form allows resuming on first connect
+    const lastId = req.get('Last-Event-ID') || req.query.lastEventId;
+    let resume = null;
+    if (lastId) {
+      resume = /^\d+$/.test(lastId) ? { lastSequence: Number(lastId) } : { lastEventId: lastId };
+    }
+
+    const channels = req.query.channels ? req.query.channels.split(',') : [ALL_CHANNELS];
+    const invalid = channels.filter((pattern) => !isValidPattern(pattern));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid channel patterns: ${invalid.join(', ')}`, 400, 'INVALID_CHANNEL');
+    }
+
+    sseService.open(req, res, { resume, channels });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get event statistics, with socket connection stats of every cluster node
  * GET /api/events/stats
  */
 const getEventStats = async (_req, res, next) => {
   try {
-    const stats = eventService.getEventStats();
+    const stats = metricsService.getEventStats();
 
     res.status(200).json({
       success: true,
-      data: stats,
+      data: { ...stats, connections: clusterService.getConnectionStats() },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -103,7 +245,8 @@ const getEventStats = async (_req, res, next) => {
  * GET /api/health
  */
 const healthCheck = async (_req, res) => {
-  const stats = eventService.getEventStats();
+  // Per-tenant counts are only exposed through the admin-only stats endpoint
+  const { totalEvents } = metricsService.getEventStats();
 
   res.status(200).json({
     status: 'healthy',
@@ -111,13 +254,14 @@ const healthCheck = async (_req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    eventStats: stats,
+    eventStats: { totalEvents },
   });
 };
 
 module.exports = {
   createEvent,
   getEvents,
+  streamEvents,
   getEventStats,
   healthCheck,
 };
@@ -0,0 +1,85 @@
+/**
+ * Ingest Controller
+ * Handles payloads pushed by a tenant's ingest sources
+ */
+
+const eventService = require('../services/eventService');
+const ingestService = require('../services/ingestService');
+const idempotencyService = require('../services/idempotencyService');
+const { AppError, formatValidationErrors } = require('../middleware/errorMiddleware');
+
+/**
+ * Turn a source's payload into an event
+ * POST /api/ingest/:sourceId
+ */
+const ingestEvent = async (req, res) => {
+  if (!req.is('application/json')) {
+    throw new AppError('Payloads must be sent as application/json', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  // The signature covers the body as sent, not as parsed
+  const source = ingestService.authenticate(req.params.sourceId, req.headers, req.rawBody);
+  const { tenantId } = source;
+  req.log = req.log.child({ tenantId, sourceId: source.id });
+
+  // Senders retry with the same delivery id; answer those with the original event
+  const deliveryId = source.idempotencyHeader && req.get(source.idempotencyHeader);
+  const idempotencyKey = deliveryId && `ingest:${source.id}:${deliveryId}`;
+  const fingerprint = idempotencyKey && idempotencyService.fingerprint(req.body);
+  if (idempotencyKey) {
+    const original = await idempotencyService.reserve(tenantId, idempotencyKey, fingerprint);
+    if (original) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(200).json({
+        success: true,
+        data: original,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  let event;
+  try {
+    const input = ingestService.mapPayload(source, req.body);
+
+    // The sender cannot fix a mapping that produces an invalid event, so this is not a 400
+    const validation = eventService.validateEventData(input, tenantId);
+    if (!validation.isValid) {
+      req.log.warn('INGEST_REJECTED', { errors: validation.errors });
+
+      return res.status(422).json({
+        error: 'Mapped payload is not a valid event',
+        code: 'INVALID_MAPPED_EVENT',
+        details: formatValidationErrors(validation.fieldErrors),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    event = await eventService.publishEvent(tenantId, {
+      ...input,
+      message:
+        typeof input.message === 'string' ? eventService.sanitizeMessage(input.message) : undefined,
+    });
+
+    if (idempotencyKey) {
+      idempotencyService.remember(tenantId, idempotencyKey, fingerprint, event);
+    }
+  } finally {
+    // Frees a delivery id whose event was not created, for the sender's next retry
+    if (idempotencyKey) {
+      idempotencyService.release(tenantId, idempotencyKey);
+    }
+  }
+
+  req.log.info('EVENT_INGESTED', { eventId: event.id });
+
+  res.status(201).json({
+    success: true,
+    data: event,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+module.exports = {
+  ingestEvent,
+};
@@ -0,0 +1,19 @@
+/**
+ * Metrics Controller
+ * Serves metrics to Prometheus
+ */
+
+const metricsService = require('../services/metricsService');
+
+/**
+ * Metrics of this node in the Prometheus text format
+ * GET /metrics
+ */
+const getMetrics = async (_req, res) => {
+  res.set('Content-Type', metricsService.contentType);
+  res.status(200).send(metricsService.render());
+};
+
+module.exports = {
+  getMetrics,
+};
@@ -0,0 +1,117 @@
+/**
+ * Application Metrics
+ * The process-wide registry and the metrics services record into. Gauges
+ * read from the services are set by collectors (see services/metricsService).
+ */
+
+const { Registry, Counter, Gauge, Histogram } = require('./registry');
+
+const registry = new Registry();
+
+// Events
+const eventsCreated = registry.counter({
+  name: 'eventfeed_events_created_total',
+  help: 'Events created on this node',
+  labelNames: ['tenant'],
+});
+
+const eventsStored = registry.gauge({
+  name: 'eventfeed_events_stored',
+  help: 'Events currently retained',
+  labelNames: ['tenant'],
+});
+
+const publishDuration = registry.histogram({
+  name: 'eventfeed_publish_duration_seconds',
+  help: 'Time to validate, store and hand an event to every local subscriber',
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+});
+
+const broadcastFanout = registry.histogram({
+  name: 'eventfeed_broadcast_fanout',
+  help: 'Connections of a tenant an event was broadcast to',
+  labelNames: ['transport'],
+  buckets: [0, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000],
+});
+
+// Connections
+const connectionsActive = registry.gauge({
+  name: 'eventfeed_connections_active',
+  help: 'Open subscriber connections',
+  labelNames: ['tenant', 'transport'],
+});
+
+const connectionsOpened = registry.counter({
+  name: 'eventfeed_connections_opened_total',
+  help: 'Subscriber connections accepted',
+  labelNames: ['transport'],
+});
+
+const connectionsClosed = registry.counter({
+  name: 'eventfeed_connections_closed_total',
+  help: 'Subscriber connections closed',
+  labelNames: ['transport', 'reason'],
+});
+
+const slowConnections = registry.gauge({
+  name: 'eventfeed_slow_connections',
+  help: 'Connections whose outgoing buffer is over the backpressure limits',
+});
+
+const backpressureActions = registry.counter({
+  name: 'eventfeed_backpressure_actions_total',
+  help: 'Events dropped or coalesced and connections closed for slow consumers',
+  labelNames: ['action'],
+});
+
+// HTTP
+const httpRequests = registry.counter({
+  name: 'eventfeed_http_requests_total',
+  help: 'HTTP requests handled',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'eventfeed_http_request_duration_seconds',
+  help: 'HTTP request duration',
+  labelNames: ['method', 'route'],
+});
+
+const rateLimitRejections = registry.counter({
+  name: 'eventfeed_rate_limit_rejections_total',
+  help: 'HTTP requests rejected by the rate limiter',
+});
+
+// Process
+const processMemory = registry.gauge({
+  name: 'process_memory_bytes',
+  help: 'Memory used by the process',
+  labelNames: ['type'],
+});
+
+const processUptime = registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+});
+
+module.exports = {
+  registry,
+  eventsCreated,
+  eventsStored,
+  publishDuration,
+  broadcastFanout,
+  connectionsActive,
+  connectionsOpened,
+  connectionsClosed,
+  slowConnections,
+  backpressureActions,
+  httpRequests,
+  httpRequestDuration,
+  rateLimitRejections,
+  processMemory,
+  processUptime,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+};
@@ -0,0 +1,332 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format (version 0.0.4)
+ */
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * @param {number} value - Sample value
+ * @returns {string} - Value as Prometheus writes it
+ */
+const formatValue = (value) => {
+  if (value === Number.POSITIVE_INFINITY) {
+    return '+Inf';
+  }
+  if (value === Number.NEGATIVE_INFINITY) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+/**
+ * @param {Object} labels - Label names and values
+ * @returns {string} - `{name="value",...}`, or '' without labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown in the HELP line
+   * @param {Array} options.labelNames - Names of the labels samples carry
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    const invalid = labelNames.find((label) => !LABEL_NAME_PATTERN.test(label));
+    if (invalid) {
+      throw new Error(`Invalid label name for ${name}: ${invalid}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // Map of serialized label values -> { labels, ...sample state }
+    this.series = new Map();
+  }
+
+  /**
+   * Finds or creates the series for a set of labels
+   * @param {Object} labels - Label values; missing labels are empty
+   * @param {Function} create - Creates the initial state of a new series
+   * @returns {Object} - Series { labels, ...state }
+   */
+  getSeries(labels, create) {
+    const unknown = Object.keys(labels).find((label) => !this.labelNames.includes(label));
+    if (unknown) {
+      throw new Error(`Unknown label for ${this.name}: ${unknown}`);
+    }
+
+    const values = this.labelNames.map((label) => String(labels[label] ?? ''));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const normalized = Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]]));
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Forgets every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * @returns {Array} - Current samples as { labels, value }
+   */
+  get() {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+  }
+
+  /**
+   * @returns {Array} - Sample lines without HELP and TYPE
+   */
+  samples() {
+    // Metrics without labels report 0 before their first update
+    const series =
+      this.labelNames.length === 0 && this.series.size === 0
+        ? [{ labels: {}, value: 0 }]
+        : this.get();
+    return series.map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+
+  /**
+   * @returns {string} - The metric in the text exposition format
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples(),
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * Increments the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add, at least 0
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} cannot be increased by ${value}`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to subtract
+   */
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {Array} options.buckets - Upper bounds of the buckets, ascending
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts timing something
+   * @param {Object} labels - Label values
+   * @returns {Function} - Call to observe the seconds elapsed; returns them
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * @returns {Array} - Current series as { labels, buckets: { bound: count }, sum, count }
+   */
+  get() {
+    return [...this.series.values()].map(({ labels, counts, sum, count }) => ({
+      labels,
+      buckets: Object.fromEntries(this.buckets.map((bound, i) => [bound, counts[i]])),
+      sum,
+      count,
+    }));
+  }
+
+  samples() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map(
+        (bound, i) =>
+          `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+}
+
+class Registry {
+  constructor() {
+    // Map of metric name -> metric, in registration order
+    this.metrics = new Map();
+
+    // Functions run before rendering to refresh gauges read from elsewhere
+    this.collectors = [];
+
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * @param {Metric} metric - Metric to expose
+   * @returns {Metric} - The metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @returns {Metric|undefined} - The metric
+   */
+  getMetric(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Adds a function run before every rendering, e.g. to set gauges
+   * @param {Function} collector - Collector function
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Runs the collectors
+   */
+  collect() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+  }
+
+  /**
+   * Collects and renders every metric
+   * @returns {string} - Metrics in the text exposition format
+   */
+  render() {
+    this.collect();
+    return `${[...this.metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Forgets every series (for tests)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS,
+};
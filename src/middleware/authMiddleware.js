@@ -0,0 +1,210 @@
+/**
+ * Auth Middleware
+ * Role-based authorization for HTTP routes and socket actions
+ */
+
+const crypto = require('node:crypto');
+const config = require('../../config/config');
+const apiKeyService = require('../services/apiKeyService');
+const jwtService = require('../services/jwtService');
+const logger = require('../utils/logger');
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+  reader: ['events:read'],
+  publisher: ['events:read', 'events:publish'],
+  'tenant-admin': [
+    'events:read',
+    'events:publish',
+    'apikeys:manage',
+    'schemas:manage',
+    'consumers:manage',
+    'webhooks:manage',
+    'sources:manage',
+  ],
+  'platform-admin': [
+    'events:read',
+    'events:publish',
+    'apikeys:manage',
+    'schemas:manage',
+    'consumers:manage',
+    'webhooks:manage',
+    'sources:manage',
+    'tenants:manage',
+    'stats:global',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Checks whether an auth context grants a permission
+ * @param {Object} auth - Auth context ({ roles }) from req.auth or socket.auth
+ * @param {string} permission - Permission name, e.g. 'events:publish'
+ * @returns {boolean} - True if any of the roles grants the permission
+ */
+const hasPermission = (auth, permission) =>
+  Boolean(auth?.roles) && auth.roles.some((role) => ROLE_PERMISSIONS[role]?.includes(permission));
+
+/**
+ * Compares a presented token with a configured one in constant time
+ * @param {string|null} secret - Configured token
+ * @param {string} token - Presented token
+ * @returns {boolean} - True if the token is configured and matches
+ */
+const matchesToken = (secret, token) => {
+  if (!secret || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const provided = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+/**
+ * Compares a presented admin token with config.adminToken in constant time
+ * @param {string} token - Token from the X-Admin-Token header
+ * @returns {boolean} - True if the token is configured and matches
+ */
+const isAdminToken = (token) => matchesToken(config.adminToken, token);
+
+/**
+ * Extracts a bearer token from an Authorization header value
+ * @param {string} header - Authorization header
+ * @returns {string|null} - Token, or null if absent
+ */
+const extractBearerToken = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Middleware establishing req.auth for routes that are not tenant scoped.
+ * Accepts the admin token (platform-admin), a JWT in 'jwt' mode or an API key in 'apiKey' mode.
+ */
+const authenticate = (req, res, next) => {
+  if (req.auth) {
+    return next();
+  }
+
+  const adminToken = req.headers['x-admin-token'];
+  if (adminToken) {
+    if (!isAdminToken(adminToken)) {
+      return res.status(401).json({
+        error: 'Invalid admin token',
+        code: 'INVALID_ADMIN_TOKEN',
+      });
+    }
+
+    req.auth = { method: 'adminToken', roles: ['platform-admin'], tenantId: null };
+    return next();
+  }
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (config.auth.mode === 'jwt' && token) {
+    try {
+      const identity = jwtService.verify(token);
+      req.auth = {
+        method: 'jwt',
+        subject: identity.subject,
+        roles: identity.roles,
+        tenantId: identity.tenantId,
+      };
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (config.auth.mode === 'apiKey' && apiKey) {
+    const key = apiKeyService.authenticate(apiKey);
+    if (key) {
+      req.auth = { method: 'apiKey', keyId: key.id, roles: key.roles, tenantId: key.tenantId };
+    }
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory requiring a permission on req.auth
+ * @param {string} permission - Permission name, e.g. 'events:publish'
+ * @returns {Function} - Express middleware
+ */
+const authorize = (permission) => (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'UNAUTHENTICATED',
+    });
+  }
+
+  if (!hasPermission(req.auth, permission)) {
+    (req.log || logger).warn('ACCESS_DENIED', {
+      roles: req.auth.roles,
+      permission,
+      path: req.path,
+    });
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      code: 'FORBIDDEN',
+      required: permission,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware guarding the metrics endpoint: scrapers send config.metrics.token
+ * as a bearer token, if one is configured. With config.metrics.requireToken
+ * (production), metrics stay closed until a token is configured.
+ */
+const authenticateMetrics = (req, res, next) => {
+  if (!config.metrics.token) {
+    if (!config.metrics.requireToken) {
+      return next();
+    }
+
+    return res.status(401).json({
+      error: 'Metrics are disabled until METRICS_TOKEN is set',
+      code: 'METRICS_TOKEN_REQUIRED',
+    });
+  }
+
+  if (matchesToken(config.metrics.token, extractBearerToken(req.headers.authorization))) {
+    return next();
+  }
+
+  return res.status(401).json({
+    error: 'Invalid metrics token',
+    code: 'INVALID_METRICS_TOKEN',
+  });
+};
+
+/**
+ * Middleware restricting :tenantId routes to the caller's own tenant (platform admins excepted)
+ */
+const authorizeTenantScope = (req, res, next) => {
+  if (hasPermission(req.auth, 'tenants:manage') || req.auth?.tenantId === req.params.tenantId) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Access to this tenant is not allowed',
+    code: 'FORBIDDEN',
+  });
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isAdminToken,
+  extractBearerToken,
+  authenticate,
+  authorize,
+  authorizeTenantScope,
+  authenticateMetrics,
+};
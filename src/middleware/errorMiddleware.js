@@ -4,22 +4,23 @@
  */
 
 const config = require('../../config/config');
+const logger = require('../utils/logger');
 
 /**
  * Global error handler middleware
  */
-const errorHandler = (err, _req, res, _next) => {
-  // Log error for debugging
-  console.error(`[ERROR] ${new Date().toISOString()} - ${err.message}`);
-  console.error(err.stack);
-
+const errorHandler = (err, req, res, _next) => {
   // Default error response
   let statusCode = 500;
   let message = 'Internal Server Error';
   let code = 'INTERNAL_ERROR';
 
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
+  // AppErrors carry their own status and code; only plain errors are matched by message
+  if (err.statusCode) {
+    statusCode = err.statusCode;
+    message = err.message;
+    code = err.code || code;
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = 'Validation Error';
     code = 'VALIDATION_ERROR';
@@ -27,6 +28,14 @@ const errorHandler = (err, _req, res, _next) => {
     statusCode = 400;
     message = 'Invalid tenant ID';
     code = 'INVALID_TENANT';
+  } else if (err.message.includes('Tenant suspended')) {
+    statusCode = 403;
+    message = 'Tenant suspended';
+    code = 'TENANT_SUSPENDED';
+  } else if (err.message.includes('Invalid event payload')) {
+    statusCode = 400;
+    message = err.message;
+    code = 'INVALID_EVENT_PAYLOAD';
   } else if (err.message.includes('Message exceeds maximum length')) {
     statusCode = 400;
     message = 'Message too long';
@@ -35,11 +44,24 @@ const errorHandler = (err, _req, res, _next) => {
     statusCode = 400;
     message = 'Message is required';
     code = 'MISSING_MESSAGE';
-  } else if (err.statusCode) {
-    statusCode = err.statusCode;
-    message = err.message;
+  } else if (err.message.includes('Invalid cursor')) {
+    statusCode = 400;
+    message = 'Invalid cursor';
+    code = 'INVALID_CURSOR';
+  } else if (err.message.includes('Unknown event')) {
+    statusCode = 400;
+    message = 'after_id does not refer to a retained event';
+    code = 'UNKNOWN_EVENT_ID';
   }
 
+  // Server faults are logged with their stack, client errors as warnings
+  const log = req.log || logger;
+  log[statusCode >= 500 ? 'error' : 'warn']('ERROR', {
+    status: statusCode,
+    code,
+    error: statusCode >= 500 ? err : err.message,
+  });
+
   // Prepare error response
   const errorResponse = {
     error: message,
@@ -84,13 +106,14 @@ const asyncHandler = (fn) => {
 };
 
 /**
- * Validation error formatter
+ * Validation error formatter; object values are not echoed back, as they can
+ * be large or too deeply nested to serialize
  */
 const formatValidationErrors = (errors) => {
   return errors.map((error) => ({
     field: error.path || error.param,
     message: error.msg || error.message,
-    value: error.value,
+    value: error.value !== null && typeof error.value === 'object' ? undefined : error.value,
   }));
 };
 
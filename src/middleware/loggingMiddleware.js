@@ -0,0 +1,44 @@
+/**
+ * Logging Middleware
+ * Gives every request an id and a logger carrying it, and logs each request
+ * once its response is sent
+ */
+
+const crypto = require('node:crypto');
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids passed in by a proxy are kept if they are short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware setting req.id (echoed in the X-Request-Id response header) and
+ * req.log, then logging method, path, status and duration on completion
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  res.on('finish', () => {
+    // req.log gains tenantId once the tenant middleware has run
+    req.log.info('HTTP', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      ip: req.ip,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestLogger,
+  REQUEST_ID_HEADER,
+};
@@ -0,0 +1,40 @@
+/**
+ * Metrics Middleware
+ * Records HTTP requests by route and status
+ */
+
+const metrics = require('../metrics');
+
+/**
+ * Middleware counting requests and timing them once the response is sent.
+ * Requests are labelled by route pattern (e.g. /api/admin/tenants/:tenantId)
+ * so ids in paths do not create a series each; requests matching no route are
+ * labelled 'unmatched'. Express resets req.baseUrl when an error leaves a
+ * router, so those are labelled by the pattern within their router.
+ */
+const recordHttpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+};
+
+/**
+ * Handler for requests over the rate limit (express-rate-limit `handler` option)
+ */
+const rateLimitExceeded = (_req, res, _next, options) => {
+  metrics.rateLimitRejections.inc();
+  res.status(options.statusCode).send(options.message);
+};
+
+module.exports = {
+  recordHttpMetrics,
+  rateLimitExceeded,
+};
@@ -0,0 +1,29 @@
+/**
+ * Rate Limit Middleware
+ * Limits requests under /api/ per client address. Events published over
+ * Socket.io and plain WebSocket connections count against the same limit.
+ */
+
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const config = require('../../config/config');
+const { rateLimitExceeded } = require('./metricsMiddleware');
+
+// Hit counts per client address, shared by the REST limiter and socket publishes
+const store = new MemoryStore();
+
+const apiLimiter = rateLimit({ ...config.rateLimit, store, handler: rateLimitExceeded });
+
+/**
+ * Counts an event published over a socket against its address's limit
+ * @param {string} address - Client address of the connection
+ * @returns {Promise} - Resolves with true while the address is within its limit
+ */
+const consumeRateLimit = async (address) => {
+  const { totalHits } = await store.increment(address);
+  return totalHits <= config.rateLimit.max;
+};
+
+module.exports = {
+  apiLimiter,
+  consumeRateLimit,
+};
@@ -3,13 +3,113 @@
  * Validates and extracts tenant information from requests
  */
 
+const config = require('../../config/config');
 const tenantService = require('../services/tenantService');
+const apiKeyService = require('../services/apiKeyService');
+const jwtService = require('../services/jwtService');
+const { AppError } = require('./errorMiddleware');
+const { extractBearerToken, isAdminToken } = require('./authMiddleware');
+const logger = require('../utils/logger');
 
 /**
- * Middleware to validate tenant ID from X-Tenant-ID header
+ * Resolves the tenant from an API key
+ * @param {string} apiKey - Plaintext API key presented by the client
+ * @param {string} claimedTenantId - Tenant the client says it belongs to (optional)
+ * @returns {Object} - { tenantId, apiKeyId } or { error, code, status }
+ */
+const resolveApiKeyTenant = (apiKey, claimedTenantId) => {
+  if (!apiKey) {
+    return { status: 401, error: 'Missing API key', code: 'MISSING_API_KEY' };
+  }
+
+  const key = apiKeyService.authenticate(apiKey);
+  if (!key) {
+    return { status: 401, error: 'Invalid API key', code: 'INVALID_API_KEY' };
+  }
+
+  if (claimedTenantId && claimedTenantId !== key.tenantId) {
+    return { status: 403, error: 'API key does not belong to tenant', code: 'TENANT_MISMATCH' };
+  }
+
+  return { tenantId: key.tenantId, apiKeyId: key.id, roles: key.roles };
+};
+
+/**
+ * Resolves the tenant from a JWT bearer token
+ * @param {string} token - Encoded JWT
+ * @param {string} claimedTenantId - Tenant the client says it belongs to (optional)
+ * @returns {Object} - { tenantId, auth }
+ * @throws {Error} - When the token is missing, invalid or names another tenant
+ */
+const resolveJwtTenant = (token, claimedTenantId) => {
+  if (!token) {
+    throw new AppError('Missing bearer token', 401, 'MISSING_TOKEN');
+  }
+
+  const identity = jwtService.verify(token);
+  const auth = {
+    method: 'jwt',
+    subject: identity.subject,
+    roles: identity.roles,
+    expiresAt: identity.expiresAt,
+  };
+
+  // Platform admins are not bound to a tenant and pick one with X-Tenant-ID
+  if (!identity.tenantId && identity.roles.includes('platform-admin') && claimedTenantId) {
+    return { tenantId: claimedTenantId, auth };
+  }
+
+  if (!identity.tenantId) {
+    throw new AppError('Invalid token: missing tenant claim', 401, 'INVALID_TOKEN');
+  }
+
+  if (claimedTenantId && claimedTenantId !== identity.tenantId) {
+    throw new AppError(
+      'Tenant claim does not match the requested tenant',
+      403,
+      'TENANT_CLAIM_MISMATCH'
+    );
+  }
+
+  return { tenantId: identity.tenantId, auth };
+};
+
+/**
+ * Middleware to validate tenant ID from X-Tenant-ID header, or from the
+ * X-API-Key header / bearer token when config.auth.mode is 'apiKey' / 'jwt'.
+ * Sets req.auth with the caller's roles for authorize().
  */
 const validateTenant = (req, res, next) => {
-  const tenantId = req.headers['x-tenant-id'];
+  let tenantId = req.headers['x-tenant-id'];
+
+  if (isAdminToken(req.headers['x-admin-token'])) {
+    // Operators holding the admin token act as platform admins on any tenant
+    req.auth = { method: 'adminToken', roles: ['platform-admin'] };
+  } else if (config.auth.mode === 'jwt') {
+    try {
+      const resolved = resolveJwtTenant(
+        extractBearerToken(req.headers.authorization),
+        req.headers['x-tenant-id']
+      );
+      tenantId = resolved.tenantId;
+      req.auth = resolved.auth;
+    } catch (error) {
+      return next(error);
+    }
+  } else if (config.auth.mode === 'apiKey') {
+    const resolved = resolveApiKeyTenant(req.headers['x-api-key'], tenantId);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error, code: resolved.code });
+    }
+
+    // The key decides the tenant; the header is only cross-checked
+    tenantId = resolved.tenantId;
+    req.apiKeyId = resolved.apiKeyId;
+    req.auth = { method: 'apiKey', keyId: resolved.apiKeyId, roles: resolved.roles };
+  } else {
+    // Trust-on-header mode grants the configured default roles
+    req.auth = { method: 'header', roles: [...config.auth.headerRoles] };
+  }
 
   // Check if tenant header is present
   if (!tenantId) {
@@ -28,13 +128,22 @@ const validateTenant = (req, res, next) => {
     });
   }
 
+  if (!tenantService.isActiveTenant(tenantId)) {
+    return res.status(403).json({
+      error: 'Tenant suspended',
+      code: 'TENANT_SUSPENDED',
+    });
+  }
+
   // Add tenant ID to request object for downstream use
   req.tenantId = tenantId;
+  req.auth.tenantId = tenantId;
+
+  // Later entries logged for the request carry the tenant
+  req.log = (req.log || logger).child({ tenantId });
 
   // Log tenant access for security monitoring
-  console.log(
-    `[TENANT_ACCESS] ${new Date().toISOString()} - Tenant: ${tenantId}, IP: ${req.ip}, Path: ${req.path}`
-  );
+  req.log.info('TENANT_ACCESS', { ip: req.ip, path: req.path });
 
   next();
 };
@@ -60,6 +169,13 @@ const validateTenantQuery = (req, res, next) => {
     });
   }
 
+  if (!tenantService.isActiveTenant(tenantId)) {
+    return res.status(403).json({
+      error: 'Tenant suspended',
+      code: 'TENANT_SUSPENDED',
+    });
+  }
+
   req.tenantId = tenantId;
   next();
 };
@@ -92,7 +208,31 @@ const sanitizeTenant = (req, _res, next) => {
  * Socket.io middleware for tenant validation
  */
 const validateSocketTenant = (socket, next) => {
-  const tenantId = socket.handshake.query.tenant;
+  let tenantId = socket.handshake.query.tenant;
+
+  if (config.auth.mode === 'jwt') {
+    try {
+      const token =
+        socket.handshake.auth?.token || extractBearerToken(socket.handshake.headers.authorization);
+      const resolved = resolveJwtTenant(token, tenantId);
+      tenantId = resolved.tenantId;
+      socket.auth = resolved.auth;
+    } catch (error) {
+      return next(new Error(error.message));
+    }
+  } else if (config.auth.mode === 'apiKey') {
+    const apiKey = socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key'];
+    const resolved = resolveApiKeyTenant(apiKey, tenantId);
+    if (resolved.error) {
+      return next(new Error(resolved.error));
+    }
+
+    tenantId = resolved.tenantId;
+    socket.apiKeyId = resolved.apiKeyId;
+    socket.auth = { method: 'apiKey', keyId: resolved.apiKeyId, roles: resolved.roles };
+  } else {
+    socket.auth = { method: 'header', roles: [...config.auth.headerRoles] };
+  }
 
   if (!tenantId) {
     return next(new Error('Missing tenant query parameter'));
@@ -102,13 +242,19 @@ const validateSocketTenant = (socket, next) => {
     return next(new Error('Invalid tenant ID'));
   }
 
+  if (!tenantService.isActiveTenant(tenantId)) {
+    return next(new Error('Tenant suspended'));
+  }
+
   // Add tenant ID to socket object
   socket.tenantId = tenantId;
+  socket.auth.tenantId = tenantId;
+
+  // Entries logged for the socket carry its tenant and id
+  socket.log = logger.child({ tenantId, socketId: socket.id });
 
   // Log WebSocket connection for security monitoring
-  console.log(
-    `[WEBSOCKET_CONNECT] ${new Date().toISOString()} - Tenant: ${tenantId}, Socket: ${socket.id}`
-  );
+  socket.log.info('WEBSOCKET_CONNECT', { ip: socket.handshake.address });
 
   next();
 };
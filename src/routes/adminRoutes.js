@@ -0,0 +1,347 @@
+/**
+ * Admin Routes
+ * Defines API routes for tenant administration
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { SIGNATURE_SCHEMES } = require('../services/ingestService');
+const { validateMapping } = require('../services/ingestMapping');
+const {
+  ROLES,
+  authenticate,
+  authorize,
+  authorizeTenantScope,
+} = require('../middleware/authMiddleware');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const router = express.Router();
+
+// Tenant IDs must survive sanitizeTenant unchanged
+const TENANT_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+const displayNameValidation = body('displayName')
+  .optional()
+  .isString()
+  .withMessage('Display name must be a string')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Display name must be between 1 and 100 characters');
+
+// Validation rules for tenant provisioning
+const createTenantValidation = [
+  body('id')
+    .isString()
+    .withMessage('Tenant ID must be a string')
+    .matches(TENANT_ID_PATTERN)
+    .withMessage('Tenant ID may only contain a-z, 0-9, _ and - (max 64 characters)'),
+  displayNameValidation,
+];
+
+// Validation rules for tenant updates
+const updateTenantValidation = [
+  displayNameValidation,
+  body('status')
+    .optional()
+    .isIn(['active', 'suspended'])
+    .withMessage('Status must be either active or suspended'),
+];
+
+// Validation rules for API key issuance
+const createApiKeyValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Key name must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Key name cannot exceed 100 characters'),
+  body('roles').optional().isArray({ min: 1 }).withMessage('Roles must be a non-empty array'),
+  body('roles.*')
+    .isIn(ROLES.filter((role) => role !== 'platform-admin'))
+    .withMessage('Roles must be reader, publisher or tenant-admin'),
+];
+
+// Validation rules for schema registration
+const registerSchemaValidation = [
+  body('type')
+    .isString()
+    .withMessage('Event type must be a string')
+    .matches(/^[a-z0-9][a-z0-9_.-]{0,99}$/i)
+    .withMessage('Event type must be a dotted name such as order.created (max 100 characters)'),
+  body('schema')
+    .custom((value) => typeof value === 'boolean' || (value !== null && typeof value === 'object'))
+    .withMessage('Schema must be a JSON Schema object'),
+];
+
+// Validation rules for webhook registration
+const createWebhookValidation = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https URL'),
+  body('eventTypes')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Event types must be an array of 1 to 20 types'),
+  body('eventTypes.*')
+    .isString()
+    .matches(/^[a-z0-9][a-z0-9_.-]{0,99}\*?$|^\*$/i)
+    .withMessage('Event types must be dotted names, optionally ending in * (e.g. order.*)'),
+  body('secret')
+    .optional()
+    .isString()
+    .withMessage('Secret must be a string')
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Description cannot exceed 100 characters'),
+];
+
+// Validation rules for the webhook delivery log
+const listDeliveriesValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'retrying', 'succeeded', 'dead'])
+    .withMessage('Status must be pending, retrying, succeeded or dead'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+];
+
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]{1,100}$/;
+
+const sourceNameValidation = body('name')
+  .optional()
+  .isString()
+  .withMessage('Source name must be a string')
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Source name cannot exceed 100 characters');
+
+const idempotencyHeaderValidation = body('idempotencyHeader')
+  .optional({ values: 'null' })
+  .matches(HEADER_NAME_PATTERN)
+  .withMessage('Idempotency header must be a header name');
+
+const mappingValidation = (chain) =>
+  chain.custom((mapping) => {
+    const problems = validateMapping(mapping);
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+    return true;
+  });
+
+// Validation rules for ingest source registration
+const createSourceValidation = [
+  sourceNameValidation,
+  body('verification').optional().isObject().withMessage('Verification must be an object'),
+  body('verification.scheme')
+    .optional()
+    .isIn(SIGNATURE_SCHEMES)
+    .withMessage(`Scheme must be one of ${SIGNATURE_SCHEMES.join(', ')}`),
+  body('verification.header')
+    .optional()
+    .matches(HEADER_NAME_PATTERN)
+    .withMessage('Signature header must be a header name'),
+  body('verification.prefix')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Signature prefix must be a string of at most 50 characters'),
+  body('verification.encoding')
+    .optional()
+    .isIn(['hex', 'base64'])
+    .withMessage('Signature encoding must be hex or base64'),
+  body('verification.secret')
+    .optional()
+    .isString()
+    .withMessage('Secret must be a string')
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+  mappingValidation(body('mapping')),
+  idempotencyHeaderValidation,
+];
+
+// Validation rules for ingest source updates
+const updateSourceValidation = [
+  sourceNameValidation,
+  mappingValidation(body('mapping').optional()),
+  idempotencyHeaderValidation,
+];
+
+// All admin routes require an authenticated caller
+router.use(authenticate);
+
+// Tenant management (platform admins)
+const manageTenants = authorize('tenants:manage');
+
+router.get('/tenants', manageTenants, asyncHandler(adminController.listTenants));
+
+router.post(
+  '/tenants',
+  manageTenants,
+  createTenantValidation,
+  asyncHandler(adminController.createTenant)
+);
+
+router.get('/tenants/:tenantId', manageTenants, asyncHandler(adminController.getTenant));
+
+router.patch(
+  '/tenants/:tenantId',
+  manageTenants,
+  updateTenantValidation,
+  asyncHandler(adminController.updateTenant)
+);
+
+router.delete('/tenants/:tenantId', manageTenants, asyncHandler(adminController.deleteTenant));
+
+// API key management (tenant admins for their own tenant, platform admins for any)
+const manageApiKeys = [authorize('apikeys:manage'), authorizeTenantScope];
+
+router.get('/tenants/:tenantId/api-keys', manageApiKeys, asyncHandler(adminController.listApiKeys));
+
+router.post(
+  '/tenants/:tenantId/api-keys',
+  manageApiKeys,
+  createApiKeyValidation,
+  asyncHandler(adminController.createApiKey)
+);
+
+router.delete(
+  '/tenants/:tenantId/api-keys/:keyId',
+  manageApiKeys,
+  asyncHandler(adminController.revokeApiKey)
+);
+
+// Event schema registry (tenant admins for their own tenant, platform admins for any)
+const manageSchemas = [authorize('schemas:manage'), authorizeTenantScope];
+
+router.get('/tenants/:tenantId/schemas', manageSchemas, asyncHandler(adminController.listSchemas));
+
+router.post(
+  '/tenants/:tenantId/schemas',
+  manageSchemas,
+  registerSchemaValidation,
+  asyncHandler(adminController.registerSchema)
+);
+
+router.get(
+  '/tenants/:tenantId/schemas/:type',
+  manageSchemas,
+  asyncHandler(adminController.getSchemaVersions)
+);
+
+router.delete(
+  '/tenants/:tenantId/schemas/:type',
+  manageSchemas,
+  asyncHandler(adminController.deleteSchema)
+);
+
+// Durable consumers (tenant admins for their own tenant, platform admins for any)
+const manageConsumers = [authorize('consumers:manage'), authorizeTenantScope];
+
+router.get(
+  '/tenants/:tenantId/consumers',
+  manageConsumers,
+  asyncHandler(adminController.listConsumers)
+);
+
+router.get(
+  '/tenants/:tenantId/consumers/:name',
+  manageConsumers,
+  asyncHandler(adminController.getConsumer)
+);
+
+router.delete(
+  '/tenants/:tenantId/consumers/:name',
+  manageConsumers,
+  asyncHandler(adminController.deleteConsumer)
+);
+
+// Outbound webhooks (tenant admins for their own tenant, platform admins for any)
+const manageWebhooks = [authorize('webhooks:manage'), authorizeTenantScope];
+
+router.get(
+  '/tenants/:tenantId/webhooks',
+  manageWebhooks,
+  asyncHandler(adminController.listWebhooks)
+);
+
+router.post(
+  '/tenants/:tenantId/webhooks',
+  manageWebhooks,
+  createWebhookValidation,
+  asyncHandler(adminController.createWebhook)
+);
+
+router.get(
+  '/tenants/:tenantId/webhooks/:webhookId',
+  manageWebhooks,
+  asyncHandler(adminController.getWebhook)
+);
+
+router.delete(
+  '/tenants/:tenantId/webhooks/:webhookId',
+  manageWebhooks,
+  asyncHandler(adminController.deleteWebhook)
+);
+
+router.get(
+  '/tenants/:tenantId/webhooks/:webhookId/deliveries',
+  manageWebhooks,
+  listDeliveriesValidation,
+  asyncHandler(adminController.listWebhookDeliveries)
+);
+
+router.get(
+  '/tenants/:tenantId/webhooks/:webhookId/dead-letters',
+  manageWebhooks,
+  asyncHandler(adminController.listWebhookDeadLetters)
+);
+
+router.post(
+  '/tenants/:tenantId/webhooks/:webhookId/dead-letters/:deliveryId/redeliver',
+  manageWebhooks,
+  asyncHandler(adminController.redeliverWebhook)
+);
+
+// Ingest sources (tenant admins for their own tenant, platform admins for any)
+const manageSources = [authorize('sources:manage'), authorizeTenantScope];
+
+router.get('/tenants/:tenantId/sources', manageSources, asyncHandler(adminController.listSources));
+
+router.post(
+  '/tenants/:tenantId/sources',
+  manageSources,
+  createSourceValidation,
+  asyncHandler(adminController.createSource)
+);
+
+router.get(
+  '/tenants/:tenantId/sources/:sourceId',
+  manageSources,
+  asyncHandler(adminController.getSource)
+);
+
+router.patch(
+  '/tenants/:tenantId/sources/:sourceId',
+  manageSources,
+  updateSourceValidation,
+  asyncHandler(adminController.updateSource)
+);
+
+router.delete(
+  '/tenants/:tenantId/sources/:sourceId',
+  manageSources,
+  asyncHandler(adminController.deleteSource)
+);
+
+module.exports = router;
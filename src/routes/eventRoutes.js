@@ -7,14 +7,17 @@ const express = require('express');
 const { body } = require('express-validator');
 const eventController = require('../controllers/eventController');
 const { validateTenant, sanitizeTenant } = require('../middleware/tenantMiddleware');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const config = require('../../config/config');
 
 const router = express.Router();
 
-// Validation rules for event creation
+// Validation rules for event creation; the message is optional for typed events
+// (structured fields are checked by EventService.validateEventData)
 const createEventValidation = [
   body('message')
+    .if((value, { req }) => value !== undefined || req.body.type === undefined)
     .isString()
     .withMessage('Message must be a string')
     .isLength({ min: 1 })
@@ -29,13 +32,34 @@ router.post(
   '/events',
   sanitizeTenant,
   validateTenant,
+  authorize('events:publish'),
   createEventValidation,
   asyncHandler(eventController.createEvent)
 );
 
-router.get('/events', sanitizeTenant, validateTenant, asyncHandler(eventController.getEvents));
+router.get(
+  '/events/stream',
+  sanitizeTenant,
+  validateTenant,
+  authorize('events:read'),
+  asyncHandler(eventController.streamEvents)
+);
 
-router.get('/events/stats', asyncHandler(eventController.getEventStats));
+router.get(
+  '/events',
+  sanitizeTenant,
+  validateTenant,
+  authorize('events:read'),
+  asyncHandler(eventController.getEvents)
+);
+
+// Cross-tenant statistics are restricted to platform admins
+router.get(
+  '/events/stats',
+  authenticate,
+  authorize('stats:global'),
+  asyncHandler(eventController.getEventStats)
+);
 
 router.get('/health', asyncHandler(eventController.healthCheck));
 
@@ -0,0 +1,15 @@
+/**
+ * Ingest Routes
+ * Defines API routes for payloads pushed by ingest sources
+ */
+
+const express = require('express');
+const ingestController = require('../controllers/ingestController');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const router = express.Router();
+
+// Sources authenticate with their signature instead of tenant headers or API keys
+router.post('/ingest/:sourceId', asyncHandler(ingestController.ingestEvent));
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Metrics Routes
+ * Defines the Prometheus scrape endpoint, outside /api so scrapes are not rate limited
+ */
+
+const express = require('express');
+const metricsController = require('../controllers/metricsController');
+const { authenticateMetrics } = require('../middleware/authMiddleware');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+
+const router = express.Router();
+
+router.get('/metrics', authenticateMetrics, asyncHandler(metricsController.getMetrics));
+
+module.exports = router;
@@ -0,0 +1,199 @@
+/**
+ * API Key Service
+ * Issues and verifies per-tenant API keys; only SHA-256 hashes are kept at rest.
+ * Emits 'change' with each change made, which applyChange repeats on another node.
+ */
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const tenantService = require('./tenantService');
+const { AppError } = require('../middleware/errorMiddleware');
+
+const KEY_PREFIX = 'evk_';
+
+// Roles given to keys issued without an explicit role list
+const DEFAULT_KEY_ROLES = ['reader', 'publisher'];
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {string|null} options.file - JSON file the hashed keys are persisted to
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // Map of key hash -> key record
+    this.keys = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.keys.set(record.hash, record);
+      }
+    }
+  }
+
+  /**
+   * Issues a new API key for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label to identify the key
+   * @param {Array} options.roles - Roles granted to the key's holder
+   * @returns {Object} - Key metadata plus the plaintext key, which is never shown again
+   */
+  create(tenantId, { name, roles } = {}) {
+    if (!tenantService.isValidTenant(tenantId)) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      tenantId,
+      name: name || null,
+      roles: roles?.length ? [...roles] : [...DEFAULT_KEY_ROLES],
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+
+    this.commit({ op: 'put', record });
+
+    return { ...this.toPublic(record), key };
+  }
+
+  /**
+   * Lists a tenant's API keys without their hashes
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Array} - Key metadata
+   */
+  list(tenantId) {
+    return [...this.keys.values()]
+      .filter((record) => record.tenantId === tenantId)
+      .map((record) => this.toPublic(record));
+  }
+
+  /**
+   * Revokes a tenant's API key
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} keyId - The key identifier
+   */
+  revoke(tenantId, keyId) {
+    for (const record of this.keys.values()) {
+      if (record.id === keyId && record.tenantId === tenantId) {
+        this.commit({ op: 'remove', id: keyId });
+        return;
+      }
+    }
+
+    throw new AppError(`API key not found: ${keyId}`, 404, 'API_KEY_NOT_FOUND');
+  }
+
+  /**
+   * Revokes every key of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  revokeAllForTenant(tenantId) {
+    this.commit({ op: 'removeTenant', tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - See applyChange
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', record }, { op: 'remove', id } or
+   *   { op: 'removeTenant', tenantId }
+   */
+  applyChange({ op, record, id, tenantId }) {
+    if (op === 'put') {
+      this.keys.set(record.hash, record);
+    } else {
+      for (const [hash, stored] of this.keys) {
+        if (op === 'remove' ? stored.id === id : stored.tenantId === tenantId) {
+          this.keys.delete(hash);
+        }
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * @returns {Array} - Key records, hashes included, for restore on another node
+   */
+  snapshot() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Replaces every key record, e.g. with those of another node
+   * @param {Array} records - Key records
+   */
+  restore(records) {
+    this.keys = new Map(records.map((record) => [record.hash, record]));
+    this.save();
+  }
+
+  /**
+   * Resolves a plaintext API key to its record
+   * @param {string} key - Plaintext API key
+   * @returns {Object|null} - Key metadata, or null if the key is unknown
+   */
+  authenticate(key) {
+    if (!key || typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const record = this.keys.get(hashKey(key));
+    if (!record) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    return this.toPublic(record);
+  }
+
+  /**
+   * Writes hashed keys to their file, if persistence is enabled
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.snapshot(), null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * @param {Object} record - Stored key record
+   * @returns {Object} - Key metadata safe to return from the API
+   */
+  toPublic({ hash: _hash, ...metadata }) {
+    return { ...metadata, roles: metadata.roles || [...DEFAULT_KEY_ROLES] };
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService({ file: config.apiKeyStoreFile });
+module.exports.ApiKeyService = ApiKeyService;
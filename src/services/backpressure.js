@@ -0,0 +1,231 @@
+/**
+ * Backpressure
+ * Detects connections whose outgoing buffers keep growing (slow consumers) and
+ * applies config.backpressure.policy instead of piling up more events:
+ *
+ *   drop-oldest - queue up to maxQueuedEvents, dropping the oldest beyond that
+ *   coalesce    - send nothing, then one events_missed notice once the buffer drains
+ *   disconnect  - disconnect the connection with reason code SLOW_CONSUMER
+ */
+
+const config = require('../../config/config');
+const metrics = require('../metrics');
+const logger = require('../utils/logger');
+
+const SLOW_CONSUMER = 'SLOW_CONSUMER';
+
+class BackpressureMonitor {
+  constructor() {
+    // Connections currently treated as slow
+    this.slow = new Set();
+    this.timer = null;
+
+    // Totals since startup, reported in SocketService.getConnectionStats
+    this.totals = { droppedEvents: 0, coalescedEvents: 0, disconnectedConnections: 0 };
+  }
+
+  /**
+   * Starts watching a connection
+   * @param {Object} connection - Socket.io socket or raw socket client
+   * @param {Object} transport - Connection callbacks
+   * @param {Function} transport.pending - Returns { messages, bytes } not yet written
+   * @param {Function} transport.notify - Sends an events_missed notice
+   * @param {Function} transport.onSlow - Optional, called when the connection falls behind
+   * @param {Function} transport.onRecovered - Optional, called when it has caught up again
+   * @param {Function} transport.disconnect - Disconnects with a reason code and message
+   */
+  track(connection, transport) {
+    connection.data.backpressure = {
+      ...transport,
+      slow: false,
+      queue: [],
+      dropped: 0,
+      missed: 0,
+      fromSequence: null,
+      toSequence: null,
+    };
+  }
+
+  /**
+   * Forgets a closed connection
+   * @param {Object} connection - Socket.io socket or raw socket client
+   */
+  untrack(connection) {
+    this.slow.delete(connection);
+    if (this.slow.size === 0) {
+      this.stopChecking();
+    }
+  }
+
+  /**
+   * @param {Object} connection - Socket.io socket or raw socket client
+   * @returns {boolean} - True if the connection is currently treated as slow
+   */
+  isSlow(connection) {
+    return Boolean(connection.data.backpressure?.slow);
+  }
+
+  /**
+   * Checks a connection's buffer and marks it slow once it exceeds the limits
+   * @param {Object} connection - Socket.io socket or raw socket client
+   * @returns {boolean} - True if the connection is slow
+   */
+  check(connection) {
+    const state = connection.data.backpressure;
+    if (!state || state.slow) {
+      return Boolean(state?.slow);
+    }
+
+    const { messages, bytes } = state.pending();
+    const { maxPendingMessages, maxPendingBytes, policy } = config.backpressure;
+    if (messages <= maxPendingMessages && bytes <= maxPendingBytes) {
+      return false;
+    }
+
+    logger.warn('BACKPRESSURE_SLOW', {
+      tenantId: connection.tenantId,
+      socketId: connection.id,
+      messages,
+      bytes,
+      policy,
+    });
+
+    if (policy === 'disconnect') {
+      this.totals.disconnectedConnections++;
+      metrics.backpressureActions.inc({ action: 'disconnect' });
+      state.disconnect(
+        SLOW_CONSUMER,
+        `Disconnected: ${messages} messages (${bytes} bytes) waiting to be sent`
+      );
+      return true;
+    }
+
+    state.slow = true;
+    this.slow.add(connection);
+    state.onSlow?.();
+    this.startChecking();
+    return true;
+  }
+
+  /**
+   * Sends an event now, or applies the policy if the connection is slow
+   * @param {Object} connection - Socket.io socket or raw socket client
+   * @param {Object} event - The event being sent
+   * @param {Function} emit - Sends the event
+   */
+  send(connection, event, emit) {
+    const state = connection.data.backpressure;
+    if (!state || !this.check(connection)) {
+      emit();
+      return;
+    }
+    if (!state.slow) {
+      // Disconnected by the policy
+      return;
+    }
+
+    if (config.backpressure.policy === 'drop-oldest') {
+      state.queue.push(emit);
+      if (state.queue.length > config.backpressure.maxQueuedEvents) {
+        state.queue.shift();
+        state.dropped++;
+        this.totals.droppedEvents++;
+        metrics.backpressureActions.inc({ action: 'drop' });
+      }
+      return;
+    }
+
+    state.missed++;
+    state.fromSequence = state.fromSequence ?? event.sequence;
+    state.toSequence = event.sequence;
+    this.totals.coalescedEvents++;
+    metrics.backpressureActions.inc({ action: 'coalesce' });
+  }
+
+  /**
+   * Delivers what slow connections are owed once their buffers drained below
+   * half the limits
+   */
+  recover() {
+    const { maxPendingMessages, maxPendingBytes } = config.backpressure;
+
+    for (const connection of [...this.slow]) {
+      const state = connection.data.backpressure;
+      const { messages, bytes } = state.pending();
+      if (messages > maxPendingMessages / 2 || bytes > maxPendingBytes / 2) {
+        continue;
+      }
+
+      this.slow.delete(connection);
+      state.slow = false;
+
+      if (state.dropped > 0 || state.missed > 0) {
+        state.notify({
+          reason: 'slow_consumer',
+          count: state.dropped + state.missed,
+          ...(state.missed > 0 && {
+            fromSequence: state.fromSequence,
+            toSequence: state.toSequence,
+          }),
+        });
+      }
+
+      const queued = state.queue;
+      Object.assign(state, {
+        queue: [],
+        dropped: 0,
+        missed: 0,
+        fromSequence: null,
+        toSequence: null,
+      });
+      for (const emit of queued) {
+        emit();
+      }
+
+      state.onRecovered?.();
+      logger.info('BACKPRESSURE_RECOVERED', {
+        tenantId: connection.tenantId,
+        socketId: connection.id,
+      });
+    }
+
+    if (this.slow.size === 0) {
+      this.stopChecking();
+    }
+  }
+
+  startChecking() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.recover(), config.backpressure.checkIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stopChecking() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Gets buffer counts of a connection
+   * @param {Object} connection - Socket.io socket or raw socket client
+   * @returns {Object} - { pendingMessages, pendingBytes, queuedEvents, slow }
+   */
+  getConnectionStats(connection) {
+    const state = connection.data.backpressure;
+    if (!state) {
+      return { pendingMessages: 0, pendingBytes: 0, queuedEvents: 0, slow: false };
+    }
+
+    const { messages, bytes } = state.pending();
+    return {
+      pendingMessages: messages,
+      pendingBytes: bytes,
+      queuedEvents: state.queue.length,
+      slow: state.slow,
+    };
+  }
+}
+
+module.exports = BackpressureMonitor;
+module.exports.SLOW_CONSUMER = SLOW_CONSUMER;
@@ -0,0 +1,121 @@
+/**
+ * Channels
+ * Naming and wildcard matching for channels within a tenant
+ *
+ * A channel is one or more '/'-separated segments, e.g. 'orders' or 'orders/eu'.
+ * Subscription patterns may use '*' for exactly one segment and a trailing
+ * '**' for any remaining segments; '**' alone matches every event of the tenant,
+ * including events published without a channel.
+ */
+
+const SEGMENT_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+const MAX_SEGMENTS = 5;
+
+// Pattern a socket subscribes to when it does not ask for specific channels
+const ALL_CHANNELS = '**';
+
+/**
+ * Checks a channel name
+ * @param {string} channel - Channel name
+ * @returns {boolean} - True if the name is valid
+ */
+const isValidChannel = (channel) => {
+  if (typeof channel !== 'string') {
+    return false;
+  }
+  const segments = channel.split('/');
+  return segments.length <= MAX_SEGMENTS && segments.every((s) => SEGMENT_PATTERN.test(s));
+};
+
+/**
+ * Checks a subscription pattern
+ * @param {string} pattern - Channel name, optionally with wildcards
+ * @returns {boolean} - True if the pattern is valid
+ */
+const isValidPattern = (pattern) => {
+  if (typeof pattern !== 'string') {
+    return false;
+  }
+  const segments = pattern.split('/');
+  return (
+    segments.length <= MAX_SEGMENTS &&
+    segments.every(
+      (segment, index) =>
+        SEGMENT_PATTERN.test(segment) ||
+        segment === '*' ||
+        (segment === '**' && index === segments.length - 1)
+    )
+  );
+};
+
+/**
+ * Checks whether an event's channel is covered by a pattern
+ * @param {string} pattern - Subscription pattern
+ * @param {string|undefined} channel - Event channel, undefined for tenant-wide events
+ * @returns {boolean} - True if the pattern matches
+ */
+const matchesChannel = (pattern, channel) => {
+  if (channel === undefined) {
+    return pattern === ALL_CHANNELS;
+  }
+
+  const patternSegments = pattern.split('/');
+  const channelSegments = channel.split('/');
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    if (patternSegments[i] === '**') {
+      return true;
+    }
+    if (i >= channelSegments.length) {
+      return false;
+    }
+    if (patternSegments[i] !== '*' && patternSegments[i] !== channelSegments[i]) {
+      return false;
+    }
+  }
+  return patternSegments.length === channelSegments.length;
+};
+
+/**
+ * Lists every pattern that matches a channel, so an event can be routed to
+ * the rooms of all of them at once
+ * @param {string|undefined} channel - Event channel, undefined for tenant-wide events
+ * @returns {Array} - Matching patterns
+ */
+const matchingPatterns = (channel) => {
+  if (channel === undefined) {
+    return [ALL_CHANNELS];
+  }
+
+  const segments = channel.split('/');
+
+  // Every prefix with each segment either literal or '*'
+  let prefixes = [[]];
+  const patterns = [ALL_CHANNELS];
+  for (const segment of segments) {
+    prefixes = prefixes.flatMap((prefix) => [
+      [...prefix, segment],
+      [...prefix, '*'],
+    ]);
+    patterns.push(...prefixes.map((prefix) => [...prefix, '**'].join('/')));
+  }
+  patterns.push(...prefixes.map((prefix) => prefix.join('/')));
+
+  return patterns;
+};
+
+/**
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} pattern - Subscription pattern
+ * @returns {string} - Socket.io room of the tenant's pattern
+ */
+const channelRoom = (tenantId, pattern) => `${tenantId}/${pattern}`;
+
+module.exports = {
+  ALL_CHANNELS,
+  isValidChannel,
+  isValidPattern,
+  matchesChannel,
+  matchingPatterns,
+  channelRoom,
+};
@@ -0,0 +1,371 @@
+/**
+ * Cluster Service
+ * Connects this process to the other nodes of a cluster over a message bus:
+ * events are numbered in one place by the bus (see bus.sequence) and sent to
+ * every node, which stores them and delivers them to its own connections;
+ * changes to the tenant registry, API keys, schemas, webhooks (and their
+ * deliveries), ingest sources and idempotency keys are repeated on every node,
+ * and a joining node copies the registries of a running one; tenant and API key
+ * disconnects reach every node; and connection stats are shared and added up.
+ */
+
+const os = require('node:os');
+const config = require('../../config/config');
+const { createBus, createBusAdapter } = require('../bus');
+const eventService = require('./eventService');
+const tenantService = require('./tenantService');
+const tenantRegistry = require('./tenantRegistry');
+const apiKeyService = require('./apiKeyService');
+const schemaRegistry = require('./schemaRegistry');
+const webhookService = require('./webhookService');
+const ingestService = require('./ingestService');
+const idempotencyService = require('./idempotencyService');
+const consumerService = require('./consumerService');
+const socketService = require('./socketService');
+const sseService = require('./sseService');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Backpressure stats that are not added up across nodes
+const NODE_SETTINGS = ['policy'];
+
+// Services whose changes are repeated on every node (see their applyChange)
+const REGISTRIES = {
+  tenants: tenantRegistry,
+  apiKeys: apiKeyService,
+  schemas: schemaRegistry,
+  webhooks: webhookService,
+  sources: ingestService,
+  idempotency: idempotencyService,
+};
+
+// Registries a joining node copies; idempotency keys only expire, so they are left out
+const SNAPSHOT_REGISTRIES = ['tenants', 'apiKeys', 'schemas', 'webhooks', 'sources'];
+
+class ClusterService {
+  constructor() {
+    this.nodeId = config.cluster.nodeId || `${os.hostname()}-${process.pid}`;
+    this.bus = null;
+    this.unsubscribes = [];
+    this.heartbeat = null;
+
+    // Map of nodeId -> { stats, receivedAt } last shared by each other node
+    this.peers = new Map();
+
+    // Map of event id -> { resolve, reject, timer } of events sent to be numbered
+    this.pending = new Map();
+
+    // Whether this node copied the registries of another node since joining
+    this.synced = false;
+  }
+
+  /**
+   * @returns {boolean} - True once the node has joined a cluster
+   */
+  isEnabled() {
+    return this.bus !== null;
+  }
+
+  /**
+   * Joins the cluster. Call before SocketService.initialize so Socket.io can
+   * use the bus adapter.
+   * @param {Object} bus - Message bus, created from config.cluster by default
+   * @returns {Promise} - Resolves once the bus is connected
+   */
+  start(bus = createBus(config.cluster)) {
+    this.bus = bus;
+    this.unsubscribes = [
+      bus.subscribe('events', (message) => this.handleRemoteEvent(message)),
+      bus.subscribe('control', (message) => this.handleControl(message)),
+      bus.subscribe('stats', (message) => this.handleStats(message)),
+    ];
+
+    for (const [registry, service] of Object.entries(REGISTRIES)) {
+      const listener = (change) => bus.publish('control', { type: 'change', registry, change });
+      service.on('change', listener);
+      this.unsubscribes.push(() => service.off('change', listener));
+    }
+
+    this.heartbeat = setInterval(() => this.publishStats(), config.cluster.heartbeatIntervalMs);
+    this.heartbeat.unref();
+
+    eventService.useSequencer((tenantId, event) => this.sequenceEvent(tenantId, event));
+
+    logger.info('CLUSTER', { nodeId: this.nodeId, bus: config.cluster.bus, message: 'Joined' });
+
+    return bus.ready().then(() => {
+      this.publishStats();
+      bus.publish('control', { type: 'syncRequest', nodeId: this.nodeId });
+    });
+  }
+
+  /**
+   * Leaves the cluster
+   */
+  stop() {
+    if (!this.bus) {
+      return;
+    }
+
+    clearInterval(this.heartbeat);
+    for (const unsubscribe of this.unsubscribes) {
+      unsubscribe();
+    }
+    eventService.useSequencer(null);
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(
+        new AppError('Left the cluster before the event was stored', 503, 'CLUSTER_UNAVAILABLE')
+      );
+    }
+    this.pending.clear();
+    this.bus.close();
+    this.bus = null;
+    this.peers.clear();
+    this.synced = false;
+
+    logger.info('CLUSTER', { nodeId: this.nodeId, message: 'Left' });
+  }
+
+  /**
+   * Creates the Socket.io adapter sending room broadcasts and disconnects to
+   * the other nodes
+   * @returns {Function|undefined} - Adapter class, or undefined outside a cluster
+   */
+  createAdapter() {
+    if (!this.bus) {
+      return undefined;
+    }
+
+    return createBusAdapter(this.bus, {
+      heartbeatInterval: config.cluster.heartbeatIntervalMs,
+      heartbeatTimeout: config.cluster.heartbeatTimeoutMs,
+    });
+  }
+
+  /**
+   * Has the bus number an event created on this node and send it to every
+   * node, this one included; the tenant's sequence is the bus's number
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event without a sequence
+   * @returns {Promise} - Resolves with the event once this node stored it
+   */
+  sequenceEvent(tenantId, event) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(event.id);
+        reject(
+          new AppError('The cluster did not number the event in time', 503, 'CLUSTER_UNAVAILABLE')
+        );
+      }, config.cluster.sequenceTimeoutMs);
+      timer.unref();
+      this.pending.set(event.id, { resolve, reject, timer });
+
+      // The last sequence this node stored keeps numbers going up if the hub restarted
+      this.bus.sequence('events', tenantId, {
+        nodeId: this.nodeId,
+        tenantId,
+        event,
+        sequence: tenantService.getLastSequence(tenantId),
+      });
+    });
+  }
+
+  /**
+   * Stores and delivers a numbered event; events this node created also
+   * complete their publishEvent call
+   * @param {Object} message - { nodeId, tenantId, event, sequence }
+   */
+  handleRemoteEvent({ nodeId, tenantId, event, sequence }) {
+    const pending = nodeId === this.nodeId ? this.pending.get(event.id) : undefined;
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(event.id);
+    }
+
+    if (!tenantService.isValidTenant(tenantId)) {
+      logger.error('CLUSTER_ERROR', { nodeId, tenantId, message: 'Event for unknown tenant' });
+      pending?.reject(new Error(`Invalid tenant: ${tenantId}`));
+      return;
+    }
+
+    event.sequence = sequence;
+    eventService.storeEvent(tenantId, event, nodeId === this.nodeId ? undefined : nodeId);
+    pending?.resolve(event);
+  }
+
+  /**
+   * Disconnects a tenant's clients on every node (e.g. after suspension or deletion)
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} reason - Reason sent to clients before disconnecting
+   */
+  disconnectTenant(tenantId, reason) {
+    // Socket.io sockets of other nodes are reached through the adapter
+    socketService.disconnectTenant(tenantId, reason);
+    sseService.disconnectTenant(tenantId, reason);
+    this.bus?.publish('control', { type: 'disconnectTenant', tenantId, reason });
+  }
+
+  /**
+   * Disconnects the clients of an API key on every node (e.g. after revocation)
+   * @param {string} apiKeyId - The API key identifier
+   */
+  disconnectApiKey(apiKeyId) {
+    socketService.disconnectApiKey(apiKeyId);
+    sseService.disconnectApiKey(apiKeyId);
+    this.bus?.publish('control', { type: 'disconnectApiKey', apiKeyId });
+  }
+
+  /**
+   * Handles a message of another node: disconnects of the plain WebSocket and
+   * SSE clients of this node, registry changes, and registry copies
+   * @param {Object} message - { type, ... }
+   */
+  handleControl(message) {
+    if (message.type === 'disconnectTenant') {
+      socketService.raw.disconnectTenant(message.tenantId, message.reason);
+      sseService.disconnectTenant(message.tenantId, message.reason);
+    } else if (message.type === 'disconnectApiKey') {
+      socketService.raw.disconnectApiKey(message.apiKeyId);
+      sseService.disconnectApiKey(message.apiKeyId);
+    } else if (message.type === 'change') {
+      this.applyChange(message);
+    } else if (message.type === 'syncRequest') {
+      this.bus.publish('control', {
+        type: 'sync',
+        to: message.nodeId,
+        registries: Object.fromEntries(
+          SNAPSHOT_REGISTRIES.map((registry) => [registry, REGISTRIES[registry].snapshot()])
+        ),
+      });
+    } else if (message.type === 'sync' && message.to === this.nodeId && !this.synced) {
+      this.restore(message.registries);
+    }
+  }
+
+  /**
+   * Repeats a registry change made on another node
+   * @param {Object} message - { registry, change }
+   */
+  applyChange({ registry, change }) {
+    const service = REGISTRIES[registry];
+    if (!service) {
+      logger.error('CLUSTER_ERROR', { registry, message: 'Change for unknown registry' });
+      return;
+    }
+
+    // Events and consumer positions are kept by each node
+    if (registry === 'tenants' && change.op === 'remove') {
+      this.dropTenant(change.id);
+    }
+    service.applyChange(change);
+  }
+
+  /**
+   * Replaces the registries of this node with the copies of a running node;
+   * only the first copy received after joining is used
+   * @param {Object} registries - Records per registry name
+   */
+  restore(registries) {
+    this.synced = true;
+
+    const tenantIds = new Set(registries.tenants.map((tenant) => tenant.id));
+    for (const tenantId of tenantRegistry.ids()) {
+      if (!tenantIds.has(tenantId)) {
+        this.dropTenant(tenantId);
+        idempotencyService.applyChange({ op: 'removeTenant', tenantId });
+      }
+    }
+
+    for (const registry of SNAPSHOT_REGISTRIES) {
+      REGISTRIES[registry].restore(registries[registry]);
+    }
+
+    logger.info('CLUSTER', {
+      nodeId: this.nodeId,
+      message: 'Copied registries',
+      tenants: tenantIds.size,
+    });
+  }
+
+  /**
+   * Drops what this node keeps of a tenant another node deleted
+   * @param {string} tenantId - The tenant identifier
+   */
+  dropTenant(tenantId) {
+    tenantService.dropTenantData(tenantId);
+    consumerService.removeAllForTenant(tenantId);
+  }
+
+  publishStats() {
+    this.bus?.publish('stats', {
+      nodeId: this.nodeId,
+      stats: socketService.getConnectionStats(),
+    });
+  }
+
+  /**
+   * Records the connection stats of another node
+   * @param {Object} message - { nodeId, stats }
+   */
+  handleStats({ nodeId, stats }) {
+    const isNew = !this.peers.has(nodeId);
+    this.peers.set(nodeId, { stats, receivedAt: Date.now() });
+
+    // Introduce this node to a new one right away instead of at the next heartbeat
+    if (isNew) {
+      logger.info('CLUSTER', { nodeId, message: 'Discovered' });
+      this.publishStats();
+    }
+  }
+
+  /**
+   * Get connection statistics added up across the nodes that sent a heartbeat
+   * recently, with each node's connection count
+   * @returns {Object} - Connection statistics
+   */
+  getConnectionStats() {
+    const local = socketService.getConnectionStats();
+    const nodes = [{ nodeId: this.nodeId, stats: local }];
+
+    const now = Date.now();
+    for (const [nodeId, peer] of this.peers) {
+      if (now - peer.receivedAt > config.cluster.heartbeatTimeoutMs) {
+        this.peers.delete(nodeId);
+      } else {
+        nodes.push({ nodeId, stats: peer.stats });
+      }
+    }
+
+    const stats = {
+      totalConnections: 0,
+      tenantConnections: {},
+      backpressure: { ...local.backpressure },
+      nodes: [],
+    };
+    for (const key of Object.keys(stats.backpressure)) {
+      if (!NODE_SETTINGS.includes(key)) {
+        stats.backpressure[key] = 0;
+      }
+    }
+
+    for (const { nodeId, stats: nodeStats } of nodes) {
+      stats.totalConnections += nodeStats.totalConnections;
+      for (const [tenantId, count] of Object.entries(nodeStats.tenantConnections)) {
+        stats.tenantConnections[tenantId] = (stats.tenantConnections[tenantId] || 0) + count;
+      }
+      for (const [key, value] of Object.entries(nodeStats.backpressure)) {
+        if (!NODE_SETTINGS.includes(key)) {
+          stats.backpressure[key] = (stats.backpressure[key] || 0) + value;
+        }
+      }
+      stats.nodes.push({ nodeId, totalConnections: nodeStats.totalConnections });
+    }
+
+    return stats;
+  }
+}
+
+// Export singleton instance
+module.exports = new ClusterService();
+module.exports.ClusterService = ClusterService;
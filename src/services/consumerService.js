@@ -0,0 +1,369 @@
+/**
+ * Consumer Service
+ * At-least-once delivery: tracks the events each acknowledging consumer has not
+ * acked yet, redelivers them after a timeout, and persists the position of
+ * durable named consumers across reconnects. A consumer holding
+ * config.delivery.maxUnacked unacked events gets nothing new until it acks some.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../config/config');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const CONSUMER_NAME_PATTERN = /^[a-z0-9_.-]{1,100}$/i;
+
+/**
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} name - Consumer name
+ * @returns {string} - Map key for the tenant's consumer
+ */
+const consumerKey = (tenantId, name) => `${tenantId}\u0000${name}`;
+
+/**
+ * Checks a durable consumer name
+ * @param {string} name - Consumer name
+ * @returns {boolean} - True if the name is valid
+ */
+const isValidConsumerName = (name) => typeof name === 'string' && CONSUMER_NAME_PATTERN.test(name);
+
+class ConsumerService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string|null} options.file - JSON file durable consumer positions are persisted to
+   */
+  constructor(options = {}) {
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.saveScheduled = false;
+
+    // Map of tenant + name -> durable consumer record { tenantId, name, position, ... }
+    this.records = new Map();
+
+    // Map of tenant + name -> the session currently attached to a durable consumer
+    this.sessions = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.records.set(consumerKey(record.tenantId, record.name), record);
+      }
+    }
+  }
+
+  /**
+   * Starts acknowledged delivery for a connection. A connection attaching to a
+   * durable consumer that is already attached elsewhere takes it over.
+   * @param {string} tenantId - The tenant identifier
+   * @param {string|null} name - Durable consumer name, or null for an ephemeral consumer
+   * @param {Object} handlers - Connection callbacks
+   * @param {Function} handlers.send - Sends (event, { redelivered, attempts })
+   * @param {Function} handlers.evict - Disconnects the connection with a reason
+   * @param {Function} handlers.catchUp - Delivers the events after a sequence again,
+   *   called once a blocked consumer has acked enough to take more
+   * @returns {Object} - Consumer session; `position` is null for a new consumer
+   */
+  open(tenantId, name, { send, evict, catchUp }) {
+    const key = name === null ? null : consumerKey(tenantId, name);
+
+    const previous = key && this.sessions.get(key);
+    if (previous) {
+      this.close(previous);
+      previous.evict('Consumer connected elsewhere');
+    }
+
+    const record = key ? this.records.get(key) : undefined;
+    const session = {
+      tenantId,
+      name,
+      key,
+      send,
+      evict,
+      catchUp,
+      position: record ? record.position : null,
+      seen: record ? record.position : 0,
+      pending: new Map(), // sequence -> { event, attempts, timer }, in sequence order
+      blocked: false, // at the unacked limit; events after `seen` are withheld
+      closed: false,
+    };
+
+    if (key) {
+      this.sessions.set(key, session);
+    }
+
+    logger.info('CONSUMER_OPEN', {
+      tenantId,
+      consumer: name || 'ephemeral',
+      position: session.position,
+    });
+
+    return session;
+  }
+
+  /**
+   * Sends an event to a consumer and waits for its ack
+   * @param {Object} session - Consumer session
+   * @param {Object} event - The event to deliver
+   * @param {Object} delivery - Extra fields for the first delivery (e.g. { replayed })
+   */
+  deliver(session, event, delivery = {}) {
+    if (session.closed || session.blocked) {
+      return;
+    }
+
+    if (session.pending.size >= config.delivery.maxUnacked) {
+      session.blocked = true;
+      logger.warn('CONSUMER_BLOCKED', {
+        tenantId: session.tenantId,
+        consumer: session.name || 'ephemeral',
+        unacked: session.pending.size,
+      });
+      return;
+    }
+
+    const entry = { event, attempts: 1, timer: null };
+    session.pending.set(event.sequence, entry);
+    this.advance(session, event.sequence);
+
+    session.send(event, { ...delivery, redelivered: false, attempts: 1 });
+    this.scheduleRedelivery(session, entry);
+  }
+
+  /**
+   * Records that a consumer has seen every event up to a sequence, including
+   * events its subscriptions skipped. Events are seen in sequence order, so
+   * this only goes back when the tenant's sequence was reset. A blocked
+   * consumer sees nothing past the first withheld event.
+   * @param {Object} session - Consumer session
+   * @param {number} sequence - Highest sequence seen
+   */
+  advance(session, sequence) {
+    if (session.blocked) {
+      return;
+    }
+    session.seen = sequence;
+    this.updatePosition(session);
+  }
+
+  /**
+   * @param {Object} session - Consumer session
+   * @param {Object} entry - Pending delivery
+   */
+  scheduleRedelivery(session, entry) {
+    entry.timer = setTimeout(() => {
+      if (!session.pending.has(entry.event.sequence)) {
+        return;
+      }
+
+      entry.attempts++;
+      logger.info('CONSUMER_REDELIVER', {
+        tenantId: session.tenantId,
+        consumer: session.name || 'ephemeral',
+        sequence: entry.event.sequence,
+        attempt: entry.attempts,
+      });
+      session.send(entry.event, { redelivered: true, attempts: entry.attempts });
+      this.scheduleRedelivery(session, entry);
+    }, config.delivery.ackTimeoutMs);
+    entry.timer.unref();
+  }
+
+  /**
+   * Acknowledges delivered events
+   * @param {Object} session - Consumer session
+   * @param {Array} sequences - Sequences of the processed events
+   * @returns {Object} - { acked, unknown, position }
+   */
+  ack(session, sequences) {
+    const acked = [];
+    const unknown = [];
+
+    for (const sequence of sequences) {
+      const entry = session.pending.get(sequence);
+      if (entry) {
+        clearTimeout(entry.timer);
+        session.pending.delete(sequence);
+        acked.push(sequence);
+      } else {
+        unknown.push(sequence);
+      }
+    }
+
+    this.updatePosition(session);
+
+    const result = { acked, unknown, position: session.position };
+
+    if (session.blocked && !session.closed && session.pending.size < config.delivery.maxUnacked) {
+      session.blocked = false;
+      logger.info('CONSUMER_RESUMED', {
+        tenantId: session.tenantId,
+        consumer: session.name || 'ephemeral',
+        seen: session.seen,
+      });
+      session.catchUp(session.seen);
+    }
+
+    return result;
+  }
+
+  /**
+   * Moves the position to the highest sequence before which everything has been acked
+   * @param {Object} session - Consumer session
+   */
+  updatePosition(session) {
+    // A closed session must not overwrite the position of the one that took over
+    if (session.closed) {
+      return;
+    }
+
+    // Events are delivered in sequence order, so the first pending one is the lowest
+    const position =
+      session.pending.size > 0 ? session.pending.keys().next().value - 1 : session.seen;
+
+    if (position === session.position) {
+      return;
+    }
+    session.position = position;
+
+    if (session.key) {
+      const existing = this.records.get(session.key);
+      const now = new Date().toISOString();
+      this.records.set(session.key, {
+        tenantId: session.tenantId,
+        name: session.name,
+        position,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+      });
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Stops redelivery for a closed connection. Unacked events of a durable
+   * consumer are delivered again when it reconnects.
+   * @param {Object} session - Consumer session
+   */
+  close(session) {
+    if (session.closed) {
+      return;
+    }
+    session.closed = true;
+
+    for (const entry of session.pending.values()) {
+      clearTimeout(entry.timer);
+    }
+
+    if (session.key && this.sessions.get(session.key) === session) {
+      this.sessions.delete(session.key);
+    }
+
+    logger.info('CONSUMER_CLOSE', {
+      tenantId: session.tenantId,
+      consumer: session.name || 'ephemeral',
+      unacked: session.pending.size,
+    });
+  }
+
+  /**
+   * Lists a tenant's durable consumers
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Array} - Consumer records with their connection state
+   */
+  list(tenantId) {
+    return [...this.records.values()]
+      .filter((record) => record.tenantId === tenantId)
+      .map((record) => this.describe(record));
+  }
+
+  /**
+   * Gets a durable consumer
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} name - Consumer name
+   * @returns {Object} - Consumer record with its connection state
+   */
+  get(tenantId, name) {
+    const record = this.records.get(consumerKey(tenantId, name));
+    if (!record) {
+      throw new AppError(`Consumer not found: ${name}`, 404, 'CONSUMER_NOT_FOUND');
+    }
+    return this.describe(record);
+  }
+
+  /**
+   * @param {Object} record - Durable consumer record
+   * @returns {Object} - Record with connected flag and unacked count
+   */
+  describe(record) {
+    const session = this.sessions.get(consumerKey(record.tenantId, record.name));
+    return {
+      ...record,
+      connected: Boolean(session),
+      unacked: session ? session.pending.size : 0,
+    };
+  }
+
+  /**
+   * Forgets a durable consumer, disconnecting it if attached
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} name - Consumer name
+   */
+  remove(tenantId, name) {
+    const key = consumerKey(tenantId, name);
+    if (!this.records.delete(key)) {
+      throw new AppError(`Consumer not found: ${name}`, 404, 'CONSUMER_NOT_FOUND');
+    }
+
+    const session = this.sessions.get(key);
+    if (session) {
+      this.close(session);
+      session.evict('Consumer deleted');
+    }
+    this.save();
+  }
+
+  /**
+   * Forgets every durable consumer of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  removeAllForTenant(tenantId) {
+    for (const [key, record] of this.records) {
+      if (record.tenantId === tenantId) {
+        this.records.delete(key);
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * Coalesces the writes of many acks into one per tick
+   */
+  scheduleSave() {
+    if (!this.file || this.saveScheduled) {
+      return;
+    }
+    this.saveScheduled = true;
+    setImmediate(() => {
+      this.saveScheduled = false;
+      this.save();
+    });
+  }
+
+  /**
+   * Writes durable consumer positions to their file, if persistence is enabled
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify([...this.records.values()], null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+// Export singleton instance
+module.exports = new ConsumerService({ file: config.delivery.consumerStoreFile });
+module.exports.ConsumerService = ConsumerService;
+module.exports.isValidConsumerName = isValidConsumerName;
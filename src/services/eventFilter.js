@@ -0,0 +1,129 @@
+/**
+ * Event Filter
+ * Server-side subscription filters evaluated per socket before delivery
+ *
+ * A filter is an object whose fields must all match:
+ *   type     - event type or list of types; a trailing '*' matches a prefix ('order.*')
+ *   tags     - list of tags, at least one of which the event must carry
+ *   metadata - { field: value } pairs the event's metadata must equal
+ *   text     - case-insensitive substring of the event message
+ */
+
+const FILTER_FIELDS = ['type', 'tags', 'metadata', 'text'];
+const MAX_FILTER_VALUES = 20;
+const MAX_TEXT_LENGTH = 200;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isShortString = (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= MAX_TEXT_LENGTH;
+
+/**
+ * Checks a filter expression
+ * @param {Object} filter - Filter expression
+ * @returns {Array} - Problems found, empty when the filter is valid
+ */
+const validateFilter = (filter) => {
+  if (!isPlainObject(filter)) {
+    return ['Filter must be an object'];
+  }
+
+  const problems = [];
+  const unknown = Object.keys(filter).filter((field) => !FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    problems.push(`Unknown filter fields: ${unknown.join(', ')}`);
+  }
+
+  const { type, tags, metadata, text } = filter;
+  const types = typeof type === 'string' ? [type] : type;
+
+  if (
+    type !== undefined &&
+    !(
+      Array.isArray(types) &&
+      types.length > 0 &&
+      types.length <= MAX_FILTER_VALUES &&
+      types.every(isShortString)
+    )
+  ) {
+    problems.push(`type must be a type name or a list of up to ${MAX_FILTER_VALUES} names`);
+  }
+
+  if (
+    tags !== undefined &&
+    !(
+      Array.isArray(tags) &&
+      tags.length > 0 &&
+      tags.length <= MAX_FILTER_VALUES &&
+      tags.every(isShortString)
+    )
+  ) {
+    problems.push(`tags must be a list of up to ${MAX_FILTER_VALUES} tags`);
+  }
+
+  if (
+    metadata !== undefined &&
+    !(isPlainObject(metadata) && Object.values(metadata).every(isShortString))
+  ) {
+    problems.push('metadata must map field names to string values');
+  }
+
+  if (text !== undefined && !isShortString(text)) {
+    problems.push(`text must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  return problems;
+};
+
+/**
+ * Checks whether an event type matches a filter type
+ * @param {string} pattern - Type name, optionally ending in '*'
+ * @param {string} type - Event type
+ * @returns {boolean} - True on match
+ */
+const matchesType = (pattern, type) =>
+  pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type;
+
+/**
+ * Evaluates a filter against an event
+ * @param {Object|null} filter - Filter accepted by validateFilter, or null for none
+ * @param {Object} event - The event object
+ * @returns {boolean} - True if the event should be delivered
+ */
+const matchesFilter = (filter, event) => {
+  if (!filter) {
+    return true;
+  }
+
+  const { type, tags, metadata, text } = filter;
+
+  if (type !== undefined) {
+    const types = typeof type === 'string' ? [type] : type;
+    if (!types.some((pattern) => matchesType(pattern, event.type || 'message'))) {
+      return false;
+    }
+  }
+
+  if (tags !== undefined && !tags.some((tag) => event.tags?.includes(tag))) {
+    return false;
+  }
+
+  if (
+    metadata !== undefined &&
+    !Object.entries(metadata).every(([field, value]) => event.metadata?.[field] === value)
+  ) {
+    return false;
+  }
+
+  if (text !== undefined && !(event.message || '').toLowerCase().includes(text.toLowerCase())) {
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  validateFilter,
+  matchesFilter,
+};
@@ -7,49 +7,187 @@ const { v4: uuidv4 } = require('uuid');
 const { EventEmitter } = require('node:events');
 const config = require('../../config/config');
 const tenantService = require('./tenantService');
+const schemaRegistry = require('./schemaRegistry');
+const { isValidChannel } = require('./channels');
+const metrics = require('../metrics');
+
+// Type given to events created from a bare message
+const DEFAULT_EVENT_TYPE = 'message';
+
+// Dotted event type names, e.g. 'order.created'
+const EVENT_TYPE_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,99}$/i;
+const TAG_PATTERN = /^[\w.:-]{1,50}$/;
+const MAX_TAGS = 20;
+const METADATA_FIELDS = ['source', 'correlationId', 'actor'];
+const MAX_METADATA_FIELD_LENGTH = 200;
+
+// Events read from storage per batch while replaying missed events
+const REPLAY_BATCH_SIZE = 100;
+
+/**
+ * Checks for a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
 
 class EventService extends EventEmitter {
+  constructor() {
+    super();
+
+    // Numbers and stores events for the whole cluster (see useSequencer)
+    this.sequencer = null;
+  }
+
   /**
-   * Creates a new event
+   * Creates a new event numbered by this node. Cluster nodes create events
+   * with publishEvent instead.
    * @param {string} tenantId - The tenant identifier
-   * @param {string} message - The event message
+   * @param {string|Object} input - The event message, or a structured event
+   *   { type, channel, message, data, metadata, tags, schemaVersion }
    * @returns {Object} - The created event object
    */
-  createEvent(tenantId, message) {
+  createEvent(tenantId, input) {
+    if (this.sequencer) {
+      throw new Error('Cluster nodes create events with publishEvent');
+    }
+
+    const endTimer = metrics.publishDuration.startTimer();
+    const event = this.buildEvent(tenantId, input);
+
+    // The sequence is reserved only once nothing can fail before the event is
+    // stored, so tenant sequences stay gap-free
+    event.sequence = tenantService.nextSequence(tenantId);
+    this.storeEvent(tenantId, event);
+    endTimer();
+
+    return event;
+  }
+
+  /**
+   * Creates a new event, numbered by the cluster's sequencer on a cluster node
+   * @param {string} tenantId - The tenant identifier
+   * @param {string|Object} input - The event message, or a structured event
+   * @returns {Promise} - Resolves with the created event object
+   */
+  async publishEvent(tenantId, input) {
+    if (!this.sequencer) {
+      return this.createEvent(tenantId, input);
+    }
+
+    const endTimer = metrics.publishDuration.startTimer();
+    const event = await this.sequencer(tenantId, this.buildEvent(tenantId, input));
+    endTimer();
+
+    return event;
+  }
+
+  /**
+   * Routes publishEvent through a sequencer giving every event of a tenant a
+   * cluster-wide unique sequence
+   * @param {Function|null} sequencer - Receives (tenantId, event without a sequence)
+   *   and resolves with the event once numbered and stored; null to number events locally
+   */
+  useSequencer(sequencer) {
+    this.sequencer = sequencer;
+  }
+
+  /**
+   * Validates an event and builds it, without a sequence yet
+   * @param {string} tenantId - The tenant identifier
+   * @param {string|Object} input - The event message, or a structured event
+   * @returns {Object} - The event object with a null sequence
+   */
+  buildEvent(tenantId, input) {
     // Validate tenant
     if (!tenantService.isValidTenant(tenantId)) {
       throw new Error(`Invalid tenant: ${tenantId}`);
     }
 
-    // Validate message
-    if (!message || typeof message !== 'string') {
-      throw new Error('Message is required and must be a string');
+    if (!tenantService.isActiveTenant(tenantId)) {
+      throw new Error(`Tenant suspended: ${tenantId}`);
     }
 
-    if (message.length > config.maxEventMessageLength) {
-      throw new Error(
-        `Message exceeds maximum length of ${config.maxEventMessageLength} characters`
-      );
+    // A bare string is shorthand for a plain message event
+    const {
+      type = DEFAULT_EVENT_TYPE,
+      channel,
+      message,
+      data,
+      metadata,
+      tags,
+      schemaVersion,
+    } = isPlainObject(input) ? input : { message: input };
+
+    // Structured events must be valid before anything is stored
+    let fieldErrors = this.validateStructuredFields({
+      type,
+      channel,
+      data,
+      metadata,
+      tags,
+      schemaVersion,
+    });
+    const schemaCheck =
+      fieldErrors.length === 0
+        ? schemaRegistry.validateEvent(tenantId, { type, data, schemaVersion })
+        : { version: null, fieldErrors: [] };
+    fieldErrors = [...fieldErrors, ...schemaCheck.fieldErrors];
+
+    if (fieldErrors.length > 0) {
+      const details = fieldErrors.map((error) => `${error.path}: ${error.msg}`).join('; ');
+      throw new Error(`Invalid event payload: ${details}`);
+    }
+
+    // Validate message (required for plain message events)
+    if (message !== undefined || type === DEFAULT_EVENT_TYPE) {
+      if (!message || typeof message !== 'string') {
+        throw new Error('Message is required and must be a string');
+      }
+
+      if (message.length > config.maxEventMessageLength) {
+        throw new Error(
+          `Message exceeds maximum length of ${config.maxEventMessageLength} characters`
+        );
+      }
     }
 
-    // Create event object
-    const event = {
+    return {
       id: uuidv4(),
       tenant_id: tenantId,
-      message: message.trim(),
+      sequence: null,
+      type,
+      ...(channel !== undefined && { channel }),
+      ...(message !== undefined && { message: message.trim() }),
+      ...(data !== undefined && { data }),
+      ...(metadata !== undefined && { metadata }),
+      ...(tags !== undefined && { tags: [...new Set(tags)] }),
+      ...(schemaCheck.version !== null && { schemaVersion: schemaCheck.version }),
       timestamp: new Date().toISOString(),
     };
+  }
 
-    // Add to tenant's event store
+  /**
+   * Stores an event and emits eventCreated for broadcasting. Events another
+   * cluster node created carry that node's id as `origin` in the payload.
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The numbered event
+   * @param {string} origin - Id of the node that created the event, if not this one
+   */
+  storeEvent(tenantId, event, origin) {
     tenantService.addEvent(tenantId, event);
+    tenantService.advanceSequence(tenantId, event.sequence);
 
-    // Emit event for WebSocket broadcasting
     this.emit('eventCreated', {
       tenantId,
       event,
+      ...(origin && { origin }),
     });
 
-    return event;
+    if (!origin) {
+      metrics.eventsCreated.inc({ tenant: tenantId });
+    }
   }
 
   /**
@@ -63,32 +201,269 @@ class EventService extends EventEmitter {
   }
 
   /**
-   * Validates event data
+   * Pages through a tenant's events with opaque cursors
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} query - Query options
+   * @param {string} query.cursor - next_cursor of a previous page; carries its filters and order
+   * @param {number} query.since - Only events at or after this time (ms)
+   * @param {number} query.until - Only events before this time (ms)
+   * @param {string} query.afterId - Only events newer than this event
+   * @param {number} query.fromSequence - Only events with at least this sequence number
+   * @param {number} query.toSequence - Only events with at most this sequence number
+   * @param {string} query.order - 'desc' (newest first, default) or 'asc'
+   * @param {number} query.limit - Page size
+   * @returns {Object} - { events, nextCursor } where nextCursor is null on the last page
+   */
+  queryEvents(
+    tenantId,
+    {
+      cursor,
+      since = null,
+      until = null,
+      afterId = null,
+      fromSequence = null,
+      toSequence = null,
+      order,
+      limit = 50,
+    }
+  ) {
+    let query = {
+      since,
+      until,
+      afterId,
+      fromSequence,
+      toSequence,
+      order: order || 'desc',
+      position: null,
+    };
+
+    if (cursor) {
+      let decoded;
+      try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      } catch {
+        decoded = null;
+      }
+      if (
+        !decoded ||
+        typeof decoded.id !== 'string' ||
+        !Number.isFinite(decoded.time) ||
+        !['asc', 'desc'].includes(decoded.order)
+      ) {
+        throw new Error('Invalid cursor');
+      }
+
+      const { id, time, ...filters } = decoded;
+      query = { ...filters, position: { id, time } };
+    }
+
+    const { events, last } = tenantService.queryEvents(tenantId, { ...query, limit });
+
+    // The cursor resumes after the page's last event with the same filters
+    const nextCursor = last
+      ? Buffer.from(
+          JSON.stringify({
+            ...last,
+            since: query.since,
+            until: query.until,
+            afterId: query.afterId,
+            fromSequence: query.fromSequence,
+            toSequence: query.toSequence,
+            order: query.order,
+          })
+        ).toString('base64url')
+      : null;
+
+    return { events, nextCursor };
+  }
+
+  /**
+   * Replays every retained event after a consumer's position, oldest first.
+   * onGap is called when events the consumer missed are no longer available:
+   * 'truncated' (expired), 'unknown_event' (position not retained) or
+   * 'sequence_reset' (stream restarted); the retained events are replayed anyway.
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} resume - { lastSequence } or { lastEventId }
+   * @param {Object} handlers - { onEvent(event), onGap(gap) }
+   * @returns {number} - The tenant's last sequence number at the end of the replay
+   */
+  replayEvents(tenantId, { lastSequence, lastEventId }, { onEvent, onGap }) {
+    const currentSequence = tenantService.getLastSequence(tenantId);
+    let query = {};
+    let expectedSequence = null;
+
+    if (lastSequence !== undefined) {
+      if (lastSequence > currentSequence) {
+        onGap({ reason: 'sequence_reset', lastSequence, currentSequence });
+      } else {
+        query = { fromSequence: lastSequence + 1 };
+        expectedSequence = lastSequence + 1;
+      }
+    } else if (tenantService.getEventIndex(tenantId).positions.has(lastEventId)) {
+      query = { afterId: lastEventId };
+    } else {
+      onGap({ reason: 'unknown_event', lastEventId });
+    }
+
+    let position = null;
+    do {
+      const page = tenantService.queryEvents(tenantId, {
+        ...query,
+        position,
+        order: 'asc',
+        limit: REPLAY_BATCH_SIZE,
+      });
+
+      for (const event of page.events) {
+        if (expectedSequence !== null && event.sequence > expectedSequence) {
+          onGap({
+            reason: 'truncated',
+            fromSequence: expectedSequence,
+            toSequence: event.sequence - 1,
+          });
+        }
+        expectedSequence = null;
+        onEvent(event);
+      }
+
+      position = page.last;
+    } while (position);
+
+    // Everything after the consumer's position has already expired
+    if (expectedSequence !== null && expectedSequence <= currentSequence) {
+      onGap({ reason: 'truncated', fromSequence: expectedSequence, toSequence: currentSequence });
+    }
+
+    return currentSequence;
+  }
+
+  /**
+   * Validates event data, including its data against the tenant's registered schema
    * @param {Object} eventData - The event data to validate
-   * @returns {Object} - Validation result
+   * @param {string} tenantId - The tenant whose schemas apply (optional)
+   * @returns {Object} - Validation result with messages (errors) and per-field
+   *   errors (fieldErrors) suitable for formatValidationErrors
    */
-  validateEventData(eventData) {
-    const errors = [];
+  validateEventData(eventData, tenantId) {
+    const fieldErrors = [];
 
     if (!eventData) {
-      errors.push('Event data is required');
-      return { isValid: false, errors };
+      return {
+        isValid: false,
+        errors: ['Event data is required'],
+        fieldErrors: [{ path: 'body', msg: 'Event data is required', value: eventData }],
+      };
     }
 
-    if (!eventData.message || typeof eventData.message !== 'string') {
-      errors.push('Message is required and must be a string');
-    } else if (eventData.message.length > config.maxEventMessageLength) {
-      errors.push(`Message exceeds maximum length of ${config.maxEventMessageLength} characters`);
-    } else if (eventData.message.trim().length === 0) {
-      errors.push('Message cannot be empty');
+    const { type = DEFAULT_EVENT_TYPE, message } = eventData;
+    const addError = (msg) => fieldErrors.push({ path: 'message', msg, value: message });
+
+    // The message is optional for typed events, but must be valid when given
+    if (message !== undefined || type === DEFAULT_EVENT_TYPE) {
+      if (!message || typeof message !== 'string') {
+        addError('Message is required and must be a string');
+      } else if (message.length > config.maxEventMessageLength) {
+        addError(`Message exceeds maximum length of ${config.maxEventMessageLength} characters`);
+      } else if (message.trim().length === 0) {
+        addError('Message cannot be empty');
+      }
+    }
+
+    const structuralErrors = this.validateStructuredFields({ ...eventData, type });
+    fieldErrors.push(...structuralErrors);
+
+    // Schemas only apply to otherwise well-formed events
+    if (tenantId && structuralErrors.length === 0) {
+      const { data, schemaVersion } = eventData;
+      fieldErrors.push(
+        ...schemaRegistry.validateEvent(tenantId, { type, data, schemaVersion }).fieldErrors
+      );
     }
 
     return {
-      isValid: errors.length === 0,
-      errors,
+      isValid: fieldErrors.length === 0,
+      errors: fieldErrors.map((error) => error.msg),
+      fieldErrors,
     };
   }
 
+  /**
+   * Validates the structured parts of an event
+   * @param {Object} fields - type, channel, data, metadata, tags and schemaVersion
+   * @returns {Array} - Field errors ({ path, msg, value })
+   */
+  validateStructuredFields({ type, channel, data, metadata, tags, schemaVersion }) {
+    const fieldErrors = [];
+    const addError = (path, msg, value) => fieldErrors.push({ path, msg, value });
+
+    if (typeof type !== 'string' || !EVENT_TYPE_PATTERN.test(type)) {
+      addError(
+        'type',
+        'Type must be a dotted name such as order.created (max 100 characters)',
+        type
+      );
+    }
+
+    if (channel !== undefined && !isValidChannel(channel)) {
+      addError(
+        'channel',
+        'Channel must be up to 5 /-separated segments of letters, digits, _ and -',
+        channel
+      );
+    }
+
+    if (data !== undefined) {
+      if (!isPlainObject(data)) {
+        addError('data', 'Data must be a JSON object', data);
+      } else if (Buffer.byteLength(JSON.stringify(data)) > config.maxEventDataBytes) {
+        addError('data', `Data exceeds maximum size of ${config.maxEventDataBytes} bytes`);
+      }
+    }
+
+    if (metadata !== undefined) {
+      if (!isPlainObject(metadata)) {
+        addError('metadata', 'Metadata must be a JSON object', metadata);
+      } else {
+        for (const field of METADATA_FIELDS) {
+          const value = metadata[field];
+          if (
+            value !== undefined &&
+            (typeof value !== 'string' || value.length > MAX_METADATA_FIELD_LENGTH)
+          ) {
+            addError(
+              `metadata.${field}`,
+              `Metadata ${field} must be a string of at most ${MAX_METADATA_FIELD_LENGTH} characters`,
+              value
+            );
+          }
+        }
+
+        const unknown = Object.keys(metadata).filter((key) => !METADATA_FIELDS.includes(key));
+        if (unknown.length > 0) {
+          addError('metadata', `Unknown metadata fields: ${unknown.join(', ')}`, unknown);
+        }
+      }
+    }
+
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+        addError('tags', `Tags must be an array of at most ${MAX_TAGS} entries`, tags);
+      } else if (!tags.every((tag) => typeof tag === 'string' && TAG_PATTERN.test(tag))) {
+        addError(
+          'tags',
+          'Tags may only contain letters, digits, _ . : - (max 50 characters)',
+          tags
+        );
+      }
+    }
+
+    if (schemaVersion !== undefined && !(Number.isInteger(schemaVersion) && schemaVersion > 0)) {
+      addError('schemaVersion', 'Schema version must be a positive integer', schemaVersion);
+    }
+
+    return fieldErrors;
+  }
+
   /**
    * Sanitizes message content to prevent XSS
    * @param {string} message - The message to sanitize
@@ -109,25 +484,6 @@ class EventService extends EventEmitter {
       .replace(/\//g, '&#x2F;')
       .trim();
   }
-
-  /**
-   * Gets event statistics for monitoring
-   * @returns {Object} - Event statistics
-   */
-  getEventStats() {
-    const stats = {
-      totalEvents: 0,
-      tenantStats: {},
-    };
-
-    for (const tenantId of tenantService.getSupportedTenants()) {
-      const count = tenantService.getEventCount(tenantId);
-      stats.tenantStats[tenantId] = count;
-      stats.totalEvents += count;
-    }
-
-    return stats;
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,210 @@
+/**
+ * Idempotency Service
+ * Remembers events created under an Idempotency-Key so producer retries are replayed.
+ * A key is reserved while its event is created, so concurrent retries on this node
+ * wait for that event instead of creating another one.
+ * Emits 'change' with each change made, which applyChange repeats on another node.
+ */
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const config = require('../../config/config');
+const { AppError } = require('../middleware/errorMiddleware');
+
+/**
+ * Serializes a value with object keys sorted, so equal bodies hash equally
+ * @param {*} value - Any JSON value
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * @returns {AppError} - Error for a key reused with a different request body
+ */
+const conflictError = () =>
+  new AppError(
+    'Idempotency-Key was already used with a different request body',
+    422,
+    'IDEMPOTENCY_KEY_CONFLICT'
+  );
+
+class IdempotencyService extends EventEmitter {
+  constructor() {
+    super();
+
+    // Map of tenant + key -> { fingerprint, event, expiresAt }, oldest first
+    this.entries = new Map();
+
+    // Map of tenant + key -> { fingerprint, settled, settle } of events being created
+    this.reservations = new Map();
+  }
+
+  /**
+   * Hashes a request body
+   * @param {Object} body - The request body
+   * @returns {string} - Hex encoded SHA-256 digest of the canonical body
+   */
+  fingerprint(body) {
+    return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+  }
+
+  /**
+   * Looks up the event previously created under a key
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} key - The Idempotency-Key header value
+   * @param {string} fingerprint - Fingerprint of the current request body
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} - The original event, or null if the key is unused or expired
+   */
+  lookup(tenantId, key, fingerprint, now = Date.now()) {
+    const entry = this.entries.get(`${tenantId}\u0000${key}`);
+    if (!entry || entry.expiresAt <= now) {
+      return null;
+    }
+
+    if (entry.fingerprint !== fingerprint) {
+      throw conflictError();
+    }
+
+    return entry.event;
+  }
+
+  /**
+   * Looks up the event created under a key, waiting for one still being
+   * created, and otherwise reserves the key for the caller. The caller must
+   * remember the event it creates or release the key.
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} key - The Idempotency-Key header value
+   * @param {string} fingerprint - Fingerprint of the current request body
+   * @returns {Promise} - Resolves with the original event, or null once the key is reserved
+   */
+  async reserve(tenantId, key, fingerprint) {
+    const mapKey = `${tenantId}\u0000${key}`;
+
+    for (;;) {
+      const original = this.lookup(tenantId, key, fingerprint);
+      if (original) {
+        return original;
+      }
+
+      const reservation = this.reservations.get(mapKey);
+      if (!reservation) {
+        break;
+      }
+      if (reservation.fingerprint !== fingerprint) {
+        throw conflictError();
+      }
+
+      // Settled once the event is remembered, or the key released after a failure
+      await reservation.settled;
+    }
+
+    let settle;
+    const settled = new Promise((resolve) => {
+      settle = resolve;
+    });
+    this.reservations.set(mapKey, { fingerprint, settled, settle });
+    return null;
+  }
+
+  /**
+   * Releases a key reserved by reserve, e.g. when creating its event failed;
+   * a request waiting for the key reserves it next
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} key - The Idempotency-Key header value
+   */
+  release(tenantId, key) {
+    const mapKey = `${tenantId}\u0000${key}`;
+    const reservation = this.reservations.get(mapKey);
+    if (reservation) {
+      this.reservations.delete(mapKey);
+      reservation.settle();
+    }
+  }
+
+  /**
+   * Records the event created under a key, releasing its reservation
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} key - The Idempotency-Key header value
+   * @param {string} fingerprint - Fingerprint of the request body
+   * @param {Object} event - The created event
+   * @param {number} now - Current time in milliseconds
+   */
+  remember(tenantId, key, fingerprint, event, now = Date.now()) {
+    this.commit({
+      op: 'put',
+      tenantId,
+      key,
+      entry: { fingerprint, event, expiresAt: now + config.idempotency.windowMs },
+    });
+    this.release(tenantId, key);
+  }
+
+  /**
+   * Forgets expired keys, and the oldest keys beyond config.idempotency.maxKeys
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    // Entries are kept in insertion order, so expiry times are ascending
+    for (const [mapKey, entry] of this.entries) {
+      if (entry.expiresAt > now && this.entries.size < config.idempotency.maxKeys) {
+        break;
+      }
+      this.entries.delete(mapKey);
+    }
+  }
+
+  /**
+   * Forgets every key of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  clearTenant(tenantId) {
+    this.commit({ op: 'removeTenant', tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - See applyChange
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', tenantId, key, entry } or { op: 'removeTenant', tenantId }
+   */
+  applyChange({ op, tenantId, key, entry }) {
+    if (op === 'put') {
+      // Prune as of the time the key was used
+      this.prune(entry.expiresAt - config.idempotency.windowMs);
+
+      const mapKey = `${tenantId}\u0000${key}`;
+      this.entries.delete(mapKey);
+      this.entries.set(mapKey, entry);
+    } else if (op === 'removeTenant') {
+      for (const mapKey of this.entries.keys()) {
+        if (mapKey.startsWith(`${tenantId}\u0000`)) {
+          this.entries.delete(mapKey);
+        }
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyService();
+module.exports.IdempotencyService = IdempotencyService;
@@ -0,0 +1,137 @@
+/**
+ * Ingest Mapping
+ * Turns an arbitrary JSON payload received from an ingest source into the
+ * fields of an event
+ *
+ * A mapping is an object whose keys are event fields (type, channel, message,
+ * data, metadata, tags) and whose values are templates:
+ *   "{{path}}"           - the value at a dotted path of the payload, keeping its type
+ *                          ('build.status', 'commits.0.id'; '.' is the whole payload)
+ *   "Build {{build.id}}" - a string with the values at the paths filled in
+ *   objects and arrays   - mapped member by member
+ *   anything else        - used as is
+ * Fields and members that resolve to nothing are left out, and so are
+ * members named __proto__.
+ */
+
+const MAPPING_FIELDS = ['type', 'channel', 'message', 'data', 'metadata', 'tags'];
+const MAX_TEMPLATE_DEPTH = 5;
+const PLACEHOLDER = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^{}\s]+)\s*\}\}$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads the value at a dotted path
+ * @param {*} payload - Received payload
+ * @param {string} path - Dotted path, or '.' for the whole payload
+ * @returns {*} - The value, or undefined if the path does not exist
+ */
+const resolvePath = (payload, path) => {
+  if (path === '.') {
+    return payload;
+  }
+
+  return path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === 'object' && Object.hasOwn(value, key)
+          ? value[key]
+          : undefined,
+      payload
+    );
+};
+
+/**
+ * Checks a mapping
+ * @param {Object} mapping - Mapping from event fields to templates
+ * @returns {Array} - Problems found, empty when the mapping is valid
+ */
+const validateMapping = (mapping) => {
+  if (!isPlainObject(mapping)) {
+    return ['Mapping must be an object'];
+  }
+
+  const problems = [];
+  const unknown = Object.keys(mapping).filter((field) => !MAPPING_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    problems.push(`Unknown mapping fields: ${unknown.join(', ')}`);
+  }
+
+  if (mapping.type === undefined && mapping.message === undefined) {
+    problems.push('Mapping must produce a type or a message');
+  }
+
+  // Stops at the limit so a deeply nested mapping cannot overflow the stack
+  const tooDeep = (template, levelsLeft) =>
+    template !== null &&
+    typeof template === 'object' &&
+    (levelsLeft === 0 || Object.values(template).some((item) => tooDeep(item, levelsLeft - 1)));
+  if (tooDeep(mapping, MAX_TEMPLATE_DEPTH)) {
+    problems.push(`Mapping cannot be nested more than ${MAX_TEMPLATE_DEPTH} levels deep`);
+  }
+
+  return problems;
+};
+
+/**
+ * Fills in a template from a payload
+ * @param {*} template - Template (see the module comment)
+ * @param {*} payload - Received payload
+ * @returns {*} - Mapped value, or undefined if it resolves to nothing
+ */
+const applyTemplate = (template, payload) => {
+  if (typeof template === 'string') {
+    const single = template.match(SINGLE_PLACEHOLDER);
+    if (single) {
+      return resolvePath(payload, single[1]);
+    }
+
+    return template.replace(PLACEHOLDER, (_match, path) => {
+      const value = resolvePath(payload, path);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template
+      .map((item) => applyTemplate(item, payload))
+      .filter((value) => value !== undefined);
+  }
+
+  if (isPlainObject(template)) {
+    const mapped = {};
+    for (const [key, item] of Object.entries(template)) {
+      // Assigning it would replace the prototype of the mapped object
+      if (key === '__proto__') {
+        continue;
+      }
+      const value = applyTemplate(item, payload);
+      if (value !== undefined) {
+        mapped[key] = value;
+      }
+    }
+    return mapped;
+  }
+
+  return template;
+};
+
+/**
+ * Maps a payload to event fields
+ * @param {Object} mapping - Mapping accepted by validateMapping
+ * @param {*} payload - Received payload
+ * @returns {Object} - Event fields for EventService.createEvent
+ */
+const applyMapping = (mapping, payload) => applyTemplate(mapping, payload);
+
+module.exports = {
+  MAPPING_FIELDS,
+  validateMapping,
+  applyMapping,
+};
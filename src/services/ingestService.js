@@ -0,0 +1,298 @@
+/**
+ * Ingest Service
+ * Registry of the sources (CI systems, monitoring tools, ...) that push their
+ * own JSON payloads to /api/ingest/:sourceId. Each source belongs to a tenant,
+ * proves requests with a signature scheme, and maps payloads to events.
+ * Emits 'change' with each change made, which applyChange repeats on another node.
+ */
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const tenantService = require('./tenantService');
+const { applyMapping } = require('./ingestMapping');
+const { AppError } = require('../middleware/errorMiddleware');
+
+const SECRET_PREFIX = 'ingsec_';
+
+/**
+ * Compares two strings in constant time
+ * @param {string} expected - Value computed by the server
+ * @param {string} actual - Value sent by the client
+ * @returns {boolean} - True if both are equal
+ */
+const safeEqual = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Signature schemes: each checks the header value against the raw request body
+const SIGNATURE_SCHEMES = {
+  // HMAC-SHA256 of the raw body, e.g. GitHub's X-Hub-Signature-256: sha256=<hex>
+  'hmac-sha256': (verification, signature, rawBody) => {
+    const digest = crypto
+      .createHmac('sha256', verification.secret)
+      .update(rawBody)
+      .digest(verification.encoding);
+    return safeEqual(`${verification.prefix}${digest}`, signature);
+  },
+
+  // Shared token sent as is, e.g. GitLab's X-Gitlab-Token
+  token: (verification, signature) => safeEqual(verification.secret, signature),
+};
+
+class IngestService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {string|null} options.file - JSON file sources are persisted to
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // Map of sourceId -> source record { id, tenantId, name, verification, mapping, ... }
+    this.sources = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.sources.set(record.id, record);
+      }
+    }
+  }
+
+  /**
+   * Registers an ingest source for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} options - Source options
+   * @param {string} options.name - Label to identify the source
+   * @param {Object} options.verification - { scheme, header, prefix, encoding, secret }
+   * @param {Object} options.mapping - Mapping accepted by validateMapping
+   * @param {string} options.idempotencyHeader - Header carrying the sender's delivery id
+   * @returns {Object} - Source metadata plus the secret, which is never shown again
+   */
+  create(tenantId, { name, verification = {}, mapping, idempotencyHeader } = {}) {
+    if (!tenantService.isValidTenant(tenantId)) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+
+    const scheme = verification.scheme || 'hmac-sha256';
+    const record = {
+      id: uuidv4(),
+      tenantId,
+      name: name || null,
+      verification: {
+        scheme,
+        header: (verification.header || config.ingest.signatureHeader).toLowerCase(),
+        ...(scheme === 'hmac-sha256' && {
+          prefix: verification.prefix || '',
+          encoding: verification.encoding || 'hex',
+        }),
+        secret:
+          verification.secret || `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`,
+      },
+      mapping,
+      idempotencyHeader: idempotencyHeader?.toLowerCase() || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.commit({ op: 'put', record });
+
+    return this.toPublic(record, { withSecret: true });
+  }
+
+  /**
+   * Lists a tenant's sources without their secrets
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Array} - Source metadata
+   */
+  list(tenantId) {
+    return [...this.sources.values()]
+      .filter((record) => record.tenantId === tenantId)
+      .map((record) => this.toPublic(record));
+  }
+
+  /**
+   * Gets a tenant's source without its secret
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} sourceId - The source identifier
+   * @returns {Object} - Source metadata
+   */
+  get(tenantId, sourceId) {
+    return this.toPublic(this.getRecord(tenantId, sourceId));
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} sourceId - The source identifier
+   * @returns {Object} - Stored source record
+   */
+  getRecord(tenantId, sourceId) {
+    const record = this.sources.get(sourceId);
+    if (!record || record.tenantId !== tenantId) {
+      throw new AppError(`Ingest source not found: ${sourceId}`, 404, 'SOURCE_NOT_FOUND');
+    }
+    return record;
+  }
+
+  /**
+   * Changes a source's name, mapping or idempotency header; the verification stays
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} sourceId - The source identifier
+   * @param {Object} changes - { name, mapping, idempotencyHeader }
+   * @returns {Object} - Updated source metadata
+   */
+  update(tenantId, sourceId, { name, mapping, idempotencyHeader } = {}) {
+    const record = this.getRecord(tenantId, sourceId);
+
+    if (name !== undefined) {
+      record.name = name;
+    }
+    if (mapping !== undefined) {
+      record.mapping = mapping;
+    }
+    if (idempotencyHeader !== undefined) {
+      record.idempotencyHeader = idempotencyHeader?.toLowerCase() || null;
+    }
+    this.commit({ op: 'put', record });
+
+    return this.toPublic(record);
+  }
+
+  /**
+   * Deletes a source; its URL stops accepting payloads
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} sourceId - The source identifier
+   */
+  remove(tenantId, sourceId) {
+    this.getRecord(tenantId, sourceId);
+    this.commit({ op: 'remove', id: sourceId });
+  }
+
+  /**
+   * Deletes every source of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  removeAllForTenant(tenantId) {
+    this.commit({ op: 'removeTenant', tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - See applyChange
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', record }, { op: 'remove', id } or
+   *   { op: 'removeTenant', tenantId }
+   */
+  applyChange({ op, record, id, tenantId }) {
+    if (op === 'put') {
+      this.sources.set(record.id, record);
+    } else if (op === 'remove') {
+      this.sources.delete(id);
+    } else if (op === 'removeTenant') {
+      for (const stored of [...this.sources.values()]) {
+        if (stored.tenantId === tenantId) {
+          this.sources.delete(stored.id);
+        }
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * @returns {Array} - Source records, secrets included, for restore on another node
+   */
+  snapshot() {
+    return [...this.sources.values()];
+  }
+
+  /**
+   * Replaces every source record, e.g. with those of another node
+   * @param {Array} records - Source records
+   */
+  restore(records) {
+    this.sources = new Map(records.map((record) => [record.id, record]));
+    this.save();
+  }
+
+  /**
+   * Looks up the source a payload was sent to and checks the request's signature
+   * @param {string} sourceId - The source identifier from the URL
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {Buffer} rawBody - Request body as received
+   * @returns {Object} - Stored source record
+   */
+  authenticate(sourceId, headers, rawBody) {
+    const record = this.sources.get(sourceId);
+    if (!record) {
+      throw new AppError(`Ingest source not found: ${sourceId}`, 404, 'SOURCE_NOT_FOUND');
+    }
+
+    const { verification } = record;
+    const signature = headers[verification.header];
+    if (typeof signature !== 'string') {
+      throw new AppError(`Missing ${verification.header} header`, 401, 'MISSING_SIGNATURE');
+    }
+
+    if (!SIGNATURE_SCHEMES[verification.scheme](verification, signature, rawBody || '')) {
+      throw new AppError('Invalid signature', 401, 'INVALID_SIGNATURE');
+    }
+
+    return record;
+  }
+
+  /**
+   * Maps a payload to event fields with the source's mapping
+   * @param {Object} record - Stored source record
+   * @param {*} payload - Parsed request body
+   * @returns {Object} - Event fields for EventService.createEvent
+   */
+  mapPayload(record, payload) {
+    return applyMapping(record.mapping, payload);
+  }
+
+  /**
+   * Writes sources to their file, if persistence is enabled. The file holds
+   * the verification secrets, so only its owner may read it.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.snapshot(), null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * @param {Object} record - Stored source record
+   * @param {Object} options - { withSecret } to include the verification secret
+   * @returns {Object} - Source metadata safe to return from the API
+   */
+  toPublic(record, { withSecret = false } = {}) {
+    const { secret, ...verification } = record.verification;
+    return {
+      ...record,
+      verification: withSecret ? { ...verification, secret } : verification,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IngestService({ file: config.ingest.storeFile });
+module.exports.IngestService = IngestService;
+module.exports.SIGNATURE_SCHEMES = Object.keys(SIGNATURE_SCHEMES);
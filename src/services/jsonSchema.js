@@ -0,0 +1,389 @@
+/**
+ * JSON Schema
+ * Minimal validator for the subset of JSON Schema (draft 2020-12) used by event schemas
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+// Keywords that only describe a schema and are never enforced
+const ANNOTATION_KEYWORDS = [
+  '$schema',
+  '$id',
+  '$comment',
+  'title',
+  'description',
+  'default',
+  'examples',
+  'deprecated',
+  'format',
+];
+
+const VALIDATION_KEYWORDS = [
+  'type',
+  'enum',
+  'const',
+  'properties',
+  'required',
+  'additionalProperties',
+  'minProperties',
+  'maxProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'anyOf',
+];
+
+// Deepest nesting of subschemas accepted, so checking and validating never overflow the stack
+const MAX_SCHEMA_DEPTH = 32;
+
+// Longest pattern accepted; patterns run against every event of their type
+const MAX_PATTERN_LENGTH = 256;
+
+// Compiled pattern per schema object, so each pattern is compiled once
+const patterns = new WeakMap();
+
+/**
+ * @param {Object} schema - Schema with a pattern keyword
+ * @returns {RegExp} - The schema's compiled pattern
+ */
+const patternOf = (schema) => {
+  let pattern = patterns.get(schema);
+  if (!pattern) {
+    pattern = new RegExp(schema.pattern, 'u');
+    patterns.set(schema, pattern);
+  }
+  return pattern;
+};
+
+/**
+ * Detects patterns prone to catastrophic backtracking: backreferences, and
+ * unbounded quantifiers applied to groups that contain one, such as (a+)+
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} - True if the pattern is refused
+ */
+const isUnsafePattern = (pattern) => {
+  // Per open group, whether it contains an unbounded quantifier
+  const groups = [{ unbounded: false }];
+  let closed = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const unbounded =
+      char === '*' || char === '+' || (char === '{' && /^\{\d+,\}/.test(pattern.slice(i)));
+
+    if (unbounded) {
+      if (closed?.unbounded) {
+        return true;
+      }
+      groups[groups.length - 1].unbounded = true;
+    }
+    const previous = closed;
+    closed = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        return true;
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifier characters in it are literal
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') {
+          i++;
+        }
+      }
+    } else if (char === '(') {
+      groups.push({ unbounded: false });
+    } else if (char === ')' && groups.length > 1) {
+      closed = groups.pop();
+      groups[groups.length - 1].unbounded ||= closed.unbounded;
+    } else if (char === '?' && previous) {
+      // A lazy or optional group is still the one quantified next
+      closed = previous;
+    }
+  }
+
+  return false;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Returns the JSON Schema type of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} - One of TYPES (integers report as 'integer')
+ */
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+/**
+ * Checks that a schema only uses supported keywords with well-formed values,
+ * and compiles its patterns
+ * @param {Object} schema - JSON Schema to check
+ * @param {string} path - JSON pointer of the schema, used in messages
+ * @param {number} depth - Nesting depth of the schema
+ * @returns {Array} - Problems found, empty when the schema is usable
+ */
+const checkSchema = (schema, path = '#', depth = 0) => {
+  if (typeof schema === 'boolean') {
+    return [];
+  }
+  if (!isPlainObject(schema)) {
+    return [`${path} must be an object or boolean`];
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    return [`${path} is nested more than ${MAX_SCHEMA_DEPTH} levels deep`];
+  }
+
+  const problems = [];
+  const nested = (child, childPath) => problems.push(...checkSchema(child, childPath, depth + 1));
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATION_KEYWORDS.includes(keyword)) {
+      continue;
+    }
+    if (!VALIDATION_KEYWORDS.includes(keyword)) {
+      problems.push(`${path}: unsupported keyword ${keyword}`);
+      continue;
+    }
+
+    const keywordPath = `${path}/${keyword}`;
+    switch (keyword) {
+      case 'type': {
+        const types = Array.isArray(value) ? value : [value];
+        if (types.length === 0 || !types.every((type) => TYPES.includes(type))) {
+          problems.push(`${keywordPath} must be one of ${TYPES.join(', ')}`);
+        }
+        break;
+      }
+      case 'enum':
+      case 'required':
+        if (!Array.isArray(value)) {
+          problems.push(`${keywordPath} must be an array`);
+        } else if (keyword === 'required' && !value.every((name) => typeof name === 'string')) {
+          problems.push(`${keywordPath} must only contain strings`);
+        }
+        break;
+      case 'properties':
+        if (!isPlainObject(value)) {
+          problems.push(`${keywordPath} must be an object`);
+        } else {
+          for (const [name, child] of Object.entries(value)) {
+            nested(child, `${keywordPath}/${name}`);
+          }
+        }
+        break;
+      case 'additionalProperties':
+      case 'items':
+        nested(value, keywordPath);
+        break;
+      case 'anyOf':
+        if (!Array.isArray(value) || value.length === 0) {
+          problems.push(`${keywordPath} must be a non-empty array`);
+        } else {
+          value.forEach((child, index) => {
+            nested(child, `${keywordPath}/${index}`);
+          });
+        }
+        break;
+      case 'pattern':
+        if (typeof value !== 'string' || value.length > MAX_PATTERN_LENGTH) {
+          problems.push(
+            `${keywordPath} must be a string of at most ${MAX_PATTERN_LENGTH} characters`
+          );
+        } else if (isUnsafePattern(value)) {
+          problems.push(`${keywordPath} must not nest unbounded quantifiers or use backreferences`);
+        } else {
+          try {
+            patternOf(schema);
+          } catch {
+            problems.push(`${keywordPath} must be a valid regular expression`);
+          }
+        }
+        break;
+      case 'uniqueItems':
+        if (typeof value !== 'boolean') {
+          problems.push(`${keywordPath} must be a boolean`);
+        }
+        break;
+      case 'minimum':
+      case 'maximum':
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        if (typeof value !== 'number') {
+          problems.push(`${keywordPath} must be a number`);
+        }
+        break;
+      case 'const':
+        break;
+      default:
+        // min/max length, items and properties
+        if (!isNonNegativeInteger(value)) {
+          problems.push(`${keywordPath} must be a non-negative integer`);
+        }
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Validates a value against a schema accepted by checkSchema
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Dotted path of the value, used as the error field
+ * @param {number} depth - Nesting depth of the schema
+ * @returns {Array} - Field errors ({ path, msg, value }), empty when valid
+ */
+const validate = (schema, value, path, depth = 0) => {
+  if (schema === true) {
+    return [];
+  }
+  if (schema === false) {
+    return [{ path, msg: 'Value is not allowed', value }];
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    return [{ path, msg: `Is nested more than ${MAX_SCHEMA_DEPTH} levels deep`, value }];
+  }
+
+  const errors = [];
+  const addError = (msg, errorPath = path, errorValue = value) =>
+    errors.push({ path: errorPath, msg, value: errorValue });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      // Further keywords would only produce noise about the wrong type
+      addError(`Must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    addError(`Must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if (
+    schema.enum !== undefined &&
+    !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))
+  ) {
+    addError(`Must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (
+    schema.anyOf !== undefined &&
+    !schema.anyOf.some((s) => validate(s, value, path, depth + 1).length === 0)
+  ) {
+    addError('Must match at least one of the allowed schemas');
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      addError(`Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      addError(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !patternOf(schema).test(value)) {
+      addError(`Must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`Must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`Must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      addError(`Must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      addError(`Must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`Must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`Must contain at most ${schema.maxItems} items`);
+    }
+    if (
+      schema.uniqueItems === true &&
+      new Set(value.map((item) => JSON.stringify(item))).size !== value.length
+    ) {
+      addError('Must not contain duplicate items');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`, depth + 1));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const names = Object.keys(value);
+    const properties = schema.properties || {};
+
+    if (schema.minProperties !== undefined && names.length < schema.minProperties) {
+      addError(`Must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && names.length > schema.maxProperties) {
+      addError(`Must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        addError('Is required', `${path}.${name}`, undefined);
+      }
+    }
+
+    for (const name of names) {
+      const childPath = `${path}.${name}`;
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validate(properties[name], value[name], childPath, depth + 1));
+      } else if (schema.additionalProperties === false) {
+        addError('Is not an allowed property', childPath, value[name]);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, value[name], childPath, depth + 1));
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  MAX_SCHEMA_DEPTH,
+  MAX_PATTERN_LENGTH,
+  checkSchema,
+  validate,
+};
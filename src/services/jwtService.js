@@ -0,0 +1,209 @@
+/**
+ * JWT Service
+ * Verifies HS256/RS256 bearer tokens and extracts tenant and role claims
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const config = require('../../config/config');
+const { AppError } = require('../middleware/errorMiddleware');
+
+/**
+ * Builds the error thrown for any token that fails verification
+ * @param {string} reason - Why the token was rejected
+ * @returns {AppError} - 401 INVALID_TOKEN error
+ */
+const invalidToken = (reason) => new AppError(`Invalid token: ${reason}`, 401, 'INVALID_TOKEN');
+
+/**
+ * Reads a claim by dotted path, e.g. 'realm_access.roles'
+ * @param {Object} payload - Token payload
+ * @param {string} claimPath - Claim name or dotted path
+ * @returns {*} - Claim value, or undefined
+ */
+const readClaim = (payload, claimPath) =>
+  claimPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+
+/**
+ * Decodes a base64url JSON object segment
+ * @param {string} segment - Encoded token segment
+ * @returns {Object} - Parsed JSON object
+ */
+const decodeSegment = (segment) => {
+  const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw invalidToken('malformed');
+  }
+  return value;
+};
+
+class JwtService {
+  constructor() {
+    // Map of kid -> KeyObject, loaded lazily from the JWKS file
+    this.publicKeys = null;
+  }
+
+  /**
+   * Verifies a compact JWT and returns its identity claims
+   * @param {string} token - Encoded JWT
+   * @returns {Object} - { tenantId, roles, subject, expiresAt, payload }
+   */
+  verify(token) {
+    const options = config.auth.jwt;
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 3) {
+      throw invalidToken('malformed');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch (_error) {
+      throw invalidToken('malformed');
+    }
+
+    // Only accept explicitly allowed algorithms; never 'none'
+    if (!options.algorithms.includes(header.alg)) {
+      throw invalidToken('unsupported algorithm');
+    }
+
+    const signingInput = `${parts[0]}.${parts[1]}`;
+    const signature = Buffer.from(parts[2], 'base64url');
+
+    if (!this.verifySignature(header, signingInput, signature)) {
+      throw invalidToken('bad signature');
+    }
+
+    this.verifyClaims(payload, options);
+
+    // Roles may be an array or a space separated string (OAuth 'scope' style)
+    let roles = readClaim(payload, options.rolesClaim);
+    if (typeof roles === 'string') {
+      roles = roles.split(' ').filter(Boolean);
+    }
+
+    return {
+      tenantId: readClaim(payload, options.tenantClaim) || null,
+      roles: Array.isArray(roles) ? roles : [],
+      subject: payload.sub || null,
+      // Time in ms past which verify would reject the token
+      expiresAt: (payload.exp + (options.clockToleranceSec || 0)) * 1000,
+      payload,
+    };
+  }
+
+  /**
+   * @param {Object} header - Token header
+   * @param {string} signingInput - Encoded header and payload
+   * @param {Buffer} signature - Decoded signature
+   * @returns {boolean} - True if the signature is valid
+   */
+  verifySignature(header, signingInput, signature) {
+    if (header.alg === 'HS256') {
+      if (!config.auth.jwt.secret) {
+        throw invalidToken('HS256 is not configured');
+      }
+
+      const expected = crypto
+        .createHmac('sha256', config.auth.jwt.secret)
+        .update(signingInput)
+        .digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (header.alg === 'RS256') {
+      const key = this.getPublicKey(header.kid);
+      return crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature);
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks registered time, issuer and audience claims; exp is required
+   * @param {Object} payload - Token payload
+   * @param {Object} options - config.auth.jwt
+   */
+  verifyClaims(payload, options) {
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = options.clockToleranceSec || 0;
+
+    // Tokens without an expiry would stay valid forever
+    if (typeof payload.exp !== 'number') {
+      throw invalidToken('missing exp');
+    }
+
+    if (now - tolerance >= payload.exp) {
+      throw invalidToken('expired');
+    }
+
+    if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+      throw invalidToken('not yet valid');
+    }
+
+    if (options.issuer && payload.iss !== options.issuer) {
+      throw invalidToken('unexpected issuer');
+    }
+
+    if (options.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(options.audience)) {
+        throw invalidToken('unexpected audience');
+      }
+    }
+  }
+
+  /**
+   * Looks up an RS256 verification key from the JWKS file
+   * @param {string} kid - Key id from the token header
+   * @returns {KeyObject} - Public key
+   */
+  getPublicKey(kid) {
+    if (!this.publicKeys) {
+      this.loadJwks();
+    }
+
+    let key = this.publicKeys.get(kid);
+
+    // Tokens without a kid are accepted only when the JWKS holds a single key
+    if (!kid && this.publicKeys.size === 1) {
+      [key] = this.publicKeys.values();
+    }
+
+    if (!key) {
+      throw invalidToken('unknown signing key');
+    }
+    return key;
+  }
+
+  /**
+   * Loads RSA public keys from config.auth.jwt.jwksFile
+   */
+  loadJwks() {
+    if (!config.auth.jwt.jwksFile) {
+      throw invalidToken('RS256 is not configured');
+    }
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(config.auth.jwt.jwksFile, 'utf8'));
+    this.publicKeys = new Map();
+
+    for (const jwk of keys) {
+      if (jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+        this.publicKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+  }
+
+  /**
+   * Drops cached JWKS keys so the file is re-read on next use (e.g. after rotation)
+   */
+  reloadKeys() {
+    this.publicKeys = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new JwtService();
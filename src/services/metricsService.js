@@ -0,0 +1,87 @@
+/**
+ * Metrics Service
+ * Sets the gauges that mirror service state (stored events, open connections,
+ * process memory) whenever metrics are rendered, and serves them in the
+ * Prometheus text format
+ */
+
+const metrics = require('../metrics');
+const tenantService = require('./tenantService');
+const socketService = require('./socketService');
+const sseService = require('./sseService');
+
+class MetricsService {
+  constructor() {
+    this.contentType = metrics.registry.contentType;
+
+    metrics.registry.addCollector(() => this.collectEvents());
+    metrics.registry.addCollector(() => this.collectConnections());
+    metrics.registry.addCollector(() => this.collectProcess());
+  }
+
+  /**
+   * Sets the number of events retained per tenant
+   */
+  collectEvents() {
+    metrics.eventsStored.reset();
+    for (const tenantId of tenantService.getSupportedTenants()) {
+      metrics.eventsStored.set({ tenant: tenantId }, tenantService.getEventCount(tenantId));
+    }
+  }
+
+  /**
+   * Sets the open connections of this node per tenant and transport
+   */
+  collectConnections() {
+    metrics.connectionsActive.reset();
+    const transports = {
+      socketio: socketService.connectedClients,
+      websocket: socketService.raw.clients,
+      sse: sseService.clients,
+    };
+    for (const [transport, clients] of Object.entries(transports)) {
+      for (const [tenantId, tenantClients] of clients) {
+        metrics.connectionsActive.set({ tenant: tenantId, transport }, tenantClients.size);
+      }
+    }
+
+    metrics.slowConnections.set({}, socketService.backpressure.slow.size);
+  }
+
+  /**
+   * Sets process memory and uptime
+   */
+  collectProcess() {
+    for (const [type, bytes] of Object.entries(process.memoryUsage())) {
+      metrics.processMemory.set({ type }, bytes);
+    }
+    metrics.processUptime.set({}, process.uptime());
+  }
+
+  /**
+   * Renders every metric
+   * @returns {string} - Metrics in the Prometheus text exposition format
+   */
+  render() {
+    return metrics.registry.render();
+  }
+
+  /**
+   * Gets the number of events retained, in total and per tenant
+   * @returns {Object} - { totalEvents, tenantStats: { tenantId: count } }
+   */
+  getEventStats() {
+    this.collectEvents();
+
+    const stats = { totalEvents: 0, tenantStats: {} };
+    for (const { labels, value } of metrics.eventsStored.get()) {
+      stats.tenantStats[labels.tenant] = value;
+      stats.totalEvents += value;
+    }
+    return stats;
+  }
+}
+
+// Export singleton instance
+module.exports = new MetricsService();
+module.exports.MetricsService = MetricsService;
@@ -0,0 +1,126 @@
+/**
+ * Network Policy
+ * Decides which addresses outgoing requests (webhook deliveries) may reach.
+ * Private, loopback, link-local (cloud metadata endpoints included) and other
+ * special-purpose ranges are blocked unless config.webhooks.allowedNetworks
+ * opts them back in; config.webhooks.blockedNetworks blocks further ranges.
+ */
+
+const dns = require('node:dns');
+const net = require('node:net');
+const config = require('../../config/config');
+
+const BLOCKED_NETWORKS = [
+  '0.0.0.0/8', // "this" network
+  '10.0.0.0/8', // private
+  '100.64.0.0/10', // carrier-grade NAT
+  '127.0.0.0/8', // loopback
+  '169.254.0.0/16', // link-local, including 169.254.169.254 metadata endpoints
+  '172.16.0.0/12', // private
+  '192.0.0.0/24', // IETF protocol assignments
+  '192.168.0.0/16', // private
+  '198.18.0.0/15', // benchmarking
+  '224.0.0.0/4', // multicast
+  '240.0.0.0/4', // reserved, including broadcast
+  '::/128', // unspecified
+  '::1/128', // loopback
+  '64:ff9b::/96', // NAT64, maps onto IPv4 addresses
+  'fc00::/7', // unique local, including fd00:ec2::254 metadata endpoints
+  'fe80::/10', // link-local
+  'ff00::/8', // multicast
+];
+
+/**
+ * @param {Array} networks - CIDR ranges such as '10.0.0.0/8' or '::1/128'
+ * @returns {net.BlockList} - The ranges; IPv4-mapped IPv6 addresses match IPv4 ranges
+ */
+const toBlockList = (networks) => {
+  const list = new net.BlockList();
+  for (const network of networks) {
+    const [address, prefix] = network.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    list.addSubnet(address, Number(prefix), family);
+  }
+  return list;
+};
+
+/**
+ * Checks an IP address against the blocked and allowed networks
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if requests may be sent to the address
+ */
+const isAllowedAddress = (address) => {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  const { allowedNetworks = [], blockedNetworks = [] } = config.webhooks;
+
+  if (toBlockList(allowedNetworks).check(address, family)) {
+    return true;
+  }
+  return !toBlockList([...BLOCKED_NETWORKS, ...blockedNetworks]).check(address, family);
+};
+
+/**
+ * @param {string} url - http(s) URL
+ * @returns {string} - The URL's host without IPv6 brackets
+ */
+const urlHost = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * @param {string} host - Host name or IP address
+ * @param {Array} addresses - { address, family } the host resolved to
+ * @throws {Error} - When any of the addresses is blocked
+ */
+const checkAddresses = (host, addresses) => {
+  const blocked = addresses.find(({ address }) => !isAllowedAddress(address));
+
+  if (blocked) {
+    throw new Error(`Address ${blocked.address} of ${host} is not allowed`);
+  }
+};
+
+/**
+ * Resolves a URL's host and checks every address it resolves to
+ * @param {string} url - http(s) URL
+ * @returns {Promise} - Resolves once the host is known to be reachable, rejects otherwise
+ */
+const checkUrl = async (url) => {
+  const host = urlHost(url);
+  checkAddresses(host, await dns.promises.lookup(host, { all: true, verbatim: true }));
+};
+
+/**
+ * dns.lookup replacement for http.request and net.connect that fails unless
+ * every address the host resolves to is allowed. The socket connects to the
+ * addresses checked here, so a host that resolves to another address on a
+ * second lookup (DNS rebinding) cannot be reached through it. IP literals
+ * skip lookups; check them with checkUrl.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    try {
+      checkAddresses(hostname, addresses);
+    } catch (blocked) {
+      return callback(blocked);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  BLOCKED_NETWORKS,
+  isAllowedAddress,
+  urlHost,
+  checkUrl,
+  lookup,
+};
@@ -0,0 +1,526 @@
+/**
+ * Raw Socket Server
+ * Plain WebSocket (RFC 6455) endpoint for clients without a Socket.io library
+ *
+ * Every frame is a JSON text message with a `type`. Client requests may carry an
+ * `id`, which the server echoes in the `ack` frame answering them.
+ *
+ *   client -> server
+ *     auth         { tenant, apiKey | token, channels, filter, lastSequence | lastEventId,
+ *                    delivery, consumer }
+ *     subscribe    { channels, filter }
+ *     unsubscribe  { channels }
+ *     publish_event { event }  same fields as POST /api/events
+ *     ack          { sequence | sequences }  processed events delivered with requiresAck
+ *     ping         {}
+ *   server -> client
+ *     ack          { id, success, error? }  answer to a request (publish_event: data or details)
+ *     event        { event, sequence, replayed?, requiresAck?, redelivered?, attempts? }
+ *     gap          { reason, ... }  missed events are no longer available
+ *     replay_complete { count, lastSequence }
+ *     pong         { id }
+ *     events_missed { count, fromSequence?, toSequence? }  events skipped while the client was slow
+ *     system       { message, code? }  sent before the server closes the connection
+ *     error        { code, message }  malformed or out-of-order frame
+ *
+ * `auth` must be the first frame; tenant validation is the same as for Socket.io.
+ * Connections authenticated with a JWT are closed when the token expires.
+ */
+
+const { WebSocketServer } = require('ws');
+const config = require('../../config/config');
+const { validateSocketTenant } = require('../middleware/tenantMiddleware');
+const { hasPermission } = require('../middleware/authMiddleware');
+const tenantService = require('./tenantService');
+const eventService = require('./eventService');
+const consumerService = require('./consumerService');
+const { ALL_CHANNELS, isValidPattern } = require('./channels');
+const { validateFilter } = require('./eventFilter');
+const metrics = require('../metrics');
+const logger = require('../utils/logger');
+
+// Close code for authentication and authorization failures
+const POLICY_VIOLATION = 1008;
+const GOING_AWAY = 1001;
+
+// Close frames carry at most 123 bytes of reason (RFC 6455 5.5)
+const MAX_CLOSE_REASON_BYTES = 123;
+
+/**
+ * Shortens a close reason to what a close frame can carry, without splitting a character
+ * @param {string} reason - Close reason
+ * @returns {string} - Reason of at most MAX_CLOSE_REASON_BYTES bytes in UTF-8
+ */
+const toCloseReason = (reason) => {
+  let bytes = 0;
+  let end = 0;
+  for (const char of reason) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > MAX_CLOSE_REASON_BYTES) {
+      break;
+    }
+    end += char.length;
+  }
+  return reason.slice(0, end);
+};
+
+class RawSocketServer {
+  /**
+   * @param {Object} socketService - Owning SocketService, whose subscription logic is reused
+   */
+  constructor(socketService) {
+    this.socketService = socketService;
+    this.wss = null;
+    this.heartbeat = null;
+    this.nextClientId = 1;
+
+    // Map of tenantId -> Set of authenticated clients
+    this.clients = new Map();
+  }
+
+  /**
+   * Accepts WebSocket upgrades on config.rawSocket.path. Other paths are left
+   * to Socket.io, which handles its own upgrades on the same server.
+   * @param {Object} server - HTTP server instance
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: config.rawSocket.maxPayloadBytes,
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== config.rawSocket.path) {
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, req));
+    });
+
+    // Terminate connections that stopped answering protocol-level pings
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (ws.isAlive === false) {
+          ws.timedOut = true;
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, config.rawSocket.heartbeatIntervalMs);
+    this.heartbeat.unref();
+
+    server.on('close', () => clearInterval(this.heartbeat));
+
+    logger.info('RAW_SOCKET', {
+      message: 'WebSocket endpoint listening',
+      path: config.rawSocket.path,
+    });
+  }
+
+  /**
+   * Sets up a new connection, which must authenticate before anything else
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} req - HTTP upgrade request
+   */
+  handleConnection(ws, req) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const id = `raw-${this.nextClientId++}`;
+    const client = {
+      id,
+      ws,
+      headers: req.headers,
+      address: req.socket.remoteAddress,
+      query: Object.fromEntries(searchParams),
+      tenantId: null,
+      data: { channels: new Set(), filter: null, consumer: null },
+      // Gains the tenant once authenticated
+      log: logger.child({ socketId: id }),
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const authTimer = setTimeout(() => {
+      this.close(client, 'Authentication timeout');
+    }, config.rawSocket.authTimeoutMs);
+    authTimer.unref();
+
+    ws.on('message', (data, isBinary) => {
+      let frame;
+      try {
+        frame = JSON.parse(isBinary ? '' : data.toString());
+      } catch {
+        frame = null;
+      }
+
+      if (frame === null || typeof frame !== 'object' || typeof frame.type !== 'string') {
+        this.send(client, 'error', {
+          code: 'INVALID_FRAME',
+          message: 'Frames must be JSON objects with a type',
+        });
+        return;
+      }
+
+      if (frame.type === 'auth') {
+        clearTimeout(authTimer);
+      }
+      this.handleFrame(client, frame);
+    });
+
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      this.remove(client, ws.timedOut ? 'ping timeout' : 'client disconnect');
+    });
+
+    ws.on('error', (error) => {
+      client.log.error('RAW_SOCKET_ERROR', { error });
+    });
+  }
+
+  /**
+   * Dispatches a parsed frame
+   * @param {Object} client - Raw socket client
+   * @param {Object} frame - Frame sent by the client
+   */
+  handleFrame(client, frame) {
+    if (frame.type === 'auth') {
+      this.authenticate(client, frame);
+      return;
+    }
+
+    if (!client.tenantId) {
+      this.send(client, 'error', {
+        code: 'NOT_AUTHENTICATED',
+        message: 'The first frame must be auth',
+      });
+      return;
+    }
+
+    switch (frame.type) {
+      case 'subscribe':
+      case 'unsubscribe':
+        this.changeSubscription(client, frame);
+        break;
+      case 'publish_event':
+        this.socketService
+          .publishEvent(client, frame.event)
+          .then((result) => this.respond(client, frame, result));
+        break;
+      case 'ack':
+        this.respond(client, frame, this.socketService.acknowledge(client, frame));
+        break;
+      case 'ping':
+        this.send(client, 'pong', { id: frame.id });
+        break;
+      default:
+        this.send(client, 'error', {
+          code: 'UNKNOWN_FRAME_TYPE',
+          message: `Unknown frame type: ${frame.type}`,
+        });
+    }
+  }
+
+  /**
+   * Validates the tenant and credentials of an auth frame with the Socket.io
+   * middleware, then subscribes the client and replays missed events
+   * @param {Object} client - Raw socket client
+   * @param {Object} frame - auth frame
+   */
+  authenticate(client, frame) {
+    if (client.tenantId) {
+      this.respond(client, frame, { success: false, error: 'Already authenticated' });
+      return;
+    }
+
+    // Shaped like a Socket.io handshake so the same validation applies
+    client.handshake = {
+      query: frame.tenant === undefined ? client.query : { ...client.query, tenant: frame.tenant },
+      auth: frame,
+      headers: client.headers,
+      address: client.address,
+    };
+
+    let authError = null;
+    validateSocketTenant(client, (error) => {
+      authError = error || null;
+    });
+
+    if (!authError && !hasPermission(client.auth, 'events:read')) {
+      authError = new Error('Insufficient permissions: events:read required');
+    }
+
+    const consumerOptions = authError ? null : this.socketService.getConsumerOptions(client);
+    if (consumerOptions?.error) {
+      authError = new Error(consumerOptions.error);
+    }
+
+    if (authError) {
+      client.log.warn('RAW_SOCKET_DENIED', { reason: authError.message });
+      client.tenantId = null;
+      this.respond(client, frame, { success: false, error: authError.message });
+
+      // The error can echo client input of any length, so it is sent as a frame
+      this.send(client, 'error', { code: 'AUTH_FAILED', message: authError.message });
+      client.ws.close(POLICY_VIOLATION, 'Authentication failed');
+      return;
+    }
+
+    const requested = this.socketService.getHandshakeChannels(client) || [ALL_CHANNELS];
+    const patterns = requested.filter(isValidPattern);
+    for (const pattern of patterns) {
+      client.data.channels.add(pattern);
+    }
+
+    const problems = frame.filter == null ? [] : validateFilter(frame.filter);
+    if (frame.filter != null && problems.length === 0) {
+      client.data.filter = frame.filter;
+    }
+
+    const tenantId = client.tenantId;
+    this.socketService.backpressure.track(client, {
+      pending: () => ({ messages: 0, bytes: client.ws.bufferedAmount }),
+      notify: (data) => this.send(client, 'events_missed', data),
+      disconnect: (code, message) => {
+        this.send(client, 'system', { code, message });
+        client.ws.close(POLICY_VIOLATION, code);
+        this.remove(client);
+      },
+    });
+
+    if (consumerOptions) {
+      client.data.consumer = consumerService.open(tenantId, consumerOptions.name, {
+        send: (event, delivery) => {
+          this.socketService.backpressure.send(client, event, () => {
+            this.send(client, 'event', {
+              event,
+              sequence: event.sequence,
+              requiresAck: true,
+              ...delivery,
+            });
+          });
+        },
+        evict: (reason) => this.close(client, reason),
+        catchUp: (lastSequence) => this.replay(client, { lastSequence }),
+      });
+    }
+
+    if (!this.clients.has(tenantId)) {
+      this.clients.set(tenantId, new Set());
+    }
+    this.clients.get(tenantId).add(client);
+    metrics.connectionsOpened.inc({ transport: 'websocket' });
+
+    const ignored = requested.filter((pattern) => !isValidPattern(pattern));
+    this.respond(client, frame, {
+      success: true,
+      tenantId,
+      lastSequence: tenantService.getLastSequence(tenantId),
+      channels: [...client.data.channels],
+      filter: client.data.filter,
+      ...(client.data.consumer && {
+        consumer: { name: client.data.consumer.name, position: client.data.consumer.position },
+      }),
+      ...(ignored.length > 0 && { ignoredChannels: ignored }),
+      ...(problems.length > 0 && { ignoredFilter: problems }),
+    });
+
+    client.log.info('RAW_SOCKET_CONNECT');
+    this.socketService.watchTokenExpiry(client, () => this.close(client, 'Token expired'));
+
+    const resume = this.socketService.getResumePosition(client);
+    if (resume) {
+      this.replay(client, resume);
+    } else if (client.data.consumer) {
+      consumerService.advance(client.data.consumer, tenantService.getLastSequence(tenantId));
+    }
+  }
+
+  /**
+   * Applies a subscribe/unsubscribe frame
+   * @param {Object} client - Raw socket client
+   * @param {Object} frame - subscribe or unsubscribe frame
+   */
+  changeSubscription(client, frame) {
+    const change = this.socketService.parseSubscriptionChange(frame, frame.type);
+    if (change.error) {
+      this.respond(client, frame, { success: false, error: change.error });
+      return;
+    }
+
+    for (const pattern of change.patterns || []) {
+      if (frame.type === 'subscribe') {
+        client.data.channels.add(pattern);
+      } else {
+        client.data.channels.delete(pattern);
+      }
+    }
+    if (change.hasFilter) {
+      client.data.filter = change.filter;
+    }
+
+    this.respond(client, frame, {
+      success: true,
+      channels: [...client.data.channels],
+      filter: client.data.filter,
+    });
+  }
+
+  /**
+   * Sends the retained events after the client's position
+   * @param {Object} client - Raw socket client
+   * @param {Object} resume - { lastSequence } or { lastEventId }
+   */
+  replay(client, resume) {
+    let replayed = 0;
+    const lastSequence = eventService.replayEvents(client.tenantId, resume, {
+      onEvent: (event) => {
+        const delivered = this.socketService.deliverEvent(client, event, { replayed: true }, () =>
+          this.send(client, 'event', { event, sequence: event.sequence, replayed: true })
+        );
+        if (delivered) {
+          replayed++;
+        }
+      },
+      onGap: (gap) => this.send(client, 'gap', gap),
+    });
+
+    if (client.data.consumer) {
+      consumerService.advance(client.data.consumer, lastSequence);
+    }
+
+    this.send(client, 'replay_complete', { count: replayed, lastSequence });
+  }
+
+  /**
+   * Sends an event to every subscribed client of a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event to send
+   */
+  broadcastToTenant(tenantId, event) {
+    const clients = [...(this.clients.get(tenantId) || [])];
+    metrics.broadcastFanout.observe({ transport: 'websocket' }, clients.length);
+
+    for (const client of clients) {
+      this.socketService.deliverEvent(client, event, {}, () => {
+        this.socketService.backpressure.send(client, event, () => {
+          this.send(client, 'event', { event, sequence: event.sequence });
+        });
+      });
+    }
+  }
+
+  /**
+   * Answers a client request, echoing its id
+   * @param {Object} client - Raw socket client
+   * @param {Object} frame - The request frame
+   * @param {Object} result - Response fields
+   */
+  respond(client, frame, result) {
+    this.send(client, 'ack', { id: frame.id, ...result });
+  }
+
+  /**
+   * Sends a frame if the connection is still open
+   * @param {Object} client - Raw socket client
+   * @param {string} type - Frame type
+   * @param {Object} data - Frame fields
+   */
+  send(client, type, data) {
+    if (client.ws.readyState !== client.ws.OPEN) {
+      return;
+    }
+    client.ws.send(JSON.stringify({ type, ...data, timestamp: new Date().toISOString() }));
+  }
+
+  /**
+   * Tells a client why it is being disconnected, then closes the connection
+   * @param {Object} client - Raw socket client
+   * @param {string} reason - Message sent before closing
+   * @param {number} code - WebSocket close code
+   */
+  close(client, reason, code = POLICY_VIOLATION) {
+    this.send(client, 'system', { message: reason });
+    client.ws.close(code, toCloseReason(reason));
+    this.remove(client, 'server disconnect');
+  }
+
+  /**
+   * Forgets a client whose connection closed
+   * @param {Object} client - Raw socket client
+   * @param {string} reason - Why the connection closed, for metrics and logs
+   */
+  remove(client, reason) {
+    if (client.data.consumer) {
+      consumerService.close(client.data.consumer);
+    }
+    clearTimeout(client.data.expiryTimer);
+    this.socketService.backpressure.untrack(client);
+
+    const tenantClients = this.clients.get(client.tenantId);
+    if (!tenantClients?.delete(client)) {
+      return;
+    }
+    metrics.connectionsClosed.inc({ transport: 'websocket', reason });
+    if (tenantClients.size === 0) {
+      this.clients.delete(client.tenantId);
+    }
+
+    client.log.info('RAW_SOCKET_DISCONNECT', { reason });
+  }
+
+  /**
+   * Closes authenticated connections matching a predicate
+   * @param {Function} predicate - Selects clients to close
+   * @param {string} reason - Message sent before closing
+   * @param {number} code - WebSocket close code
+   */
+  closeWhere(predicate, reason, code) {
+    for (const tenantClients of [...this.clients.values()]) {
+      for (const client of [...tenantClients]) {
+        if (predicate(client)) {
+          this.close(client, reason, code);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} reason - Message sent before closing
+   */
+  disconnectTenant(tenantId, reason) {
+    this.closeWhere((client) => client.tenantId === tenantId, reason);
+  }
+
+  /**
+   * @param {string} apiKeyId - The API key identifier
+   */
+  disconnectApiKey(apiKeyId) {
+    this.closeWhere((client) => client.apiKeyId === apiKeyId, 'API key revoked');
+  }
+
+  /**
+   * Closes every connection, including ones that have not authenticated yet
+   */
+  disconnectAll() {
+    this.closeWhere(() => true, 'Server shutting down', GOING_AWAY);
+    for (const ws of this.wss?.clients || []) {
+      ws.close(GOING_AWAY, 'Server shutting down');
+    }
+  }
+
+  /**
+   * Gets the number of authenticated connections for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - Number of connections
+   */
+  getClientCount(tenantId) {
+    return this.clients.has(tenantId) ? this.clients.get(tenantId).size : 0;
+  }
+}
+
+module.exports = RawSocketServer;
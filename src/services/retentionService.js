@@ -0,0 +1,79 @@
+/**
+ * Retention Service
+ * Background sweeper enforcing per-tenant retention policies
+ */
+
+const config = require('../../config/config');
+const tenantService = require('./tenantService');
+const logger = require('../utils/logger');
+
+class RetentionService {
+  constructor() {
+    this.eventService = null;
+    this.timer = null;
+  }
+
+  /**
+   * Starts periodic sweeps, running one immediately
+   * @param {EventEmitter} eventService - Receives eventsExpired notifications
+   * @param {number} intervalMs - Sweep interval in milliseconds
+   */
+  start(eventService, intervalMs = config.retention.sweepIntervalMs) {
+    this.stop();
+    this.eventService = eventService;
+    this.sweep();
+
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    this.timer.unref();
+
+    logger.info('RETENTION', { message: 'Sweeper started', intervalMs });
+  }
+
+  /**
+   * Stops periodic sweeps
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Applies retention to every tenant and notifies about expired events
+   * @param {number} now - Reference time in milliseconds
+   * @returns {Object} - Map of tenantId to number of expired events
+   */
+  sweep(now = Date.now()) {
+    const summary = {};
+
+    for (const tenantId of tenantService.getSupportedTenants()) {
+      try {
+        const eventIds = tenantService.applyRetention(tenantId, now);
+        if (eventIds.length === 0) {
+          continue;
+        }
+
+        summary[tenantId] = eventIds.length;
+
+        if (this.eventService) {
+          this.eventService.emit('eventsExpired', {
+            tenantId,
+            eventIds,
+            count: eventIds.length,
+            timestamp: new Date(now).toISOString(),
+          });
+        }
+
+        logger.info('RETENTION', { tenantId, expired: eventIds.length });
+      } catch (error) {
+        logger.error('RETENTION_ERROR', { tenantId, error });
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new RetentionService();
@@ -0,0 +1,241 @@
+/**
+ * Schema Registry
+ * Versioned JSON Schemas per tenant and event type, used to validate event data.
+ * Emits 'change' with each change made, which applyChange repeats on another node.
+ */
+
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../config/config');
+const tenantService = require('./tenantService');
+const { checkSchema, validate } = require('./jsonSchema');
+const { AppError } = require('../middleware/errorMiddleware');
+
+/**
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} type - The event type
+ * @returns {string} - Map key for the tenant's event type
+ */
+const schemaKey = (tenantId, type) => `${tenantId}\u0000${type}`;
+
+class SchemaRegistry extends EventEmitter {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string|null} options.file - JSON file the schemas are persisted to
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // Map of tenant + event type -> schema records, oldest version first
+    this.schemas = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        const key = schemaKey(record.tenantId, record.type);
+        this.schemas.set(key, [...(this.schemas.get(key) || []), record]);
+      }
+    }
+  }
+
+  /**
+   * Registers a new schema version for an event type
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} type - The event type the schema applies to
+   * @param {Object} schema - JSON Schema for the event's data
+   * @returns {Object} - The schema record, including its assigned version
+   */
+  register(tenantId, type, schema) {
+    if (!tenantService.isValidTenant(tenantId)) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+
+    const problems = checkSchema(schema);
+    if (problems.length > 0) {
+      throw new AppError(`Invalid schema: ${problems.join('; ')}`, 400, 'INVALID_SCHEMA');
+    }
+
+    const key = schemaKey(tenantId, type);
+    const versions = this.schemas.get(key) || [];
+    const record = {
+      tenantId,
+      type,
+      version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+      schema,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.commit({ op: 'put', record });
+
+    return record;
+  }
+
+  /**
+   * Lists the event types a tenant has schemas for
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Array} - { type, latestVersion, versions } per event type
+   */
+  list(tenantId) {
+    return [...this.schemas.values()]
+      .filter((versions) => versions[0].tenantId === tenantId)
+      .map((versions) => ({
+        type: versions[0].type,
+        latestVersion: versions[versions.length - 1].version,
+        versions: versions.map((record) => record.version),
+      }));
+  }
+
+  /**
+   * Gets all schema versions of an event type
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} type - The event type
+   * @returns {Array} - Schema records, oldest version first
+   */
+  getVersions(tenantId, type) {
+    const versions = this.schemas.get(schemaKey(tenantId, type));
+    if (!versions) {
+      throw new AppError(`Schema not found: ${type}`, 404, 'SCHEMA_NOT_FOUND');
+    }
+    return [...versions];
+  }
+
+  /**
+   * Gets one schema version of an event type
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} type - The event type
+   * @param {number} version - Schema version, or undefined for the latest
+   * @returns {Object|null} - The schema record, or null if there is none
+   */
+  find(tenantId, type, version) {
+    const versions = this.schemas.get(schemaKey(tenantId, type));
+    if (!versions) {
+      return null;
+    }
+    if (version === undefined) {
+      return versions[versions.length - 1];
+    }
+    return versions.find((record) => record.version === version) || null;
+  }
+
+  /**
+   * Removes every schema version of an event type
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} type - The event type
+   */
+  remove(tenantId, type) {
+    if (!this.schemas.has(schemaKey(tenantId, type))) {
+      throw new AppError(`Schema not found: ${type}`, 404, 'SCHEMA_NOT_FOUND');
+    }
+    this.commit({ op: 'remove', tenantId, type });
+  }
+
+  /**
+   * Removes every schema of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  removeAllForTenant(tenantId) {
+    this.commit({ op: 'removeTenant', tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - See applyChange
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', record }, { op: 'remove', tenantId, type } or
+   *   { op: 'removeTenant', tenantId }
+   */
+  applyChange({ op, record, tenantId, type }) {
+    if (op === 'put') {
+      const key = schemaKey(record.tenantId, record.type);
+      const versions = (this.schemas.get(key) || []).filter(
+        (stored) => stored.version !== record.version
+      );
+      this.schemas.set(
+        key,
+        [...versions, record].sort((a, b) => a.version - b.version)
+      );
+    } else if (op === 'remove') {
+      this.schemas.delete(schemaKey(tenantId, type));
+    } else if (op === 'removeTenant') {
+      for (const [key, versions] of this.schemas) {
+        if (versions[0].tenantId === tenantId) {
+          this.schemas.delete(key);
+        }
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * @returns {Array} - Every schema record, for restore on another node
+   */
+  snapshot() {
+    return [...this.schemas.values()].flat();
+  }
+
+  /**
+   * Replaces every schema record, e.g. with those of another node
+   * @param {Array} records - Schema records, oldest version first per event type
+   */
+  restore(records) {
+    this.schemas = new Map();
+    for (const record of records) {
+      const key = schemaKey(record.tenantId, record.type);
+      this.schemas.set(key, [...(this.schemas.get(key) || []), record]);
+    }
+    this.save();
+  }
+
+  /**
+   * Validates event data against the registered schema of its type
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - Event fields { type, data, schemaVersion }
+   * @returns {Object} - { version, fieldErrors }; version is null for unregistered types
+   */
+  validateEvent(tenantId, { type, data, schemaVersion }) {
+    const record = this.find(tenantId, type, schemaVersion);
+
+    if (!record) {
+      // Pinning a version only makes sense when that version exists
+      const fieldErrors =
+        schemaVersion === undefined
+          ? []
+          : [
+              {
+                path: 'schemaVersion',
+                msg: `Schema version ${schemaVersion} is not registered for ${type}`,
+                value: schemaVersion,
+              },
+            ];
+      return { version: null, fieldErrors };
+    }
+
+    return { version: record.version, fieldErrors: validate(record.schema, data, 'data') };
+  }
+
+  /**
+   * Writes schemas to their file, if persistence is enabled
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.snapshot(), null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+// Export singleton instance
+module.exports = new SchemaRegistry({ file: config.schemaRegistryFile });
+module.exports.SchemaRegistry = SchemaRegistry;
@@ -4,26 +4,65 @@
  */
 
 const { Server } = require('socket.io');
+const config = require('../../config/config');
 const { validateSocketTenant } = require('../middleware/tenantMiddleware');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { formatValidationErrors } = require('../middleware/errorMiddleware');
+const { consumeRateLimit } = require('../middleware/rateLimitMiddleware');
 const tenantService = require('./tenantService');
+const eventService = require('./eventService');
+const consumerService = require('./consumerService');
+const logger = require('../utils/logger');
+const {
+  ALL_CHANNELS,
+  isValidPattern,
+  matchesChannel,
+  matchingPatterns,
+  channelRoom,
+} = require('./channels');
+const { validateFilter, matchesFilter } = require('./eventFilter');
+const RawSocketServer = require('./rawSocketServer');
+const BackpressureMonitor = require('./backpressure');
+const metrics = require('../metrics');
+
+/**
+ * @param {string} tenantId - The tenant identifier
+ * @returns {string} - Room of the tenant's sockets that get events one by one
+ *   (subscription filters and acknowledged delivery)
+ */
+const directRoom = (tenantId) => `${tenantId}#direct`;
+
+/**
+ * @param {string} apiKeyId - The API key identifier
+ * @returns {string} - Room of the sockets authenticated with the key
+ */
+const apiKeyRoom = (apiKeyId) => `key#${apiKeyId}`;
+
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 class SocketService {
   constructor() {
     this.io = null;
     this.connectedClients = new Map(); // Track connected clients by tenant
+    this.raw = new RawSocketServer(this); // Plain WebSocket clients
+    this.backpressure = new BackpressureMonitor(); // Slow consumer handling
   }
 
   /**
    * Initialize Socket.io server
    * @param {Object} server - HTTP server instance
    * @param {Object} corsOptions - CORS configuration
+   * @param {Object} options - Server options
+   * @param {Function} options.adapter - Optional Socket.io adapter (cluster mode)
    */
-  initialize(server, corsOptions) {
+  initialize(server, corsOptions, options = {}) {
     this.io = new Server(server, {
       cors: corsOptions,
       transports: ['websocket', 'polling'],
       pingTimeout: 60000,
       pingInterval: 25000,
+      ...(options.adapter && { adapter: options.adapter }),
     });
 
     // Add tenant validation middleware
@@ -34,7 +73,10 @@ class SocketService {
       this.handleConnection(socket);
     });
 
-    console.log('[SOCKET_SERVICE] WebSocket server initialized');
+    // Plain WebSocket endpoint for clients without a Socket.io library
+    this.raw.attach(server);
+
+    logger.info('SOCKET_SERVICE', { message: 'WebSocket server initialized' });
   }
 
   /**
@@ -46,7 +88,7 @@ class SocketService {
       this.broadcastToTenant(tenantId, event);
     });
 
-    console.log('[SOCKET_SERVICE] Subscribed to EventService events');
+    logger.info('SOCKET_SERVICE', { message: 'Subscribed to EventService events' });
   }
 
   /**
@@ -56,35 +98,149 @@ class SocketService {
   handleConnection(socket) {
     const tenantId = socket.tenantId;
 
+    // Subscribing to the tenant stream requires read access
+    if (!hasPermission(socket.auth, 'events:read')) {
+      socket.emit('system_message', {
+        message: 'Insufficient permissions: events:read required',
+        timestamp: new Date().toISOString(),
+      });
+      socket.disconnect(true);
+      socket.log.warn('SOCKET_DENIED', { permission: 'events:read' });
+      return;
+    }
+
+    const consumerOptions = this.getConsumerOptions(socket);
+    if (consumerOptions?.error) {
+      socket.emit('system_message', {
+        message: consumerOptions.error,
+        timestamp: new Date().toISOString(),
+      });
+      socket.disconnect(true);
+      return;
+    }
+
     // Join tenant-specific room
     socket.join(tenantId);
+    if (socket.apiKeyId) {
+      socket.join(apiKeyRoom(socket.apiKeyId));
+    }
 
     // Track connection
     if (!this.connectedClients.has(tenantId)) {
       this.connectedClients.set(tenantId, new Set());
     }
     this.connectedClients.get(tenantId).add(socket.id);
+    metrics.connectionsOpened.inc({ transport: 'socketio' });
 
-    console.log(`[SOCKET_CONNECT] Tenant: ${tenantId}, Socket: ${socket.id}, Room joined`);
+    socket.log.info('SOCKET_CONNECT', { message: 'Room joined' });
+
+    this.watchTokenExpiry(socket, () => {
+      socket.emit('system_message', {
+        message: 'Token expired',
+        timestamp: new Date().toISOString(),
+      });
+      socket.disconnect(true);
+    });
+
+    // Watch the socket's outgoing buffer so a slow client cannot pile up events
+    this.backpressure.track(socket, {
+      pending: () => this.getPendingWrites(socket),
+      notify: (data) => {
+        socket.emit('events_missed', { ...data, timestamp: new Date().toISOString() });
+      },
+      onSlow: () => this.updateDirectRoom(socket),
+      onRecovered: () => this.updateDirectRoom(socket),
+      disconnect: (code, message) => {
+        socket.emit('system_message', { code, message, timestamp: new Date().toISOString() });
+        socket.disconnect(true);
+      },
+    });
+
+    // Subscribe to the channels asked for in the handshake, or to all of them
+    socket.data.channels = new Set();
+    const requested = this.getHandshakeChannels(socket);
+    const { invalid } = this.subscribeChannels(socket, requested || [ALL_CHANNELS]);
+    if (invalid.length > 0) {
+      socket.emit('system_message', {
+        message: `Ignored invalid channel patterns: ${invalid.join(', ')}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // An optional filter may also be given up front
+    socket.data.filter = null;
+    const { filter } = socket.handshake.auth || {};
+    if (filter !== undefined && filter !== null) {
+      const problems = validateFilter(filter);
+      if (problems.length === 0) {
+        this.setFilter(socket, filter);
+      } else {
+        socket.emit('system_message', {
+          message: `Ignored invalid filter: ${problems.join('; ')}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Acknowledged delivery is opt-in; such sockets get events one by one
+    socket.data.consumer = null;
+    if (consumerOptions) {
+      socket.data.consumer = consumerService.open(tenantId, consumerOptions.name, {
+        send: (event, delivery) => {
+          this.backpressure.send(socket, event, () => {
+            socket.emit('event_created', {
+              event,
+              sequence: event.sequence,
+              requiresAck: true,
+              ...delivery,
+              timestamp: new Date().toISOString(),
+            });
+          });
+        },
+        evict: (reason) => {
+          socket.emit('system_message', { message: reason, timestamp: new Date().toISOString() });
+          socket.disconnect(true);
+        },
+        catchUp: (lastSequence) => this.replayMissedEvents(socket, { lastSequence }),
+      });
+      this.updateDirectRoom(socket);
+    }
 
     // Send connection confirmation
     socket.emit('connection_established', {
       tenantId: tenantId,
+      lastSequence: tenantService.getLastSequence(tenantId),
+      ...(socket.data.consumer && {
+        consumer: {
+          name: socket.data.consumer.name,
+          position: socket.data.consumer.position,
+        },
+      }),
       timestamp: new Date().toISOString(),
       message: 'Connected to event stream',
     });
 
-    // Send recent events to newly connected client
+    // Replay what a resuming client missed, or send recent events to a new one
     try {
-      const recentEvents = tenantService.getEvents(tenantId, 10);
-      if (recentEvents.length > 0) {
-        socket.emit('initial_events', {
-          events: recentEvents,
-          count: recentEvents.length,
-        });
+      const resume = this.getResumePosition(socket);
+      if (resume) {
+        this.replayMissedEvents(socket, resume);
+      } else if (socket.data.consumer) {
+        // A new consumer starts with the events published from now on
+        consumerService.advance(socket.data.consumer, tenantService.getLastSequence(tenantId));
+      } else {
+        const recentEvents = tenantService
+          .getEvents(tenantId, 10)
+          .filter((event) => this.isSubscribed(socket, event));
+        if (recentEvents.length > 0) {
+          socket.emit('initial_events', {
+            events: recentEvents,
+            count: recentEvents.length,
+          });
+        }
       }
     } catch (error) {
-      console.error(`[SOCKET_ERROR] Failed to send initial events: ${error.message}`);
+      socket.log.error('SOCKET_ERROR', { message: 'Failed to send initial events', error });
     }
 
     // Handle client disconnect
@@ -94,7 +250,32 @@ class SocketService {
 
     // Handle client errors
     socket.on('error', (error) => {
-      console.error(`[SOCKET_ERROR] Socket: ${socket.id}, Error: ${error.message}`);
+      socket.log.error('SOCKET_ERROR', { error });
+    });
+
+    // Runtime channel subscriptions; the optional ack reports the result
+    socket.on('subscribe', (payload, ack) => {
+      this.handleSubscriptionChange(socket, payload, ack, 'subscribe');
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+      this.handleSubscriptionChange(socket, payload, ack, 'unsubscribe');
+    });
+
+    // Acknowledgements of events delivered with requiresAck
+    socket.on('ack', (payload, ack) => {
+      const result = this.acknowledge(socket, payload);
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    });
+
+    // Publishing over the socket; the optional ack gets the created event or the errors
+    socket.on('publish_event', async (payload, ack) => {
+      const result = await this.publishEvent(socket, payload);
+      if (typeof ack === 'function') {
+        ack(result);
+      }
     });
 
     // Optional: Handle heartbeat/ping for connection monitoring
@@ -111,9 +292,15 @@ class SocketService {
   handleDisconnection(socket, reason) {
     const tenantId = socket.tenantId;
 
+    if (socket.data.consumer) {
+      consumerService.close(socket.data.consumer);
+    }
+    clearTimeout(socket.data.expiryTimer);
+    this.backpressure.untrack(socket);
+
     // Remove from tracking
-    if (this.connectedClients.has(tenantId)) {
-      this.connectedClients.get(tenantId).delete(socket.id);
+    if (this.connectedClients.get(tenantId)?.delete(socket.id)) {
+      metrics.connectionsClosed.inc({ transport: 'socketio', reason });
 
       // Clean up empty tenant sets
       if (this.connectedClients.get(tenantId).size === 0) {
@@ -121,29 +308,482 @@ class SocketService {
       }
     }
 
-    console.log(`[SOCKET_DISCONNECT] Tenant: ${tenantId}, Socket: ${socket.id}, Reason: ${reason}`);
+    socket.log.info('SOCKET_DISCONNECT', { reason });
+  }
+
+  /**
+   * Reads the channel patterns requested in the handshake (auth array or
+   * comma-separated query parameter)
+   * @param {Object} socket - Socket.io socket instance
+   * @returns {Array|null} - Requested patterns, or null if none were given
+   */
+  getHandshakeChannels(socket) {
+    const { auth = {}, query = {} } = socket.handshake;
+    const channels = auth.channels ?? query.channels;
+
+    if (Array.isArray(channels)) {
+      return channels;
+    }
+    if (typeof channels === 'string' && channels) {
+      return channels.split(',').map((channel) => channel.trim());
+    }
+    return null;
+  }
+
+  /**
+   * Joins the rooms of channel patterns
+   * @param {Object} socket - Socket.io socket instance
+   * @param {Array} patterns - Channel patterns
+   * @returns {Object} - { subscribed, invalid } patterns
+   */
+  subscribeChannels(socket, patterns) {
+    const subscribed = patterns.filter(isValidPattern);
+    const invalid = patterns.filter((pattern) => !isValidPattern(pattern));
+
+    for (const pattern of subscribed) {
+      socket.data.channels.add(pattern);
+      socket.join(channelRoom(socket.tenantId, pattern));
+    }
+
+    return { subscribed, invalid };
   }
 
   /**
-   * Broadcast event to all clients in a tenant
+   * Handles a subscribe/unsubscribe message. The payload is a single channel
+   * pattern or { channels: [...], filter }; a subscribe filter replaces the
+   * socket's current filter, and a null filter removes it.
+   * @param {Object} socket - Socket.io socket instance
+   * @param {Object|string} payload - Message payload
+   * @param {Function} ack - Optional acknowledgement callback
+   * @param {string} action - 'subscribe' or 'unsubscribe'
+   */
+  handleSubscriptionChange(socket, payload, ack, action) {
+    const respond = (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      }
+    };
+
+    const change = this.parseSubscriptionChange(payload, action);
+    if (change.error) {
+      respond({ success: false, error: change.error });
+      return;
+    }
+
+    const { patterns, hasFilter } = change;
+    if (patterns && action === 'subscribe') {
+      this.subscribeChannels(socket, patterns);
+    } else if (patterns) {
+      for (const pattern of patterns) {
+        socket.data.channels.delete(pattern);
+        socket.leave(channelRoom(socket.tenantId, pattern));
+      }
+    }
+
+    if (hasFilter) {
+      this.setFilter(socket, change.filter);
+    }
+
+    socket.log.info(`SOCKET_${action.toUpperCase()}`, {
+      channels: patterns || [],
+      filter: socket.data.filter,
+    });
+
+    respond({ success: true, channels: [...socket.data.channels], filter: socket.data.filter });
+  }
+
+  /**
+   * Reads the delivery mode asked for in the handshake (auth or query).
+   * auth.delivery = 'at-least-once' enables acknowledged delivery; naming a
+   * consumer (auth.consumer) also makes its position durable across reconnects.
+   * @param {Object} socket - Socket.io socket or raw socket client
+   * @returns {Object|null} - { name } (null for an ephemeral consumer), { error },
+   *   or null for fire-and-forget delivery
+   */
+  getConsumerOptions(socket) {
+    const { auth = {}, query = {} } = socket.handshake;
+    const name = auth.consumer ?? query.consumer;
+    const delivery = auth.delivery ?? query.delivery;
+
+    if (name !== undefined) {
+      return consumerService.isValidConsumerName(name)
+        ? { name }
+        : { error: 'Invalid consumer name: use up to 100 letters, digits, _, . and -' };
+    }
+    if (delivery === 'at-least-once') {
+      return { name: null };
+    }
+    if (delivery !== undefined && delivery !== 'at-most-once') {
+      return { error: 'delivery must be at-most-once or at-least-once' };
+    }
+    return null;
+  }
+
+  /**
+   * Delivers an event to a connection according to its subscriptions and delivery
+   * mode. Acknowledging consumers also see the events they are not subscribed to,
+   * so their position can move past them.
+   * @param {Object} socket - Socket.io socket or raw socket client
+   * @param {Object} event - The event object
+   * @param {Object} delivery - Extra fields for acknowledged delivery (e.g. { replayed })
+   * @param {Function} emit - Sends the event without acknowledgement
+   * @returns {boolean} - True if the event was sent
+   */
+  deliverEvent(socket, event, delivery, emit) {
+    const subscribed = this.isSubscribed(socket, event);
+    const consumer = socket.data.consumer;
+
+    if (consumer && subscribed) {
+      consumerService.deliver(consumer, event, delivery);
+    } else if (consumer) {
+      consumerService.advance(consumer, event.sequence);
+    } else if (subscribed) {
+      emit();
+    }
+    return subscribed;
+  }
+
+  /**
+   * Handles an ack message: a sequence, { sequence } or { sequences: [...] }
+   * @param {Object} socket - Socket.io socket or raw socket client
+   * @param {number|Object} payload - Acknowledged sequences
+   * @returns {Object} - { success: true, acked, unknown, position } or { success: false, error }
+   */
+  acknowledge(socket, payload) {
+    if (!socket.data.consumer) {
+      return { success: false, error: 'Acknowledged delivery is not enabled for this connection' };
+    }
+
+    let sequences = payload?.sequences ?? payload?.sequence ?? payload;
+    if (!Array.isArray(sequences)) {
+      sequences = [sequences];
+    }
+    if (sequences.length === 0 || !sequences.every((sequence) => Number.isInteger(sequence))) {
+      return { success: false, error: 'Acks must name event sequence numbers' };
+    }
+
+    return { success: true, ...consumerService.ack(socket.data.consumer, sequences) };
+  }
+
+  /**
+   * Calls expire once the token a connection authenticated with expires
+   * (JWT auth); connections authenticated otherwise do not expire
+   * @param {Object} socket - Socket.io socket or raw socket client
+   * @param {Function} expire - Disconnects the connection
+   */
+  watchTokenExpiry(socket, expire) {
+    const { expiresAt } = socket.auth;
+    if (!expiresAt) {
+      return;
+    }
+
+    const wait = () => {
+      const remaining = expiresAt - Date.now();
+      if (remaining <= 0) {
+        socket.log.info('SOCKET_TOKEN_EXPIRED');
+        expire();
+        return;
+      }
+      socket.data.expiryTimer = setTimeout(wait, Math.min(remaining, MAX_TIMER_MS));
+      socket.data.expiryTimer.unref();
+    };
+    wait();
+  }
+
+  /**
+   * Creates an event sent over a connection, with the same validation and
+   * sanitization as POST /api/events, counted against the REST rate limit of
+   * the connection's address
+   * @param {Object} socket - Socket.io socket or raw socket client
+   * @param {Object} payload - Event fields (message, type, channel, data, metadata, tags, schemaVersion)
+   * @returns {Promise} - Resolves with { success: true, data } or
+   *   { success: false, error, code, details? }
+   */
+  async publishEvent(socket, payload) {
+    const tenantId = socket.tenantId;
+    const timestamp = new Date().toISOString();
+
+    if (!hasPermission(socket.auth, 'events:publish')) {
+      return {
+        success: false,
+        error: 'Insufficient permissions',
+        code: 'FORBIDDEN',
+        required: 'events:publish',
+        timestamp,
+      };
+    }
+
+    // The connection is closed at expiry; this covers a publish racing the close
+    if (socket.auth.expiresAt && socket.auth.expiresAt <= Date.now()) {
+      return { success: false, error: 'Token expired', code: 'TOKEN_EXPIRED', timestamp };
+    }
+
+    if (!(await consumeRateLimit(socket.handshake.address))) {
+      socket.log.warn('SOCKET_RATE_LIMITED');
+      return {
+        success: false,
+        error: 'Too many requests, please try again later.',
+        code: 'RATE_LIMITED',
+        timestamp,
+      };
+    }
+
+    const isObject = payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+    const validation = isObject
+      ? eventService.validateEventData(payload, tenantId)
+      : {
+          isValid: false,
+          fieldErrors: [{ path: 'body', msg: 'Event must be an object', value: payload }],
+        };
+    if (!validation.isValid) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: formatValidationErrors(validation.fieldErrors),
+        timestamp,
+      };
+    }
+
+    const { message, type, channel, data, metadata, tags, schemaVersion } = payload;
+
+    try {
+      const event = await eventService.publishEvent(tenantId, {
+        type,
+        channel,
+        message: message === undefined ? undefined : eventService.sanitizeMessage(message),
+        data,
+        metadata,
+        tags,
+        schemaVersion,
+      });
+
+      socket.log.info('SOCKET_PUBLISH', { eventId: event.id });
+
+      return { success: true, data: event, timestamp };
+    } catch (error) {
+      socket.log.warn('SOCKET_PUBLISH_ERROR', { error: error.message });
+      return { success: false, error: error.message, code: 'PUBLISH_FAILED', timestamp };
+    }
+  }
+
+  /**
+   * Validates a subscribe/unsubscribe payload
+   * @param {Object|string} payload - Message payload
+   * @param {string} action - 'subscribe' or 'unsubscribe'
+   * @returns {Object} - { error } or { patterns, hasFilter, filter }
+   */
+  parseSubscriptionChange(payload, action) {
+    const patterns = typeof payload === 'string' ? [payload] : payload?.channels;
+    const hasFilter = action === 'subscribe' && payload !== null && 'filter' in Object(payload);
+
+    if (
+      patterns !== undefined &&
+      (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every(isValidPattern))
+    ) {
+      const invalid = Array.isArray(patterns) ? patterns.filter((p) => !isValidPattern(p)) : [];
+      return {
+        error:
+          invalid.length > 0
+            ? `Invalid channel patterns: ${invalid.join(', ')}`
+            : 'channels must be a non-empty array of patterns',
+      };
+    }
+
+    if (patterns === undefined && !hasFilter) {
+      return { error: 'channels or filter is required' };
+    }
+
+    if (hasFilter && payload.filter !== null) {
+      const problems = validateFilter(payload.filter);
+      if (problems.length > 0) {
+        return { error: `Invalid filter: ${problems.join('; ')}` };
+      }
+    }
+
+    return { patterns, hasFilter, filter: hasFilter ? payload.filter : undefined };
+  }
+
+  /**
+   * Sets or clears a socket's filter. Filtered sockets leave broadcast delivery
+   * and are matched one by one in broadcastToTenant.
+   * @param {Object} socket - Socket.io socket instance
+   * @param {Object|null} filter - Filter accepted by validateFilter, or null
+   */
+  setFilter(socket, filter) {
+    socket.data.filter = filter;
+    this.updateDirectRoom(socket);
+  }
+
+  /**
+   * Moves a socket in or out of one-by-one delivery: sockets with a filter, an
+   * acknowledging consumer or a backlog cannot take part in room broadcasts
+   * @param {Object} socket - Socket.io socket instance
+   */
+  updateDirectRoom(socket) {
+    if (socket.data.filter || socket.data.consumer || this.backpressure.isSlow(socket)) {
+      socket.join(directRoom(socket.tenantId));
+    } else {
+      socket.leave(directRoom(socket.tenantId));
+    }
+  }
+
+  /**
+   * Measures what a socket has not written to the network yet: packets waiting
+   * in Engine.IO's buffer plus bytes buffered by the WebSocket itself
+   * @param {Object} socket - Socket.io socket instance
+   * @returns {Object} - { messages, bytes }
+   */
+  getPendingWrites(socket) {
+    const { writeBuffer = [], transport } = socket.conn || {};
+    let bytes = transport?.socket?.bufferedAmount || 0;
+    for (const packet of writeBuffer) {
+      bytes += typeof packet.data === 'string' ? packet.data.length : packet.data?.byteLength || 0;
+    }
+    return { messages: writeBuffer.length, bytes };
+  }
+
+  /**
+   * Checks whether a socket's channel subscriptions and filter cover an event
+   * @param {Object} socket - Socket.io socket instance
+   * @param {Object} event - The event object
+   * @returns {boolean} - True if the event should be delivered to the socket
+   */
+  isSubscribed(socket, event) {
+    return (
+      [...socket.data.channels].some((pattern) => matchesChannel(pattern, event.channel)) &&
+      matchesFilter(socket.data.filter, event)
+    );
+  }
+
+  /**
+   * Reads the client's last seen position from its durable consumer, or else
+   * from the handshake (auth or query)
+   * @param {Object} socket - Socket.io socket instance
+   * @returns {Object|null} - { lastSequence } or { lastEventId }, null for a fresh client
+   */
+  getResumePosition(socket) {
+    // A durable consumer resumes from its last acknowledged position
+    const position = socket.data.consumer?.position;
+    if (position !== null && position !== undefined) {
+      return { lastSequence: position };
+    }
+
+    const { auth = {}, query = {} } = socket.handshake;
+    const rawSequence = auth.lastSequence ?? query.lastSequence;
+    const lastEventId = auth.lastEventId ?? query.lastEventId;
+
+    if (rawSequence !== undefined && rawSequence !== '') {
+      const lastSequence = Number(rawSequence);
+      if (Number.isInteger(lastSequence) && lastSequence >= 0) {
+        return { lastSequence };
+      }
+    }
+
+    if (typeof lastEventId === 'string' && lastEventId) {
+      return { lastEventId };
+    }
+
+    return null;
+  }
+
+  /**
+   * Replays every retained event after the client's position, then emits
+   * replay_complete. A gap event tells the client that events it missed are
+   * no longer available (expired, unknown position or reset stream).
+   * @param {Object} socket - Socket.io socket instance
+   * @param {Object} resume - { lastSequence } or { lastEventId }
+   */
+  replayMissedEvents(socket, resume) {
+    const tenantId = socket.tenantId;
+    let replayed = 0;
+
+    const lastSequence = eventService.replayEvents(tenantId, resume, {
+      onEvent: (event) => {
+        const delivered = this.deliverEvent(socket, event, { replayed: true }, () => {
+          socket.emit('event_created', {
+            event,
+            sequence: event.sequence,
+            replayed: true,
+            timestamp: new Date().toISOString(),
+          });
+        });
+        if (delivered) {
+          replayed++;
+        }
+      },
+      onGap: (gap) => {
+        socket.emit('gap', { ...gap, timestamp: new Date().toISOString() });
+        socket.log.info('SOCKET_REPLAY_GAP', { reason: gap.reason });
+      },
+    });
+
+    if (socket.data.consumer) {
+      consumerService.advance(socket.data.consumer, lastSequence);
+    }
+
+    socket.emit('replay_complete', {
+      count: replayed,
+      lastSequence,
+      timestamp: new Date().toISOString(),
+    });
+
+    socket.log.info('SOCKET_REPLAY', { events: replayed });
+  }
+
+  /**
+   * Broadcast event to all clients in a tenant connected to this node. In a
+   * cluster every node receives the event and broadcasts it itself.
    * @param {string} tenantId - The tenant identifier
    * @param {Object} event - The event to broadcast
    */
   broadcastToTenant(tenantId, event) {
     if (!tenantService.isValidTenant(tenantId)) {
-      console.error(`[SOCKET_BROADCAST_ERROR] Invalid tenant: ${tenantId}`);
+      logger.error('SOCKET_BROADCAST_ERROR', { tenantId, message: 'Invalid tenant' });
       return;
     }
 
-    // Broadcast to all sockets in the tenant room
-    this.io.to(tenantId).emit('event_created', {
+    const payload = {
       event: event,
+      sequence: event.sequence,
       timestamp: new Date().toISOString(),
-    });
+    };
+
+    // Deliver to the rooms of every channel pattern covering the event;
+    // Socket.io sends once per socket even if several of its patterns match
+    const rooms = matchingPatterns(event.channel).map((pattern) => channelRoom(tenantId, pattern));
+    // Sockets that fell behind move to one-by-one delivery before the broadcast
+    for (const socketId of [...(this.io.sockets.adapter.rooms.get(tenantId) || [])]) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) {
+        this.backpressure.check(socket);
+      }
+    }
 
-    console.log(
-      `[SOCKET_BROADCAST] Tenant: ${tenantId}, Event: ${event.id}, Clients: ${this.getConnectedClientCount(tenantId)}`
+    this.io.local.to(rooms).except(directRoom(tenantId)).emit('event_created', payload);
+    metrics.broadcastFanout.observe(
+      { transport: 'socketio' },
+      this.connectedClients.get(tenantId)?.size || 0
     );
+
+    // Filtered, acknowledging and slow sockets are handled one by one
+    const directIds = this.io.sockets.adapter.rooms.get(directRoom(tenantId)) || [];
+    for (const socketId of [...directIds]) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) {
+        this.deliverEvent(socket, event, {}, () => {
+          this.backpressure.send(socket, event, () => socket.emit('event_created', payload));
+        });
+      }
+    }
+
+    this.raw.broadcastToTenant(tenantId, event);
+
+    logger.debug('SOCKET_BROADCAST', {
+      tenantId,
+      eventId: event.id,
+      clients: this.getConnectedClientCount(tenantId),
+    });
   }
 
   /**
@@ -152,11 +792,14 @@ class SocketService {
    * @returns {number} - Number of connected clients
    */
   getConnectedClientCount(tenantId) {
-    return this.connectedClients.has(tenantId) ? this.connectedClients.get(tenantId).size : 0;
+    const sockets = this.connectedClients.has(tenantId)
+      ? this.connectedClients.get(tenantId).size
+      : 0;
+    return sockets + this.raw.getClientCount(tenantId);
   }
 
   /**
-   * Get connection statistics
+   * Get connection statistics, including outgoing buffer counts
    * @returns {Object} - Connection statistics
    */
   getConnectionStats() {
@@ -165,17 +808,37 @@ class SocketService {
       tenantConnections: {},
     };
 
-    for (const [tenantId, clients] of this.connectedClients) {
-      const count = clients.size;
+    const tenantIds = new Set([...this.connectedClients.keys(), ...this.raw.clients.keys()]);
+    for (const tenantId of tenantIds) {
+      const count = this.getConnectedClientCount(tenantId);
       stats.tenantConnections[tenantId] = count;
       stats.totalConnections += count;
     }
 
+    // Outgoing buffers of every connection, and what the slow consumer policy did so far
+    stats.backpressure = {
+      policy: config.backpressure.policy,
+      slowConnections: 0,
+      pendingMessages: 0,
+      pendingBytes: 0,
+      queuedEvents: 0,
+      ...this.backpressure.totals,
+    };
+    const sockets = this.io ? [...this.io.sockets.sockets.values()] : [];
+    const rawClients = [...this.raw.clients.values()].flatMap((clients) => [...clients]);
+    for (const connection of [...sockets, ...rawClients]) {
+      const buffers = this.backpressure.getConnectionStats(connection);
+      stats.backpressure.slowConnections += buffers.slow ? 1 : 0;
+      stats.backpressure.pendingMessages += buffers.pendingMessages;
+      stats.backpressure.pendingBytes += buffers.pendingBytes;
+      stats.backpressure.queuedEvents += buffers.queuedEvents;
+    }
+
     return stats;
   }
 
   /**
-   * Broadcast system message to all clients
+   * Broadcast system message to all clients (of every node in a cluster)
    * @param {string} message - The system message
    */
   broadcastSystemMessage(message) {
@@ -186,12 +849,52 @@ class SocketService {
   }
 
   /**
-   * Disconnect all clients (useful for maintenance)
+   * Disconnect all clients of a tenant (e.g. after suspension or deletion).
+   * Through a cluster adapter this reaches the Socket.io sockets of every node.
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} reason - Reason sent to clients before disconnecting
+   */
+  disconnectTenant(tenantId, reason) {
+    if (!this.io) {
+      return;
+    }
+
+    this.raw.disconnectTenant(tenantId, reason);
+
+    this.io.to(tenantId).emit('system_message', {
+      message: reason,
+      timestamp: new Date().toISOString(),
+    });
+    this.io.in(tenantId).disconnectSockets(true);
+    logger.info('SOCKET_SERVICE', { tenantId, message: 'Tenant disconnected', reason });
+  }
+
+  /**
+   * Disconnect every socket authenticated with an API key (e.g. after revocation)
+   * @param {string} apiKeyId - The API key identifier
+   */
+  disconnectApiKey(apiKeyId) {
+    if (!this.io) {
+      return;
+    }
+
+    this.raw.disconnectApiKey(apiKeyId);
+
+    this.io.to(apiKeyRoom(apiKeyId)).emit('system_message', {
+      message: 'API key revoked',
+      timestamp: new Date().toISOString(),
+    });
+    this.io.in(apiKeyRoom(apiKeyId)).disconnectSockets(true);
+  }
+
+  /**
+   * Disconnect all clients of this node (useful for maintenance and shutdown)
    */
   disconnectAll() {
-    this.io.disconnectSockets();
+    this.io.local.disconnectSockets();
+    this.raw.disconnectAll();
     this.connectedClients.clear();
-    console.log('[SOCKET_SERVICE] All clients disconnected');
+    logger.info('SOCKET_SERVICE', { message: 'All clients disconnected' });
   }
 }
 
@@ -0,0 +1,239 @@
+/**
+ * SSE Service
+ * Streams tenant events to Server-Sent Events clients (text/event-stream).
+ * Streams whose write buffer keeps growing get config.backpressure.policy, as
+ * Socket.io and plain WebSocket connections do (see backpressure.js).
+ */
+
+const config = require('../../config/config');
+const eventService = require('./eventService');
+const { ALL_CHANNELS, matchesChannel } = require('./channels');
+const BackpressureMonitor = require('./backpressure');
+const metrics = require('../metrics');
+const logger = require('../utils/logger');
+
+class SseService {
+  constructor() {
+    // Map of tenantId -> Set of stream clients { id, res, tenantId, apiKeyId, channels, heartbeat }
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.backpressure = new BackpressureMonitor(); // Slow consumer handling
+  }
+
+  /**
+   * Subscribe to EventService events for automatic streaming
+   * @param {EventEmitter} source - The event service instance
+   */
+  subscribeToEventService(source) {
+    source.on('eventCreated', ({ tenantId, event }) => {
+      this.broadcastToTenant(tenantId, event);
+    });
+
+    logger.info('SSE_SERVICE', { message: 'Subscribed to EventService events' });
+  }
+
+  /**
+   * Opens an event stream on a response and replays missed events when resuming
+   * @param {Object} req - Express request (tenant already validated)
+   * @param {Object} res - Express response
+   * @param {Object} options - Stream options
+   * @param {Object|null} options.resume - { lastSequence } or { lastEventId } to replay after
+   * @param {Array} options.channels - Channel patterns to deliver
+   */
+  open(req, res, { resume = null, channels = [ALL_CHANNELS] } = {}) {
+    const id = this.nextClientId++;
+    const client = {
+      id,
+      res,
+      tenantId: req.tenantId,
+      apiKeyId: req.apiKeyId || null,
+      channels,
+      data: {},
+      // Carries the request id and tenant of the request that opened the stream
+      log: (req.log || logger).child({ clientId: id }),
+    };
+
+    // Watch the response's write buffer so a slow client cannot pile up events
+    this.backpressure.track(client, {
+      pending: () => ({ messages: 0, bytes: res.writableLength }),
+      notify: (data) => this.send(client, 'events_missed', data),
+      disconnect: (code, message) => {
+        this.send(client, 'system_message', { code, message });
+        res.end();
+        this.remove(client, 'server disconnect');
+      },
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop reverse proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${config.sse.retryMs}\n\n`);
+
+    if (resume) {
+      let replayed = 0;
+      const lastSequence = eventService.replayEvents(client.tenantId, resume, {
+        onEvent: (event) => {
+          if (this.isSubscribed(client, event)) {
+            this.sendEvent(client, event);
+            replayed++;
+          }
+        },
+        onGap: (gap) => this.send(client, 'gap', gap),
+      });
+      this.send(client, 'replay_complete', { count: replayed, lastSequence });
+    }
+
+    if (!this.clients.has(client.tenantId)) {
+      this.clients.set(client.tenantId, new Set());
+    }
+    this.clients.get(client.tenantId).add(client);
+    metrics.connectionsOpened.inc({ transport: 'sse' });
+
+    // Comment lines keep idle connections open through proxies
+    client.heartbeat = setInterval(() => {
+      if (!this.backpressure.isSlow(client)) {
+        this.write(client, `: heartbeat ${new Date().toISOString()}\n\n`);
+      }
+    }, config.sse.heartbeatIntervalMs);
+    client.heartbeat.unref();
+
+    req.on('close', () => this.remove(client, 'client disconnect'));
+
+    client.log.info('SSE_CONNECT');
+  }
+
+  /**
+   * Streams an event to every subscribed client of a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event to stream
+   */
+  broadcastToTenant(tenantId, event) {
+    const clients = this.clients.get(tenantId) || new Set();
+    metrics.broadcastFanout.observe({ transport: 'sse' }, clients.size);
+
+    for (const client of clients) {
+      if (this.isSubscribed(client, event)) {
+        this.backpressure.send(client, event, () => this.sendEvent(client, event));
+      }
+    }
+  }
+
+  /**
+   * @param {Object} client - Stream client
+   * @param {Object} event - The event object
+   * @returns {boolean} - True if the client's channels cover the event
+   */
+  isSubscribed(client, event) {
+    return client.channels.some((pattern) => matchesChannel(pattern, event.channel));
+  }
+
+  /**
+   * Writes an event with its sequence as the SSE id, used for Last-Event-ID resume
+   * @param {Object} client - Stream client
+   * @param {Object} event - The event object
+   */
+  sendEvent(client, event) {
+    const id = event.sequence ?? event.id;
+    this.write(client, `id: ${id}\nevent: event_created\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  /**
+   * Writes a named control message
+   * @param {Object} client - Stream client
+   * @param {string} name - SSE event name
+   * @param {Object} data - Message payload
+   */
+  send(client, name, data) {
+    const payload = { ...data, timestamp: new Date().toISOString() };
+    this.write(client, `event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Writes to a client, flushing through compression middleware
+   * @param {Object} client - Stream client
+   * @param {string} chunk - Raw SSE text
+   */
+  write(client, chunk) {
+    client.res.write(chunk);
+    if (typeof client.res.flush === 'function') {
+      client.res.flush();
+    }
+  }
+
+  /**
+   * Forgets a client whose connection closed
+   * @param {Object} client - Stream client
+   * @param {string} reason - Why the stream closed, for metrics and logs
+   */
+  remove(client, reason) {
+    clearInterval(client.heartbeat);
+    this.backpressure.untrack(client);
+
+    const tenantClients = this.clients.get(client.tenantId);
+    if (tenantClients?.delete(client)) {
+      metrics.connectionsClosed.inc({ transport: 'sse', reason });
+      if (tenantClients.size === 0) {
+        this.clients.delete(client.tenantId);
+      }
+    }
+
+    client.log.info('SSE_DISCONNECT', { reason });
+  }
+
+  /**
+   * Ends streams matching a predicate after telling them why
+   * @param {Function} predicate - Selects clients to close
+   * @param {string} reason - Message sent before closing
+   */
+  closeWhere(predicate, reason) {
+    for (const tenantClients of [...this.clients.values()]) {
+      for (const client of [...tenantClients]) {
+        if (predicate(client)) {
+          this.send(client, 'system_message', { message: reason });
+          client.res.end();
+          this.remove(client, 'server disconnect');
+        }
+      }
+    }
+  }
+
+  /**
+   * Closes every stream of a tenant (e.g. when it is suspended or deleted)
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} reason - Message sent before closing
+   */
+  disconnectTenant(tenantId, reason) {
+    this.closeWhere((client) => client.tenantId === tenantId, reason);
+  }
+
+  /**
+   * Closes every stream opened with an API key (e.g. after revocation)
+   * @param {string} apiKeyId - The API key identifier
+   */
+  disconnectApiKey(apiKeyId) {
+    this.closeWhere((client) => client.apiKeyId === apiKeyId, 'API key revoked');
+  }
+
+  /**
+   * Closes all streams (e.g. on shutdown)
+   */
+  disconnectAll() {
+    this.closeWhere(() => true, 'Server shutting down');
+  }
+
+  /**
+   * Gets the number of open streams for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - Number of open streams
+   */
+  getClientCount(tenantId) {
+    return this.clients.has(tenantId) ? this.clients.get(tenantId).size : 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new SseService();
@@ -0,0 +1,212 @@
+/**
+ * Tenant Registry
+ * Runtime catalogue of tenants, seeded from config and optionally persisted to disk.
+ * Emits 'change' with each change made, which applyChange repeats on another node.
+ */
+
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('../../config/config');
+const { AppError } = require('../middleware/errorMiddleware');
+
+const TENANT_STATUSES = ['active', 'suspended'];
+
+class TenantRegistry extends EventEmitter {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Array} options.seed - Tenant IDs created when no registry file exists
+   * @param {string|null} options.file - JSON file the registry is persisted to
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // Map of tenantId -> tenant record, in creation order
+    this.tenants = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const tenant of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.tenants.set(tenant.id, tenant);
+      }
+    } else {
+      for (const tenantId of options.seed || []) {
+        this.tenants.set(tenantId, this.buildRecord(tenantId, tenantId));
+      }
+    }
+  }
+
+  /**
+   * Checks whether a tenant exists, regardless of status
+   * @param {string} tenantId - The tenant identifier
+   * @returns {boolean} - True if the tenant is registered
+   */
+  has(tenantId) {
+    return this.tenants.has(tenantId);
+  }
+
+  /**
+   * Checks whether a tenant exists and is not suspended
+   * @param {string} tenantId - The tenant identifier
+   * @returns {boolean} - True if the tenant is active
+   */
+  isActive(tenantId) {
+    return this.tenants.get(tenantId)?.status === 'active';
+  }
+
+  /**
+   * Gets a tenant record
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Object} - Copy of the tenant record
+   */
+  get(tenantId) {
+    const tenant = this.tenants.get(tenantId);
+    if (!tenant) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+    return { ...tenant };
+  }
+
+  /**
+   * Lists all tenant records
+   * @returns {Array} - Copies of all tenant records
+   */
+  list() {
+    return [...this.tenants.values()].map((tenant) => ({ ...tenant }));
+  }
+
+  /**
+   * Lists tenant IDs
+   * @returns {Array} - All registered tenant IDs
+   */
+  ids() {
+    return [...this.tenants.keys()];
+  }
+
+  /**
+   * Registers a new tenant
+   * @param {Object} data - Tenant data
+   * @param {string} data.id - Tenant identifier
+   * @param {string} data.displayName - Human readable name (defaults to the id)
+   * @returns {Object} - The created tenant record
+   */
+  create({ id, displayName }) {
+    if (this.tenants.has(id)) {
+      throw new AppError(`Tenant already exists: ${id}`, 409, 'TENANT_EXISTS');
+    }
+
+    const tenant = this.buildRecord(id, displayName || id);
+    this.commit({ op: 'put', record: tenant });
+
+    return { ...tenant };
+  }
+
+  /**
+   * Updates a tenant's display name or status
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} changes - Any of displayName, status
+   * @returns {Object} - The updated tenant record
+   */
+  update(tenantId, { displayName, status }) {
+    const tenant = this.tenants.get(tenantId);
+    if (!tenant) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+
+    if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+      throw new AppError(`Invalid tenant status: ${status}`, 400, 'INVALID_TENANT_STATUS');
+    }
+
+    if (displayName !== undefined) {
+      tenant.displayName = displayName;
+    }
+    if (status !== undefined) {
+      tenant.status = status;
+    }
+    tenant.updatedAt = new Date().toISOString();
+    this.commit({ op: 'put', record: tenant });
+
+    return { ...tenant };
+  }
+
+  /**
+   * Removes a tenant from the registry
+   * @param {string} tenantId - The tenant identifier
+   */
+  remove(tenantId) {
+    if (!this.tenants.has(tenantId)) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+    this.commit({ op: 'remove', id: tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - { op: 'put', record } or { op: 'remove', id }
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', record } or { op: 'remove', id }
+   */
+  applyChange({ op, record, id }) {
+    if (op === 'put') {
+      this.tenants.set(record.id, record);
+    } else if (op === 'remove') {
+      this.tenants.delete(id);
+    }
+    this.save();
+  }
+
+  /**
+   * @returns {Array} - Copies of all tenant records, for restore on another node
+   */
+  snapshot() {
+    return this.list();
+  }
+
+  /**
+   * Replaces every tenant record, e.g. with those of another node
+   * @param {Array} records - Tenant records
+   */
+  restore(records) {
+    this.tenants = new Map(records.map((record) => [record.id, record]));
+    this.save();
+  }
+
+  /**
+   * Writes the registry to its file, if persistence is enabled
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    // Write to a temporary file first so a crash never leaves a partial registry
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * @param {string} id - Tenant identifier
+   * @param {string} displayName - Human readable name
+   * @returns {Object} - New active tenant record
+   */
+  buildRecord(id, displayName) {
+    const now = new Date().toISOString();
+    return { id, displayName, status: 'active', createdAt: now, updatedAt: now };
+  }
+}
+
+// Export singleton instance
+module.exports = new TenantRegistry({
+  seed: config.supportedTenants,
+  file: config.tenantRegistryFile,
+});
+module.exports.TenantRegistry = TenantRegistry;
@@ -4,20 +4,153 @@
  */
 
 const config = require('../../config/config');
+const { createStorage } = require('../storage');
+const tenantRegistry = require('./tenantRegistry');
+
+/**
+ * Finds the first index entry whose field is at or above a value
+ * @param {Array} entries - Index entries, oldest first
+ * @param {number} value - Time in milliseconds, or sequence number
+ * @param {string} field - 'time' or 'sequence'
+ * @returns {number} - Position of the first matching entry (entries.length if none)
+ */
+const lowerBound = (entries, value, field = 'time') => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid][field] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
 
 class TenantService {
   constructor() {
-    // In-memory storage for tenant events - Map for better performance
-    this.tenantEvents = new Map();
+    // Event storage adapter selected by config.storage.driver
+    this.storage = createStorage(config.storage);
 
-    // Initialize supported tenants
-    config.supportedTenants.forEach((tenantId) => {
-      this.tenantEvents.set(tenantId, []);
-    });
+    // Runtime retention overrides, layered over config.retention
+    this.retentionOverrides = new Map();
+
+    // Event ids trimmed on append since the last retention sweep
+    this.pendingExpired = new Map();
+
+    // Map of tenantId -> { entries: [{ id, time, sequence }] oldest first, base, positions }
+    // where positions maps event id -> base + index of its entry
+    this.eventIndexes = new Map();
+
+    // Map of tenantId -> last sequence number assigned
+    this.sequences = new Map();
+  }
+
+  /**
+   * Replaces the event storage adapter
+   * @param {Object} storage - Adapter implementing append/read/count/clear
+   */
+  setStorage(storage) {
+    this.storage = storage;
+    this.eventIndexes.clear();
+    this.sequences.clear();
+  }
+
+  /**
+   * Gets a tenant's time/id index, (re)building it from storage when stale
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Object} - The tenant's event index
+   */
+  getEventIndex(tenantId) {
+    const index = this.eventIndexes.get(tenantId);
+    if (index && index.entries.length === this.storage.count(tenantId)) {
+      return index;
+    }
+
+    const rebuilt = { entries: [], base: 0, positions: new Map() };
+    for (const event of this.storage.read(tenantId).reverse()) {
+      this.indexEvent(rebuilt, event);
+    }
+    this.eventIndexes.set(tenantId, rebuilt);
+    return rebuilt;
+  }
+
+  /**
+   * Adds an event to the end of an index
+   * @param {Object} index - Tenant event index
+   * @param {Object} event - The event object
+   */
+  indexEvent(index, event) {
+    const last = index.entries[index.entries.length - 1];
+
+    // Times never decrease along the stream, even if the clock steps back
+    const time = Math.max(Date.parse(event.timestamp), last ? last.time : 0);
+
+    index.positions.set(event.id, index.base + index.entries.length);
+
+    // Events stored before sequencing was introduced sort before sequence 1
+    index.entries.push({ id: event.id, time, sequence: event.sequence || 0 });
+  }
+
+  /**
+   * Gets the last sequence number assigned to a tenant's events
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - Last sequence number, 0 if none was assigned yet
+   */
+  getLastSequence(tenantId) {
+    if (!this.sequences.has(tenantId)) {
+      // Resume past the newest stored event, or past the storage's high-water mark
+      // if retention removed the newest events (durable storage keeps it across restarts)
+      const [newest] = this.storage.read(tenantId, { limit: 1 });
+      const stored = this.storage.lastSequence ? this.storage.lastSequence(tenantId) : 0;
+      this.sequences.set(tenantId, Math.max(newest?.sequence || 0, stored));
+    }
+    return this.sequences.get(tenantId);
   }
 
   /**
-   * Validates if tenant ID is supported
+   * Reserves the next sequence number of a tenant's stream
+   * Callers must store the event right away so the sequence stays gap-free.
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - The sequence number for the next event
+   */
+  nextSequence(tenantId) {
+    const sequence = this.getLastSequence(tenantId) + 1;
+    this.sequences.set(tenantId, sequence);
+    return sequence;
+  }
+
+  /**
+   * Moves a tenant's sequence past one assigned elsewhere (the cluster's sequencer)
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} sequence - Sequence number of a stored event
+   */
+  advanceSequence(tenantId, sequence) {
+    if (sequence > this.getLastSequence(tenantId)) {
+      this.sequences.set(tenantId, sequence);
+    }
+  }
+
+  /**
+   * Drops the oldest entries of a tenant's index after storage was truncated
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} count - Number of removed events
+   */
+  unindexOldest(tenantId, count) {
+    const index = this.eventIndexes.get(tenantId);
+    if (!index || count === 0) {
+      return;
+    }
+
+    for (const { id } of index.entries.splice(0, count)) {
+      index.positions.delete(id);
+    }
+    index.base += count;
+  }
+
+  /**
+   * Validates if tenant ID is registered
    * @param {string} tenantId - The tenant identifier
    * @returns {boolean} - True if tenant is valid
    */
@@ -25,7 +158,75 @@ class TenantService {
     if (!tenantId || typeof tenantId !== 'string') {
       return false;
     }
-    return config.supportedTenants.includes(tenantId);
+    return tenantRegistry.has(tenantId);
+  }
+
+  /**
+   * Validates if tenant ID is registered and not suspended
+   * @param {string} tenantId - The tenant identifier
+   * @returns {boolean} - True if tenant is active
+   */
+  isActiveTenant(tenantId) {
+    return this.isValidTenant(tenantId) && tenantRegistry.isActive(tenantId);
+  }
+
+  /**
+   * Gets a tenant record from the registry
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Object} - Tenant record
+   */
+  getTenant(tenantId) {
+    return tenantRegistry.get(tenantId);
+  }
+
+  /**
+   * Lists all registered tenant records
+   * @returns {Array} - Tenant records
+   */
+  listTenants() {
+    return tenantRegistry.list();
+  }
+
+  /**
+   * Provisions a new tenant
+   * @param {Object} data - Tenant id and optional displayName
+   * @returns {Object} - The created tenant record
+   */
+  createTenant(data) {
+    return tenantRegistry.create(data);
+  }
+
+  /**
+   * Renames, suspends or reactivates a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} changes - Any of displayName, status
+   * @returns {Object} - The updated tenant record
+   */
+  updateTenant(tenantId, changes) {
+    return tenantRegistry.update(tenantId, changes);
+  }
+
+  /**
+   * Deletes a tenant along with its stored events
+   * @param {string} tenantId - The tenant identifier
+   */
+  deleteTenant(tenantId) {
+    if (this.isValidTenant(tenantId)) {
+      this.dropTenantData(tenantId);
+    }
+    tenantRegistry.remove(tenantId);
+  }
+
+  /**
+   * Drops a tenant's stored events and sequence, e.g. once another node deleted it
+   * @param {string} tenantId - The tenant identifier
+   */
+  dropTenantData(tenantId) {
+    this.storage.clear(tenantId);
+    this.retentionOverrides.delete(tenantId);
+    this.pendingExpired.delete(tenantId);
+    this.eventIndexes.delete(tenantId);
+    this.sequences.delete(tenantId);
   }
 
   /**
@@ -39,13 +240,19 @@ class TenantService {
       throw new Error(`Invalid tenant: ${tenantId}`);
     }
 
-    const tenantEvents = this.tenantEvents.get(tenantId);
-    tenantEvents.unshift(event); // Add to beginning for chronological order (newest first)
+    const index = this.getEventIndex(tenantId);
+    this.storage.append(tenantId, event);
+    this.indexEvent(index, event);
 
-    // Optional: Implement memory management (limit number of events per tenant)
-    const MAX_EVENTS_PER_TENANT = 1000;
-    if (tenantEvents.length > MAX_EVENTS_PER_TENANT) {
-      tenantEvents.splice(MAX_EVENTS_PER_TENANT);
+    // Enforce the count limit inline so memory stays bounded between sweeps
+    const { maxCount } = this.getRetentionPolicy(tenantId);
+    if (maxCount && this.storage.count(tenantId) > maxCount) {
+      const removed = this.storage.truncate(tenantId, maxCount);
+      this.unindexOldest(tenantId, removed.length);
+      if (!this.pendingExpired.has(tenantId)) {
+        this.pendingExpired.set(tenantId, []);
+      }
+      this.pendingExpired.get(tenantId).push(...removed.map((e) => e.id));
     }
 
     return true;
@@ -62,8 +269,95 @@ class TenantService {
       throw new Error(`Invalid tenant: ${tenantId}`);
     }
 
-    const events = this.tenantEvents.get(tenantId);
-    return limit ? events.slice(0, limit) : [...events];
+    return this.storage.read(tenantId, { limit });
+  }
+
+  /**
+   * Queries a tenant's events by time range and position using the event index
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} query - Query options
+   * @param {number|null} query.since - Only events at or after this time (ms)
+   * @param {number|null} query.until - Only events before this time (ms)
+   * @param {string|null} query.afterId - Only events newer than this event
+   * @param {number|null} query.fromSequence - Only events with at least this sequence number
+   * @param {number|null} query.toSequence - Only events with at most this sequence number
+   * @param {Object|null} query.position - Resume after { id, time } from a previous page
+   * @param {string} query.order - 'desc' (newest first) or 'asc'
+   * @param {number} query.limit - Maximum number of events to return
+   * @returns {Object} - { events, last } where last is the { id, time } to resume
+   *   after, or null when the range is exhausted
+   */
+  queryEvents(
+    tenantId,
+    {
+      since = null,
+      until = null,
+      afterId = null,
+      fromSequence = null,
+      toSequence = null,
+      position = null,
+      order = 'desc',
+      limit = 50,
+    }
+  ) {
+    if (!this.isValidTenant(tenantId)) {
+      throw new Error(`Invalid tenant: ${tenantId}`);
+    }
+
+    const index = this.getEventIndex(tenantId);
+    const { entries, base, positions } = index;
+
+    // Matching entries are entries[low, high)
+    let low = since === null ? 0 : lowerBound(entries, since);
+    let high = until === null ? entries.length : lowerBound(entries, until);
+
+    if (fromSequence !== null) {
+      low = Math.max(low, lowerBound(entries, fromSequence, 'sequence'));
+    }
+    if (toSequence !== null) {
+      high = Math.min(high, lowerBound(entries, toSequence + 1, 'sequence'));
+    }
+
+    if (afterId !== null) {
+      if (positions.has(afterId)) {
+        low = Math.max(low, positions.get(afterId) - base + 1);
+      } else if (!position) {
+        // While resuming, an expired after_id no longer excludes anything
+        throw new Error(`Unknown event: ${afterId}`);
+      }
+    }
+
+    if (position) {
+      // Resume next to the last event of the previous page; if it has since
+      // expired, fall back to its time (only older events expire)
+      const resumeAt = positions.has(position.id)
+        ? positions.get(position.id) - base
+        : lowerBound(entries, position.time) - (order === 'asc' ? 1 : 0);
+      if (order === 'asc') {
+        low = Math.max(low, resumeAt + 1);
+      } else {
+        high = Math.min(high, resumeAt);
+      }
+    }
+
+    if (high <= low) {
+      return { events: [], last: null };
+    }
+
+    // Storage reads newest first, so translate the page into an offset from the end
+    const pageLow = order === 'asc' ? low : Math.max(low, high - limit);
+    const pageHigh = order === 'asc' ? Math.min(high, low + limit) : high;
+    const events = this.storage.read(tenantId, {
+      offset: entries.length - pageHigh,
+      limit: pageHigh - pageLow,
+    });
+    if (order === 'asc') {
+      events.reverse();
+    }
+
+    const hasMore = order === 'asc' ? pageHigh < high : pageLow > low;
+    const lastEntry = entries[order === 'asc' ? pageHigh - 1 : pageLow];
+    return { events, last: hasMore ? { ...lastEntry } : null };
   }
 
   /**
@@ -75,15 +369,15 @@ class TenantService {
     if (!this.isValidTenant(tenantId)) {
       return 0;
     }
-    return this.tenantEvents.get(tenantId).length;
+    return this.storage.count(tenantId);
   }
 
   /**
-   * Gets all supported tenant IDs
+   * Gets all registered tenant IDs
    * @returns {Array} - Array of supported tenant IDs
    */
   getSupportedTenants() {
-    return [...config.supportedTenants];
+    return tenantRegistry.ids();
   }
 
   /**
@@ -94,22 +388,91 @@ class TenantService {
     if (!this.isValidTenant(tenantId)) {
       throw new Error(`Invalid tenant: ${tenantId}`);
     }
-    this.tenantEvents.set(tenantId, []);
+    this.storage.clear(tenantId);
+    this.pendingExpired.delete(tenantId);
+    this.eventIndexes.delete(tenantId);
+    this.sequences.delete(tenantId);
+  }
+
+  /**
+   * Resolves the retention policy for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Object} - Policy with maxCount, maxAgeMs and maxBytes (null = unlimited)
+   */
+  getRetentionPolicy(tenantId) {
+    const { maxCount, maxAgeMs, maxBytes, tenants = {} } = config.retention;
+
+    return {
+      maxCount,
+      maxAgeMs,
+      maxBytes,
+      ...tenants[tenantId],
+      ...this.retentionOverrides.get(tenantId),
+    };
+  }
+
+  /**
+   * Overrides retention limits for a tenant at runtime
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} policy - Any of maxCount, maxAgeMs, maxBytes
+   */
+  setRetentionPolicy(tenantId, policy) {
+    if (!this.isValidTenant(tenantId)) {
+      throw new Error(`Invalid tenant: ${tenantId}`);
+    }
+
+    const current = this.retentionOverrides.get(tenantId) || {};
+    this.retentionOverrides.set(tenantId, { ...current, ...policy });
+  }
+
+  /**
+   * Applies the tenant's retention policy, removing the oldest events that exceed it
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} now - Reference time in milliseconds
+   * @returns {Array} - Ids of expired events, including those trimmed on append
+   */
+  applyRetention(tenantId, now = Date.now()) {
+    // Capture the sequence before its newest event could expire
+    this.getLastSequence(tenantId);
+
+    const { maxCount, maxAgeMs, maxBytes } = this.getRetentionPolicy(tenantId);
+    const events = this.storage.read(tenantId);
+    let keep = 0;
+    let bytes = 0;
+
+    // Events are newest first, so keep the longest prefix within every limit
+    for (const event of events) {
+      bytes += Buffer.byteLength(JSON.stringify(event));
+
+      if (
+        (maxCount && keep >= maxCount) ||
+        (maxAgeMs && now - Date.parse(event.timestamp) > maxAgeMs) ||
+        (maxBytes && bytes > maxBytes)
+      ) {
+        break;
+      }
+      keep++;
+    }
+
+    const expired = this.pendingExpired.get(tenantId) || [];
+    this.pendingExpired.delete(tenantId);
+
+    if (keep < events.length) {
+      const removed = this.storage.truncate(tenantId, keep);
+      this.unindexOldest(tenantId, removed.length);
+      expired.push(...removed.map((e) => e.id));
+    }
+
+    return expired;
   }
 
   /**
-   * Gets memory usage statistics
-   * @returns {Object} - Memory usage statistics
+   * Releases storage resources (flushes durable adapters)
    */
-  getMemoryStats() {
-    const stats = {};
-    for (const [tenantId, events] of this.tenantEvents) {
-      stats[tenantId] = {
-        eventCount: events.length,
-        memoryEstimate: JSON.stringify(events).length, // Rough estimate
-      };
+  close() {
+    if (typeof this.storage.close === 'function') {
+      this.storage.close();
     }
-    return stats;
   }
 }
 
@@ -0,0 +1,653 @@
+/**
+ * Webhook Service
+ * Pushes tenant events to registered HTTP endpoints. Each delivery is signed
+ * with the webhook's secret, retried with exponential backoff, and moved to
+ * the webhook's dead-letter list once its attempts are used up. Deliveries to
+ * addresses blocked by the network policy (see networkPolicy) fail. A webhook
+ * with config.webhooks.maxInFlight unsettled deliveries dead-letters new ones
+ * without attempting them. Emits 'change' with each change made to the
+ * registered webhooks and with each delivery's progress, which applyChange
+ * repeats on another node; the delivery logs and dead letters of every node
+ * thus hold the deliveries started anywhere in the cluster.
+ */
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const net = require('node:net');
+const path = require('node:path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const tenantService = require('./tenantService');
+const { matchesFilter } = require('./eventFilter');
+const { isAllowedAddress, urlHost, checkUrl, lookup } = require('./networkPolicy');
+const { AppError } = require('../middleware/errorMiddleware');
+const logger = require('../utils/logger');
+
+const SECRET_PREFIX = 'whsec_';
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Signs a delivery body. Receivers compute the HMAC-SHA256 of
+ * `${timestamp}.${body}` with the webhook secret and compare it with v1.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - Signature header value `t=<timestamp>,v1=<hex digest>`
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay before the next attempt in ms
+ */
+const retryDelay = (attempts) =>
+  Math.min(config.webhooks.retryBaseMs * 2 ** (attempts - 1), config.webhooks.retryMaxMs);
+
+/**
+ * POSTs a body without following redirects. Host names are resolved and
+ * checked by networkPolicy.lookup as the connection is made, so the address
+ * checked is the one connected to.
+ * @param {string} url - http(s) URL
+ * @param {Object} options - { headers, body, timeoutMs }
+ * @returns {Promise} - Resolves with the response status code
+ */
+const post = async (url, { headers, body, timeoutMs }) => {
+  if (net.isIP(urlHost(url))) {
+    await checkUrl(url);
+  }
+
+  return new Promise((resolve, reject) => {
+    const transport = new URL(url).protocol === 'https:' ? https : http;
+    const req = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        // A fresh connection per attempt, so every attempt is checked against the current policy
+        agent: false,
+      },
+      (res) => {
+        clearTimeout(timer);
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    }, timeoutMs);
+
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    req.end(body);
+  });
+};
+
+class WebhookService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {string|null} options.file - JSON file webhooks are persisted to
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // Map of webhookId -> webhook record { id, tenantId, url, eventTypes, secret, ... }
+    this.webhooks = new Map();
+
+    // Map of webhookId -> recent deliveries, newest first
+    this.deliveries = new Map();
+
+    // Map of webhookId -> deliveries whose attempts ran out, newest first
+    this.deadLetters = new Map();
+
+    // Map of webhookId -> Set of pending and retrying deliveries, in or out of the log
+    this.inFlight = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+        this.webhooks.set(record.id, record);
+      }
+    }
+  }
+
+  /**
+   * Registers a webhook endpoint for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} options - Webhook options
+   * @param {string} options.url - http(s) URL events are POSTed to
+   * @param {Array} options.eventTypes - Event types to deliver ('order.*' matches a prefix); all if empty
+   * @param {string} options.secret - Signing secret, generated if not given
+   * @param {string} options.description - Label to identify the webhook
+   * @returns {Object} - Webhook metadata plus the secret, which is never shown again
+   */
+  create(tenantId, { url, eventTypes, secret, description } = {}) {
+    if (!tenantService.isValidTenant(tenantId)) {
+      throw new AppError(`Tenant not found: ${tenantId}`, 404, 'TENANT_NOT_FOUND');
+    }
+
+    // Host names are checked once resolved, as each attempt connects
+    const host = urlHost(url);
+    if (net.isIP(host) && !isAllowedAddress(host)) {
+      throw new AppError(`Webhook address is not allowed: ${host}`, 400, 'WEBHOOK_URL_NOT_ALLOWED');
+    }
+
+    const record = {
+      id: uuidv4(),
+      tenantId,
+      url,
+      eventTypes: eventTypes?.length ? [...new Set(eventTypes)] : null,
+      description: description || null,
+      secret: secret || `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.commit({ op: 'put', record });
+
+    return { ...this.toPublic(record), secret: record.secret };
+  }
+
+  /**
+   * Lists a tenant's webhooks without their secrets
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Array} - Webhook metadata
+   */
+  list(tenantId) {
+    return [...this.webhooks.values()]
+      .filter((record) => record.tenantId === tenantId)
+      .map((record) => this.toPublic(record));
+  }
+
+  /**
+   * Gets a tenant's webhook without its secret
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   * @returns {Object} - Webhook metadata
+   */
+  get(tenantId, webhookId) {
+    return this.toPublic(this.getRecord(tenantId, webhookId));
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   * @returns {Object} - Stored webhook record
+   */
+  getRecord(tenantId, webhookId) {
+    const record = this.webhooks.get(webhookId);
+    if (!record || record.tenantId !== tenantId) {
+      throw new AppError(`Webhook not found: ${webhookId}`, 404, 'WEBHOOK_NOT_FOUND');
+    }
+    return record;
+  }
+
+  /**
+   * Deletes a webhook along with its delivery log; pending retries are dropped
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   */
+  remove(tenantId, webhookId) {
+    this.getRecord(tenantId, webhookId);
+    this.commit({ op: 'remove', id: webhookId });
+  }
+
+  /**
+   * Deletes every webhook of a tenant (e.g. when the tenant is deleted)
+   * @param {string} tenantId - The tenant identifier
+   */
+  removeAllForTenant(tenantId) {
+    this.commit({ op: 'removeTenant', tenantId });
+  }
+
+  /**
+   * Applies a change made on this node and announces it
+   * @param {Object} change - See applyChange
+   */
+  commit(change) {
+    this.applyChange(change);
+    this.emit('change', change);
+  }
+
+  /**
+   * Applies a change, e.g. one made on another node of the cluster
+   * @param {Object} change - { op: 'put', record }, { op: 'remove', id },
+   *   { op: 'removeTenant', tenantId } or { op: 'delivery', delivery }
+   */
+  applyChange({ op, record, id, tenantId, delivery }) {
+    if (op === 'delivery') {
+      // Deliveries are not persisted
+      this.applyDelivery(delivery);
+      return;
+    }
+
+    if (op === 'put') {
+      this.webhooks.set(record.id, record);
+    } else if (op === 'remove') {
+      this.forget(id);
+    } else if (op === 'removeTenant') {
+      for (const stored of [...this.webhooks.values()]) {
+        if (stored.tenantId === tenantId) {
+          this.forget(stored.id);
+        }
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * Announces a delivery's current state, so other nodes can list it and
+   * redeliver it once dead-lettered
+   * @param {Object} delivery - The delivery
+   */
+  shareDelivery({ timer: _timer, ...delivery }) {
+    this.emit('change', {
+      op: 'delivery',
+      delivery: { ...delivery, history: delivery.history.map((result) => ({ ...result })) },
+    });
+  }
+
+  /**
+   * Replaces the copy of a delivery started or redelivered on another node
+   * @param {Object} delivery - The delivery's current state
+   */
+  applyDelivery(delivery) {
+    const { webhookId } = delivery;
+    if (!this.webhooks.has(webhookId)) {
+      return;
+    }
+
+    const log = this.deliveries.get(webhookId) || [];
+    const index = log.findIndex((stored) => stored.id === delivery.id);
+    if (index === -1) {
+      this.logDelivery(webhookId, delivery);
+    } else {
+      log[index] = delivery;
+    }
+
+    const deadLetters = (this.deadLetters.get(webhookId) || []).filter(
+      (stored) => stored.id !== delivery.id
+    );
+    if (delivery.status === 'dead') {
+      deadLetters.unshift(delivery);
+      deadLetters.splice(config.webhooks.deadLetterSize);
+    }
+    this.deadLetters.set(webhookId, deadLetters);
+  }
+
+  /**
+   * @returns {Array} - Webhook records, secrets included, for restore on another node
+   */
+  snapshot() {
+    return [...this.webhooks.values()];
+  }
+
+  /**
+   * Replaces every webhook record, e.g. with those of another node; deliveries
+   * of webhooks that are no longer registered are dropped
+   * @param {Array} records - Webhook records
+   */
+  restore(records) {
+    const ids = new Set(records.map((record) => record.id));
+    for (const webhookId of [...this.webhooks.keys()]) {
+      if (!ids.has(webhookId)) {
+        this.forget(webhookId);
+      }
+    }
+    this.webhooks = new Map(records.map((record) => [record.id, record]));
+    this.save();
+  }
+
+  /**
+   * @param {string} webhookId - The webhook identifier
+   */
+  forget(webhookId) {
+    for (const delivery of this.inFlight.get(webhookId) || []) {
+      clearTimeout(delivery.timer);
+    }
+    this.webhooks.delete(webhookId);
+    this.deliveries.delete(webhookId);
+    this.deadLetters.delete(webhookId);
+    this.inFlight.delete(webhookId);
+  }
+
+  /**
+   * Subscribe to EventService events for automatic delivery
+   * @param {EventEmitter} source - The event service instance
+   */
+  subscribeToEventService(source) {
+    source.on('eventCreated', ({ tenantId, event, origin }) => {
+      // In a cluster the node that created the event delivers it
+      if (!origin) {
+        this.dispatch(tenantId, event);
+      }
+    });
+
+    logger.info('WEBHOOK_SERVICE', { message: 'Subscribed to EventService events' });
+  }
+
+  /**
+   * Starts a delivery of an event to each of the tenant's matching webhooks
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event object
+   */
+  dispatch(tenantId, event) {
+    for (const webhook of this.webhooks.values()) {
+      if (
+        webhook.tenantId !== tenantId ||
+        !matchesFilter(webhook.eventTypes && { type: webhook.eventTypes }, event)
+      ) {
+        continue;
+      }
+
+      const delivery = {
+        id: uuidv4(),
+        webhookId: webhook.id,
+        tenantId,
+        eventId: event.id,
+        eventType: event.type,
+        sequence: event.sequence,
+        status: 'pending', // pending | retrying | succeeded | dead
+        attempts: 0,
+        history: [], // { attempt, at, statusCode, error, durationMs } per attempt
+        nextAttemptAt: null,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        event,
+        timer: null,
+      };
+
+      this.logDelivery(webhook.id, delivery);
+
+      if (this.countInFlight(webhook.id) >= config.webhooks.maxInFlight) {
+        this.deadLetter(webhook, delivery);
+        logger.error('WEBHOOK_DEAD_LETTER', {
+          tenantId,
+          webhookId: webhook.id,
+          deliveryId: delivery.id,
+          error: 'Too many deliveries in flight',
+        });
+        continue;
+      }
+
+      this.track(webhook.id, delivery);
+      this.shareDelivery(delivery);
+      this.attempt(webhook, delivery);
+    }
+  }
+
+  /**
+   * @param {string} webhookId - The webhook identifier
+   * @returns {number} - Deliveries of the webhook not settled yet
+   */
+  countInFlight(webhookId) {
+    return this.inFlight.get(webhookId)?.size || 0;
+  }
+
+  /**
+   * Keeps an unsettled delivery reachable, so deleting its webhook stops its retries
+   * @param {string} webhookId - The webhook identifier
+   * @param {Object} delivery - The delivery
+   */
+  track(webhookId, delivery) {
+    if (!this.inFlight.has(webhookId)) {
+      this.inFlight.set(webhookId, new Set());
+    }
+    this.inFlight.get(webhookId).add(delivery);
+  }
+
+  /**
+   * @param {string} webhookId - The webhook identifier
+   * @param {Object} delivery - The settled delivery
+   */
+  untrack(webhookId, delivery) {
+    const deliveries = this.inFlight.get(webhookId);
+    deliveries?.delete(delivery);
+    if (deliveries?.size === 0) {
+      this.inFlight.delete(webhookId);
+    }
+  }
+
+  /**
+   * Adds a delivery to the front of a webhook's delivery log
+   * @param {string} webhookId - The webhook identifier
+   * @param {Object} delivery - The delivery
+   */
+  logDelivery(webhookId, delivery) {
+    if (!this.deliveries.has(webhookId)) {
+      this.deliveries.set(webhookId, []);
+    }
+    const log = this.deliveries.get(webhookId);
+    log.unshift(delivery);
+    log.splice(config.webhooks.logSize);
+  }
+
+  /**
+   * POSTs a delivery to its webhook once, then settles the outcome
+   * @param {Object} webhook - Webhook record
+   * @param {Object} delivery - The delivery
+   * @returns {Promise} - Resolves once the attempt is recorded
+   */
+  async attempt(webhook, delivery) {
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+
+    const body = JSON.stringify({
+      deliveryId: delivery.id,
+      tenantId: delivery.tenantId,
+      event: delivery.event,
+    });
+    const started = Date.now();
+    const result = {
+      attempt: delivery.attempts,
+      at: new Date(started).toISOString(),
+      statusCode: null,
+      error: null,
+      durationMs: 0,
+    };
+
+    try {
+      // A redirect is a failed delivery, not a reason to post elsewhere
+      result.statusCode = await post(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, Math.floor(started / 1000), body),
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Attempt': String(delivery.attempts),
+        },
+        body,
+        timeoutMs: config.webhooks.timeoutMs,
+      });
+      if (result.statusCode < 200 || result.statusCode >= 300) {
+        result.error = `HTTP ${result.statusCode}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    result.durationMs = Date.now() - started;
+    delivery.history.push(result);
+    this.settle(webhook, delivery, result);
+  }
+
+  /**
+   * Completes a delivery, schedules its next attempt, or dead-letters it
+   * @param {Object} webhook - Webhook record
+   * @param {Object} delivery - The delivery
+   * @param {Object} result - Outcome of the last attempt
+   */
+  settle(webhook, delivery, result) {
+    const log = logger.child({
+      tenantId: delivery.tenantId,
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      attempt: delivery.attempts,
+    });
+
+    if (!result.error) {
+      delivery.status = 'succeeded';
+      delivery.completedAt = new Date().toISOString();
+      this.untrack(webhook.id, delivery);
+      this.shareDelivery(delivery);
+      log.info('WEBHOOK_DELIVERED', { status: result.statusCode });
+      return;
+    }
+
+    // Deleted while the attempt was in flight
+    if (!this.webhooks.has(webhook.id)) {
+      this.untrack(webhook.id, delivery);
+      return;
+    }
+
+    if (delivery.attempts < config.webhooks.maxAttempts) {
+      const delay = retryDelay(delivery.attempts);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      delivery.timer = setTimeout(() => {
+        delivery.timer = null;
+        this.attempt(webhook, delivery);
+      }, delay);
+      delivery.timer.unref();
+      this.shareDelivery(delivery);
+
+      log.warn('WEBHOOK_RETRY', { error: result.error, retryInMs: delay });
+      return;
+    }
+
+    this.untrack(webhook.id, delivery);
+    this.deadLetter(webhook, delivery);
+    log.error('WEBHOOK_DEAD_LETTER', { error: result.error });
+  }
+
+  /**
+   * Moves a delivery to the front of its webhook's dead-letter list
+   * @param {Object} webhook - Webhook record
+   * @param {Object} delivery - The delivery
+   */
+  deadLetter(webhook, delivery) {
+    delivery.status = 'dead';
+    delivery.completedAt = new Date().toISOString();
+    if (!this.deadLetters.has(webhook.id)) {
+      this.deadLetters.set(webhook.id, []);
+    }
+    const deadLetters = this.deadLetters.get(webhook.id);
+    deadLetters.unshift(delivery);
+    deadLetters.splice(config.webhooks.deadLetterSize);
+    this.shareDelivery(delivery);
+  }
+
+  /**
+   * Lists a webhook's recent deliveries, newest first
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   * @param {Object} query - Query options
+   * @param {string} query.status - Only deliveries with this status
+   * @param {number} query.limit - Maximum number of deliveries
+   * @returns {Array} - Deliveries without their event payloads
+   */
+  listDeliveries(tenantId, webhookId, { status, limit = 50 } = {}) {
+    this.getRecord(tenantId, webhookId);
+
+    return (this.deliveries.get(webhookId) || [])
+      .filter((delivery) => !status || delivery.status === status)
+      .slice(0, limit)
+      .map((delivery) => this.toPublicDelivery(delivery));
+  }
+
+  /**
+   * Lists a webhook's dead-lettered deliveries, newest first
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   * @returns {Array} - Deliveries with the events they carry
+   */
+  listDeadLetters(tenantId, webhookId) {
+    this.getRecord(tenantId, webhookId);
+
+    return (this.deadLetters.get(webhookId) || []).map((delivery) => ({
+      ...this.toPublicDelivery(delivery),
+      event: delivery.event,
+    }));
+  }
+
+  /**
+   * Takes a delivery off the dead-letter list and starts a new round of
+   * attempts from this node, whichever node dead-lettered it
+   * @param {string} tenantId - The tenant identifier
+   * @param {string} webhookId - The webhook identifier
+   * @param {string} deliveryId - The delivery identifier
+   * @returns {Object} - The delivery
+   */
+  redeliver(tenantId, webhookId, deliveryId) {
+    const webhook = this.getRecord(tenantId, webhookId);
+    const deadLetters = this.deadLetters.get(webhookId) || [];
+    const index = deadLetters.findIndex((delivery) => delivery.id === deliveryId);
+    if (index === -1) {
+      throw new AppError(`Dead letter not found: ${deliveryId}`, 404, 'DEAD_LETTER_NOT_FOUND');
+    }
+    if (this.countInFlight(webhookId) >= config.webhooks.maxInFlight) {
+      throw new AppError('Too many deliveries in flight for this webhook', 429, 'WEBHOOK_BUSY');
+    }
+
+    const [delivery] = deadLetters.splice(index, 1);
+    Object.assign(delivery, { status: 'pending', attempts: 0, completedAt: null });
+    if (!(this.deliveries.get(webhookId) || []).includes(delivery)) {
+      this.logDelivery(webhookId, delivery);
+    }
+
+    logger.info('WEBHOOK_REDELIVER', { tenantId, webhookId, deliveryId });
+    this.track(webhookId, delivery);
+    this.shareDelivery(delivery);
+    this.attempt(webhook, delivery);
+
+    return this.toPublicDelivery(delivery);
+  }
+
+  /**
+   * Writes webhooks to their file, if persistence is enabled. The file holds
+   * the signing secrets, so only its owner may read it.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.snapshot(), null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * @param {Object} record - Stored webhook record
+   * @returns {Object} - Webhook metadata safe to return from the API
+   */
+  toPublic({ secret: _secret, ...metadata }) {
+    return metadata;
+  }
+
+  /**
+   * @param {Object} delivery - The delivery
+   * @returns {Object} - Delivery log entry safe to return from the API
+   */
+  toPublicDelivery({ event: _event, timer: _timer, ...delivery }) {
+    return { ...delivery, history: delivery.history.map((result) => ({ ...result })) };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService({ file: config.webhooks.storeFile });
+module.exports.WebhookService = WebhookService;
+module.exports.signPayload = signPayload;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
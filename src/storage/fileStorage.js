@@ -0,0 +1,340 @@
+/**
+ * File Storage
+ * Durable storage adapter writing tenant events to append-only NDJSON segments
+ *
+ * Layout: <directory>/<tenantId>/<segment number>.ndjson, one event per line.
+ * Reads are served from the in-memory index inherited from MemoryStorage,
+ * which is rebuilt from the segments on startup. Sealed segments are deleted
+ * once all of their events have been truncated; <tenantId>/checkpoint.json
+ * records how many events of the oldest remaining segment were truncated, so
+ * they are not read back on startup, and the highest sequence stored, so
+ * numbering does not restart once retention has removed every event.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const logger = require('../utils/logger');
+const MemoryStorage = require('./memoryStorage');
+
+const SEGMENT_EXTENSION = '.ndjson';
+const CHECKPOINT_FILE = 'checkpoint.json';
+const FSYNC_POLICIES = ['always', 'interval', 'never'];
+
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Root directory for tenant segments
+   * @param {string} options.fsync - When to fsync: 'always', 'interval' or 'never'
+   * @param {number} options.fsyncIntervalMs - Flush period for the 'interval' policy
+   * @param {number} options.maxSegmentBytes - Segment size that triggers rotation
+   */
+  constructor(options = {}) {
+    super();
+
+    this.directory = path.resolve(options.directory || 'data/events');
+    this.fsyncPolicy = options.fsync || 'always';
+    this.maxSegmentBytes = options.maxSegmentBytes || 8 * 1024 * 1024;
+
+    if (!FSYNC_POLICIES.includes(this.fsyncPolicy)) {
+      throw new Error(`Invalid fsync policy: ${this.fsyncPolicy}`);
+    }
+
+    // Map of tenantId -> { files: [{ name, count, bytes }], fd, checkpoint: { segment, skip, lastSequence } }
+    this.segments = new Map();
+    // Tenants with writes not yet fsynced (interval policy)
+    this.dirty = new Set();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.recover();
+
+    if (this.fsyncPolicy === 'interval') {
+      this.fsyncTimer = setInterval(() => this.flush(), options.fsyncIntervalMs || 1000);
+      this.fsyncTimer.unref();
+    }
+  }
+
+  /**
+   * Appends an event to the tenant's active segment, then to the index
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event object
+   */
+  append(tenantId, event) {
+    const line = `${JSON.stringify(event)}\n`;
+    const bytes = Buffer.byteLength(line);
+    const state = this.openSegment(tenantId, bytes);
+
+    fs.writeSync(state.fd, line);
+
+    const active = state.files[state.files.length - 1];
+    active.count++;
+    active.bytes += bytes;
+
+    if (this.fsyncPolicy === 'always') {
+      fs.fsyncSync(state.fd);
+    } else if (this.fsyncPolicy === 'interval') {
+      this.dirty.add(tenantId);
+    }
+
+    super.append(tenantId, event);
+  }
+
+  /**
+   * Drops a tenant's oldest events and deletes segments left holding none
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} keep - Number of newest events to keep
+   * @returns {Array} - Removed events, newest first
+   */
+  truncate(tenantId, keep) {
+    const removed = super.truncate(tenantId, keep);
+    const state = this.segments.get(tenantId);
+
+    if (removed.length > 0 && state) {
+      this.pruneSegments(tenantId, state);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Removes all events and segment files for a tenant
+   * @param {string} tenantId - The tenant identifier
+   */
+  clear(tenantId) {
+    const state = this.segments.get(tenantId);
+    if (state && state.fd !== null) {
+      fs.closeSync(state.fd);
+    }
+
+    fs.rmSync(this.tenantDirectory(tenantId), { recursive: true, force: true });
+    this.segments.delete(tenantId);
+    this.dirty.delete(tenantId);
+
+    super.clear(tenantId);
+  }
+
+  /**
+   * Fsyncs every segment with pending writes
+   */
+  flush() {
+    for (const tenantId of this.dirty) {
+      const state = this.segments.get(tenantId);
+      if (state && state.fd !== null) {
+        fs.fsyncSync(state.fd);
+      }
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Flushes pending writes and releases file handles
+   */
+  close() {
+    if (this.fsyncTimer) {
+      clearInterval(this.fsyncTimer);
+      this.fsyncTimer = null;
+    }
+
+    this.flush();
+
+    for (const state of this.segments.values()) {
+      if (state.fd !== null) {
+        fs.closeSync(state.fd);
+        state.fd = null;
+      }
+    }
+  }
+
+  /**
+   * Rebuilds the in-memory index from the segments on disk
+   */
+  recover() {
+    for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.recoverTenant(decodeURIComponent(entry.name));
+      }
+    }
+  }
+
+  /**
+   * Replays a tenant's segments in order, truncating a torn trailing line
+   * @param {string} tenantId - The tenant identifier
+   */
+  recoverTenant(tenantId) {
+    const directory = this.tenantDirectory(tenantId);
+    const names = fs
+      .readdirSync(directory)
+      .filter((name) => name.endsWith(SEGMENT_EXTENSION))
+      .sort();
+    const checkpoint = this.readCheckpoint(tenantId);
+    const files = [];
+
+    if (checkpoint) {
+      this.recordSequence(tenantId, checkpoint.lastSequence);
+    }
+
+    for (const name of names) {
+      const filePath = path.join(directory, name);
+
+      // Fully truncated, but not deleted before the process stopped
+      if (checkpoint && name < checkpoint.segment) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+      // Anything after the final newline is a partially written event
+      const torn = lines.pop();
+      let bytes = 0;
+      let count = 0;
+      let skip = checkpoint && name === checkpoint.segment ? checkpoint.skip : 0;
+
+      for (const line of lines) {
+        bytes += Buffer.byteLength(line) + 1;
+        if (!line) {
+          continue;
+        }
+
+        try {
+          const event = JSON.parse(line);
+          count++;
+          if (skip > 0) {
+            skip--;
+            this.recordSequence(tenantId, event.sequence);
+          } else {
+            super.append(tenantId, event);
+          }
+        } catch (_error) {
+          logger.error('FILE_STORAGE', { message: 'Skipping corrupt line', filePath });
+        }
+      }
+
+      if (torn) {
+        logger.warn('FILE_STORAGE', { message: 'Truncating torn write at end', filePath });
+        fs.truncateSync(filePath, bytes);
+      }
+
+      files.push({ name, count, bytes });
+    }
+
+    this.segments.set(tenantId, { files, fd: null, checkpoint });
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @returns {Object|null} - { segment, skip, lastSequence } written when truncating, or null
+   */
+  readCheckpoint(tenantId) {
+    const filePath = path.join(this.tenantDirectory(tenantId), CHECKPOINT_FILE);
+    try {
+      const { segment, skip, lastSequence = 0 } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return typeof segment === 'string' && Number.isInteger(skip) && Number.isInteger(lastSequence)
+        ? { segment, skip, lastSequence }
+        : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('FILE_STORAGE', { message: 'Ignoring unreadable checkpoint', filePath });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Records the truncated events of the oldest segment, or removes the record
+   * when the oldest segment starts with a retained event
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} state - Tenant segment state
+   * @param {Object|null} checkpoint - { segment, skip, lastSequence } or null
+   */
+  writeCheckpoint(tenantId, state, checkpoint) {
+    const filePath = path.join(this.tenantDirectory(tenantId), CHECKPOINT_FILE);
+
+    if (checkpoint) {
+      // Written aside and renamed so a crash leaves the old or the new checkpoint
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(checkpoint));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } else {
+      fs.rmSync(filePath, { force: true });
+    }
+    state.checkpoint = checkpoint;
+  }
+
+  /**
+   * Returns the tenant's writable segment, rotating it if the write would overflow it
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} incomingBytes - Size of the pending write
+   * @returns {Object} - Tenant segment state with an open descriptor
+   */
+  openSegment(tenantId, incomingBytes) {
+    if (!this.segments.has(tenantId)) {
+      this.segments.set(tenantId, { files: [], fd: null, checkpoint: null });
+    }
+
+    const state = this.segments.get(tenantId);
+    const active = state.files[state.files.length - 1];
+
+    if (!active || (active.bytes > 0 && active.bytes + incomingBytes > this.maxSegmentBytes)) {
+      if (state.fd !== null) {
+        fs.fsyncSync(state.fd);
+        fs.closeSync(state.fd);
+        state.fd = null;
+      }
+
+      const number = active ? Number.parseInt(active.name, 10) + 1 : 1;
+      state.files.push({
+        name: `${String(number).padStart(10, '0')}${SEGMENT_EXTENSION}`,
+        count: 0,
+        bytes: 0,
+      });
+    }
+
+    if (state.fd === null) {
+      const directory = this.tenantDirectory(tenantId);
+      const current = state.files[state.files.length - 1];
+      fs.mkdirSync(directory, { recursive: true });
+      state.fd = fs.openSync(path.join(directory, current.name), 'a');
+    }
+
+    return state;
+  }
+
+  /**
+   * Deletes sealed segments whose events have all fallen out of the index and
+   * checkpoints the truncated events of the oldest segment left
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} state - Tenant segment state
+   */
+  pruneSegments(tenantId, state) {
+    const retained = this.count(tenantId);
+    let total = state.files.reduce((sum, file) => sum + file.count, 0);
+
+    while (state.files.length > 1 && total - state.files[0].count >= retained) {
+      const [oldest] = state.files.splice(0, 1);
+      fs.rmSync(path.join(this.tenantDirectory(tenantId), oldest.name), { force: true });
+      total -= oldest.count;
+    }
+
+    const skip = total - retained;
+    const checkpoint =
+      skip > 0
+        ? { segment: state.files[0].name, skip, lastSequence: this.lastSequence(tenantId) }
+        : null;
+    if (
+      checkpoint?.segment !== state.checkpoint?.segment ||
+      checkpoint?.skip !== state.checkpoint?.skip ||
+      checkpoint?.lastSequence !== state.checkpoint?.lastSequence
+    ) {
+      this.writeCheckpoint(tenantId, state, checkpoint);
+    }
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @returns {string} - Directory holding the tenant's segments
+   */
+  tenantDirectory(tenantId) {
+    return path.join(this.directory, encodeURIComponent(tenantId));
+  }
+}
+
+module.exports = FileStorage;
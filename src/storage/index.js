@@ -0,0 +1,54 @@
+/**
+ * Event Storage
+ * Registry of storage adapters used by TenantService
+ *
+ * An adapter is any object implementing:
+ *   append(tenantId, event)           - store an event
+ *   read(tenantId, { offset, limit }) - return events newest first
+ *   count(tenantId)                   - number of stored events
+ *   truncate(tenantId, keep)          - drop all but the newest `keep` events, return them
+ *   clear(tenantId)                   - drop all events for the tenant
+ *   lastSequence(tenantId)            - optional, highest sequence ever appended, kept
+ *                                       across truncation (and restarts, if durable)
+ *   close()                           - optional, release resources on shutdown
+ */
+
+const MemoryStorage = require('./memoryStorage');
+const FileStorage = require('./fileStorage');
+
+const drivers = new Map([
+  ['memory', (options) => new MemoryStorage(options)],
+  ['file', (options) => new FileStorage(options)],
+]);
+
+/**
+ * Registers a storage driver factory
+ * @param {string} name - Driver name referenced from config.storage.driver
+ * @param {Function} factory - Receives config.storage and returns an adapter
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+/**
+ * Creates a storage adapter from configuration
+ * @param {Object} options - Storage configuration (config.storage)
+ * @returns {Object} - Storage adapter instance
+ */
+const createStorage = (options = {}) => {
+  const driver = options.driver || 'memory';
+  const factory = drivers.get(driver);
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createStorage,
+  registerStorageDriver,
+  MemoryStorage,
+  FileStorage,
+};
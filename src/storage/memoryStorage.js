@@ -0,0 +1,97 @@
+/**
+ * Memory Storage
+ * Default event storage adapter keeping tenant events in process memory
+ */
+
+class MemoryStorage {
+  constructor() {
+    // Map of tenantId -> events array (oldest first, so appends are O(1))
+    this.tenantEvents = new Map();
+
+    // Map of tenantId -> highest sequence appended, kept when events are truncated
+    this.lastSequences = new Map();
+  }
+
+  /**
+   * Appends an event to a tenant's stream
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} event - The event object
+   */
+  append(tenantId, event) {
+    if (!this.tenantEvents.has(tenantId)) {
+      this.tenantEvents.set(tenantId, []);
+    }
+
+    this.tenantEvents.get(tenantId).push(event);
+    this.recordSequence(tenantId, event.sequence);
+  }
+
+  /**
+   * Gets the highest sequence ever appended for a tenant, even if retention
+   * has since removed that event
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - Highest sequence, 0 if none was appended
+   */
+  lastSequence(tenantId) {
+    return this.lastSequences.get(tenantId) || 0;
+  }
+
+  /**
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} sequence - Sequence of an appended event, if it has one
+   */
+  recordSequence(tenantId, sequence) {
+    if (sequence > this.lastSequence(tenantId)) {
+      this.lastSequences.set(tenantId, sequence);
+    }
+  }
+
+  /**
+   * Reads a range of a tenant's events, newest first
+   * @param {string} tenantId - The tenant identifier
+   * @param {Object} range - Range options
+   * @param {number} range.offset - Number of newest events to skip
+   * @param {number|null} range.limit - Maximum number of events to return
+   * @returns {Array} - Copy of the requested events
+   */
+  read(tenantId, { offset = 0, limit = null } = {}) {
+    const events = this.tenantEvents.get(tenantId) || [];
+    const end = Math.max(events.length - offset, 0);
+    const start = limit ? Math.max(end - limit, 0) : 0;
+    return events.slice(start, end).reverse();
+  }
+
+  /**
+   * Counts the events stored for a tenant
+   * @param {string} tenantId - The tenant identifier
+   * @returns {number} - Number of stored events
+   */
+  count(tenantId) {
+    return this.tenantEvents.has(tenantId) ? this.tenantEvents.get(tenantId).length : 0;
+  }
+
+  /**
+   * Drops a tenant's oldest events, keeping the newest ones
+   * @param {string} tenantId - The tenant identifier
+   * @param {number} keep - Number of newest events to keep
+   * @returns {Array} - Removed events, newest first
+   */
+  truncate(tenantId, keep) {
+    const events = this.tenantEvents.get(tenantId);
+    if (!events || events.length <= keep) {
+      return [];
+    }
+    return events.splice(0, events.length - keep).reverse();
+  }
+
+  /**
+   * Removes all events for a tenant
+   * @param {string} tenantId - The tenant identifier
+   */
+  clear(tenantId) {
+    this.tenantEvents.delete(tenantId);
+    this.lastSequences.delete(tenantId);
+  }
+}
+
+module.exports = MemoryStorage;
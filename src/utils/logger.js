@@ -0,0 +1,108 @@
+/**
+ * Logger
+ * Writes one JSON object per line, filtered by config.logLevel. Each entry
+ * carries a timestamp, a level, an event name (e.g. SOCKET_CONNECT) and any
+ * fields given, such as requestId, tenantId or socketId.
+ */
+
+const config = require('../../config/config');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+/**
+ * Serializes errors, which JSON.stringify would turn into {}
+ * @param {string} _key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - Value to write
+ */
+const replacer = (_key, value) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+  return value;
+};
+
+class Logger {
+  /**
+   * @param {Object} fields - Fields added to every entry
+   */
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  /**
+   * Creates a logger adding more fields to every entry
+   * @param {Object} fields - Fields such as requestId, tenantId or socketId
+   * @returns {Logger} - Child logger
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  /**
+   * @param {string} level - Level name
+   * @returns {boolean} - True if entries of the level are written
+   */
+  isLevelEnabled(level) {
+    const threshold = LEVELS[config.logLevel] ?? LEVELS.info;
+    return LEVELS[level] <= threshold;
+  }
+
+  /**
+   * Writes an entry; errors and warnings go to stderr
+   * @param {string} level - Level name
+   * @param {string} event - What happened, e.g. TENANT_ACCESS
+   * @param {Object} fields - Entry fields; a `message` field holds free text
+   */
+  log(level, event, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      event,
+      ...this.fields,
+      ...fields,
+    };
+    const line = JSON.stringify(entry, replacer);
+
+    if (LEVELS[level] <= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  error(event, fields) {
+    this.log('error', event, fields);
+  }
+
+  warn(event, fields) {
+    this.log('warn', event, fields);
+  }
+
+  info(event, fields) {
+    this.log('info', event, fields);
+  }
+
+  debug(event, fields) {
+    this.log('debug', event, fields);
+  }
+}
+
+// Export singleton instance
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
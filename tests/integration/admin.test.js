@@ -0,0 +1,222 @@
+/**
+ * Integration tests for tenant administration endpoints
+ */
+
+const request = require('supertest');
+const { app } = require('../../src/app');
+const tenantService = require('../../src/services/tenantService');
+const consumerService = require('../../src/services/consumerService');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('Admin API Integration Tests', () => {
+  afterEach(() => {
+    // Remove tenants provisioned by the tests and restore seeded ones
+    for (const tenantId of tenantService.getSupportedTenants()) {
+      if (!['tenant_a', 'tenant_b'].includes(tenantId)) {
+        tenantService.deleteTenant(tenantId);
+      }
+    }
+    tenantService.updateTenant('tenant_a', { displayName: 'tenant_a', status: 'active' });
+  });
+
+  describe('authentication', () => {
+    test('should reject requests without admin token', async () => {
+      const response = await request(app).get('/api/admin/tenants').expect(401);
+
+      expect(response.body.code).toBe('UNAUTHENTICATED');
+    });
+
+    test('should reject requests with wrong admin token', async () => {
+      const response = await request(app)
+        .get('/api/admin/tenants')
+        .set('X-Admin-Token', 'wrong')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_ADMIN_TOKEN');
+    });
+  });
+
+  describe('GET /api/admin/tenants', () => {
+    test('should list seeded tenants', async () => {
+      const response = await request(app)
+        .get('/api/admin/tenants')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(response.body.data.count).toBe(2);
+      expect(response.body.data.tenants.map((t) => t.id)).toEqual(['tenant_a', 'tenant_b']);
+      expect(response.body.data.tenants[0]).toHaveProperty('status', 'active');
+    });
+
+    test('should get a single tenant', async () => {
+      const response = await request(app)
+        .get('/api/admin/tenants/tenant_b')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('id', 'tenant_b');
+      expect(response.body.data).toHaveProperty('createdAt');
+    });
+
+    test('should return 404 for unknown tenant', async () => {
+      const response = await request(app)
+        .get('/api/admin/tenants/tenant_x')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(404);
+
+      expect(response.body.code).toBe('TENANT_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/admin/tenants', () => {
+    test('should provision a tenant usable by the event API', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ id: 'tenant_c', displayName: 'Customer C' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        id: 'tenant_c',
+        displayName: 'Customer C',
+        status: 'active',
+      });
+
+      await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_c')
+        .send({ message: 'Hello C' })
+        .expect(201);
+
+      expect(tenantService.getEventCount('tenant_c')).toBe(1);
+    });
+
+    test('should return 409 for duplicate tenant', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ id: 'tenant_a' })
+        .expect(409);
+
+      expect(response.body.code).toBe('TENANT_EXISTS');
+    });
+
+    test('should validate tenant id format', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ id: 'Bad Tenant!' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details[0].field).toBe('id');
+    });
+  });
+
+  describe('PATCH /api/admin/tenants/:tenantId', () => {
+    test('should rename a tenant', async () => {
+      const response = await request(app)
+        .patch('/api/admin/tenants/tenant_a')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ displayName: 'Acme Corp' })
+        .expect(200);
+
+      expect(response.body.data.displayName).toBe('Acme Corp');
+    });
+
+    test('should block event API access for suspended tenants', async () => {
+      await request(app)
+        .patch('/api/admin/tenants/tenant_a')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ status: 'suspended' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(403);
+
+      expect(response.body.code).toBe('TENANT_SUSPENDED');
+    });
+
+    test('should reject invalid status', async () => {
+      await request(app)
+        .patch('/api/admin/tenants/tenant_a')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ status: 'archived' })
+        .expect(400);
+    });
+  });
+
+  describe('durable consumers', () => {
+    beforeEach(() => {
+      const session = consumerService.open('tenant_a', 'worker', {
+        send: () => {},
+        evict: () => {},
+      });
+      consumerService.advance(session, 4);
+      consumerService.close(session);
+    });
+
+    afterEach(() => {
+      consumerService.records.clear();
+    });
+
+    test('should list, get and delete consumers', async () => {
+      const list = await request(app)
+        .get('/api/admin/tenants/tenant_a/consumers')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(list.body.data.count).toBe(1);
+      expect(list.body.data.consumers[0]).toMatchObject({
+        name: 'worker',
+        position: 4,
+        connected: false,
+      });
+
+      await request(app)
+        .get('/api/admin/tenants/tenant_a/consumers/worker')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      await request(app)
+        .delete('/api/admin/tenants/tenant_a/consumers/worker')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      const missing = await request(app)
+        .get('/api/admin/tenants/tenant_a/consumers/worker')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(404);
+      expect(missing.body.code).toBe('CONSUMER_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/admin/tenants/:tenantId', () => {
+    test('should delete a tenant and its events', async () => {
+      tenantService.createTenant({ id: 'tenant_d' });
+      tenantService.addEvent('tenant_d', { id: 'e1', message: 'x' });
+
+      await request(app)
+        .delete('/api/admin/tenants/tenant_d')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(tenantService.isValidTenant('tenant_d')).toBe(false);
+      expect(tenantService.getEventCount('tenant_d')).toBe(0);
+
+      await request(app)
+        .get('/api/events')
+        .set('X-Tenant-ID', 'tenant_d')
+        .expect(400);
+    });
+
+    test('should return 404 for unknown tenant', async () => {
+      await request(app)
+        .delete('/api/admin/tenants/tenant_x')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(404);
+    });
+  });
+});
@@ -2,9 +2,13 @@
  * Integration tests for API endpoints
  */
 
+const express = require('express');
 const request = require('supertest');
 const { app } = require('../../src/app');
 const tenantService = require('../../src/services/tenantService');
+const eventService = require('../../src/services/eventService');
+const idempotencyService = require('../../src/services/idempotencyService');
+const { AppError, errorHandler } = require('../../src/middleware/errorMiddleware');
 
 describe('API Integration Tests', () => {
   beforeEach(() => {
@@ -31,6 +35,39 @@ describe('API Integration Tests', () => {
       expect(response.body.data).toHaveProperty('timestamp');
     });
 
+    test('should create structured event with type, data, metadata and tags', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({
+          type: 'order.created',
+          data: { orderId: 'o-1' },
+          metadata: { source: 'checkout' },
+          tags: ['orders'],
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        tenant_id: 'tenant_a',
+        type: 'order.created',
+        data: { orderId: 'o-1' },
+        metadata: { source: 'checkout' },
+        tags: ['orders'],
+      });
+      expect(response.body.data).not.toHaveProperty('message');
+    });
+
+    test('should return field level errors for invalid structured event', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({ message: 'hello', type: 'order created', tags: 'orders' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details.map(detail => detail.field)).toEqual(['type', 'tags']);
+    });
+
     test('should return 400 for missing tenant header', async () => {
       const eventData = { message: 'Test event message' };
       
@@ -133,6 +170,108 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('Idempotency-Key', () => {
+    afterEach(() => {
+      idempotencyService.entries.clear();
+    });
+
+    test('should replay the original event without re-emitting it', async () => {
+      const emitted = jest.fn();
+      eventService.on('eventCreated', emitted);
+
+      try {
+        const first = await request(app)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_a')
+          .set('Idempotency-Key', 'order-1')
+          .send({ message: 'Order placed' })
+          .expect(201);
+
+        const retry = await request(app)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_a')
+          .set('Idempotency-Key', 'order-1')
+          .send({ message: 'Order placed' })
+          .expect(200);
+
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.body.data).toEqual(first.body.data);
+        expect(emitted).toHaveBeenCalledTimes(1);
+        expect(tenantService.getEventCount('tenant_a')).toBe(1);
+      } finally {
+        eventService.off('eventCreated', emitted);
+      }
+    });
+
+    test('should create one event for concurrent requests with the same key', async () => {
+      const post = () =>
+        request(app)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_a')
+          .set('Idempotency-Key', 'order-concurrent')
+          .send({ message: 'Order placed' });
+
+      // Keep the first event in flight while the retries arrive
+      const publishEvent = eventService.publishEvent.bind(eventService);
+      jest.spyOn(eventService, 'publishEvent').mockImplementation(async (...args) => {
+        await global.testUtils.delay(100);
+        return publishEvent(...args);
+      });
+
+      const responses = await Promise.all([post(), post(), post()]);
+      jest.restoreAllMocks();
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 200, 201]);
+      expect(new Set(responses.map((response) => response.body.data.id)).size).toBe(1);
+      expect(tenantService.getEventCount('tenant_a')).toBe(1);
+    });
+
+    test('should scope keys to the tenant', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .set('Idempotency-Key', 'shared')
+        .send({ message: 'Hello' })
+        .expect(201);
+
+      await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_b')
+        .set('Idempotency-Key', 'shared')
+        .send({ message: 'Hello' })
+        .expect(201);
+    });
+
+    test('should return 422 when the key is reused with a different body', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .set('Idempotency-Key', 'order-2')
+        .send({ message: 'First body' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .set('Idempotency-Key', 'order-2')
+        .send({ message: 'Second body' })
+        .expect(422);
+
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_CONFLICT');
+    });
+
+    test('should reject overly long keys', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .set('Idempotency-Key', 'k'.repeat(256))
+        .send({ message: 'Hello' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    });
+  });
+
   describe('GET /api/events', () => {
     beforeEach(async () => {
       // Create test events
@@ -244,6 +383,92 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/events pagination', () => {
+    const base = Date.parse('2024-01-01T09:00:00.000Z');
+
+    beforeEach(() => {
+      for (let i = 0; i < 5; i++) {
+        tenantService.addEvent('tenant_a', {
+          id: `e${i}`,
+          tenant_id: 'tenant_a',
+          type: 'message',
+          message: `Event ${i}`,
+          timestamp: new Date(base + i * 60000).toISOString(),
+        });
+      }
+    });
+
+    test('should walk the full history with next_cursor', async () => {
+      const seen = [];
+      let cursor = null;
+
+      do {
+        const response = await request(app)
+          .get('/api/events')
+          .query(cursor ? { cursor, limit: 2 } : { order: 'asc', limit: 2 })
+          .set('X-Tenant-ID', 'tenant_a')
+          .expect(200);
+
+        seen.push(...response.body.data.events.map(e => e.id));
+        cursor = response.body.data.next_cursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['e0', 'e1', 'e2', 'e3', 'e4']);
+    });
+
+    test('should filter by since and until', async () => {
+      const response = await request(app)
+        .get('/api/events')
+        .query({ since: '2024-01-01T09:01:00Z', until: String(base + 3 * 60000) })
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(200);
+
+      expect(response.body.data.events.map(e => e.id)).toEqual(['e2', 'e1']);
+      expect(response.body.data.next_cursor).toBeNull();
+    });
+
+    test('should return events after a given id', async () => {
+      const response = await request(app)
+        .get('/api/events')
+        .query({ after_id: 'e2' })
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(200);
+
+      expect(response.body.data.events.map(e => e.id)).toEqual(['e4', 'e3']);
+    });
+
+    test('should filter by sequence range', async () => {
+      tenantService.clearTenantEvents('tenant_a');
+      for (let i = 1; i <= 5; i++) {
+        eventService.createEvent('tenant_a', `Event ${i}`);
+      }
+
+      const response = await request(app)
+        .get('/api/events')
+        .query({ from_sequence: 2, to_sequence: 4, order: 'asc' })
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(200);
+
+      expect(response.body.data.events.map(e => e.sequence)).toEqual([2, 3, 4]);
+    });
+
+    test.each([
+      [{ order: 'sideways' }, 'INVALID_ORDER'],
+      [{ from_sequence: '-1' }, 'INVALID_SEQUENCE_RANGE'],
+      [{ since: 'yesterday' }, 'INVALID_TIME_RANGE'],
+      [{ cursor: 'not-a-cursor' }, 'INVALID_CURSOR'],
+      [{ after_id: 'missing' }, 'UNKNOWN_EVENT_ID'],
+    ])('should reject %j', async (query, code) => {
+      const response = await request(app)
+        .get('/api/events')
+        .query(query)
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(400);
+
+      expect(response.body.code).toBe(code);
+    });
+  });
+
   describe('GET /api/events/stats', () => {
     beforeEach(async () => {
       // Create test events
@@ -266,6 +491,7 @@ describe('API Integration Tests', () => {
     test('should return event statistics', async () => {
       const response = await request(app)
         .get('/api/events/stats')
+        .set('X-Admin-Token', 'test-admin-token')
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -278,8 +504,25 @@ describe('API Integration Tests', () => {
     test('should not require tenant header for stats', async () => {
       await request(app)
         .get('/api/events/stats')
+        .set('X-Admin-Token', 'test-admin-token')
         .expect(200);
     });
+
+    test('should require authentication for stats', async () => {
+      const response = await request(app)
+        .get('/api/events/stats')
+        .expect(401);
+
+      expect(response.body.code).toBe('UNAUTHENTICATED');
+    });
+
+    test('should not expose per-tenant counts in health check', async () => {
+      const response = await request(app)
+        .get('/api/health')
+        .expect(200);
+
+      expect(response.body.eventStats).toEqual({ totalEvents: 3 });
+    });
   });
 
   describe('GET /api/health', () => {
@@ -357,5 +600,20 @@ describe('API Integration Tests', () => {
 
       // This test verifies body size limits are enforced
     });
+
+    test('should keep the status and code of application errors', async () => {
+      const errorApp = express();
+      errorApp.get('/status', () => {
+        throw new AppError('Invalid tenant status: archived', 400, 'INVALID_TENANT_STATUS');
+      });
+      errorApp.use(errorHandler);
+
+      const response = await request(errorApp).get('/status').expect(400);
+
+      expect(response.body).toMatchObject({
+        error: 'Invalid tenant status: archived',
+        code: 'INVALID_TENANT_STATUS',
+      });
+    });
   });
 });
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for per-tenant API keys
+ */
+
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+const apiKeyService = require('../../src/services/apiKeyService');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('API Key Integration Tests', () => {
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+    apiKeyService.keys.clear();
+  });
+
+  describe('key management', () => {
+    test('should issue a key once and store only its hash', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants/tenant_a/api-keys')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ name: 'dashboard' })
+        .expect(201);
+
+      const { key, id, prefix } = response.body.data;
+      expect(key).toMatch(/^evk_/);
+      expect(key.startsWith(prefix)).toBe(true);
+      expect(response.body.data).not.toHaveProperty('hash');
+
+      const stored = [...apiKeyService.keys.values()][0];
+      expect(stored.hash).not.toBe(key);
+      expect(JSON.stringify(stored)).not.toContain(key);
+
+      const list = await request(app)
+        .get('/api/admin/tenants/tenant_a/api-keys')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(list.body.data.count).toBe(1);
+      expect(list.body.data.keys[0]).toMatchObject({ id, name: 'dashboard', tenantId: 'tenant_a' });
+      expect(list.body.data.keys[0]).not.toHaveProperty('key');
+      expect(list.body.data.keys[0]).not.toHaveProperty('hash');
+    });
+
+    test('should return 404 when issuing keys for unknown tenants', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants/tenant_x/api-keys')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({})
+        .expect(404);
+
+      expect(response.body.code).toBe('TENANT_NOT_FOUND');
+    });
+
+    test('should revoke keys', async () => {
+      const { id, key } = apiKeyService.create('tenant_a', { name: 'ci' });
+
+      await request(app)
+        .delete(`/api/admin/tenants/tenant_a/api-keys/${id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(apiKeyService.authenticate(key)).toBeNull();
+
+      const response = await request(app)
+        .delete(`/api/admin/tenants/tenant_a/api-keys/${id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(404);
+
+      expect(response.body.code).toBe('API_KEY_NOT_FOUND');
+    });
+  });
+
+  describe('apiKey auth mode', () => {
+    let keyA;
+
+    beforeEach(() => {
+      config.auth.mode = 'apiKey';
+      keyA = apiKeyService.create('tenant_a').key;
+    });
+
+    test('should require an API key', async () => {
+      const response = await request(app)
+        .get('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(401);
+
+      expect(response.body.code).toBe('MISSING_API_KEY');
+    });
+
+    test('should reject unknown API keys', async () => {
+      const response = await request(app)
+        .get('/api/events')
+        .set('X-API-Key', 'evk_not-a-real-key')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_API_KEY');
+    });
+
+    test('should derive the tenant from the key', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-API-Key', keyA)
+        .send({ message: 'Keyed event' })
+        .expect(201);
+
+      expect(response.body.data.tenant_id).toBe('tenant_a');
+    });
+
+    test('should reject a tenant header that disagrees with the key', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-API-Key', keyA)
+        .set('X-Tenant-ID', 'tenant_b')
+        .send({ message: 'Cross-tenant attempt' })
+        .expect(403);
+
+      expect(response.body.code).toBe('TENANT_MISMATCH');
+      expect(tenantService.getEventCount('tenant_b')).toBe(0);
+    });
+
+    test('should revoke keys when their tenant is deleted', async () => {
+      tenantService.createTenant({ id: 'tenant_k' });
+      const { key } = apiKeyService.create('tenant_k');
+
+      await request(app)
+        .delete('/api/admin/tenants/tenant_k')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(apiKeyService.authenticate(key)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Integration tests for cluster mode: the Socket.io bus adapter, and
+ * application processes sharing events and admin changes over the IPC bus
+ */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { Server } = require('socket.io');
+const Client = require('socket.io-client');
+const request = require('supertest');
+const { LocalBus, createBusAdapter } = require('../../src/bus');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * Resolves with the next occurrence of a client event
+ * @param {Object} socket - Socket.io client
+ * @param {string} event - Event name
+ * @returns {Promise} - Resolves with the event payload
+ */
+const next = (socket, event) => new Promise((resolve) => socket.once(event, resolve));
+
+/**
+ * Retries an assertion until it passes or the time runs out
+ * @param {Function} assertion - Async function that throws while unmet
+ * @param {number} timeoutMs - Time to keep trying
+ */
+const eventually = async (assertion, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await assertion();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await global.testUtils.delay(50);
+    }
+  }
+};
+
+describe('Cluster Integration Tests', () => {
+  describe('Socket.io bus adapter', () => {
+    const hub = new Set();
+    const nodes = [];
+    let client;
+
+    beforeAll(async () => {
+      for (let i = 0; i < 2; i++) {
+        const server = http.createServer();
+        const io = new Server(server, {
+          adapter: createBusAdapter(new LocalBus({ hub }), {
+            heartbeatInterval: 100,
+            heartbeatTimeout: 500,
+          }),
+        });
+        io.on('connection', (socket) => socket.join('tenant_a'));
+        await new Promise((resolve) => server.listen(0, resolve));
+        nodes.push({ server, io, port: server.address().port });
+      }
+    });
+
+    afterAll(async () => {
+      for (const { io } of nodes) {
+        await new Promise((resolve) => io.close(resolve));
+      }
+    });
+
+    beforeEach(async () => {
+      client = new Client(`http://localhost:${nodes[1].port}`, { transports: ['websocket'] });
+      await next(client, 'connect');
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    test('should deliver room broadcasts to sockets of other nodes', async () => {
+      const received = next(client, 'system_message');
+      nodes[0].io.to('tenant_a').emit('system_message', { message: 'Maintenance' });
+
+      expect(await received).toEqual({ message: 'Maintenance' });
+    });
+
+    test('should fetch and disconnect sockets of other nodes', async () => {
+      const sockets = await eventually(async () => {
+        const found = await nodes[0].io.in('tenant_a').fetchSockets();
+        expect(found).toHaveLength(1);
+        return found;
+      });
+      expect(sockets[0].id).toBe(client.id);
+
+      const disconnected = next(client, 'disconnect');
+      nodes[0].io.in('tenant_a').disconnectSockets(true);
+
+      expect(await disconnected).toBe('io server disconnect');
+    });
+  });
+
+  describe('Multiple processes', () => {
+    let dir;
+    const nodes = [];
+    let client;
+
+    /**
+     * @returns {Promise} - Resolves with a free TCP port
+     */
+    const freePort = () =>
+      new Promise((resolve) => {
+        const probe = net.createServer().listen(0, () => {
+          const { port } = probe.address();
+          probe.close(() => resolve(port));
+        });
+      });
+
+    /**
+     * Starts the application in a child process that joins the cluster
+     * @param {string} nodeId - Cluster node id
+     * @param {boolean} hub - Host the IPC hub
+     * @returns {Promise} - Resolves with { child, url } once it answers health checks
+     */
+    const startNode = async (nodeId, hub) => {
+      const port = await freePort();
+      const child = spawn(process.execPath, [path.join(__dirname, '../../src/app.js')], {
+        env: {
+          ...process.env,
+          NODE_ENV: 'test',
+          PORT: String(port),
+          CLUSTER_ENABLED: 'true',
+          CLUSTER_BUS: 'ipc',
+          CLUSTER_HUB: String(hub),
+          CLUSTER_NODE_ID: nodeId,
+          CLUSTER_SOCKET_PATH: path.join(dir, 'cluster.sock'),
+        },
+        stdio: 'ignore',
+      });
+      const node = { child, url: `http://localhost:${port}` };
+      nodes.push(node);
+
+      await eventually(() => request(node.url).get('/api/health').expect(200), 8000);
+      return node;
+    };
+
+    beforeAll(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-'));
+      await startNode('node-a', true);
+      await startNode('node-b', false);
+    }, 20000);
+
+    afterAll(async () => {
+      for (const { child } of nodes) {
+        if (child.exitCode === null) {
+          const exited = new Promise((resolve) => child.once('exit', resolve));
+          child.kill('SIGTERM');
+          await exited;
+        }
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+      client = new Client(nodes[1].url, {
+        query: { tenant: 'tenant_a' },
+        transports: ['websocket'],
+      });
+      await next(client, 'connection_established');
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    test('should deliver events posted to one node to sockets on another', async () => {
+      const received = next(client, 'event_created');
+
+      const response = await request(nodes[0].url)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({ message: 'Posted to node A' })
+        .expect(201);
+
+      const { event } = await received;
+      expect(event).toMatchObject({ id: response.body.data.id, message: 'Posted to node A' });
+
+      // Node B stored its own copy
+      const stored = await request(nodes[1].url)
+        .get('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .expect(200);
+      expect(stored.body.data.events.map((e) => e.id)).toContain(event.id);
+    });
+
+    test('should give events posted to different nodes distinct sequences', async () => {
+      const post = (node, message) =>
+        request(node.url)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_b')
+          .send({ message })
+          .expect(201);
+
+      const responses = await Promise.all(
+        [0, 1, 0, 1, 0, 1].map((index, i) => post(nodes[index], `Concurrent ${i}`))
+      );
+      const sequences = responses.map((response) => response.body.data.sequence);
+      expect(new Set(sequences).size).toBe(sequences.length);
+
+      // Both nodes stored the events in the same order
+      await eventually(async () => {
+        const [atA, atB] = await Promise.all(
+          nodes.map((node) =>
+            request(node.url).get('/api/events?limit=6').set('X-Tenant-ID', 'tenant_b').expect(200)
+          )
+        );
+        const order = (response) => response.body.data.events.map((event) => event.sequence);
+        expect(order(atA)).toEqual([...sequences].sort((a, b) => b - a));
+        expect(order(atB)).toEqual(order(atA));
+      });
+    });
+
+    test('should add up connection stats across nodes', async () => {
+      await eventually(async () => {
+        const response = await request(nodes[0].url)
+          .get('/api/events/stats')
+          .set('X-Admin-Token', ADMIN_TOKEN)
+          .expect(200);
+
+        expect(response.body.data.connections).toMatchObject({
+          totalConnections: 1,
+          tenantConnections: { tenant_a: 1 },
+          nodes: expect.arrayContaining([
+            { nodeId: 'node-a', totalConnections: 0 },
+            { nodeId: 'node-b', totalConnections: 1 },
+          ]),
+        });
+      });
+    });
+
+    test('should share admin changes with every node, including ones that join later', async () => {
+      const admin = (node, method, url) =>
+        request(node.url)[method](`/api/admin/tenants${url}`).set('X-Admin-Token', ADMIN_TOKEN);
+
+      await admin(nodes[0], 'post', '').send({ id: 'tenant_shared' }).expect(201);
+      const created = await admin(nodes[0], 'post', '/tenant_shared/api-keys')
+        .send({ name: 'shared' })
+        .expect(201);
+
+      const expectShared = async (node) => {
+        const keys = await admin(node, 'get', '/tenant_shared/api-keys').expect(200);
+        expect(keys.body.data.keys.map((key) => key.id)).toEqual([created.body.data.id]);
+        await request(node.url)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_shared')
+          .send({ message: 'Shared' })
+          .expect(201);
+      };
+
+      await eventually(() => expectShared(nodes[1]));
+
+      const late = await startNode('node-c', false);
+      await eventually(() => expectShared(late));
+
+      await admin(nodes[1], 'delete', '/tenant_shared').expect(200);
+      await eventually(async () => {
+        await admin(nodes[0], 'get', '/tenant_shared').expect(404);
+        await admin(late, 'get', '/tenant_shared').expect(404);
+      });
+    }, 20000);
+
+    test('should disconnect sockets of a suspended tenant on every node', async () => {
+      const message = next(client, 'system_message');
+      const disconnected = next(client, 'disconnect');
+
+      await request(nodes[0].url)
+        .patch('/api/admin/tenants/tenant_a')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ status: 'suspended' })
+        .expect(200);
+
+      expect(await message).toMatchObject({ message: 'Tenant suspended' });
+      expect(await disconnected).toBe('io server disconnect');
+    });
+  });
+});
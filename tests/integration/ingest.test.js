@@ -0,0 +1,330 @@
+/**
+ * Integration tests for inbound ingestion from tenant-configured sources
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+const eventService = require('../../src/services/eventService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const ingestService = require('../../src/services/ingestService');
+const { IngestService } = require('../../src/services/ingestService');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// A CI system's build notification, in its own format
+const buildPayload = {
+  build: { id: 42, status: 'failed', url: 'https://ci.example.com/42' },
+  repository: { name: 'api' },
+  durationSec: 93,
+};
+
+const buildMapping = {
+  type: 'ci.build.{{build.status}}',
+  message: 'Build {{build.id}} of {{repository.name}} {{build.status}}',
+  data: { buildId: '{{build.id}}', url: '{{build.url}}' },
+  tags: ['ci', '{{repository.name}}'],
+};
+
+/**
+ * @param {string} secret - Source secret
+ * @param {string} body - Raw request body
+ * @returns {string} - GitHub-style signature header value
+ */
+const sign = (secret, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('Ingest Integration Tests', () => {
+  const createSource = (body, tenantId = 'tenant_a') =>
+    request(app)
+      .post(`/api/admin/tenants/${tenantId}/sources`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send(body);
+
+  /**
+   * Posts a raw body to a source, signed unless a signature is given
+   * @param {Object} source - Source as returned on creation
+   * @param {string} body - Raw request body
+   * @param {Object} headers - Extra headers
+   * @returns {Object} - supertest request
+   */
+  const ingest = (source, body, headers = {}) =>
+    request(app)
+      .post(`/api/ingest/${source.id}`)
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', sign(source.verification.secret, body))
+      .set(headers)
+      .send(body);
+
+  let source;
+
+  beforeEach(async () => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+
+    const response = await createSource({
+      name: 'CI',
+      verification: { header: 'X-Hub-Signature-256', prefix: 'sha256=' },
+      mapping: buildMapping,
+      idempotencyHeader: 'X-Delivery-Id',
+    }).expect(201);
+    source = response.body.data;
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+    apiKeyService.keys.clear();
+    ingestService.removeAllForTenant('tenant_a');
+    ingestService.removeAllForTenant('tenant_b');
+    tenantService.updateTenant('tenant_a', { status: 'active' });
+  });
+
+  describe('POST /api/ingest/:sourceId', () => {
+    test('should turn signed payloads into events of the source tenant', async () => {
+      const response = await ingest(source, JSON.stringify(buildPayload)).expect(201);
+
+      expect(response.body.data).toMatchObject({
+        tenant_id: 'tenant_a',
+        type: 'ci.build.failed',
+        message: 'Build 42 of api failed',
+        data: { buildId: 42, url: 'https://ci.example.com/42' },
+        tags: ['ci', 'api'],
+      });
+      expect(tenantService.getEvents('tenant_a', 10)).toEqual([response.body.data]);
+      expect(tenantService.getEventCount('tenant_b')).toBe(0);
+    });
+
+    test('should verify the signature over the body as sent', async () => {
+      // Same JSON value, different bytes than were signed
+      const body = JSON.stringify(buildPayload);
+      const response = await request(app)
+        .post(`/api/ingest/${source.id}`)
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(source.verification.secret, body))
+        .send(JSON.stringify(buildPayload, null, 2))
+        .expect(401);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+
+      const forged = await ingest(source, body, {
+        'X-Hub-Signature-256': sign('not-the-secret', body),
+      }).expect(401);
+      expect(forged.body.code).toBe('INVALID_SIGNATURE');
+
+      const unsigned = await request(app)
+        .post(`/api/ingest/${source.id}`)
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(401);
+      expect(unsigned.body.code).toBe('MISSING_SIGNATURE');
+
+      expect(tenantService.getEventCount('tenant_a')).toBe(0);
+    });
+
+    test('should accept shared tokens', async () => {
+      const { body } = await createSource({
+        verification: { scheme: 'token', header: 'X-Gitlab-Token', secret: 'a-shared-token-value' },
+        mapping: { message: '{{object_attributes.title}}' },
+      }).expect(201);
+
+      await request(app)
+        .post(`/api/ingest/${body.data.id}`)
+        .set('X-Gitlab-Token', 'a-shared-token-value')
+        .send({ object_attributes: { title: 'Merge request opened' } })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/ingest/${body.data.id}`)
+        .set('X-Gitlab-Token', 'a-wrong-token-value!')
+        .send({ object_attributes: { title: 'Merge request opened' } })
+        .expect(401);
+
+      expect(tenantService.getEvents('tenant_a', 10).map((e) => e.message)).toEqual([
+        'Merge request opened',
+      ]);
+    });
+
+    test('should replay retried deliveries', async () => {
+      const body = JSON.stringify(buildPayload);
+      const first = await ingest(source, body, { 'X-Delivery-Id': 'delivery-1' }).expect(201);
+      const retry = await ingest(source, body, { 'X-Delivery-Id': 'delivery-1' }).expect(200);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.id).toBe(first.body.data.id);
+      expect(tenantService.getEventCount('tenant_a')).toBe(1);
+
+      await ingest(source, body, { 'X-Delivery-Id': 'delivery-2' }).expect(201);
+      expect(tenantService.getEventCount('tenant_a')).toBe(2);
+    });
+
+    test('should create one event for concurrent deliveries with the same id', async () => {
+      const body = JSON.stringify(buildPayload);
+
+      // Keep the first event in flight while the retries arrive
+      const publishEvent = eventService.publishEvent.bind(eventService);
+      jest.spyOn(eventService, 'publishEvent').mockImplementation(async (...args) => {
+        await global.testUtils.delay(100);
+        return publishEvent(...args);
+      });
+
+      const responses = await Promise.all(
+        [1, 2, 3].map(() => ingest(source, body, { 'X-Delivery-Id': 'delivery-concurrent' }))
+      );
+      jest.restoreAllMocks();
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 200, 201]);
+      expect(new Set(responses.map((response) => response.body.data.id)).size).toBe(1);
+      expect(tenantService.getEventCount('tenant_a')).toBe(1);
+    });
+
+    test('should reject payloads the mapping cannot turn into a valid event', async () => {
+      const payload = { build: { id: 1, status: 'needs review!' } };
+      const response = await ingest(source, JSON.stringify(payload)).expect(422);
+
+      expect(response.body.code).toBe('INVALID_MAPPED_EVENT');
+      expect(response.body.details).toEqual(
+        expect.arrayContaining([expect.objectContaining({ field: 'type' })])
+      );
+      expect(tenantService.getEventCount('tenant_a')).toBe(0);
+    });
+
+    test('should reject unknown sources, other media types and suspended tenants', async () => {
+      const missing = await ingest({ ...source, id: crypto.randomUUID() }, '{}').expect(404);
+      expect(missing.body.code).toBe('SOURCE_NOT_FOUND');
+
+      await request(app)
+        .post(`/api/ingest/${source.id}`)
+        .set('Content-Type', 'text/plain')
+        .send('build failed')
+        .expect(415);
+
+      tenantService.updateTenant('tenant_a', { status: 'suspended' });
+      const suspended = await ingest(source, JSON.stringify(buildPayload)).expect(403);
+      expect(suspended.body.code).toBe('TENANT_SUSPENDED');
+    });
+  });
+
+  describe('source management', () => {
+    test('should reveal the secret only on creation', async () => {
+      expect(source.verification).toMatchObject({
+        scheme: 'hmac-sha256',
+        header: 'x-hub-signature-256',
+        prefix: 'sha256=',
+        encoding: 'hex',
+        secret: expect.stringMatching(/^ingsec_/),
+      });
+
+      const list = await request(app)
+        .get('/api/admin/tenants/tenant_a/sources')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(list.body.data.count).toBe(1);
+      expect(list.body.data.sources[0].verification).not.toHaveProperty('secret');
+
+      const single = await request(app)
+        .get(`/api/admin/tenants/tenant_a/sources/${source.id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(single.body.data).toMatchObject({ id: source.id, name: 'CI', mapping: buildMapping });
+      expect(single.body.data.verification).not.toHaveProperty('secret');
+    });
+
+    test('should update mappings and delete sources', async () => {
+      const updated = await request(app)
+        .patch(`/api/admin/tenants/tenant_a/sources/${source.id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ mapping: { type: 'ci.build', data: '{{build}}' }, idempotencyHeader: null })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ idempotencyHeader: null, name: 'CI' });
+
+      const event = await ingest(source, JSON.stringify(buildPayload)).expect(201);
+      expect(event.body.data).toMatchObject({ type: 'ci.build', data: buildPayload.build });
+
+      await request(app)
+        .delete(`/api/admin/tenants/tenant_a/sources/${source.id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      await ingest(source, JSON.stringify(buildPayload)).expect(404);
+    });
+
+    test('should validate source registrations', async () => {
+      const response = await createSource({
+        verification: { scheme: 'md5', encoding: 'binary', secret: 'short' },
+        mapping: { data: '{{.}}' },
+        idempotencyHeader: 'not a header',
+      }).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details.map((detail) => detail.field)).toEqual(
+        expect.arrayContaining([
+          'verification.scheme',
+          'verification.encoding',
+          'verification.secret',
+          'mapping',
+          'idempotencyHeader',
+        ])
+      );
+
+      const unknownTenant = await createSource({ mapping: buildMapping }, 'tenant_x').expect(404);
+      expect(unknownTenant.body.code).toBe('TENANT_NOT_FOUND');
+
+      await request(app)
+        .patch(`/api/admin/tenants/tenant_a/sources/${source.id}`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .send({ mapping: { channel: 'ci' } })
+        .expect(400);
+    });
+
+    test('should reject deeply nested mappings', async () => {
+      const depth = 10000;
+      const data = `${'{"data":'.repeat(depth)}1${'}'.repeat(depth)}`;
+
+      const response = await request(app)
+        .post('/api/admin/tenants/tenant_a/sources')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .set('Content-Type', 'application/json')
+        .send(`{"mapping":{"type":"ci.build","data":${data}}}`)
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'mapping', message: 'Mapping cannot be nested more than 5 levels deep' },
+      ]);
+    });
+
+    test('should let tenant admins manage only their own sources', async () => {
+      config.auth.mode = 'apiKey';
+      const { key } = apiKeyService.create('tenant_b', { roles: ['tenant-admin'] });
+
+      await request(app)
+        .post('/api/admin/tenants/tenant_b/sources')
+        .set('X-API-Key', key)
+        .send({ mapping: buildMapping })
+        .expect(201);
+
+      await request(app)
+        .get(`/api/admin/tenants/tenant_a/sources/${source.id}`)
+        .set('X-API-Key', key)
+        .expect(403);
+    });
+
+    test('should persist sources to a file only its owner can read', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+      const file = path.join(dir, 'sources.json');
+
+      try {
+        const first = new IngestService({ file });
+        const { id } = first.create('tenant_a', { mapping: buildMapping });
+
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+        expect(new IngestService({ file }).get('tenant_a', id).mapping).toEqual(buildMapping);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
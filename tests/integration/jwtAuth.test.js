@@ -0,0 +1,109 @@
+/**
+ * Integration tests for JWT bearer authentication
+ */
+
+const crypto = require('node:crypto');
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+
+const signToken = (payload) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp, ...payload })}`;
+  const signature = crypto
+    .createHmac('sha256', config.auth.jwt.secret)
+    .update(input)
+    .digest('base64url');
+  return `${input}.${signature}`;
+};
+
+describe('JWT Auth Integration Tests', () => {
+  beforeEach(() => {
+    config.auth.mode = 'jwt';
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+  });
+
+  test('should require a bearer token', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .set('X-Tenant-ID', 'tenant_a')
+      .expect(401);
+
+    expect(response.body.code).toBe('MISSING_TOKEN');
+  });
+
+  test('should reject invalid tokens', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .set('Authorization', 'Bearer not.a.token')
+      .expect(401);
+
+    expect(response.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('should reject tokens whose header is not a JSON object', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .set('Authorization', 'Bearer bnVsbA.e30.c2ln')
+      .expect(401);
+
+    expect(response.body).toMatchObject({
+      error: 'Invalid token: malformed',
+      code: 'INVALID_TOKEN',
+    });
+  });
+
+  test('should reject tokens without a tenant claim', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .set('Authorization', `Bearer ${signToken({ sub: 'user-1' })}`)
+      .expect(401);
+
+    expect(response.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('should take the tenant from the token', async () => {
+    const response = await request(app)
+      .post('/api/events')
+      .set('Authorization', `Bearer ${signToken({ tenant_id: 'tenant_b', roles: ['publisher'] })}`)
+      .send({ message: 'From JWT' })
+      .expect(201);
+
+    expect(response.body.data.tenant_id).toBe('tenant_b');
+  });
+
+  test('should let platform admins choose the tenant with X-Tenant-ID', async () => {
+    const token = signToken({ sub: 'ops', roles: ['platform-admin'] });
+
+    const response = await request(app)
+      .get('/api/events')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Tenant-ID', 'tenant_b')
+      .expect(200);
+
+    expect(response.body.data.tenant).toBe('tenant_b');
+  });
+
+  test('should reject a tenant claim that disagrees with X-Tenant-ID', async () => {
+    const response = await request(app)
+      .post('/api/events')
+      .set('Authorization', `Bearer ${signToken({ tenant_id: 'tenant_a' })}`)
+      .set('X-Tenant-ID', 'tenant_b')
+      .send({ message: 'Cross-tenant attempt' })
+      .expect(403);
+
+    expect(response.body).toMatchObject({
+      error: 'Tenant claim does not match the requested tenant',
+      code: 'TENANT_CLAIM_MISMATCH',
+    });
+    expect(tenantService.getEventCount('tenant_b')).toBe(0);
+  });
+});
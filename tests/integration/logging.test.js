@@ -0,0 +1,143 @@
+/**
+ * Integration tests for request ids and structured request logs
+ */
+
+const request = require('supertest');
+const Client = require('socket.io-client');
+const { app, server } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+
+describe('Logging Integration Tests', () => {
+  const originalLevel = config.logLevel;
+  let port;
+  let client;
+
+  /**
+   * @param {string} event - Event name to look for
+   * @returns {Array} - Entries with that event written to stdout and stderr
+   */
+  const logged = (event) =>
+    [...console.log.mock.calls, ...console.error.mock.calls]
+      .map(([line]) => JSON.parse(line))
+      .filter((entry) => entry.event === event);
+
+  beforeAll((done) => {
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+    config.logLevel = 'info';
+  });
+
+  afterEach(() => {
+    config.logLevel = originalLevel;
+    if (client) {
+      client.disconnect();
+      client = null;
+    }
+  });
+
+  test('should give each request an id and log it with the tenant', async () => {
+    const response = await request(app)
+      .post('/api/events')
+      .set('X-Tenant-Id', 'tenant_a')
+      .send({ message: 'Logged' })
+      .expect(201);
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    expect(logged('TENANT_ACCESS')).toEqual([
+      expect.objectContaining({ level: 'info', requestId, tenantId: 'tenant_a', path: '/events' }),
+    ]);
+    expect(logged('EVENT_CREATED')).toEqual([
+      expect.objectContaining({ requestId, tenantId: 'tenant_a', eventId: response.body.data.id }),
+    ]);
+    expect(logged('HTTP')).toEqual([
+      expect.objectContaining({
+        requestId,
+        tenantId: 'tenant_a',
+        method: 'POST',
+        path: '/api/events',
+        status: 201,
+        durationMs: expect.any(Number),
+      }),
+    ]);
+  });
+
+  test('should keep request ids passed in by a proxy', async () => {
+    const response = await request(app)
+      .get('/api/health')
+      .set('X-Request-Id', 'lb-7f3a.42')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('lb-7f3a.42');
+    expect(logged('HTTP')[0].requestId).toBe('lb-7f3a.42');
+
+    const replaced = await request(app)
+      .get('/api/health')
+      .set('X-Request-Id', 'not oké')
+      .expect(200);
+    expect(replaced.headers['x-request-id']).not.toBe('not oké');
+  });
+
+  test('should log client errors as warnings with the request id', async () => {
+    const response = await request(app)
+      .get('/api/events')
+      .set('X-Tenant-Id', 'tenant_a')
+      .query({ after_id: 'no-such-event' })
+      .expect(400);
+
+    expect(logged('ERROR')).toEqual([
+      expect.objectContaining({
+        level: 'warn',
+        requestId: response.headers['x-request-id'],
+        tenantId: 'tenant_a',
+        status: 400,
+        code: 'UNKNOWN_EVENT_ID',
+      }),
+    ]);
+  });
+
+  test('should honour config.logLevel', async () => {
+    config.logLevel = 'warn';
+
+    await request(app).get('/api/events').set('X-Tenant-Id', 'tenant_a').expect(200);
+
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('should log socket connections with the tenant and socket id', async () => {
+    client = new Client(`http://localhost:${port}`, { query: { tenant: 'tenant_b' } });
+    await new Promise((resolve, reject) => {
+      client.on('connection_established', resolve);
+      client.on('connect_error', reject);
+    });
+
+    const socketId = client.id;
+    expect(logged('WEBSOCKET_CONNECT')).toEqual([
+      expect.objectContaining({ tenantId: 'tenant_b', socketId }),
+    ]);
+    expect(logged('SOCKET_CONNECT')).toEqual([
+      expect.objectContaining({ tenantId: 'tenant_b', socketId }),
+    ]);
+
+    client.disconnect();
+    await global.testUtils.delay(100);
+
+    expect(logged('SOCKET_DISCONNECT')).toEqual([
+      expect.objectContaining({ tenantId: 'tenant_b', socketId, reason: 'client namespace disconnect' }),
+    ]);
+  });
+});
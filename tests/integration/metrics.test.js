@@ -0,0 +1,176 @@
+/**
+ * Integration tests for the Prometheus metrics endpoint
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const request = require('supertest');
+const Client = require('socket.io-client');
+const { app, server } = require('../../src/app');
+const config = require('../../config/config');
+const metrics = require('../../src/metrics');
+const tenantService = require('../../src/services/tenantService');
+const { rateLimitExceeded } = require('../../src/middleware/metricsMiddleware');
+
+describe('Metrics Integration Tests', () => {
+  let port;
+  let client;
+
+  /**
+   * @returns {Promise<string>} - Body of GET /metrics
+   */
+  const scrape = async () => {
+    const response = await request(app).get('/metrics').expect(200);
+    return response.text;
+  };
+
+  beforeAll((done) => {
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+    metrics.registry.reset();
+  });
+
+  afterEach(() => {
+    config.metrics.token = null;
+    config.metrics.requireToken = false;
+    if (client) {
+      client.disconnect();
+      client = null;
+    }
+  });
+
+  test('should serve metrics in the Prometheus text format', async () => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE eventfeed_events_created_total counter');
+    expect(response.text).toContain('# TYPE eventfeed_publish_duration_seconds histogram');
+    expect(response.text).toContain('eventfeed_events_stored{tenant="tenant_a"} 0');
+    expect(response.text.endsWith('\n')).toBe(true);
+  });
+
+  test('should count events and the requests that created them', async () => {
+    await request(app)
+      .post('/api/events')
+      .set('X-Tenant-Id', 'tenant_a')
+      .send({ message: 'Counted' })
+      .expect(201);
+
+    const text = await scrape();
+
+    expect(text).toContain('eventfeed_events_created_total{tenant="tenant_a"} 1');
+    expect(text).toContain('eventfeed_events_stored{tenant="tenant_a"} 1');
+    expect(text).toContain('eventfeed_publish_duration_seconds_count 1');
+    expect(text).toContain(
+      'eventfeed_http_requests_total{method="POST",route="/api/events",status="201"} 1'
+    );
+    expect(text).toMatch(
+      /^eventfeed_http_request_duration_seconds_count\{method="POST",route="\/api\/events"\} 1$/m
+    );
+  });
+
+  test('should label requests by route rather than path', async () => {
+    await request(app)
+      .get('/api/admin/tenants/tenant_a')
+      .set('X-Admin-Token', 'test-admin-token')
+      .expect(200);
+    await request(app)
+      .get('/api/admin/tenants/tenant_z')
+      .set('X-Admin-Token', 'test-admin-token')
+      .expect(404);
+    await request(app).get('/no/such/page').expect(404);
+
+    const text = await scrape();
+
+    expect(text).toContain(
+      'eventfeed_http_requests_total{method="GET",route="/api/admin/tenants/:tenantId",status="200"} 1'
+    );
+    expect(text).toContain(
+      'eventfeed_http_requests_total{method="GET",route="/tenants/:tenantId",status="404"} 1'
+    );
+    expect(text).toContain(
+      'eventfeed_http_requests_total{method="GET",route="unmatched",status="404"} 1'
+    );
+    expect(text).not.toMatch(/route="[^"]*tenant_[az]/);
+  });
+
+  test('should track socket connections per tenant', async () => {
+    client = new Client(`http://localhost:${port}`, { query: { tenant: 'tenant_b' } });
+    await new Promise((resolve, reject) => {
+      client.on('connection_established', resolve);
+      client.on('connect_error', reject);
+    });
+
+    expect(await scrape()).toContain(
+      'eventfeed_connections_active{tenant="tenant_b",transport="socketio"} 1'
+    );
+
+    client.disconnect();
+    await global.testUtils.delay(100);
+
+    const text = await scrape();
+    expect(text).toContain('eventfeed_connections_opened_total{transport="socketio"} 1');
+    expect(text).toContain(
+      'eventfeed_connections_closed_total{transport="socketio",reason="client namespace disconnect"} 1'
+    );
+    expect(text).not.toMatch(/^eventfeed_connections_active\{.*transport="socketio"\}/m);
+  });
+
+  test('should count requests rejected by the rate limiter', async () => {
+    const limited = express();
+    limited.use(rateLimit({ windowMs: 60 * 1000, max: 1, handler: rateLimitExceeded }));
+    limited.get('/', (_req, res) => res.send('ok'));
+
+    await request(limited).get('/').expect(200);
+    const response = await request(limited).get('/').expect(429);
+
+    expect(response.text).toMatch(/Too many requests/);
+    expect(await scrape()).toContain('eventfeed_rate_limit_rejections_total 1');
+  });
+
+  test('should require the metrics token when one is configured', async () => {
+    config.metrics.token = 'scrape-secret';
+
+    const response = await request(app).get('/metrics').expect(401);
+    expect(response.body.code).toBe('INVALID_METRICS_TOKEN');
+
+    await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+  });
+
+  test('should refuse scrapes in production until a token is configured', async () => {
+    let production;
+    jest.isolateModules(() => {
+      const { NODE_ENV, METRICS_TOKEN } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.METRICS_TOKEN;
+      try {
+        production = require('../../config/config');
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (METRICS_TOKEN !== undefined) {
+          process.env.METRICS_TOKEN = METRICS_TOKEN;
+        }
+      }
+    });
+    Object.assign(config.metrics, production.metrics);
+
+    const response = await request(app).get('/metrics').expect(401);
+    expect(response.body.code).toBe('METRICS_TOKEN_REQUIRED');
+
+    config.metrics.token = 'scrape-secret';
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Integration tests for the plain WebSocket endpoint
+ */
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const express = require('express');
+const WebSocket = require('ws');
+const socketService = require('../../src/services/socketService');
+const tenantService = require('../../src/services/tenantService');
+const eventService = require('../../src/services/eventService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const consumerService = require('../../src/services/consumerService');
+const config = require('../../config/config');
+
+describe('Plain WebSocket Integration Tests', () => {
+  let server;
+  let port;
+  const openSockets = [];
+
+  beforeAll((done) => {
+    server = http.createServer(express());
+    socketService.initialize(server, config.cors);
+    socketService.subscribeToEventService(eventService);
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    while (openSockets.length > 0) {
+      openSockets.pop().terminate();
+    }
+  });
+
+  /**
+   * Opens a connection and queues incoming frames
+   * @returns {Promise} - Resolves with { ws, send(frame), next(type), closed } once open
+   */
+  const connect = (path = '/ws') =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://localhost:${port}${path}`);
+      openSockets.push(ws);
+
+      const frames = [];
+      const waiters = [];
+      ws.on('message', (data) => {
+        frames.push(JSON.parse(data.toString()));
+        for (const waiter of [...waiters]) {
+          const index = frames.findIndex((frame) => frame.type === waiter.type);
+          if (index !== -1) {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(frames.splice(index, 1)[0]);
+          }
+        }
+      });
+
+      const closed = new Promise((resolveClose) => {
+        ws.on('close', (code, reason) => resolveClose({ code, reason: reason.toString() }));
+      });
+
+      ws.on('error', reject);
+      ws.on('open', () =>
+        resolve({
+          ws,
+          closed,
+          send: (frame) => ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame)),
+          next: (type) =>
+            new Promise((resolveFrame) => {
+              const index = frames.findIndex((frame) => frame.type === type);
+              if (index !== -1) {
+                resolveFrame(frames.splice(index, 1)[0]);
+              } else {
+                waiters.push({ type, resolve: resolveFrame });
+              }
+            }),
+        })
+      );
+    });
+
+  const authenticate = async (fields = {}) => {
+    const client = await connect();
+    client.send({ type: 'auth', id: 'auth-1', tenant: 'tenant_a', ...fields });
+    client.auth = await client.next('ack');
+    return client;
+  };
+
+  describe('Authentication', () => {
+    test('should acknowledge a valid auth frame', async () => {
+      const client = await authenticate();
+
+      expect(client.auth).toMatchObject({
+        id: 'auth-1',
+        success: true,
+        tenantId: 'tenant_a',
+        lastSequence: 0,
+        channels: ['**'],
+        filter: null,
+      });
+      expect(socketService.getConnectedClientCount('tenant_a')).toBe(1);
+    });
+
+    test('should reject an unknown tenant and close the connection', async () => {
+      const client = await authenticate({ tenant: 'unknown_tenant' });
+
+      expect(client.auth).toMatchObject({ success: false, error: 'Invalid tenant ID' });
+      expect(await client.next('error')).toMatchObject({
+        code: 'AUTH_FAILED',
+        message: 'Invalid tenant ID',
+      });
+      expect(await client.closed).toEqual({ code: 1008, reason: 'Authentication failed' });
+    });
+
+    test('should survive auth errors longer than a close frame allows', async () => {
+      config.auth.mode = 'jwt';
+      try {
+        const header = Buffer.from(JSON.stringify({ alg: 'X'.repeat(200) })).toString('base64url');
+        const client = await connect();
+        client.send({ type: 'auth', id: 'auth-1', token: `${header}.e30.c2ln` });
+
+        const { message } = await client.next('error');
+        expect(message).toBe('Invalid token: unsupported algorithm');
+        expect(await client.closed).toEqual({ code: 1008, reason: 'Authentication failed' });
+
+        // The server is still accepting connections
+        expect((await authenticate({ token: undefined })).auth.success).toBe(false);
+      } finally {
+        config.auth.mode = 'header';
+      }
+    });
+
+    test('should close JWT connections when the token expires', async () => {
+      config.auth.mode = 'jwt';
+      try {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const exp = Math.floor(Date.now() / 1000) + 1;
+        const payload = { tenant_id: 'tenant_a', roles: ['reader'], exp };
+        const input = `${encode({ alg: 'HS256' })}.${encode(payload)}`;
+        const signature = crypto
+          .createHmac('sha256', config.auth.jwt.secret)
+          .update(input)
+          .digest('base64url');
+        const client = await authenticate({ tenant: undefined, token: `${input}.${signature}` });
+        expect(client.auth.success).toBe(true);
+
+        expect(await client.next('system')).toMatchObject({ message: 'Token expired' });
+        expect(await client.closed).toEqual({ code: 1008, reason: 'Token expired' });
+      } finally {
+        config.auth.mode = 'header';
+      }
+    });
+
+    test('should shorten close reasons to 123 bytes', async () => {
+      const client = await authenticate();
+
+      socketService.raw.disconnectTenant('tenant_a', `Maintenance ${'é'.repeat(100)}`);
+
+      expect((await client.next('system')).message).toHaveLength(112);
+      const { code, reason } = await client.closed;
+      expect(code).toBe(1008);
+      expect(reason).toBe(`Maintenance ${'é'.repeat(55)}`);
+    });
+
+    test('should require auth before other frames', async () => {
+      const client = await connect();
+      client.send({ type: 'ping' });
+
+      expect(await client.next('error')).toMatchObject({ code: 'NOT_AUTHENTICATED' });
+    });
+
+    test('should close connections that never authenticate', async () => {
+      const client = await connect();
+
+      expect(await client.next('system')).toMatchObject({ message: 'Authentication timeout' });
+      expect((await client.closed).code).toBe(1008);
+    });
+
+    test('should reject frames that are not JSON objects', async () => {
+      const client = await authenticate();
+      client.send('not json');
+
+      expect(await client.next('error')).toMatchObject({ code: 'INVALID_FRAME' });
+    });
+
+    describe('with API keys', () => {
+      let key;
+
+      beforeEach(() => {
+        config.auth.mode = 'apiKey';
+        key = apiKeyService.create('tenant_a');
+      });
+
+      afterEach(() => {
+        config.auth.mode = 'header';
+        apiKeyService.keys.clear();
+      });
+
+      test('should derive the tenant from the key', async () => {
+        const client = await connect();
+        client.send({ type: 'auth', apiKey: key.key });
+
+        expect(await client.next('ack')).toMatchObject({ success: true, tenantId: 'tenant_a' });
+      });
+
+      test('should reject a missing key', async () => {
+        const client = await authenticate();
+
+        expect(client.auth).toMatchObject({ success: false, error: 'Missing API key' });
+      });
+
+      test('should close connections when their key is revoked', async () => {
+        const client = await connect();
+        client.send({ type: 'auth', apiKey: key.key });
+        await client.next('ack');
+
+        socketService.disconnectApiKey(key.id);
+
+        expect(await client.next('system')).toMatchObject({ message: 'API key revoked' });
+        expect((await client.closed).code).toBe(1008);
+      });
+    });
+  });
+
+  describe('Events', () => {
+    test('should deliver events created for the tenant', async () => {
+      const client = await authenticate();
+      const created = eventService.createEvent('tenant_a', 'Hello raw socket');
+
+      const frame = await client.next('event');
+      expect(frame.event).toMatchObject({ id: created.id, message: 'Hello raw socket' });
+      expect(frame.sequence).toBe(created.sequence);
+    });
+
+    test('should not deliver events of other tenants', async () => {
+      const client = await authenticate();
+      eventService.createEvent('tenant_b', 'Other tenant');
+      eventService.createEvent('tenant_a', 'Own tenant');
+
+      expect((await client.next('event')).event.message).toBe('Own tenant');
+    });
+
+    test('should replay events after lastSequence', async () => {
+      eventService.createEvent('tenant_a', 'First');
+      eventService.createEvent('tenant_a', 'Second');
+
+      const client = await authenticate({ lastSequence: 1 });
+
+      const replayed = await client.next('event');
+      expect(replayed).toMatchObject({ replayed: true, sequence: 2 });
+      expect(await client.next('replay_complete')).toMatchObject({ count: 1, lastSequence: 2 });
+    });
+
+    test('should publish events and answer with the created event', async () => {
+      const client = await authenticate();
+      client.send({ type: 'publish_event', id: 'p1', event: { message: 'From raw socket' } });
+
+      const ack = await client.next('ack');
+      expect(ack).toMatchObject({ id: 'p1', success: true, data: { message: 'From raw socket' } });
+      expect((await client.next('event')).event.id).toBe(ack.data.id);
+    });
+
+    test('should deliver events that require acks to consumers', async () => {
+      const client = await authenticate({ consumer: 'raw-worker' });
+      expect(client.auth.consumer).toMatchObject({ name: 'raw-worker' });
+
+      const created = eventService.createEvent('tenant_a', 'Needs ack');
+      expect(await client.next('event')).toMatchObject({ requiresAck: true, attempts: 1 });
+
+      client.send({ type: 'ack', id: 'a1', sequence: created.sequence });
+      expect(await client.next('ack')).toMatchObject({
+        id: 'a1',
+        success: true,
+        acked: [created.sequence],
+      });
+      consumerService.records.clear();
+    });
+
+    test('should answer ping with pong', async () => {
+      const client = await authenticate();
+      client.send({ type: 'ping', id: 7 });
+
+      expect(await client.next('pong')).toMatchObject({ id: 7 });
+    });
+  });
+
+  describe('Subscriptions', () => {
+    test('should only deliver subscribed channels', async () => {
+      const client = await authenticate({ channels: ['orders/*'] });
+      eventService.createEvent('tenant_a', { message: 'Billing', channel: 'billing' });
+      eventService.createEvent('tenant_a', { message: 'Order', channel: 'orders/eu' });
+
+      expect((await client.next('event')).event.message).toBe('Order');
+    });
+
+    test('should change subscriptions and filters at runtime', async () => {
+      const client = await authenticate({ channels: ['billing'] });
+
+      client.send({ type: 'subscribe', id: 's1', channels: ['orders/**'], filter: { text: 'big' } });
+      expect(await client.next('ack')).toMatchObject({
+        id: 's1',
+        success: true,
+        channels: ['billing', 'orders/**'],
+        filter: { text: 'big' },
+      });
+
+      client.send({ type: 'unsubscribe', id: 'u1', channels: ['billing'] });
+      expect(await client.next('ack')).toMatchObject({ success: true, channels: ['orders/**'] });
+
+      eventService.createEvent('tenant_a', { message: 'small order', channel: 'orders/eu' });
+      eventService.createEvent('tenant_a', { message: 'big bill', channel: 'billing' });
+      eventService.createEvent('tenant_a', { message: 'big order', channel: 'orders/eu' });
+
+      expect((await client.next('event')).event.message).toBe('big order');
+    });
+
+    test('should reject invalid channel patterns', async () => {
+      const client = await authenticate();
+      client.send({ type: 'subscribe', id: 's1', channels: ['bad pattern'] });
+
+      expect(await client.next('ack')).toMatchObject({
+        success: false,
+        error: 'Invalid channel patterns: bad pattern',
+      });
+    });
+  });
+
+  describe('Connection management', () => {
+    test('should close connections of a suspended tenant', async () => {
+      const client = await authenticate();
+
+      socketService.disconnectTenant('tenant_a', 'Tenant suspended');
+
+      expect(await client.next('system')).toMatchObject({ message: 'Tenant suspended' });
+      expect(socketService.getConnectedClientCount('tenant_a')).toBe(0);
+    });
+
+    test('should leave other upgrade paths to Socket.io', async () => {
+      await expect(connect('/other')).rejects.toThrow();
+    });
+  });
+});
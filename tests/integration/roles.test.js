@@ -0,0 +1,161 @@
+/**
+ * Integration tests for role-based permissions
+ */
+
+const crypto = require('node:crypto');
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const { hasPermission } = require('../../src/middleware/authMiddleware');
+
+const signToken = (payload) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp, ...payload })}`;
+  const signature = crypto
+    .createHmac('sha256', config.auth.jwt.secret)
+    .update(input)
+    .digest('base64url');
+  return `${input}.${signature}`;
+};
+
+const bearer = (roles, tenantId = 'tenant_a') =>
+  `Bearer ${signToken({ sub: 'user-1', tenant_id: tenantId, roles })}`;
+
+describe('Role-based permissions', () => {
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+    apiKeyService.keys.clear();
+  });
+
+  describe('hasPermission', () => {
+    test('should map roles to permissions', () => {
+      expect(hasPermission({ roles: ['reader'] }, 'events:read')).toBe(true);
+      expect(hasPermission({ roles: ['reader'] }, 'events:publish')).toBe(false);
+      expect(hasPermission({ roles: ['publisher'] }, 'events:publish')).toBe(true);
+      expect(hasPermission({ roles: ['tenant-admin'] }, 'apikeys:manage')).toBe(true);
+      expect(hasPermission({ roles: ['tenant-admin'] }, 'stats:global')).toBe(false);
+      expect(hasPermission({ roles: ['platform-admin'] }, 'stats:global')).toBe(true);
+      expect(hasPermission({ roles: ['unknown'] }, 'events:read')).toBe(false);
+      expect(hasPermission(null, 'events:read')).toBe(false);
+    });
+  });
+
+  describe('JWT roles', () => {
+    beforeEach(() => {
+      config.auth.mode = 'jwt';
+    });
+
+    test('should let readers read but not publish', async () => {
+      await request(app)
+        .get('/api/events')
+        .set('Authorization', bearer(['reader']))
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', bearer(['reader']))
+        .send({ message: 'Not allowed' })
+        .expect(403);
+
+      expect(response.body.code).toBe('FORBIDDEN');
+      expect(response.body.required).toBe('events:publish');
+      expect(tenantService.getEventCount('tenant_a')).toBe(0);
+    });
+
+    test('should let publishers post events', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('Authorization', bearer(['publisher']))
+        .send({ message: 'Allowed' })
+        .expect(201);
+    });
+
+    test('should restrict cross-tenant stats to platform admins', async () => {
+      await request(app)
+        .get('/api/events/stats')
+        .set('Authorization', bearer(['tenant-admin']))
+        .expect(403);
+
+      await request(app)
+        .get('/api/events/stats')
+        .set('Authorization', `Bearer ${signToken({ roles: ['platform-admin'] })}`)
+        .expect(200);
+    });
+
+    test('should let tenant admins manage only their own API keys', async () => {
+      await request(app)
+        .post('/api/admin/tenants/tenant_a/api-keys')
+        .set('Authorization', bearer(['tenant-admin']))
+        .send({ name: 'dashboard', roles: ['reader'] })
+        .expect(201);
+
+      await request(app)
+        .post('/api/admin/tenants/tenant_b/api-keys')
+        .set('Authorization', bearer(['tenant-admin']))
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .get('/api/admin/tenants')
+        .set('Authorization', bearer(['tenant-admin']))
+        .expect(403);
+    });
+
+    test('should not let tenant admins mint platform admin keys', async () => {
+      const response = await request(app)
+        .post('/api/admin/tenants/tenant_a/api-keys')
+        .set('Authorization', bearer(['tenant-admin']))
+        .send({ roles: ['platform-admin'] })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('API key roles', () => {
+    beforeEach(() => {
+      config.auth.mode = 'apiKey';
+    });
+
+    test('should issue reader and publisher roles by default', () => {
+      expect(apiKeyService.create('tenant_a').roles).toEqual(['reader', 'publisher']);
+    });
+
+    test('should make read-only keys unable to publish', async () => {
+      const { key } = apiKeyService.create('tenant_a', { roles: ['reader'] });
+
+      await request(app).get('/api/events').set('X-API-Key', key).expect(200);
+      await request(app)
+        .post('/api/events')
+        .set('X-API-Key', key)
+        .send({ message: 'Dashboard write' })
+        .expect(403);
+    });
+  });
+
+  describe('header mode', () => {
+    test('should grant the configured header roles', async () => {
+      const original = config.auth.headerRoles;
+      config.auth.headerRoles = ['reader'];
+
+      try {
+        await request(app)
+          .post('/api/events')
+          .set('X-Tenant-ID', 'tenant_a')
+          .send({ message: 'Read-only deployment' })
+          .expect(403);
+      } finally {
+        config.auth.headerRoles = original;
+      }
+    });
+  });
+});
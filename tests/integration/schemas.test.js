@@ -0,0 +1,175 @@
+/**
+ * Integration tests for the per-tenant event schema registry
+ */
+
+const crypto = require('node:crypto');
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+const schemaRegistry = require('../../src/services/schemaRegistry');
+const eventService = require('../../src/services/eventService');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const signToken = (payload) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp, ...payload })}`;
+  const signature = crypto
+    .createHmac('sha256', config.auth.jwt.secret)
+    .update(input)
+    .digest('base64url');
+  return `${input}.${signature}`;
+};
+
+const orderSchema = {
+  type: 'object',
+  required: ['orderId', 'total'],
+  properties: {
+    orderId: { type: 'string' },
+    total: { type: 'number', minimum: 0 },
+  },
+};
+
+const registerSchema = (tenantId, type, schema) =>
+  request(app)
+    .post(`/api/admin/tenants/${tenantId}/schemas`)
+    .set('X-Admin-Token', ADMIN_TOKEN)
+    .send({ type, schema });
+
+describe('Schema Registry Integration Tests', () => {
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+    schemaRegistry.schemas.clear();
+  });
+
+  describe('schema management', () => {
+    test('should register, list, get and delete schema versions', async () => {
+      const first = await registerSchema('tenant_a', 'order.created', orderSchema).expect(201);
+      expect(first.body.data).toMatchObject({ tenantId: 'tenant_a', type: 'order.created', version: 1 });
+
+      const second = await registerSchema('tenant_a', 'order.created', {
+        ...orderSchema,
+        required: ['orderId'],
+      }).expect(201);
+      expect(second.body.data.version).toBe(2);
+
+      const list = await request(app)
+        .get('/api/admin/tenants/tenant_a/schemas')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(list.body.data.schemas).toEqual([
+        { type: 'order.created', latestVersion: 2, versions: [1, 2] },
+      ]);
+
+      const versions = await request(app)
+        .get('/api/admin/tenants/tenant_a/schemas/order.created')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(versions.body.data.count).toBe(2);
+      expect(versions.body.data.versions[0].schema).toEqual(orderSchema);
+
+      await request(app)
+        .delete('/api/admin/tenants/tenant_a/schemas/order.created')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      const missing = await request(app)
+        .get('/api/admin/tenants/tenant_a/schemas/order.created')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(404);
+      expect(missing.body.code).toBe('SCHEMA_NOT_FOUND');
+    });
+
+    test('should reject unsupported schemas', async () => {
+      const response = await registerSchema('tenant_a', 'order.created', {
+        $ref: '#/definitions/order',
+      }).expect(400);
+
+      expect(response.body.code).toBe('INVALID_SCHEMA');
+      expect(response.body.error).toContain('unsupported keyword $ref');
+    });
+
+    test('should validate the registration body', async () => {
+      const response = await registerSchema('tenant_a', 'bad type', 'nope').expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details.map((detail) => detail.field)).toEqual(['type', 'schema']);
+    });
+
+    test('should forbid tenant admins from managing other tenants', async () => {
+      config.auth.mode = 'jwt';
+      const token = signToken({ sub: 'user-1', tenant_id: 'tenant_a', roles: ['tenant-admin'] });
+
+      const response = await request(app)
+        .post('/api/admin/tenants/tenant_b/schemas')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'order.created', schema: orderSchema })
+        .expect(403);
+
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('event validation', () => {
+    beforeEach(() => {
+      schemaRegistry.register('tenant_a', 'order.created', orderSchema);
+    });
+
+    test('should accept events matching the schema and record the version', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({ type: 'order.created', data: { orderId: 'o-1', total: 5 } })
+        .expect(201);
+
+      expect(response.body.data.schemaVersion).toBe(1);
+    });
+
+    test('should return field level errors for events violating the schema', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({ type: 'order.created', data: { orderId: 1, total: -1 } })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toEqual([
+        { field: 'data.orderId', message: 'Must be of type string', value: 1 },
+        { field: 'data.total', message: 'Must be >= 0', value: -1 },
+      ]);
+      expect(tenantService.getEventCount('tenant_a')).toBe(0);
+    });
+
+    test('should reject pinned versions that are not registered', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_a')
+        .send({ type: 'order.created', schemaVersion: 3, data: { orderId: 'o-1', total: 5 } })
+        .expect(400);
+
+      expect(response.body.details[0].field).toBe('schemaVersion');
+    });
+
+    test('should only apply schemas to the tenant that registered them', async () => {
+      await request(app)
+        .post('/api/events')
+        .set('X-Tenant-ID', 'tenant_b')
+        .send({ type: 'order.created', data: { anything: true } })
+        .expect(201);
+    });
+
+    test('should enforce schemas for events created outside the REST API', () => {
+      expect(() =>
+        eventService.createEvent('tenant_a', { type: 'order.created', data: { orderId: 'o-1' } })
+      ).toThrow('Invalid event payload: data.total: Is required');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Integration tests for the Server-Sent Events stream
+ */
+
+const http = require('node:http');
+const { app } = require('../../src/app');
+const tenantService = require('../../src/services/tenantService');
+const eventService = require('../../src/services/eventService');
+const sseService = require('../../src/services/sseService');
+const config = require('../../config/config');
+
+describe('SSE Integration Tests', () => {
+  let server;
+  let port;
+  const openRequests = [];
+
+  beforeAll((done) => {
+    server = http.createServer(app).listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+  });
+
+  afterEach(() => {
+    while (openRequests.length > 0) {
+      openRequests.pop().destroy();
+    }
+  });
+
+  /**
+   * Opens a stream and parses frames as they arrive
+   * @returns {Promise} - Resolves with { res, frames, waitFor(predicate) } once headers arrive
+   */
+  const openStream = (path, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.get({ port, path, headers: { 'X-Tenant-ID': 'tenant_a', ...headers } });
+      openRequests.push(req);
+      req.on('error', reject);
+      req.on('response', (res) => {
+        const frames = [];
+        const waiters = [];
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end = buffer.indexOf('\n\n');
+          while (end !== -1) {
+            const frame = {};
+            for (const line of buffer.slice(0, end).split('\n')) {
+              const separator = line.indexOf(':');
+              const field = line.slice(0, separator);
+              frame[field || 'comment'] = line.slice(separator + 1).trim();
+            }
+            frames.push(frame);
+            buffer = buffer.slice(end + 2);
+            end = buffer.indexOf('\n\n');
+          }
+          for (const waiter of [...waiters]) {
+            waiter();
+          }
+        });
+
+        const waitFor = (predicate) =>
+          new Promise((resolveWait) => {
+            const check = () => {
+              const match = frames.find(predicate);
+              if (match) {
+                waiters.splice(waiters.indexOf(check), 1);
+                resolveWait(match);
+              }
+            };
+            waiters.push(check);
+            check();
+          });
+
+        resolve({ res, frames, waitFor });
+      });
+    });
+
+  const events = (frames) =>
+    frames.filter((frame) => frame.event === 'event_created').map((frame) => JSON.parse(frame.data));
+
+  test('should stream new events with their sequence as id', async () => {
+    const stream = await openStream('/api/events/stream');
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    eventService.createEvent('tenant_a', 'Streamed event');
+    eventService.createEvent('tenant_b', 'Other tenant');
+    const frame = await stream.waitFor((f) => f.event === 'event_created');
+
+    expect(frame.id).toBe('1');
+    expect(JSON.parse(frame.data)).toMatchObject({ tenant_id: 'tenant_a', message: 'Streamed event' });
+    expect(sseService.getClientCount('tenant_a')).toBe(1);
+  });
+
+  test('should replay events after Last-Event-ID before live delivery', async () => {
+    for (let i = 1; i <= 3; i++) {
+      eventService.createEvent('tenant_a', `Event ${i}`);
+    }
+
+    const stream = await openStream('/api/events/stream', { 'Last-Event-ID': '1' });
+    await stream.waitFor((f) => f.event === 'replay_complete');
+    eventService.createEvent('tenant_a', 'Event 4');
+    await stream.waitFor((f) => f.id === '4');
+
+    expect(events(stream.frames).map((e) => e.sequence)).toEqual([2, 3, 4]);
+  });
+
+  test('should signal gaps and filter by channel', async () => {
+    eventService.createEvent('tenant_a', { message: 'Order', channel: 'orders' });
+    eventService.createEvent('tenant_a', { message: 'Alert', channel: 'alerts' });
+
+    const stream = await openStream('/api/events/stream?channels=orders&lastEventId=unknown-id');
+    await stream.waitFor((f) => f.event === 'replay_complete');
+
+    const gap = stream.frames.find((f) => f.event === 'gap');
+    expect(JSON.parse(gap.data)).toMatchObject({ reason: 'unknown_event' });
+    expect(events(stream.frames).map((e) => e.message)).toEqual(['Order']);
+  });
+
+  test('should send heartbeats', async () => {
+    const stream = await openStream('/api/events/stream');
+
+    const heartbeat = await stream.waitFor((f) => f.comment?.startsWith('heartbeat'));
+    expect(heartbeat).toBeDefined();
+  });
+
+  test('should close streams of suspended tenants', async () => {
+    const stream = await openStream('/api/events/stream');
+    const ended = new Promise((resolve) => stream.res.on('end', resolve));
+
+    sseService.disconnectTenant('tenant_a', 'Tenant suspended');
+    await ended;
+
+    const message = stream.frames.find((f) => f.event === 'system_message');
+    expect(JSON.parse(message.data).message).toBe('Tenant suspended');
+    expect(sseService.getClientCount('tenant_a')).toBe(0);
+  });
+
+  describe('Slow consumers', () => {
+    const { backpressure } = config;
+    const blob = 'x'.repeat(16 * 1024);
+
+    /**
+     * Publishes large events until the stream falls behind or the attempts run out
+     * @param {Function} behind - Returns true once the stream is behind
+     */
+    const flood = async (behind) => {
+      for (let i = 0; i < 2000 && !behind(); i++) {
+        eventService.createEvent('tenant_a', { message: `Event ${i}`, data: { blob } });
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    };
+
+    beforeEach(() => {
+      config.backpressure = { ...backpressure, maxPendingBytes: 64 * 1024 };
+    });
+
+    afterEach(() => {
+      config.backpressure = backpressure;
+    });
+
+    test('should drop the oldest events for a stream that stopped reading', async () => {
+      const stream = await openStream('/api/events/stream');
+      const [client] = sseService.clients.get('tenant_a');
+      stream.res.pause();
+
+      await flood(() => sseService.backpressure.isSlow(client));
+      expect(sseService.backpressure.isSlow(client)).toBe(true);
+      for (let i = 0; i < backpressure.maxQueuedEvents; i++) {
+        eventService.createEvent('tenant_a', `Queued ${i}`);
+      }
+      expect(client.data.backpressure.queue).toHaveLength(backpressure.maxQueuedEvents);
+
+      stream.res.resume();
+      const missed = await stream.waitFor((f) => f.event === 'events_missed');
+      expect(JSON.parse(missed.data)).toMatchObject({ reason: 'slow_consumer' });
+      const last = `Queued ${backpressure.maxQueuedEvents - 1}`;
+      await stream.waitFor((f) => f.event === 'event_created' && f.data.includes(last));
+    });
+
+    test('should close a stream that stopped reading under the disconnect policy', async () => {
+      config.backpressure.policy = 'disconnect';
+      const stream = await openStream('/api/events/stream');
+      const ended = new Promise((resolve) => stream.res.on('end', resolve));
+      stream.res.pause();
+
+      await flood(() => sseService.getClientCount('tenant_a') === 0);
+      expect(sseService.getClientCount('tenant_a')).toBe(0);
+
+      stream.res.resume();
+      await ended;
+      const message = stream.frames.find((f) => f.event === 'system_message');
+      expect(JSON.parse(message.data)).toMatchObject({ code: 'SLOW_CONSUMER' });
+    });
+  });
+
+  test('should reject streams for invalid tenants and channel patterns', async () => {
+    const invalidTenant = await openStream('/api/events/stream', { 'X-Tenant-ID': 'tenant_x' });
+    const invalidChannel = await openStream('/api/events/stream?channels=**/x');
+
+    expect(invalidTenant.res.statusCode).toBe(400);
+    expect(invalidChannel.res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Integration tests for outbound webhooks
+ */
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const request = require('supertest');
+const { app } = require('../../src/app');
+const config = require('../../config/config');
+const tenantService = require('../../src/services/tenantService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const webhookService = require('../../src/services/webhookService');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * Retries an assertion until it passes or the time runs out
+ * @param {Function} assertion - Async function that throws while unmet
+ * @param {number} timeoutMs - Time to keep trying
+ */
+const eventually = async (assertion, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await assertion();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await global.testUtils.delay(20);
+    }
+  }
+};
+
+describe('Webhook Integration Tests', () => {
+  let receiver;
+  let url;
+  let received;
+  let statuses;
+
+  const createWebhook = (body, tenantId = 'tenant_a') =>
+    request(app)
+      .post(`/api/admin/tenants/${tenantId}/webhooks`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send(body);
+
+  beforeAll(async () => {
+    // Stand-in for a tenant's endpoint
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 204;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/events`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+    received = [];
+    statuses = [];
+  });
+
+  afterEach(() => {
+    config.auth.mode = 'header';
+    apiKeyService.keys.clear();
+    webhookService.removeAllForTenant('tenant_a');
+    webhookService.removeAllForTenant('tenant_b');
+  });
+
+  test('should deliver created events signed with the webhook secret', async () => {
+    const created = await createWebhook({
+      url,
+      eventTypes: ['order.*'],
+      secret: 'receiver-shared-secret',
+      description: 'Orders',
+    }).expect(201);
+
+    const webhook = created.body.data;
+    expect(webhook).toMatchObject({
+      url,
+      eventTypes: ['order.*'],
+      description: 'Orders',
+      secret: 'receiver-shared-secret',
+    });
+
+    await request(app)
+      .post('/api/events')
+      .set('X-Tenant-ID', 'tenant_a')
+      .send({ message: 'Not an order', type: 'user.created' })
+      .expect(201);
+    const event = await request(app)
+      .post('/api/events')
+      .set('X-Tenant-ID', 'tenant_a')
+      .send({ message: 'Order placed', type: 'order.created' })
+      .expect(201);
+
+    await eventually(() => expect(received).toHaveLength(1));
+    const [{ headers, body }] = received;
+
+    // Verified the way the README tells receivers to
+    const [t, v1] = headers['x-webhook-signature'].split(',').map((part) => part.split('=')[1]);
+    const expected = crypto
+      .createHmac('sha256', 'receiver-shared-secret')
+      .update(`${t}.${body}`)
+      .digest('hex');
+    expect(v1).toBe(expected);
+    expect(Math.abs(Date.now() / 1000 - t)).toBeLessThan(5);
+    expect(JSON.parse(body)).toMatchObject({
+      tenantId: 'tenant_a',
+      event: { id: event.body.data.id, type: 'order.created', message: 'Order placed' },
+    });
+
+    const deliveries = await eventually(async () => {
+      const response = await request(app)
+        .get(`/api/admin/tenants/tenant_a/webhooks/${webhook.id}/deliveries`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(response.body.data.deliveries[0].status).toBe('succeeded');
+      return response.body.data;
+    });
+    expect(deliveries).toMatchObject({
+      count: 1,
+      deliveries: [
+        {
+          id: headers['x-webhook-id'],
+          eventId: event.body.data.id,
+          history: [{ attempt: 1, statusCode: 204 }],
+        },
+      ],
+    });
+    expect(deliveries.deliveries[0]).not.toHaveProperty('event');
+  });
+
+  test('should list, get and delete webhooks without exposing secrets', async () => {
+    const { id } = (await createWebhook({ url }).expect(201)).body.data;
+
+    const list = await request(app)
+      .get('/api/admin/tenants/tenant_a/webhooks')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(list.body.data.count).toBe(1);
+    expect(list.body.data.webhooks[0]).toMatchObject({ id, url, eventTypes: null });
+    expect(list.body.data.webhooks[0]).not.toHaveProperty('secret');
+
+    const single = await request(app)
+      .get(`/api/admin/tenants/tenant_a/webhooks/${id}`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(single.body.data).not.toHaveProperty('secret');
+
+    await request(app)
+      .delete(`/api/admin/tenants/tenant_a/webhooks/${id}`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    const missing = await request(app)
+      .get(`/api/admin/tenants/tenant_a/webhooks/${id}`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(404);
+    expect(missing.body.code).toBe('WEBHOOK_NOT_FOUND');
+  });
+
+  test('should validate webhook registrations', async () => {
+    const response = await createWebhook({
+      url: 'ftp://example.com/hook',
+      eventTypes: ['order created'],
+      secret: 'short',
+    }).expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(response.body.details.map((detail) => detail.field)).toEqual(
+      expect.arrayContaining(['url', 'eventTypes[0]', 'secret'])
+    );
+
+    const unknownTenant = await createWebhook({ url }, 'tenant_x').expect(404);
+    expect(unknownTenant.body.code).toBe('TENANT_NOT_FOUND');
+
+    const metadata = await createWebhook({ url: 'http://169.254.169.254/latest' }).expect(400);
+    expect(metadata.body.code).toBe('WEBHOOK_URL_NOT_ALLOWED');
+
+    await request(app)
+      .get(`/api/admin/tenants/tenant_a/webhooks/${crypto.randomUUID()}/deliveries?limit=0`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(400);
+  });
+
+  test('should dead-letter failing deliveries and redeliver them on request', async () => {
+    const { id } = (await createWebhook({ url }).expect(201)).body.data;
+    statuses.push(...Array(config.webhooks.maxAttempts).fill(500));
+
+    await request(app)
+      .post('/api/events')
+      .set('X-Tenant-ID', 'tenant_a')
+      .send({ message: 'Will fail' })
+      .expect(201);
+
+    const deadLetters = await eventually(async () => {
+      const response = await request(app)
+        .get(`/api/admin/tenants/tenant_a/webhooks/${id}/dead-letters`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(response.body.data.count).toBe(1);
+      return response.body.data.deliveries;
+    });
+    expect(deadLetters[0]).toMatchObject({
+      status: 'dead',
+      attempts: config.webhooks.maxAttempts,
+      event: { message: 'Will fail' },
+    });
+    expect(received).toHaveLength(config.webhooks.maxAttempts);
+
+    const redelivered = await request(app)
+      .post(`/api/admin/tenants/tenant_a/webhooks/${id}/dead-letters/${deadLetters[0].id}/redeliver`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(202);
+    expect(redelivered.body.data.id).toBe(deadLetters[0].id);
+
+    await eventually(() => expect(received).toHaveLength(config.webhooks.maxAttempts + 1));
+    const succeeded = await eventually(async () => {
+      const response = await request(app)
+        .get(`/api/admin/tenants/tenant_a/webhooks/${id}/deliveries?status=succeeded`)
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+      expect(response.body.data.count).toBe(1);
+      return response.body.data.deliveries[0];
+    });
+    expect(succeeded.history).toHaveLength(config.webhooks.maxAttempts + 1);
+
+    const again = await request(app)
+      .post(`/api/admin/tenants/tenant_a/webhooks/${id}/dead-letters/${deadLetters[0].id}/redeliver`)
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(404);
+    expect(again.body.code).toBe('DEAD_LETTER_NOT_FOUND');
+  });
+
+  test('should let tenant admins manage only their own webhooks', async () => {
+    config.auth.mode = 'apiKey';
+    const admin = apiKeyService.create('tenant_b', { roles: ['tenant-admin'] });
+    const publisher = apiKeyService.create('tenant_b', { roles: ['publisher'] });
+
+    await request(app)
+      .post('/api/admin/tenants/tenant_b/webhooks')
+      .set('X-API-Key', admin.key)
+      .send({ url })
+      .expect(201);
+
+    await request(app)
+      .get('/api/admin/tenants/tenant_a/webhooks')
+      .set('X-API-Key', admin.key)
+      .expect(403);
+
+    await request(app)
+      .get('/api/admin/tenants/tenant_b/webhooks')
+      .set('X-API-Key', publisher.key)
+      .expect(403);
+  });
+});
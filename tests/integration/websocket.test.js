@@ -2,6 +2,7 @@
  * Integration tests for WebSocket functionality
  */
 
+const crypto = require('crypto');
 const http = require('http');
 const { Server } = require('socket.io');
 const Client = require('socket.io-client');
@@ -9,6 +10,9 @@ const express = require('express');
 const socketService = require('../../src/services/socketService');
 const tenantService = require('../../src/services/tenantService');
 const eventService = require('../../src/services/eventService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const consumerService = require('../../src/services/consumerService');
+const config = require('../../config/config');
 
 describe('WebSocket Integration Tests', () => {
   let server, io, clientSocket1, clientSocket2, port;
@@ -104,6 +108,23 @@ describe('WebSocket Integration Tests', () => {
       });
     });
 
+    test('should reject connection for suspended tenant', (done) => {
+      tenantService.updateTenant('tenant_b', { status: 'suspended' });
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        query: { tenant: 'tenant_b' }
+      });
+
+      clientSocket1.on('connect', () => {
+        done(new Error('Should not connect with suspended tenant'));
+      });
+
+      clientSocket1.on('connect_error', (error) => {
+        tenantService.updateTenant('tenant_b', { status: 'active' });
+        expect(error.message).toBe('Tenant suspended');
+        done();
+      });
+    });
+
     test('should send connection confirmation', (done) => {
       clientSocket1 = new Client(`http://localhost:${port}`, {
         query: { tenant: 'tenant_a' }
@@ -136,6 +157,144 @@ describe('WebSocket Integration Tests', () => {
     });
   });
 
+  describe('API key authentication', () => {
+    let key;
+
+    beforeEach(() => {
+      config.auth.mode = 'apiKey';
+      key = apiKeyService.create('tenant_a');
+    });
+
+    afterEach(() => {
+      config.auth.mode = 'header';
+      apiKeyService.keys.clear();
+    });
+
+    test('should reject handshake without API key', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        query: { tenant: 'tenant_a' }
+      });
+
+      clientSocket1.on('connect_error', (error) => {
+        expect(error.message).toBe('Missing API key');
+        done();
+      });
+    });
+
+    test('should join the tenant derived from the key', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        auth: { apiKey: key.key }
+      });
+
+      clientSocket1.on('connection_established', (data) => {
+        expect(data.tenantId).toBe('tenant_a');
+        done();
+      });
+
+      clientSocket1.on('connect_error', done);
+    });
+
+    test('should disconnect sockets when their key is revoked', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        auth: { apiKey: key.key },
+        reconnection: false
+      });
+
+      clientSocket1.on('connection_established', () => {
+        apiKeyService.revoke('tenant_a', key.id);
+        socketService.disconnectApiKey(key.id);
+      });
+
+      clientSocket1.on('disconnect', (reason) => {
+        expect(reason).toBe('io server disconnect');
+        done();
+      });
+    });
+  });
+
+  describe('JWT authentication', () => {
+    const signToken = (payload) => {
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const input = `${encode({ alg: 'HS256' })}.${encode({ exp, ...payload })}`;
+      const signature = crypto
+        .createHmac('sha256', config.auth.jwt.secret)
+        .update(input)
+        .digest('base64url');
+      return `${input}.${signature}`;
+    };
+
+    beforeEach(() => {
+      config.auth.mode = 'jwt';
+    });
+
+    afterEach(() => {
+      config.auth.mode = 'header';
+    });
+
+    test('should disconnect sockets when their token expires', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        auth: {
+          token: signToken({
+            tenant_id: 'tenant_a',
+            roles: ['reader'],
+            exp: Math.floor(Date.now() / 1000) + 1
+          })
+        },
+        reconnection: false
+      });
+
+      const messages = [];
+      clientSocket1.on('system_message', (data) => messages.push(data.message));
+      clientSocket1.on('disconnect', (reason) => {
+        expect(reason).toBe('io server disconnect');
+        expect(messages).toContain('Token expired');
+        done();
+      });
+    });
+
+    test('should join the tenant named in the token', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        auth: { token: signToken({ tenant_id: 'tenant_b', roles: ['reader'] }) }
+      });
+
+      clientSocket1.on('connection_established', (data) => {
+        expect(data.tenantId).toBe('tenant_b');
+        done();
+      });
+
+      clientSocket1.on('connect_error', done);
+    });
+
+    test('should disconnect sockets without read permission', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        auth: { token: signToken({ tenant_id: 'tenant_a', roles: [] }) },
+        reconnection: false
+      });
+
+      clientSocket1.on('connection_established', () => {
+        done(new Error('Should not subscribe without events:read'));
+      });
+
+      clientSocket1.on('disconnect', (reason) => {
+        expect(reason).toBe('io server disconnect');
+        done();
+      });
+    });
+
+    test('should reject a token for a different tenant than requested', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        query: { tenant: 'tenant_a' },
+        auth: { token: signToken({ tenant_id: 'tenant_b' }) }
+      });
+
+      clientSocket1.on('connect_error', (error) => {
+        expect(error.message).toMatch(/Tenant claim does not match/);
+        done();
+      });
+    });
+  });
+
   describe('Event broadcasting', () => {
     beforeEach((done) => {
       // Connect two clients for the same tenant
@@ -246,6 +405,539 @@ describe('WebSocket Integration Tests', () => {
     });
   });
 
+  describe('Resume after reconnect', () => {
+    // Connects with a resume position and collects everything up to replay_complete
+    const resume = (auth) =>
+      new Promise((resolve, reject) => {
+        const received = { events: [], gaps: [], initial: null };
+        clientSocket1 = new Client(`http://localhost:${port}`, {
+          query: { tenant: 'tenant_a' },
+          auth,
+        });
+        clientSocket1.on('initial_events', (data) => {
+          received.initial = data;
+        });
+        clientSocket1.on('event_created', (data) => received.events.push(data));
+        clientSocket1.on('gap', (data) => received.gaps.push(data));
+        clientSocket1.on('replay_complete', (data) => resolve({ ...received, complete: data }));
+        clientSocket1.on('connect_error', reject);
+      });
+
+    beforeEach(() => {
+      for (let i = 1; i <= 5; i++) {
+        eventService.createEvent('tenant_a', `Event ${i}`);
+      }
+    });
+
+    test('should replay events after the last seen sequence in order', async () => {
+      const { events, gaps, initial, complete } = await resume({ lastSequence: 2 });
+
+      expect(events.map((data) => data.sequence)).toEqual([3, 4, 5]);
+      expect(events.every((data) => data.replayed)).toBe(true);
+      expect(gaps).toEqual([]);
+      expect(initial).toBeNull();
+      expect(complete).toMatchObject({ count: 3, lastSequence: 5 });
+    });
+
+    test('should replay events after the last seen event id', async () => {
+      const [third] = tenantService.queryEvents('tenant_a', {
+        fromSequence: 3,
+        order: 'asc',
+        limit: 1,
+      }).events;
+      const { events } = await resume({ lastEventId: third.id });
+
+      expect(events.map((data) => data.sequence)).toEqual([4, 5]);
+    });
+
+    test('should signal a gap when missed events have expired', async () => {
+      tenantService.setRetentionPolicy('tenant_a', { maxCount: 2 });
+      try {
+        tenantService.applyRetention('tenant_a');
+        const { events, gaps } = await resume({ lastSequence: 1 });
+
+        expect(gaps).toEqual([
+          expect.objectContaining({ reason: 'truncated', fromSequence: 2, toSequence: 3 }),
+        ]);
+        expect(events.map((data) => data.sequence)).toEqual([4, 5]);
+      } finally {
+        tenantService.retentionOverrides.delete('tenant_a');
+      }
+    });
+
+    test('should signal a gap and replay retained events for unknown event ids', async () => {
+      const { events, gaps } = await resume({ lastEventId: 'expired-event' });
+
+      expect(gaps[0]).toMatchObject({ reason: 'unknown_event', lastEventId: 'expired-event' });
+      expect(events).toHaveLength(5);
+    });
+
+    test('should deliver live events after the replay', async () => {
+      await resume({ lastSequence: 5 });
+
+      const live = new Promise((resolve) => clientSocket1.once('event_created', resolve));
+      eventService.createEvent('tenant_a', 'Live event');
+
+      const data = await live;
+      expect(data.sequence).toBe(6);
+      expect(data.replayed).toBeUndefined();
+    });
+  });
+
+  describe('Acknowledged delivery', () => {
+    const connect = (auth) =>
+      new Promise((resolve, reject) => {
+        const socket = new Client(`http://localhost:${port}`, {
+          query: { tenant: 'tenant_a' },
+          auth,
+          reconnection: false,
+        });
+        socket.on('connection_established', (data) => resolve({ socket, established: data }));
+        socket.on('connect_error', reject);
+      });
+
+    const nextEvent = (socket) =>
+      new Promise((resolve) => socket.once('event_created', resolve));
+
+    const ack = (socket, payload) =>
+      new Promise((resolve) => socket.emit('ack', payload, resolve));
+
+    afterEach(() => {
+      // Sockets disconnect asynchronously; stop their sessions from writing positions
+      for (const session of consumerService.sessions.values()) {
+        consumerService.close(session);
+      }
+      consumerService.records.clear();
+    });
+
+    test('should require acks and redeliver unacked events', async () => {
+      const { socket, established } = await connect({ consumer: 'worker' });
+      clientSocket1 = socket;
+      expect(established.consumer).toMatchObject({ name: 'worker' });
+
+      const first = nextEvent(socket);
+      eventService.createEvent('tenant_a', 'Needs ack');
+      const delivered = await first;
+      expect(delivered).toMatchObject({ requiresAck: true, redelivered: false, attempts: 1 });
+
+      const redelivered = await nextEvent(socket);
+      expect(redelivered).toMatchObject({ sequence: delivered.sequence, redelivered: true });
+
+      const result = await ack(socket, { sequence: delivered.sequence });
+      expect(result).toEqual({
+        success: true,
+        acked: [delivered.sequence],
+        unknown: [],
+        position: delivered.sequence,
+      });
+    });
+
+    test('should resume a durable consumer after its last acked event', async () => {
+      eventService.createEvent('tenant_a', 'Before the consumer existed');
+
+      const first = await connect({ consumer: 'worker' });
+      clientSocket1 = first.socket;
+      const received = nextEvent(first.socket);
+      eventService.createEvent('tenant_a', 'Acked');
+      eventService.createEvent('tenant_a', 'Not acked');
+      await ack(first.socket, (await received).sequence);
+      first.socket.disconnect();
+
+      eventService.createEvent('tenant_a', 'While offline');
+
+      const replayed = [];
+      const second = new Client(`http://localhost:${port}`, {
+        query: { tenant: 'tenant_a' },
+        auth: { consumer: 'worker' },
+      });
+      clientSocket2 = second;
+      second.on('event_created', (data) => replayed.push(data));
+      const complete = await new Promise((resolve) => second.on('replay_complete', resolve));
+
+      expect(replayed.map((data) => data.event.message)).toEqual(['Not acked', 'While offline']);
+      expect(replayed.every((data) => data.requiresAck && data.replayed)).toBe(true);
+      expect(complete.count).toBe(2);
+    });
+
+    test('should hold back events past the unacked limit until acks make room', async () => {
+      const { maxUnacked } = config.delivery;
+      config.delivery.maxUnacked = 1;
+
+      try {
+        const { socket } = await connect({ consumer: 'worker' });
+        clientSocket1 = socket;
+
+        const first = nextEvent(socket);
+        eventService.createEvent('tenant_a', 'Sent');
+        eventService.createEvent('tenant_a', 'Held back');
+        const delivered = await first;
+        expect(delivered.event.message).toBe('Sent');
+
+        const next = nextEvent(socket);
+        await ack(socket, delivered.sequence);
+        expect(await next).toMatchObject({
+          sequence: delivered.sequence + 1,
+          requiresAck: true,
+          replayed: true,
+        });
+      } finally {
+        config.delivery.maxUnacked = maxUnacked;
+      }
+    });
+
+    test('should not persist ephemeral consumers', async () => {
+      const { socket, established } = await connect({ delivery: 'at-least-once' });
+      clientSocket1 = socket;
+
+      const received = nextEvent(socket);
+      eventService.createEvent('tenant_a', 'Ephemeral');
+      expect((await received).requiresAck).toBe(true);
+      expect(established.consumer).toEqual({ name: null, position: null });
+      expect(consumerService.list('tenant_a')).toEqual([]);
+    });
+
+    test('should reject acks from sockets without acknowledged delivery', async () => {
+      const { socket } = await connect({});
+      clientSocket1 = socket;
+
+      expect(await ack(socket, 1)).toMatchObject({ success: false });
+    });
+
+    test('should reject acks that are not sequence numbers', async () => {
+      const { socket } = await connect({ consumer: 'worker' });
+      clientSocket1 = socket;
+
+      expect(await ack(socket, { sequences: ['x'] })).toEqual({
+        success: false,
+        error: 'Acks must name event sequence numbers',
+      });
+    });
+
+    test('should disconnect sockets with an invalid consumer name', (done) => {
+      clientSocket1 = new Client(`http://localhost:${port}`, {
+        query: { tenant: 'tenant_a' },
+        auth: { consumer: 'not valid!' },
+        reconnection: false,
+      });
+
+      clientSocket1.on('system_message', (data) => {
+        expect(data.message).toMatch(/Invalid consumer name/);
+      });
+      clientSocket1.on('disconnect', () => done());
+    });
+  });
+
+  describe('Channels', () => {
+    const connect = (options = {}) =>
+      new Promise((resolve, reject) => {
+        const socket = new Client(`http://localhost:${port}`, {
+          query: { tenant: 'tenant_a' },
+          ...options,
+        });
+        socket.on('connection_established', () => resolve(socket));
+        socket.on('connect_error', reject);
+      });
+
+    // Publishes events to the given channels and collects what a socket receives
+    const publishAndCollect = async (socket, channels) => {
+      const received = [];
+      socket.on('event_created', (data) => received.push(data.event.channel || null));
+
+      for (const channel of channels) {
+        eventService.createEvent('tenant_a', {
+          message: 'Test',
+          ...(channel && { channel }),
+        });
+      }
+
+      // A marker on a channel every test subscribes to flushes the queue
+      await new Promise((resolve) => {
+        socket.on('event_created', (data) => {
+          if (data.event.channel === 'marker') {
+            resolve();
+          }
+        });
+        eventService.createEvent('tenant_a', { message: 'Marker', channel: 'marker' });
+      });
+
+      return received.filter((channel) => channel !== 'marker');
+    };
+
+    test('should deliver every channel to sockets without subscriptions', async () => {
+      clientSocket1 = await connect();
+
+      const received = await publishAndCollect(clientSocket1, ['orders', 'alerts', null]);
+
+      expect(received).toEqual(['orders', 'alerts', null]);
+    });
+
+    test('should only deliver subscribed channels', async () => {
+      clientSocket1 = await connect({ auth: { channels: ['orders/*', 'marker'] } });
+
+      const received = await publishAndCollect(clientSocket1, [
+        'orders/eu',
+        'orders',
+        'alerts',
+        'orders/us',
+        null,
+      ]);
+
+      expect(received).toEqual(['orders/eu', 'orders/us']);
+    });
+
+    test('should subscribe and unsubscribe at runtime', async () => {
+      clientSocket1 = await connect({ query: { tenant: 'tenant_a', channels: 'marker' } });
+
+      const subscribed = await new Promise((resolve) =>
+        clientSocket1.emit('subscribe', { channels: ['alerts/**'] }, resolve)
+      );
+      expect(subscribed).toEqual({
+        success: true,
+        channels: ['marker', 'alerts/**'],
+        filter: null,
+      });
+      expect(await publishAndCollect(clientSocket1, ['alerts/disk', 'orders'])).toEqual([
+        'alerts/disk',
+      ]);
+
+      clientSocket1.off('event_created');
+      const unsubscribed = await new Promise((resolve) =>
+        clientSocket1.emit('unsubscribe', 'alerts/**', resolve)
+      );
+      expect(unsubscribed.channels).toEqual(['marker']);
+      expect(await publishAndCollect(clientSocket1, ['alerts/disk'])).toEqual([]);
+    });
+
+    describe('filters', () => {
+      // A ping round trip guarantees earlier events have been delivered
+      const flush = (socket) => new Promise((resolve) => {
+        socket.once('pong', resolve);
+        socket.emit('ping');
+      });
+
+      const publish = () => {
+        eventService.createEvent('tenant_a', { type: 'order.created', message: 'Order', tags: ['eu'] });
+        eventService.createEvent('tenant_a', { type: 'order.created', message: 'Refund', tags: ['us'] });
+        eventService.createEvent('tenant_a', { type: 'alert.raised', message: 'Disk full' });
+      };
+
+      test('should only deliver events matching the socket filter', async () => {
+        clientSocket1 = await connect();
+        clientSocket2 = await connect();
+        const received = { filtered: [], unfiltered: [] };
+        clientSocket1.on('event_created', (data) => received.filtered.push(data.event.message));
+        clientSocket2.on('event_created', (data) => received.unfiltered.push(data.event.message));
+
+        const result = await new Promise((resolve) =>
+          clientSocket1.emit('subscribe', { filter: { type: 'order.*', tags: ['eu'] } }, resolve)
+        );
+        expect(result).toMatchObject({ success: true, filter: { type: 'order.*', tags: ['eu'] } });
+
+        publish();
+        await flush(clientSocket1);
+        await flush(clientSocket2);
+
+        expect(received.filtered).toEqual(['Order']);
+        expect(received.unfiltered).toEqual(['Order', 'Refund', 'Disk full']);
+      });
+
+      test('should combine filters with channel subscriptions and clear them', async () => {
+        clientSocket1 = await connect({ auth: { channels: ['orders'], filter: { text: 'refund' } } });
+        const received = [];
+        clientSocket1.on('event_created', (data) => received.push(data.event.message));
+
+        eventService.createEvent('tenant_a', { channel: 'orders', message: 'Refund o-1' });
+        eventService.createEvent('tenant_a', { channel: 'billing', message: 'Refund b-1' });
+        eventService.createEvent('tenant_a', { channel: 'orders', message: 'Order o-2' });
+        await flush(clientSocket1);
+        expect(received).toEqual(['Refund o-1']);
+
+        await new Promise((resolve) => clientSocket1.emit('subscribe', { filter: null }, resolve));
+        eventService.createEvent('tenant_a', { channel: 'orders', message: 'Order o-3' });
+        await flush(clientSocket1);
+        expect(received).toEqual(['Refund o-1', 'Order o-3']);
+      });
+
+      test('should reject invalid filters', async () => {
+        clientSocket1 = await connect();
+
+        const result = await new Promise((resolve) =>
+          clientSocket1.emit('subscribe', { filter: { where: 'type = x' } }, resolve)
+        );
+        const empty = await new Promise((resolve) => clientSocket1.emit('subscribe', {}, resolve));
+
+        expect(result).toEqual({ success: false, error: 'Invalid filter: Unknown filter fields: where' });
+        expect(empty).toEqual({ success: false, error: 'channels or filter is required' });
+      });
+    });
+
+    test('should reject invalid patterns', async () => {
+      clientSocket1 = await connect();
+
+      const result = await new Promise((resolve) =>
+        clientSocket1.emit('subscribe', { channels: ['**/orders'] }, resolve)
+      );
+
+      expect(result).toEqual({ success: false, error: 'Invalid channel patterns: **/orders' });
+    });
+  });
+
+  describe('Publishing', () => {
+    const connect = () =>
+      new Promise((resolve, reject) => {
+        const socket = new Client(`http://localhost:${port}`, {
+          query: { tenant: 'tenant_a' },
+        });
+        socket.on('connection_established', () => resolve(socket));
+        socket.on('connect_error', reject);
+      });
+
+    const publish = (socket, payload) =>
+      new Promise((resolve) => socket.emit('publish_event', payload, resolve));
+
+    afterEach(() => {
+      config.auth.headerRoles = ['reader', 'publisher'];
+    });
+
+    test('should create the event and broadcast it to the tenant', async () => {
+      clientSocket1 = await connect();
+      clientSocket2 = await connect();
+      const received = new Promise((resolve) => clientSocket2.on('event_created', resolve));
+
+      const result = await publish(clientSocket1, { message: '<b>Hi</b>', type: 'chat.message' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        tenant_id: 'tenant_a',
+        type: 'chat.message',
+        message: '&lt;b&gt;Hi&lt;&#x2F;b&gt;',
+      });
+      expect((await received).event.id).toBe(result.data.id);
+      expect(tenantService.getEvents('tenant_a', 10)).toHaveLength(1);
+    });
+
+    test('should return validation errors without creating an event', async () => {
+      clientSocket1 = await connect();
+
+      const result = await publish(clientSocket1, { message: '', tags: 'not-a-list' });
+
+      expect(result).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+      expect(result.details.map((detail) => detail.field)).toEqual(['message', 'tags']);
+      expect(tenantService.getEvents('tenant_a', 10)).toHaveLength(0);
+    });
+
+    test('should reject payloads that are not objects', async () => {
+      clientSocket1 = await connect();
+
+      const result = await publish(clientSocket1, 'just a string');
+
+      expect(result).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+      expect(result.details[0].field).toBe('body');
+    });
+
+    test('should require the events:publish permission', async () => {
+      config.auth.headerRoles = ['reader'];
+      clientSocket1 = await connect();
+
+      const result = await publish(clientSocket1, { message: 'Hello' });
+
+      expect(result).toMatchObject({
+        success: false,
+        code: 'FORBIDDEN',
+        required: 'events:publish',
+      });
+      expect(tenantService.getEvents('tenant_a', 10)).toHaveLength(0);
+    });
+
+    test('should count publishes against the API rate limit', async () => {
+      const { max } = config.rateLimit;
+      clientSocket1 = await connect();
+
+      try {
+        config.rateLimit.max = 0;
+        const result = await publish(clientSocket1, { message: 'Hello' });
+
+        expect(result).toMatchObject({ success: false, code: 'RATE_LIMITED' });
+        expect(tenantService.getEvents('tenant_a', 10)).toHaveLength(0);
+      } finally {
+        config.rateLimit.max = max;
+      }
+    });
+  });
+
+  describe('Slow consumers', () => {
+    const slowSocketIds = new Set();
+
+    const connect = () =>
+      new Promise((resolve, reject) => {
+        const socket = new Client(`http://localhost:${port}`, {
+          query: { tenant: 'tenant_a' },
+          reconnection: false,
+        });
+        socket.on('connection_established', () => resolve(socket));
+        socket.on('connect_error', reject);
+      });
+
+    beforeEach(() => {
+      const measure = socketService.getPendingWrites.bind(socketService);
+      jest
+        .spyOn(socketService, 'getPendingWrites')
+        .mockImplementation((socket) =>
+          slowSocketIds.has(socket.id) ? { messages: 5000, bytes: 0 } : measure(socket)
+        );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      slowSocketIds.clear();
+      config.backpressure.policy = 'drop-oldest';
+    });
+
+    test('should hold back events for a slow socket without delaying others', async () => {
+      clientSocket1 = await connect();
+      clientSocket2 = await connect();
+      const slowEvents = [];
+      const fastEvents = [];
+      clientSocket1.on('event_created', (data) => slowEvents.push(data.sequence));
+      clientSocket2.on('event_created', (data) => fastEvents.push(data.sequence));
+
+      slowSocketIds.add(clientSocket1.id);
+      for (let i = 1; i <= 5; i++) {
+        eventService.createEvent('tenant_a', `Event ${i}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(fastEvents).toEqual([1, 2, 3, 4, 5]);
+      expect(slowEvents).toEqual([]);
+      expect(socketService.getConnectionStats().backpressure).toMatchObject({
+        policy: 'drop-oldest',
+        slowConnections: 1,
+        queuedEvents: 3,
+      });
+
+      const missed = new Promise((resolve) => clientSocket1.once('events_missed', resolve));
+      slowSocketIds.clear();
+
+      expect(await missed).toMatchObject({ reason: 'slow_consumer', count: 2 });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(slowEvents).toEqual([3, 4, 5]);
+      expect(socketService.getConnectionStats().backpressure.slowConnections).toBe(0);
+    });
+
+    test('should disconnect slow sockets when the policy says so', async () => {
+      config.backpressure.policy = 'disconnect';
+      clientSocket1 = await connect();
+      const message = new Promise((resolve) => clientSocket1.on('system_message', resolve));
+      const disconnected = new Promise((resolve) => clientSocket1.on('disconnect', resolve));
+
+      slowSocketIds.add(clientSocket1.id);
+      eventService.createEvent('tenant_a', 'Too much');
+
+      expect(await message).toMatchObject({ code: 'SLOW_CONSUMER' });
+      expect(await disconnected).toBe('io server disconnect');
+    });
+  });
+
   describe('Connection management', () => {
     test('should track connected clients correctly', (done) => {
       clientSocket1 = new Client(`http://localhost:${port}`, {
@@ -423,6 +1115,8 @@ describe('WebSocket Integration Tests', () => {
       clientSocket1.on('event_created', (data) => {
         expect(data.event.message).toBe('Test real-time event');
         expect(data.event.tenant_id).toBe('tenant_a');
+        expect(data.sequence).toBe(data.event.sequence);
+        expect(data.event.sequence).toBe(tenantService.getLastSequence('tenant_a'));
         completeTest();
       });
 
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the slow consumer BackpressureMonitor
+ */
+
+const config = require('../../config/config');
+const BackpressureMonitor = require('../../src/services/backpressure');
+
+describe('BackpressureMonitor', () => {
+  const originalPolicy = config.backpressure.policy;
+  let monitor;
+  let connection;
+  let pending;
+  let sent;
+  let notices;
+  let disconnects;
+
+  const event = (sequence) => ({ id: `event-${sequence}`, sequence });
+  const send = (sequence) =>
+    monitor.send(connection, event(sequence), () => sent.push(sequence));
+
+  beforeEach(() => {
+    monitor = new BackpressureMonitor();
+    pending = { messages: 0, bytes: 0 };
+    sent = [];
+    notices = [];
+    disconnects = [];
+    connection = { id: 'socket-1', data: {} };
+    monitor.track(connection, {
+      pending: () => pending,
+      notify: (data) => notices.push(data),
+      disconnect: (code, message) => disconnects.push({ code, message }),
+    });
+  });
+
+  afterEach(() => {
+    monitor.stopChecking();
+    config.backpressure.policy = originalPolicy;
+  });
+
+  test('should send immediately while buffers are within the limits', () => {
+    send(1);
+    send(2);
+
+    expect(sent).toEqual([1, 2]);
+    expect(monitor.isSlow(connection)).toBe(false);
+  });
+
+  test('should queue the newest events and drop the oldest while slow', () => {
+    config.backpressure.policy = 'drop-oldest';
+    pending = { messages: config.backpressure.maxPendingMessages + 1, bytes: 0 };
+
+    for (let sequence = 1; sequence <= 5; sequence++) {
+      send(sequence);
+    }
+    expect(sent).toEqual([]);
+    expect(monitor.isSlow(connection)).toBe(true);
+    expect(monitor.getConnectionStats(connection)).toMatchObject({ queuedEvents: 3, slow: true });
+
+    monitor.recover();
+    expect(sent).toEqual([]);
+
+    pending = { messages: 0, bytes: 0 };
+    monitor.recover();
+    expect(notices).toEqual([{ reason: 'slow_consumer', count: 2 }]);
+    expect(sent).toEqual([3, 4, 5]);
+    expect(monitor.isSlow(connection)).toBe(false);
+    expect(monitor.totals.droppedEvents).toBe(2);
+  });
+
+  test('should coalesce missed events into one notice', () => {
+    config.backpressure.policy = 'coalesce';
+    pending = { messages: 0, bytes: config.backpressure.maxPendingBytes + 1 };
+
+    send(7);
+    send(8);
+    send(9);
+    pending = { messages: 0, bytes: 0 };
+    monitor.recover();
+    send(10);
+
+    expect(notices).toEqual([
+      { reason: 'slow_consumer', count: 3, fromSequence: 7, toSequence: 9 },
+    ]);
+    expect(sent).toEqual([10]);
+    expect(monitor.totals.coalescedEvents).toBe(3);
+  });
+
+  test('should disconnect slow connections with a reason code', () => {
+    config.backpressure.policy = 'disconnect';
+    pending = { messages: config.backpressure.maxPendingMessages + 1, bytes: 10 };
+
+    send(1);
+
+    expect(sent).toEqual([]);
+    expect(disconnects).toEqual([
+      { code: 'SLOW_CONSUMER', message: expect.stringContaining('waiting to be sent') },
+    ]);
+    expect(monitor.totals.disconnectedConnections).toBe(1);
+  });
+
+  test('should check slow connections for recovery on an interval', () => {
+    jest.useFakeTimers();
+    try {
+      pending = { messages: config.backpressure.maxPendingMessages + 1, bytes: 0 };
+      send(1);
+      pending = { messages: 0, bytes: 0 };
+
+      jest.advanceTimersByTime(config.backpressure.checkIntervalMs);
+
+      expect(sent).toEqual([1]);
+      expect(monitor.timer).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should report empty counts for untracked connections', () => {
+    expect(monitor.getConnectionStats({ data: {} })).toEqual({
+      pendingMessages: 0,
+      pendingBytes: 0,
+      queuedEvents: 0,
+      slow: false,
+    });
+  });
+});
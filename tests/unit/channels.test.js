@@ -0,0 +1,67 @@
+/**
+ * Unit tests for channel naming and wildcard matching
+ */
+
+const {
+  isValidChannel,
+  isValidPattern,
+  matchesChannel,
+  matchingPatterns,
+} = require('../../src/services/channels');
+
+describe('channels', () => {
+  test('should validate channel names', () => {
+    expect(isValidChannel('orders')).toBe(true);
+    expect(isValidChannel('orders/eu/high-value')).toBe(true);
+    expect(isValidChannel('orders/*')).toBe(false);
+    expect(isValidChannel('orders//eu')).toBe(false);
+    expect(isValidChannel('a/b/c/d/e/f')).toBe(false);
+    expect(isValidChannel(42)).toBe(false);
+  });
+
+  test('should validate subscription patterns', () => {
+    expect(isValidPattern('**')).toBe(true);
+    expect(isValidPattern('orders/*')).toBe(true);
+    expect(isValidPattern('orders/**')).toBe(true);
+    expect(isValidPattern('**/orders')).toBe(false);
+    expect(isValidPattern('ord*')).toBe(false);
+  });
+
+  test.each([
+    ['orders', 'orders', true],
+    ['orders', 'orders/eu', false],
+    ['orders/*', 'orders/eu', true],
+    ['orders/*', 'orders', false],
+    ['orders/*', 'orders/eu/high', false],
+    ['orders/**', 'orders', true],
+    ['orders/**', 'orders/eu/high', true],
+    ['*/alerts', 'billing/alerts', true],
+    ['**', 'anything/at/all', true],
+    ['**', undefined, true],
+    ['orders/**', undefined, false],
+  ])('pattern %s on channel %s should match: %s', (pattern, channel, expected) => {
+    expect(matchesChannel(pattern, channel)).toBe(expected);
+  });
+
+  test('should list exactly the patterns that match a channel', () => {
+    const patterns = matchingPatterns('orders/eu');
+
+    expect(patterns.sort()).toEqual(
+      [
+        '**',
+        'orders/**',
+        '*/**',
+        'orders/eu/**',
+        'orders/*/**',
+        '*/eu/**',
+        '*/*/**',
+        'orders/eu',
+        'orders/*',
+        '*/eu',
+        '*/*',
+      ].sort()
+    );
+    expect(patterns.every((pattern) => matchesChannel(pattern, 'orders/eu'))).toBe(true);
+    expect(matchingPatterns(undefined)).toEqual(['**']);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for the cluster message buses
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createBus, registerBusDriver, LocalBus, IpcBus } = require('../../src/bus');
+
+/**
+ * Resolves with the next message a bus receives on a channel
+ * @param {Object} bus - Message bus
+ * @param {string} channel - Channel name
+ * @returns {Promise} - Resolves with the message
+ */
+const nextMessage = (bus, channel) =>
+  new Promise((resolve) => {
+    const unsubscribe = bus.subscribe(channel, (message) => {
+      unsubscribe();
+      resolve(message);
+    });
+  });
+
+/**
+ * Retries an assertion until it passes or the time runs out
+ * @param {Function} assertion - Function that throws while unmet
+ * @param {number} timeoutMs - Time to keep trying
+ */
+const eventually = async (assertion, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return assertion();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await global.testUtils.delay(10);
+    }
+  }
+};
+
+describe('Message buses', () => {
+  describe('LocalBus', () => {
+    let hub;
+    let first;
+    let second;
+
+    beforeEach(() => {
+      hub = new Set();
+      first = new LocalBus({ hub });
+      second = new LocalBus({ hub });
+    });
+
+    test('should deliver copies of messages to the other buses only', () => {
+      const own = [];
+      const received = [];
+      first.subscribe('events', (message) => own.push(message));
+      second.subscribe('events', (message) => received.push(message));
+
+      const message = { id: 1, tags: ['a'] };
+      first.publish('events', message);
+
+      expect(own).toEqual([]);
+      expect(received).toEqual([message]);
+      expect(received[0]).not.toBe(message);
+    });
+
+    test('should number sequenced messages per key and deliver them to every bus', () => {
+      const own = [];
+      const received = [];
+      first.subscribe('events', (message) => own.push(message.sequence));
+      second.subscribe('events', (message) => received.push(message.sequence));
+
+      first.sequence('events', 'tenant_a', { sequence: 0 });
+      second.sequence('events', 'tenant_a', { sequence: 0 });
+      first.sequence('events', 'tenant_b', { sequence: 0 });
+      second.sequence('events', 'tenant_a', { sequence: 10 });
+
+      expect(own).toEqual([1, 2, 1, 11]);
+      expect(received).toEqual(own);
+    });
+
+    test('should stop delivering after unsubscribe or close', () => {
+      const received = [];
+      const unsubscribe = second.subscribe('events', (message) => received.push(message));
+
+      unsubscribe();
+      first.publish('events', { id: 1 });
+      second.subscribe('events', (message) => received.push(message));
+      second.close();
+      first.publish('events', { id: 2 });
+
+      expect(received).toEqual([]);
+      expect(hub.size).toBe(1);
+    });
+  });
+
+  describe('IpcBus', () => {
+    let dir;
+    let buses;
+
+    const open = async (options = {}) => {
+      const bus = new IpcBus({ socketPath: path.join(dir, 'bus.sock'), reconnectMs: 20, ...options });
+      buses.push(bus);
+      await bus.ready();
+      return bus;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bus-'));
+      buses = [];
+    });
+
+    afterEach(() => {
+      for (const bus of buses) {
+        bus.close();
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should relay messages between nodes through the hub', async () => {
+      const hub = await open({ hub: true });
+      const first = await open();
+      const second = await open();
+
+      const atSecond = nextMessage(second, 'events');
+      const atHub = nextMessage(hub, 'events');
+      first.publish('events', { id: 'from-first' });
+      expect(await atSecond).toEqual({ id: 'from-first' });
+      expect(await atHub).toEqual({ id: 'from-first' });
+
+      const atFirst = nextMessage(first, 'stats');
+      hub.publish('stats', { id: 'from-hub' });
+      expect(await atFirst).toEqual({ id: 'from-hub' });
+    });
+
+    test('should number sequenced messages in the hub', async () => {
+      const hub = await open({ hub: true });
+      const first = await open();
+      const second = await open();
+
+      const collect = (bus) => {
+        const numbers = [];
+        bus.subscribe('events', (message) => numbers.push(`${message.from}:${message.sequence}`));
+        return numbers;
+      };
+      const atHub = collect(hub);
+      const atFirst = collect(first);
+      const atSecond = collect(second);
+
+      first.sequence('events', 'tenant_a', { from: 'first', sequence: 0 });
+      second.sequence('events', 'tenant_a', { from: 'second', sequence: 0 });
+      hub.sequence('events', 'tenant_a', { from: 'hub', sequence: 0 });
+
+      await eventually(() => expect(atSecond).toHaveLength(3));
+      await eventually(() => expect(atFirst).toHaveLength(3));
+      expect(atHub.map((entry) => entry.split(':')[1]).sort()).toEqual(['1', '2', '3']);
+      expect(atFirst).toEqual(atHub);
+      expect(atSecond).toEqual(atHub);
+    });
+
+    test('should ignore frames that are not JSON and failing handlers', async () => {
+      const hub = await open({ hub: true });
+      const node = await open();
+      node.subscribe('events', () => {
+        throw new Error('handler failed');
+      });
+
+      const received = nextMessage(node, 'events');
+      for (const peer of hub.peers) {
+        peer.write('not json\n');
+      }
+      hub.publish('events', { id: 1 });
+
+      expect(await received).toEqual({ id: 1 });
+    });
+
+    test('should reconnect once the hub is back', async () => {
+      const node = new IpcBus({ socketPath: path.join(dir, 'bus.sock'), reconnectMs: 20 });
+      buses.push(node);
+
+      const hub = await open({ hub: true });
+      await node.ready();
+
+      const received = nextMessage(hub, 'events');
+      node.publish('events', { id: 'after-reconnect' });
+      expect(await received).toEqual({ id: 'after-reconnect' });
+    });
+  });
+
+  describe('createBus', () => {
+    test('should create registered drivers', () => {
+      const bus = createBus({ bus: 'local', hub: new Set() });
+      expect(bus).toBeInstanceOf(LocalBus);
+
+      const custom = { publish: jest.fn() };
+      registerBusDriver('custom', () => custom);
+      expect(createBus({ bus: 'custom' })).toBe(custom);
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createBus({ bus: 'carrier-pigeon' })).toThrow(
+        'Unknown bus driver: carrier-pigeon'
+      );
+    });
+  });
+});
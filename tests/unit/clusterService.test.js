@@ -0,0 +1,364 @@
+/**
+ * Unit tests for ClusterService
+ */
+
+const config = require('../../config/config');
+const { LocalBus } = require('../../src/bus');
+const { ClusterService } = require('../../src/services/clusterService');
+const eventService = require('../../src/services/eventService');
+const tenantService = require('../../src/services/tenantService');
+const tenantRegistry = require('../../src/services/tenantRegistry');
+const apiKeyService = require('../../src/services/apiKeyService');
+const webhookService = require('../../src/services/webhookService');
+const idempotencyService = require('../../src/services/idempotencyService');
+const socketService = require('../../src/services/socketService');
+const sseService = require('../../src/services/sseService');
+
+describe('ClusterService', () => {
+  let service;
+  let peer;
+  let received;
+
+  const peerStats = (overrides = {}) => ({
+    totalConnections: 3,
+    tenantConnections: { tenant_a: 2, tenant_c: 1 },
+    backpressure: {
+      policy: 'coalesce',
+      slowConnections: 1,
+      pendingMessages: 10,
+      pendingBytes: 100,
+      queuedEvents: 0,
+      droppedEvents: 4,
+      coalescedEvents: 0,
+      disconnectedConnections: 0,
+    },
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    service = new ClusterService();
+  });
+
+  beforeEach(async () => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+
+    const hub = new Set();
+    peer = new LocalBus({ hub });
+    received = { events: [], control: [], stats: [] };
+    for (const channel of Object.keys(received)) {
+      peer.subscribe(channel, (message) => received[channel].push(message));
+    }
+    await service.start(new LocalBus({ hub }));
+  });
+
+  afterEach(() => {
+    service.stop();
+    peer.close();
+    jest.restoreAllMocks();
+  });
+
+  test('should share its stats and ask for the registries when joining', () => {
+    expect(received.stats).toEqual([
+      { nodeId: service.nodeId, stats: expect.objectContaining({ totalConnections: 0 }) },
+    ]);
+    expect(received.control).toEqual([{ type: 'syncRequest', nodeId: service.nodeId }]);
+    expect(service.isEnabled()).toBe(true);
+    expect(typeof service.createAdapter()).toBe('function');
+  });
+
+  test('should have the bus number events created on this node', async () => {
+    const emitted = [];
+    const listener = (payload) => emitted.push(payload);
+    eventService.on('eventCreated', listener);
+
+    const first = await eventService.publishEvent('tenant_a', 'Created here');
+    const second = await eventService.publishEvent('tenant_a', 'Created here too');
+    eventService.off('eventCreated', listener);
+
+    expect([first.sequence, second.sequence]).toEqual([1, 2]);
+    expect(received.events).toEqual([
+      { nodeId: service.nodeId, tenantId: 'tenant_a', event: first, sequence: 1 },
+      { nodeId: service.nodeId, tenantId: 'tenant_a', event: second, sequence: 2 },
+    ]);
+    expect(emitted).toEqual([
+      { tenantId: 'tenant_a', event: first },
+      { tenantId: 'tenant_a', event: second },
+    ]);
+    expect(tenantService.getEvents('tenant_a', 10)).toEqual([second, first]);
+    expect(() => eventService.createEvent('tenant_a', 'Numbered locally')).toThrow(
+      'Cluster nodes create events with publishEvent'
+    );
+  });
+
+  test('should not hand out sequences another node was given', async () => {
+    peer.sequence('events', 'tenant_a', {
+      nodeId: 'node-2',
+      tenantId: 'tenant_a',
+      event: { id: 'remote-1', tenant_id: 'tenant_a', sequence: null, message: 'Elsewhere' },
+      sequence: 0,
+    });
+    const local = await eventService.publishEvent('tenant_a', 'Here');
+
+    expect(local.sequence).toBe(2);
+    expect(tenantService.getEvents('tenant_a', 10).map((event) => event.sequence)).toEqual([2, 1]);
+  });
+
+  test('should fail publishing when the bus does not number the event', async () => {
+    jest.spyOn(service.bus, 'sequence').mockImplementation(() => undefined);
+
+    await expect(eventService.publishEvent('tenant_a', 'Lost')).rejects.toMatchObject({
+      statusCode: 503,
+      code: 'CLUSTER_UNAVAILABLE',
+    });
+    expect(service.pending.size).toBe(0);
+  });
+
+  test('should store and emit events of other nodes without publishing them again', () => {
+    const emitted = [];
+    const listener = (payload) => emitted.push(payload);
+    eventService.on('eventCreated', listener);
+
+    const event = {
+      id: 'remote-1',
+      tenant_id: 'tenant_a',
+      sequence: 5,
+      type: 'message',
+      message: 'Created elsewhere',
+      timestamp: new Date().toISOString(),
+    };
+    peer.publish('events', { nodeId: 'node-2', tenantId: 'tenant_a', event, sequence: 5 });
+    eventService.off('eventCreated', listener);
+
+    expect(emitted).toEqual([{ tenantId: 'tenant_a', event, origin: 'node-2' }]);
+    expect(tenantService.getEvents('tenant_a', 10)).toEqual([event]);
+    expect(received.events).toEqual([]);
+    expect(tenantService.getLastSequence('tenant_a')).toBe(5);
+  });
+
+  test('should ignore events of tenants this node does not know', () => {
+    peer.publish('events', {
+      nodeId: 'node-2',
+      tenantId: 'tenant_unknown',
+      event: { id: 'remote-2', sequence: null },
+      sequence: 1,
+    });
+
+    expect(tenantService.getEventCount('tenant_a')).toBe(0);
+  });
+
+  test('should add up connection stats of the nodes', () => {
+    peer.publish('stats', { nodeId: 'node-2', stats: peerStats() });
+
+    // A new node is answered right away
+    expect(received.stats).toHaveLength(2);
+
+    const stats = service.getConnectionStats();
+    expect(stats).toMatchObject({
+      totalConnections: 3,
+      tenantConnections: { tenant_a: 2, tenant_c: 1 },
+      backpressure: {
+        policy: config.backpressure.policy,
+        slowConnections: 1,
+        pendingMessages: 10,
+        droppedEvents: 4,
+      },
+      nodes: [
+        { nodeId: service.nodeId, totalConnections: 0 },
+        { nodeId: 'node-2', totalConnections: 3 },
+      ],
+    });
+  });
+
+  test('should leave out nodes that stopped sending heartbeats', () => {
+    peer.publish('stats', { nodeId: 'node-2', stats: peerStats() });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + config.cluster.heartbeatTimeoutMs + 1);
+
+    const stats = service.getConnectionStats();
+
+    expect(stats.totalConnections).toBe(0);
+    expect(stats.nodes).toEqual([{ nodeId: service.nodeId, totalConnections: 0 }]);
+    expect(service.peers.size).toBe(0);
+  });
+
+  test('should send heartbeats on an interval', async () => {
+    await global.testUtils.delay(config.cluster.heartbeatIntervalMs * 2.5);
+
+    expect(received.stats.length).toBeGreaterThanOrEqual(3);
+  });
+
+  test('should disconnect tenants and API keys on every node', () => {
+    jest.spyOn(socketService, 'disconnectTenant').mockImplementation(() => undefined);
+    jest.spyOn(socketService, 'disconnectApiKey').mockImplementation(() => undefined);
+    jest.spyOn(sseService, 'disconnectTenant');
+    jest.spyOn(sseService, 'disconnectApiKey');
+
+    service.disconnectTenant('tenant_a', 'Tenant suspended');
+    service.disconnectApiKey('key-1');
+
+    expect(socketService.disconnectTenant).toHaveBeenCalledWith('tenant_a', 'Tenant suspended');
+    expect(sseService.disconnectApiKey).toHaveBeenCalledWith('key-1');
+    expect(received.control.slice(1)).toEqual([
+      { type: 'disconnectTenant', tenantId: 'tenant_a', reason: 'Tenant suspended' },
+      { type: 'disconnectApiKey', apiKeyId: 'key-1' },
+    ]);
+  });
+
+  test('should disconnect plain WebSocket and SSE clients when another node asks', () => {
+    jest.spyOn(socketService.raw, 'disconnectTenant');
+    jest.spyOn(socketService.raw, 'disconnectApiKey');
+    jest.spyOn(sseService, 'disconnectTenant');
+    jest.spyOn(sseService, 'disconnectApiKey');
+
+    peer.publish('control', { type: 'disconnectTenant', tenantId: 'tenant_b', reason: 'Gone' });
+    peer.publish('control', { type: 'disconnectApiKey', apiKeyId: 'key-2' });
+
+    expect(socketService.raw.disconnectTenant).toHaveBeenCalledWith('tenant_b', 'Gone');
+    expect(sseService.disconnectTenant).toHaveBeenCalledWith('tenant_b', 'Gone');
+    expect(socketService.raw.disconnectApiKey).toHaveBeenCalledWith('key-2');
+    expect(sseService.disconnectApiKey).toHaveBeenCalledWith('key-2');
+  });
+
+  test('should send registry changes made on this node to the others', () => {
+    const key = apiKeyService.create('tenant_a', { name: 'ci' });
+    apiKeyService.revoke('tenant_a', key.id);
+    idempotencyService.remember('tenant_a', 'key-1', 'f', { id: 'event-1' }, 1000);
+    idempotencyService.clearTenant('tenant_a');
+
+    expect(received.control.slice(1)).toEqual([
+      {
+        type: 'change',
+        registry: 'apiKeys',
+        change: {
+          op: 'put',
+          record: expect.objectContaining({ id: key.id, hash: expect.any(String) }),
+        },
+      },
+      { type: 'change', registry: 'apiKeys', change: { op: 'remove', id: key.id } },
+      {
+        type: 'change',
+        registry: 'idempotency',
+        change: {
+          op: 'put',
+          tenantId: 'tenant_a',
+          key: 'key-1',
+          entry: { fingerprint: 'f', event: { id: 'event-1' }, expiresAt: expect.any(Number) },
+        },
+      },
+      {
+        type: 'change',
+        registry: 'idempotency',
+        change: { op: 'removeTenant', tenantId: 'tenant_a' },
+      },
+    ]);
+  });
+
+  test('should repeat registry changes of other nodes without sending them again', async () => {
+    const tenant = {
+      id: 'tenant_x',
+      displayName: 'X',
+      status: 'active',
+      createdAt: 'now',
+      updatedAt: 'now',
+    };
+    const key = { id: 'key-x', tenantId: 'tenant_x', roles: ['reader'], hash: 'abc' };
+    peer.publish('control', {
+      type: 'change',
+      registry: 'tenants',
+      change: { op: 'put', record: tenant },
+    });
+    peer.publish('control', {
+      type: 'change',
+      registry: 'apiKeys',
+      change: { op: 'put', record: key },
+    });
+
+    expect(tenantService.isActiveTenant('tenant_x')).toBe(true);
+    expect(apiKeyService.list('tenant_x')).toEqual([expect.objectContaining({ id: 'key-x' })]);
+
+    await service.sequenceEvent('tenant_x', {
+      id: 'event-x',
+      tenant_id: 'tenant_x',
+      sequence: null,
+    });
+    peer.publish('control', {
+      type: 'change',
+      registry: 'apiKeys',
+      change: { op: 'removeTenant', tenantId: 'tenant_x' },
+    });
+    peer.publish('control', {
+      type: 'change',
+      registry: 'tenants',
+      change: { op: 'remove', id: 'tenant_x' },
+    });
+
+    expect(tenantService.isValidTenant('tenant_x')).toBe(false);
+    expect(apiKeyService.list('tenant_x')).toEqual([]);
+    expect(tenantService.getLastSequence('tenant_x')).toBe(0);
+    expect(received.control.filter((message) => message.type === 'change')).toEqual([]);
+  });
+
+  test('should send its registries to a joining node', () => {
+    const webhook = webhookService.create('tenant_a', { url: 'http://127.0.0.1:9/hook' });
+    received.control = [];
+
+    peer.publish('control', { type: 'syncRequest', nodeId: 'node-2' });
+    webhookService.remove('tenant_a', webhook.id);
+
+    expect(received.control[0]).toEqual({
+      type: 'sync',
+      to: 'node-2',
+      registries: {
+        tenants: tenantRegistry.list(),
+        apiKeys: [],
+        schemas: [],
+        webhooks: [expect.objectContaining({ id: webhook.id, secret: webhook.secret })],
+        sources: [],
+      },
+    });
+  });
+
+  test('should copy the registries of the first node that answers', () => {
+    const tenants = tenantRegistry.list();
+    const registries = {
+      tenants: [...tenants, { id: 'tenant_y', displayName: 'Y', status: 'suspended' }],
+      apiKeys: [{ id: 'key-y', tenantId: 'tenant_y', hash: 'def' }],
+      schemas: [],
+      webhooks: [],
+      sources: [],
+    };
+
+    peer.publish('control', {
+      type: 'sync',
+      to: 'node-2',
+      registries: { ...registries, tenants: [] },
+    });
+    peer.publish('control', { type: 'sync', to: service.nodeId, registries });
+    peer.publish('control', {
+      type: 'sync',
+      to: service.nodeId,
+      registries: { ...registries, tenants },
+    });
+
+    expect(tenantService.isValidTenant('tenant_y')).toBe(true);
+    expect(tenantService.isActiveTenant('tenant_y')).toBe(false);
+    expect(apiKeyService.list('tenant_y')).toEqual([expect.objectContaining({ id: 'key-y' })]);
+
+    tenantRegistry.restore(tenants);
+    apiKeyService.restore([]);
+  });
+
+  test('should work on its own outside a cluster', () => {
+    service.stop();
+    service.stop();
+
+    expect(service.isEnabled()).toBe(false);
+    expect(service.createAdapter()).toBeUndefined();
+    expect(() => eventService.createEvent('tenant_a', 'Single node')).not.toThrow();
+    expect(service.getConnectionStats().nodes).toEqual([
+      { nodeId: service.nodeId, totalConnections: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for the environment configuration
+ */
+
+describe('Config', () => {
+  const STORE_VARIABLES = [
+    'TENANT_REGISTRY_FILE',
+    'API_KEY_STORE_FILE',
+    'SCHEMA_REGISTRY_FILE',
+    'WEBHOOK_STORE_FILE',
+    'INGEST_SOURCE_FILE',
+  ];
+
+  /**
+   * Loads the config of an environment without the store variables set
+   * @param {string} env - NODE_ENV to load
+   * @returns {Object} - The environment's config
+   */
+  const load = (env) => {
+    const saved = { ...process.env };
+    let config;
+    jest.isolateModules(() => {
+      process.env.NODE_ENV = env;
+      for (const name of STORE_VARIABLES) {
+        delete process.env[name];
+      }
+      try {
+        config = require('../../config/config');
+      } finally {
+        process.env = saved;
+      }
+    });
+    return config;
+  };
+
+  test('should keep the production registries on disk by default', () => {
+    const production = load('production');
+
+    expect(production.auth.mode).toBe('apiKey');
+    expect(production.apiKeyStoreFile).toBe('data/api-keys.json');
+    expect(production.tenantRegistryFile).toBe('data/tenants.json');
+    expect(production.schemaRegistryFile).toBe('data/schemas.json');
+    expect(production.webhooks.storeFile).toBe('data/webhooks.json');
+    expect(production.ingest.storeFile).toBe('data/ingest-sources.json');
+  });
+
+  test('should start every environment from the shared base', () => {
+    const development = load('development');
+    const production = load('production');
+
+    expect(development.apiKeyStoreFile).toBeNull();
+    expect(production.rateLimit).toEqual({ windowMs: development.rateLimit.windowMs, max: 50 });
+    expect(production.auth.jwt).toEqual(development.auth.jwt);
+    expect(production.cluster).toEqual(development.cluster);
+  });
+
+  test('should override nested settings without dropping their siblings', () => {
+    const test = load('test');
+
+    expect(test.auth).toMatchObject({ mode: 'header', headerRoles: ['reader', 'publisher'] });
+    expect(test.auth.jwt.algorithms).toEqual(['HS256', 'RS256']);
+    expect(test.backpressure.maxPendingBytes).toBe(1024 * 1024);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for ConsumerService
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const config = require('../../config/config');
+const { ConsumerService, isValidConsumerName } = require('../../src/services/consumerService');
+
+describe('ConsumerService', () => {
+  let service;
+  let sent;
+  let evicted;
+  let caughtUp;
+
+  const event = (sequence) => ({ id: `event-${sequence}`, sequence, message: 'hi' });
+
+  const open = (name = 'worker') =>
+    service.open('tenant_a', name, {
+      send: (e, delivery) => sent.push({ sequence: e.sequence, ...delivery }),
+      evict: (reason) => evicted.push(reason),
+      catchUp: (lastSequence) => caughtUp.push(lastSequence),
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    service = new ConsumerService();
+    sent = [];
+    evicted = [];
+    caughtUp = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should validate consumer names', () => {
+    expect(isValidConsumerName('billing.worker-1')).toBe(true);
+    expect(isValidConsumerName('')).toBe(false);
+    expect(isValidConsumerName('has space')).toBe(false);
+    expect(isValidConsumerName(42)).toBe(false);
+  });
+
+  test('should redeliver events until they are acked', () => {
+    const session = open();
+    service.deliver(session, event(1));
+    expect(sent).toEqual([{ sequence: 1, redelivered: false, attempts: 1 }]);
+
+    jest.advanceTimersByTime(config.delivery.ackTimeoutMs);
+    jest.advanceTimersByTime(config.delivery.ackTimeoutMs);
+    expect(sent.slice(1)).toEqual([
+      { sequence: 1, redelivered: true, attempts: 2 },
+      { sequence: 1, redelivered: true, attempts: 3 },
+    ]);
+
+    expect(service.ack(session, [1, 9])).toEqual({ acked: [1], unknown: [9], position: 1 });
+    jest.advanceTimersByTime(config.delivery.ackTimeoutMs * 2);
+    expect(sent).toHaveLength(3);
+  });
+
+  test('should only move the position past contiguously acked events', () => {
+    const session = open();
+    service.advance(session, 10);
+    service.deliver(session, event(11));
+    service.advance(session, 12); // skipped by the subscription
+    service.deliver(session, event(13));
+
+    expect(service.ack(session, [13]).position).toBe(10);
+    expect(service.ack(session, [11]).position).toBe(13);
+    expect(service.get('tenant_a', 'worker')).toMatchObject({
+      position: 13,
+      connected: true,
+      unacked: 0,
+    });
+  });
+
+  test('should withhold events at the unacked limit until acks make room', () => {
+    const { maxUnacked } = config.delivery;
+    config.delivery.maxUnacked = 2;
+
+    try {
+      const session = open();
+      service.advance(session, 10);
+      service.deliver(session, event(11));
+      service.deliver(session, event(12));
+      service.deliver(session, event(13));
+      service.advance(session, 14);
+      service.deliver(session, event(15));
+
+      expect(sent.map((delivery) => delivery.sequence)).toEqual([11, 12]);
+      expect(session).toMatchObject({ blocked: true, seen: 12 });
+
+      expect(service.ack(session, [12]).position).toBe(10);
+      expect(caughtUp).toEqual([12]);
+      expect(session.blocked).toBe(false);
+
+      service.deliver(session, event(13));
+      expect(sent.map((delivery) => delivery.sequence)).toEqual([11, 12, 13]);
+      expect(service.ack(session, [11, 13]).position).toBe(13);
+    } finally {
+      config.delivery.maxUnacked = maxUnacked;
+    }
+  });
+
+  test('should resume a durable consumer from its position', () => {
+    const first = open();
+    service.advance(first, 5);
+    service.deliver(first, event(6));
+    service.close(first);
+    jest.advanceTimersByTime(config.delivery.ackTimeoutMs);
+    expect(sent).toHaveLength(1);
+
+    const second = open();
+    expect(second.position).toBe(5);
+    expect(service.get('tenant_a', 'worker')).toMatchObject({ connected: true, unacked: 0 });
+  });
+
+  test('should not persist positions of ephemeral consumers', () => {
+    const session = open(null);
+    service.advance(session, 3);
+
+    expect(session.position).toBe(3);
+    expect(service.list('tenant_a')).toEqual([]);
+  });
+
+  test('should evict the previous connection of a durable consumer', () => {
+    const first = open();
+    service.advance(first, 1);
+    const second = open();
+
+    expect(evicted).toEqual(['Consumer connected elsewhere']);
+    service.advance(first, 50);
+    expect(service.get('tenant_a', 'worker').position).toBe(1);
+    expect(second.position).toBe(1);
+  });
+
+  test('should remove consumers and disconnect them', () => {
+    const session = open();
+    service.advance(session, 1);
+
+    service.remove('tenant_a', 'worker');
+
+    expect(evicted).toEqual(['Consumer deleted']);
+    expect(() => service.get('tenant_a', 'worker')).toThrow(
+      expect.objectContaining({ statusCode: 404, code: 'CONSUMER_NOT_FOUND' })
+    );
+    expect(() => service.remove('tenant_a', 'worker')).toThrow('Consumer not found: worker');
+  });
+
+  test('should persist positions to a file', () => {
+    jest.useRealTimers();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consumers-'));
+    const file = path.join(dir, 'consumers.json');
+
+    try {
+      service = new ConsumerService({ file });
+      const session = open();
+      service.advance(session, 7);
+      service.save();
+
+      const reloaded = new ConsumerService({ file });
+      expect(reloaded.get('tenant_a', 'worker')).toMatchObject({ position: 7, connected: false });
+
+      reloaded.removeAllForTenant('tenant_a');
+      expect(new ConsumerService({ file }).list('tenant_a')).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
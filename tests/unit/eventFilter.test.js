@@ -0,0 +1,64 @@
+/**
+ * Unit tests for server-side subscription filters
+ */
+
+const { validateFilter, matchesFilter } = require('../../src/services/eventFilter');
+
+describe('eventFilter', () => {
+  const event = {
+    type: 'order.created',
+    message: 'Refund requested for order o-1',
+    tags: ['eu', 'vip'],
+    metadata: { source: 'checkout', actor: 'user-7' },
+  };
+
+  describe('validateFilter', () => {
+    test('should accept every supported field', () => {
+      expect(
+        validateFilter({
+          type: ['order.*', 'invoice.paid'],
+          tags: ['vip'],
+          metadata: { source: 'checkout' },
+          text: 'refund',
+        })
+      ).toEqual([]);
+    });
+
+    test('should report invalid fields', () => {
+      expect(
+        validateFilter({ type: [], tags: 'vip', metadata: { source: 1 }, text: '', sql: 'x' })
+      ).toEqual([
+        'Unknown filter fields: sql',
+        'type must be a type name or a list of up to 20 names',
+        'tags must be a list of up to 20 tags',
+        'metadata must map field names to string values',
+        'text must be a string of at most 200 characters',
+      ]);
+      expect(validateFilter('type = order')).toEqual(['Filter must be an object']);
+    });
+  });
+
+  describe('matchesFilter', () => {
+    test.each([
+      [null, true],
+      [{ type: 'order.created' }, true],
+      [{ type: 'order.*' }, true],
+      [{ type: ['invoice.*', 'order.updated'] }, false],
+      [{ tags: ['us', 'vip'] }, true],
+      [{ tags: ['us'] }, false],
+      [{ metadata: { source: 'checkout', actor: 'user-7' } }, true],
+      [{ metadata: { source: 'pos' } }, false],
+      [{ text: 'REFUND' }, true],
+      [{ text: 'cancel' }, false],
+      [{ type: 'order.*', tags: ['vip'], text: 'refund' }, true],
+      [{ type: 'order.*', tags: ['us'] }, false],
+    ])('filter %j should match: %s', (filter, expected) => {
+      expect(matchesFilter(filter, event)).toBe(expected);
+    });
+
+    test('should treat events without type as messages', () => {
+      expect(matchesFilter({ type: 'message' }, { message: 'hi' })).toBe(true);
+      expect(matchesFilter({ tags: ['x'], text: 'hi' }, { message: 'hi' })).toBe(false);
+    });
+  });
+});
@@ -35,6 +35,18 @@ describe('EventService', () => {
       }).toThrow('Invalid tenant: invalid_tenant');
     });
 
+    test('should throw error for suspended tenant', () => {
+      tenantService.updateTenant('tenant_b', { status: 'suspended' });
+
+      try {
+        expect(() => {
+          eventService.createEvent('tenant_b', 'Test message');
+        }).toThrow('Tenant suspended: tenant_b');
+      } finally {
+        tenantService.updateTenant('tenant_b', { status: 'active' });
+      }
+    });
+
     test('should throw error for missing message', () => {
       expect(() => {
         eventService.createEvent('tenant_a');
@@ -170,6 +182,145 @@ describe('EventService', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
     });
+
+    test('should allow typed events without a message', () => {
+      const result = eventService.validateEventData({ type: 'order.created', data: { id: 1 } });
+
+      expect(result.isValid).toBe(true);
+      expect(result.fieldErrors).toHaveLength(0);
+    });
+
+    test('should return field errors for invalid structured fields', () => {
+      const result = eventService.validateEventData({
+        type: 'bad type!',
+        data: [1, 2],
+        metadata: { source: 42, extra: 'x' },
+        tags: ['ok', 'not ok'],
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors.map(error => error.path)).toEqual([
+        'type',
+        'data',
+        'metadata.source',
+        'metadata',
+        'tags',
+      ]);
+    });
+
+    test('should reject data exceeding the maximum size', () => {
+      const result = eventService.validateEventData({
+        type: 'blob.uploaded',
+        data: { blob: 'a'.repeat(70 * 1024) },
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors[0].path).toBe('data');
+    });
+
+    test('should reject too many tags', () => {
+      const tags = Array.from({ length: 21 }, (_, i) => `t${i}`);
+      const result = eventService.validateEventData({ message: 'hi', tags });
+
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors[0].path).toBe('tags');
+    });
+  });
+
+  describe('sequence numbers', () => {
+    test('should assign gap-free sequence numbers per tenant', () => {
+      const first = eventService.createEvent('tenant_a', 'First');
+      expect(() => eventService.createEvent('tenant_a', { type: 'x', data: 'nope' })).toThrow();
+      const second = eventService.createEvent('tenant_a', 'Second');
+      const other = eventService.createEvent('tenant_b', 'Other');
+
+      expect(first.sequence).toBe(1);
+      expect(second.sequence).toBe(2);
+      expect(other.sequence).toBe(1);
+    });
+
+    test('should continue from the newest stored event after a restart', () => {
+      eventService.createEvent('tenant_a', 'First');
+      eventService.createEvent('tenant_a', 'Second');
+
+      // Forget the in-memory counter, as a fresh process would
+      tenantService.sequences.clear();
+
+      expect(eventService.createEvent('tenant_a', 'Third').sequence).toBe(3);
+    });
+
+    test('should not reuse sequence numbers after retention removes every event', () => {
+      eventService.createEvent('tenant_a', 'First');
+      tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 1 });
+      try {
+        tenantService.applyRetention('tenant_a', Date.now() + 1000);
+        expect(tenantService.getEventCount('tenant_a')).toBe(0);
+
+        expect(eventService.createEvent('tenant_a', 'Second').sequence).toBe(2);
+      } finally {
+        tenantService.retentionOverrides.delete('tenant_a');
+      }
+    });
+
+    test('should continue past expired events after a restart', () => {
+      eventService.createEvent('tenant_a', 'First');
+      eventService.createEvent('tenant_a', 'Second');
+      tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 1 });
+      try {
+        tenantService.applyRetention('tenant_a', Date.now() + 1000);
+        tenantService.sequences.clear();
+
+        expect(eventService.createEvent('tenant_a', 'Third').sequence).toBe(3);
+      } finally {
+        tenantService.retentionOverrides.delete('tenant_a');
+      }
+    });
+  });
+
+  describe('structured events', () => {
+    test('should default the type to message for plain messages', () => {
+      const event = eventService.createEvent('tenant_a', 'Plain message');
+
+      expect(event.type).toBe('message');
+      expect(event).not.toHaveProperty('data');
+    });
+
+    test('should create event with type, data, metadata and tags', () => {
+      const event = eventService.createEvent('tenant_a', {
+        type: 'order.created',
+        data: { orderId: 'o-1', total: 42 },
+        metadata: { source: 'checkout', correlationId: 'c-1' },
+        tags: ['orders', 'orders', 'eu'],
+      });
+
+      expect(event).toMatchObject({
+        tenant_id: 'tenant_a',
+        type: 'order.created',
+        data: { orderId: 'o-1', total: 42 },
+        metadata: { source: 'checkout', correlationId: 'c-1' },
+        tags: ['orders', 'eu'],
+      });
+      expect(event).not.toHaveProperty('message');
+      expect(tenantService.getEvents('tenant_a', 1)[0].id).toBe(event.id);
+    });
+
+    test('should publish events to a channel', () => {
+      const event = eventService.createEvent('tenant_a', {
+        channel: 'orders/eu',
+        message: 'Order placed',
+      });
+
+      expect(event.channel).toBe('orders/eu');
+      expect(() =>
+        eventService.createEvent('tenant_a', { channel: 'orders/*', message: 'Nope' })
+      ).toThrow('Invalid event payload: channel');
+    });
+
+    test('should throw for invalid structured payloads', () => {
+      expect(() => eventService.createEvent('tenant_a', { type: 'x', data: 'nope' })).toThrow(
+        'Invalid event payload: data: Data must be a JSON object'
+      );
+    });
   });
 
   describe('sanitizeMessage', () => {
@@ -216,29 +367,6 @@ describe('EventService', () => {
     });
   });
 
-  describe('getEventStats', () => {
-    test('should return stats for all tenants', () => {
-      eventService.createEvent('tenant_a', 'Message A1');
-      eventService.createEvent('tenant_a', 'Message A2');
-      eventService.createEvent('tenant_b', 'Message B1');
-      
-      const stats = eventService.getEventStats();
-      
-      expect(stats).toHaveProperty('totalEvents', 3);
-      expect(stats).toHaveProperty('tenantStats');
-      expect(stats.tenantStats).toHaveProperty('tenant_a', 2);
-      expect(stats.tenantStats).toHaveProperty('tenant_b', 1);
-    });
-
-    test('should return zero stats when no events exist', () => {
-      const stats = eventService.getEventStats();
-      
-      expect(stats.totalEvents).toBe(0);
-      expect(stats.tenantStats.tenant_a).toBe(0);
-      expect(stats.tenantStats.tenant_b).toBe(0);
-    });
-  });
-
   describe('edge cases and security', () => {
     test('should handle concurrent event creation', async () => {
       const promises = [];
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for FileStorage
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { FileStorage } = require('../../src/storage');
+
+describe('FileStorage', () => {
+  let directory;
+  let storage;
+
+  const createStorage = (options = {}) =>
+    new FileStorage({ directory, fsync: 'always', ...options });
+
+  const segmentFiles = (tenantId) => fs.readdirSync(path.join(directory, tenantId)).sort();
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-storage-'));
+  });
+
+  afterEach(() => {
+    if (storage) {
+      storage.close();
+      storage = null;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should persist events as NDJSON and rebuild the index on startup', () => {
+    storage = createStorage();
+    storage.append('tenant_a', { id: '1', message: 'first' });
+    storage.append('tenant_a', { id: '2', message: 'second' });
+    storage.append('tenant_b', { id: '3', message: 'other' });
+    storage.close();
+
+    const [segment] = segmentFiles('tenant_a');
+    const lines = fs.readFileSync(path.join(directory, 'tenant_a', segment), 'utf8').split('\n');
+    expect(JSON.parse(lines[0])).toEqual({ id: '1', message: 'first' });
+
+    storage = createStorage();
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['2', '1']);
+    expect(storage.count('tenant_b')).toBe(1);
+  });
+
+  test('should keep appending to the recovered segment', () => {
+    storage = createStorage();
+    storage.append('tenant_a', { id: '1' });
+    storage.close();
+
+    storage = createStorage();
+    storage.append('tenant_a', { id: '2' });
+
+    expect(segmentFiles('tenant_a')).toHaveLength(1);
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['2', '1']);
+  });
+
+  test('should tolerate and truncate a torn last line', () => {
+    storage = createStorage();
+    storage.append('tenant_a', { id: '1' });
+    storage.close();
+
+    const file = path.join(directory, 'tenant_a', segmentFiles('tenant_a')[0]);
+    const intactSize = fs.statSync(file).size;
+    fs.appendFileSync(file, '{"id":"2","mess');
+
+    storage = createStorage();
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['1']);
+    expect(fs.statSync(file).size).toBe(intactSize);
+
+    storage.append('tenant_a', { id: '3' });
+    storage.close();
+
+    storage = createStorage();
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['3', '1']);
+  });
+
+  test('should skip corrupt lines in the middle of a segment', () => {
+    fs.mkdirSync(path.join(directory, 'tenant_a'));
+    fs.writeFileSync(
+      path.join(directory, 'tenant_a', '0000000001.ndjson'),
+      '{"id":"1"}\nnot json\n{"id":"2"}\n'
+    );
+
+    storage = createStorage();
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['2', '1']);
+  });
+
+  test('should rotate segments by size', () => {
+    storage = createStorage({ maxSegmentBytes: 40 });
+    for (let i = 0; i < 4; i++) {
+      storage.append('tenant_a', { id: `event-${i}` });
+    }
+
+    expect(segmentFiles('tenant_a')).toEqual(['0000000001.ndjson', '0000000002.ndjson']);
+    storage.close();
+
+    storage = createStorage({ maxSegmentBytes: 40 });
+    expect(storage.count('tenant_a')).toBe(4);
+  });
+
+  test('should delete segments whose events were all truncated', () => {
+    storage = createStorage({ maxSegmentBytes: 22 });
+    for (let i = 0; i < 6; i++) {
+      storage.append('tenant_a', { id: `${i}` });
+    }
+    expect(segmentFiles('tenant_a')).toHaveLength(3);
+
+    const removed = storage.truncate('tenant_a', 2);
+
+    expect(removed.map((e) => e.id)).toEqual(['3', '2', '1', '0']);
+    expect(segmentFiles('tenant_a')).toEqual(['0000000003.ndjson']);
+    storage.close();
+
+    storage = createStorage({ maxSegmentBytes: 22 });
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['5', '4']);
+  });
+
+  test('should not read back truncated events of a partly truncated segment', () => {
+    storage = createStorage({ maxSegmentBytes: 22 });
+    for (let i = 0; i < 6; i++) {
+      storage.append('tenant_a', { id: `${i}` });
+    }
+
+    storage.truncate('tenant_a', 3);
+
+    expect(segmentFiles('tenant_a')).toEqual([
+      '0000000002.ndjson',
+      '0000000003.ndjson',
+      'checkpoint.json',
+    ]);
+    storage.close();
+
+    storage = createStorage({ maxSegmentBytes: 22 });
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['5', '4', '3']);
+
+    // Later truncations keep counting from the checkpoint
+    storage.truncate('tenant_a', 1);
+    storage.close();
+
+    storage = createStorage({ maxSegmentBytes: 22 });
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['5']);
+    expect(segmentFiles('tenant_a')).toEqual(['0000000003.ndjson', 'checkpoint.json']);
+  });
+
+  test('should keep the highest sequence across restarts once every event is truncated', () => {
+    storage = createStorage();
+    storage.append('tenant_a', { id: '1', sequence: 1 });
+    storage.append('tenant_a', { id: '2', sequence: 2 });
+    storage.truncate('tenant_a', 0);
+    storage.close();
+
+    storage = createStorage();
+    expect(storage.count('tenant_a')).toBe(0);
+    expect(storage.lastSequence('tenant_a')).toBe(2);
+    expect(
+      JSON.parse(fs.readFileSync(path.join(directory, 'tenant_a', 'checkpoint.json'), 'utf8'))
+    ).toEqual({ segment: '0000000001.ndjson', skip: 2, lastSequence: 2 });
+
+    storage.clear('tenant_a');
+    expect(storage.lastSequence('tenant_a')).toBe(0);
+  });
+
+  test('should delete segments truncated before a restart', () => {
+    fs.mkdirSync(path.join(directory, 'tenant_a'));
+    fs.writeFileSync(path.join(directory, 'tenant_a', '0000000001.ndjson'), '{"id":"1"}\n');
+    fs.writeFileSync(
+      path.join(directory, 'tenant_a', '0000000002.ndjson'),
+      '{"id":"2"}\n{"id":"3"}\n'
+    );
+    fs.writeFileSync(
+      path.join(directory, 'tenant_a', 'checkpoint.json'),
+      JSON.stringify({ segment: '0000000002.ndjson', skip: 1 })
+    );
+
+    storage = createStorage();
+
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['3']);
+    expect(segmentFiles('tenant_a')).toEqual(['0000000002.ndjson', 'checkpoint.json']);
+  });
+
+  test('should remove tenant files on clear', () => {
+    storage = createStorage();
+    storage.append('tenant_a', { id: '1' });
+    storage.clear('tenant_a');
+
+    expect(storage.count('tenant_a')).toBe(0);
+    expect(fs.existsSync(path.join(directory, 'tenant_a'))).toBe(false);
+
+    storage.append('tenant_a', { id: '2' });
+    expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['2']);
+  });
+
+  test('should defer fsync under the interval policy', () => {
+    const fsyncSpy = jest.spyOn(fs, 'fsyncSync');
+    storage = createStorage({ fsync: 'interval', fsyncIntervalMs: 60000 });
+
+    storage.append('tenant_a', { id: '1' });
+    expect(fsyncSpy).not.toHaveBeenCalled();
+
+    storage.flush();
+    expect(fsyncSpy).toHaveBeenCalledTimes(1);
+    fsyncSpy.mockRestore();
+  });
+
+  test('should reject unknown fsync policies', () => {
+    expect(() => createStorage({ fsync: 'sometimes' })).toThrow('Invalid fsync policy: sometimes');
+  });
+});
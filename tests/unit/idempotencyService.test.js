@@ -0,0 +1,90 @@
+/**
+ * Unit tests for IdempotencyService
+ */
+
+const config = require('../../config/config');
+const idempotencyService = require('../../src/services/idempotencyService');
+
+describe('IdempotencyService', () => {
+  const event = { id: 'event-1', tenant_id: 'tenant_a', type: 'message', message: 'hi' };
+
+  afterEach(() => {
+    idempotencyService.entries.clear();
+    idempotencyService.reservations.clear();
+  });
+
+  test('should fingerprint bodies independently of key order', () => {
+    expect(idempotencyService.fingerprint({ message: 'a', tags: ['x'] })).toBe(
+      idempotencyService.fingerprint({ tags: ['x'], message: 'a' })
+    );
+    expect(idempotencyService.fingerprint({ message: 'a' })).not.toBe(
+      idempotencyService.fingerprint({ message: 'b' })
+    );
+  });
+
+  test('should replay the remembered event within the window', () => {
+    const fingerprint = idempotencyService.fingerprint({ message: 'hi' });
+    idempotencyService.remember('tenant_a', 'key-1', fingerprint, event, 1000);
+
+    expect(idempotencyService.lookup('tenant_a', 'key-1', fingerprint, 2000)).toBe(event);
+    expect(idempotencyService.lookup('tenant_b', 'key-1', fingerprint, 2000)).toBeNull();
+    expect(
+      idempotencyService.lookup('tenant_a', 'key-1', fingerprint, 1000 + config.idempotency.windowMs)
+    ).toBeNull();
+  });
+
+  test('should reject a reused key with a different body', () => {
+    idempotencyService.remember('tenant_a', 'key-1', 'abc', event, 1000);
+
+    expect(() => idempotencyService.lookup('tenant_a', 'key-1', 'def', 2000)).toThrow(
+      expect.objectContaining({ statusCode: 422, code: 'IDEMPOTENCY_KEY_CONFLICT' })
+    );
+  });
+
+  test('should prune expired keys and cap the number of keys', () => {
+    const { windowMs, maxKeys } = config.idempotency;
+
+    idempotencyService.remember('tenant_a', 'old', 'f', event, 0);
+    idempotencyService.remember('tenant_a', 'new', 'f', event, windowMs);
+    expect([...idempotencyService.entries.keys()]).toEqual(['tenant_a\u0000new']);
+
+    for (let i = 0; i < maxKeys + 5; i++) {
+      idempotencyService.remember('tenant_a', `key-${i}`, 'f', event, windowMs);
+    }
+    expect(idempotencyService.entries.size).toBe(maxKeys);
+  });
+
+  test('should make concurrent requests with a reserved key wait for its event', async () => {
+    const fingerprint = idempotencyService.fingerprint({ message: 'hi' });
+
+    await expect(idempotencyService.reserve('tenant_a', 'key-1', fingerprint)).resolves.toBeNull();
+    const retry = idempotencyService.reserve('tenant_a', 'key-1', fingerprint);
+    await expect(idempotencyService.reserve('tenant_a', 'key-1', 'other')).rejects.toThrow(
+      expect.objectContaining({ code: 'IDEMPOTENCY_KEY_CONFLICT' })
+    );
+
+    idempotencyService.remember('tenant_a', 'key-1', fingerprint, event);
+
+    await expect(retry).resolves.toBe(event);
+    expect(idempotencyService.reservations.size).toBe(0);
+  });
+
+  test('should hand a released key to the next waiting request', async () => {
+    await idempotencyService.reserve('tenant_a', 'key-1', 'f');
+    const retry = idempotencyService.reserve('tenant_a', 'key-1', 'f');
+
+    idempotencyService.release('tenant_a', 'key-1');
+
+    await expect(retry).resolves.toBeNull();
+    expect([...idempotencyService.reservations.keys()]).toEqual(['tenant_a\u0000key-1']);
+  });
+
+  test('should forget all keys of a tenant', () => {
+    idempotencyService.remember('tenant_a', 'key-1', 'f', event);
+    idempotencyService.remember('tenant_b', 'key-1', 'f', event);
+
+    idempotencyService.clearTenant('tenant_a');
+
+    expect([...idempotencyService.entries.keys()]).toEqual(['tenant_b\u0000key-1']);
+  });
+});
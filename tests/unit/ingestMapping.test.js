@@ -0,0 +1,112 @@
+/**
+ * Unit tests for ingest payload mappings
+ */
+
+const { validateMapping, applyMapping } = require('../../src/services/ingestMapping');
+
+describe('Ingest mapping', () => {
+  const payload = {
+    build: { id: 42, status: 'failed', url: 'https://ci.example.com/42' },
+    repository: { name: 'api' },
+    commits: [{ id: 'abc123', author: 'dana' }],
+    labels: ['ci', null],
+    durationSec: 93,
+  };
+
+  describe('validateMapping', () => {
+    test('should accept mappings producing a type or message', () => {
+      expect(validateMapping({ type: 'ci.build' })).toEqual([]);
+      expect(validateMapping({ message: '{{build.status}}', tags: ['ci'] })).toEqual([]);
+    });
+
+    test('should report problems', () => {
+      expect(validateMapping(null)).toEqual(['Mapping must be an object']);
+      expect(validateMapping(['type'])).toEqual(['Mapping must be an object']);
+      expect(validateMapping({ data: '{{.}}', tenant_id: 'tenant_b' })).toEqual([
+        'Unknown mapping fields: tenant_id',
+        'Mapping must produce a type or a message',
+      ]);
+      expect(validateMapping({ type: 'x', data: { a: { b: { c: { d: { e: 1 } } } } } })).toEqual([
+        'Mapping cannot be nested more than 5 levels deep',
+      ]);
+    });
+
+    test('should reject deeply nested mappings without overflowing the stack', () => {
+      let data = {};
+      for (let i = 0; i < 100000; i++) {
+        data = { data };
+      }
+
+      expect(validateMapping({ type: 'x', data })).toEqual([
+        'Mapping cannot be nested more than 5 levels deep',
+      ]);
+    });
+  });
+
+  describe('applyMapping', () => {
+    test('should copy values at paths keeping their type', () => {
+      expect(
+        applyMapping(
+          {
+            type: 'ci.build.{{build.status}}',
+            data: { buildId: '{{build.id}}', commit: '{{commits.0.id}}', raw: '{{ . }}' },
+          },
+          payload
+        )
+      ).toEqual({
+        type: 'ci.build.failed',
+        data: { buildId: 42, commit: 'abc123', raw: payload },
+      });
+    });
+
+    test('should fill in string templates', () => {
+      expect(
+        applyMapping(
+          { message: 'Build {{build.id}} of {{repository.name}} {{build.status}} in {{durationSec}}s' },
+          payload
+        )
+      ).toEqual({ message: 'Build 42 of api failed in 93s' });
+
+      expect(applyMapping({ message: 'By {{missing.path}}: {{commits}}' }, payload)).toEqual({
+        message: 'By : [{"id":"abc123","author":"dana"}]',
+      });
+    });
+
+    test('should leave out fields and members that resolve to nothing', () => {
+      expect(
+        applyMapping(
+          {
+            type: 'ci.build',
+            channel: '{{missing}}',
+            tags: ['ci', '{{repository.name}}', '{{missing}}'],
+            metadata: { author: '{{commits.0.author}}', reviewer: '{{commits.0.reviewer}}' },
+          },
+          payload
+        )
+      ).toEqual({ type: 'ci.build', tags: ['ci', 'api'], metadata: { author: 'dana' } });
+    });
+
+    test('should use other values as constants', () => {
+      expect(applyMapping({ type: 'ci.build', data: { ok: false, retries: 3 } }, payload)).toEqual(
+        { type: 'ci.build', data: { ok: false, retries: 3 } }
+      );
+    });
+
+    test('should not read inherited properties', () => {
+      expect(applyMapping({ message: 'Built by {{build.constructor}}' }, payload)).toEqual({
+        message: 'Built by ',
+      });
+      expect(applyMapping({ data: '{{__proto__}}', type: 'x' }, payload)).toEqual({ type: 'x' });
+    });
+
+    test('should leave out members named __proto__', () => {
+      const mapping = JSON.parse('{"type":"x","data":{"__proto__":{"buildId":"{{build.id}}"}}}');
+
+      const { data } = applyMapping(mapping, payload);
+
+      expect(Object.getPrototypeOf(data)).toBe(Object.prototype);
+      expect(data.buildId).toBeUndefined();
+      expect(Object.keys(data)).toEqual([]);
+    });
+  });
+});
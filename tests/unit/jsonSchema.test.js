@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the JSON Schema subset validator
+ */
+
+const {
+  MAX_SCHEMA_DEPTH,
+  MAX_PATTERN_LENGTH,
+  checkSchema,
+  validate,
+} = require('../../src/services/jsonSchema');
+
+/**
+ * @param {number} depth - Levels of nesting
+ * @returns {Object} - A schema with `depth` nested items keywords
+ */
+const nestedSchema = (depth) => {
+  let schema = { type: 'string' };
+  for (let i = 0; i < depth; i++) {
+    schema = { items: schema };
+  }
+  return schema;
+};
+
+describe('jsonSchema', () => {
+  const orderSchema = {
+    type: 'object',
+    required: ['orderId', 'total'],
+    additionalProperties: false,
+    properties: {
+      orderId: { type: 'string', pattern: '^o-\\d+$' },
+      total: { type: 'number', minimum: 0 },
+      currency: { enum: ['EUR', 'USD'] },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object', required: ['sku'], properties: { sku: { type: 'string' } } },
+      },
+    },
+  };
+
+  describe('checkSchema', () => {
+    test('should accept supported keywords and annotations', () => {
+      expect(checkSchema({ $schema: 'x', title: 'Order', ...orderSchema })).toEqual([]);
+      expect(checkSchema(true)).toEqual([]);
+    });
+
+    test('should report unsupported keywords and malformed values', () => {
+      const problems = checkSchema({
+        type: 'decimal',
+        $ref: '#/defs/order',
+        properties: { name: { minLength: -1 } },
+        pattern: '(',
+        anyOf: [],
+      });
+
+      expect(problems).toEqual([
+        '#/type must be one of object, array, string, number, integer, boolean, null',
+        '#: unsupported keyword $ref',
+        '#/properties/name/minLength must be a non-negative integer',
+        '#/pattern must be a valid regular expression',
+        '#/anyOf must be a non-empty array',
+      ]);
+    });
+
+    test('should reject non-object schemas', () => {
+      expect(checkSchema('string')).toEqual(['# must be an object or boolean']);
+    });
+
+    test('should refuse patterns prone to catastrophic backtracking', () => {
+      for (const pattern of ['(a+)+$', '^([a-z]+\\.)*com$', '(\\w)\\1', '(?:x*){2,}']) {
+        expect(checkSchema({ pattern })).toEqual([
+          '#/pattern must not nest unbounded quantifiers or use backreferences',
+        ]);
+      }
+      expect(checkSchema({ pattern: 'a'.repeat(MAX_PATTERN_LENGTH + 1) })).toEqual([
+        `#/pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`,
+      ]);
+      expect(checkSchema({ pattern: '^(ab|cd)+[+*]?\\d{1,3}$' })).toEqual([]);
+    });
+
+    test('should refuse schemas nested too deeply', () => {
+      expect(checkSchema(nestedSchema(MAX_SCHEMA_DEPTH))).toEqual([]);
+      expect(checkSchema(nestedSchema(100000))).toEqual([
+        `#${'/items'.repeat(MAX_SCHEMA_DEPTH + 1)} is nested more than ${MAX_SCHEMA_DEPTH} levels deep`,
+      ]);
+    });
+  });
+
+  describe('validate', () => {
+    test('should accept valid data', () => {
+      const data = { orderId: 'o-1', total: 10, currency: 'EUR', items: [{ sku: 'a' }] };
+
+      expect(validate(orderSchema, data, 'data')).toEqual([]);
+    });
+
+    test('should return field errors with dotted paths', () => {
+      const errors = validate(
+        orderSchema,
+        { orderId: 'x', currency: 'GBP', items: [{}], extra: true },
+        'data'
+      );
+
+      expect(errors.map((error) => [error.path, error.msg])).toEqual([
+        ['data.total', 'Is required'],
+        ['data.orderId', 'Must match pattern ^o-\\d+$'],
+        ['data.currency', 'Must be one of "EUR", "USD"'],
+        ['data.items[0].sku', 'Is required'],
+        ['data.extra', 'Is not an allowed property'],
+      ]);
+    });
+
+    test('should stop at type mismatches', () => {
+      expect(validate({ type: 'integer', minimum: 5 }, 1.5, 'data.count')).toEqual([
+        { path: 'data.count', msg: 'Must be of type integer', value: 1.5 },
+      ]);
+    });
+
+    test('should support anyOf, const and uniqueItems', () => {
+      const schema = {
+        type: 'array',
+        uniqueItems: true,
+        items: { anyOf: [{ type: 'string' }, { const: 0 }] },
+      };
+
+      expect(validate(schema, ['a', 0], 'data')).toEqual([]);
+      expect(validate(schema, ['a', 'a', 1], 'data').map((error) => error.msg)).toEqual([
+        'Must not contain duplicate items',
+        'Must match at least one of the allowed schemas',
+      ]);
+    });
+
+    test('should compile each pattern once', () => {
+      const schema = { type: 'string', pattern: '^o-\\d+$' };
+      expect(checkSchema(schema)).toEqual([]);
+
+      const compile = jest.spyOn(global, 'RegExp');
+      try {
+        expect(validate(schema, 'o-1', 'data')).toEqual([]);
+        expect(validate(schema, 'x', 'data')).toHaveLength(1);
+        expect(compile).not.toHaveBeenCalled();
+      } finally {
+        compile.mockRestore();
+      }
+    });
+
+    test('should stop at schemas nested too deeply', () => {
+      let value = 'leaf';
+      for (let i = 0; i < MAX_SCHEMA_DEPTH + 1; i++) {
+        value = [value];
+      }
+
+      expect(validate(nestedSchema(MAX_SCHEMA_DEPTH + 1), value, 'data')).toEqual([
+        {
+          path: `data${'[0]'.repeat(MAX_SCHEMA_DEPTH + 1)}`,
+          msg: `Is nested more than ${MAX_SCHEMA_DEPTH} levels deep`,
+          value: 'leaf',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for JwtService
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const config = require('../../config/config');
+const jwtService = require('../../src/services/jwtService');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Tokens expire in an hour unless the payload says otherwise
+const withExp = (payload) => ({ exp: Math.floor(Date.now() / 1000) + 3600, ...payload });
+
+const signHs256 = (payload, secret = 'test-jwt-secret', header = {}) => {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode(withExp(payload))}`;
+  const signature = crypto.createHmac('sha256', secret).update(input).digest('base64url');
+  return `${input}.${signature}`;
+};
+
+const signRs256 = (payload, privateKey, kid) => {
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(withExp(payload))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url');
+  return `${input}.${signature}`;
+};
+
+describe('JwtService', () => {
+  const originalJwt = { ...config.auth.jwt };
+
+  afterEach(() => {
+    Object.assign(config.auth.jwt, originalJwt);
+    jwtService.reloadKeys();
+  });
+
+  describe('HS256', () => {
+    test('should extract tenant and roles from configured claims', () => {
+      const token = signHs256({ sub: 'user-1', tenant_id: 'tenant_a', roles: ['reader'] });
+
+      expect(jwtService.verify(token)).toMatchObject({
+        tenantId: 'tenant_a',
+        roles: ['reader'],
+        subject: 'user-1',
+      });
+    });
+
+    test('should support nested claim paths and space separated roles', () => {
+      config.auth.jwt.tenantClaim = 'org.tenant';
+      config.auth.jwt.rolesClaim = 'scope';
+      const token = signHs256({ org: { tenant: 'tenant_b' }, scope: 'reader publisher' });
+
+      expect(jwtService.verify(token)).toMatchObject({
+        tenantId: 'tenant_b',
+        roles: ['reader', 'publisher'],
+      });
+    });
+
+    test('should reject tokens with a bad signature', () => {
+      const token = signHs256({ tenant_id: 'tenant_a' }, 'wrong-secret');
+
+      expect(() => jwtService.verify(token)).toThrow('Invalid token: bad signature');
+    });
+
+    test('should reject malformed tokens and unsupported algorithms', () => {
+      expect(() => jwtService.verify('not-a-token')).toThrow('Invalid token: malformed');
+      expect(() => jwtService.verify('a.b.c')).toThrow('Invalid token: malformed');
+
+      const unsigned = `${encode({ alg: 'none' })}.${encode({ tenant_id: 'tenant_a' })}.`;
+      expect(() => jwtService.verify(unsigned)).toThrow('Invalid token: unsupported algorithm');
+      expect(() => jwtService.verify(`${encode({ alg: 'none-<script>' })}.e30.`)).toThrow(
+        new Error('Invalid token: unsupported algorithm')
+      );
+    });
+
+    test('should reject segments that are not JSON objects', () => {
+      const payload = encode(withExp({ tenant_id: 'tenant_a' }));
+
+      for (const header of ['bnVsbA', encode([]), encode('HS256'), encode(42)]) {
+        expect(() => jwtService.verify(`${header}.${payload}.c2ln`)).toThrow(
+          expect.objectContaining({ statusCode: 401, message: 'Invalid token: malformed' })
+        );
+      }
+      expect(() => jwtService.verify(`${encode({ alg: 'HS256' })}.bnVsbA.c2ln`)).toThrow(
+        'Invalid token: malformed'
+      );
+    });
+
+    test('should reject tokens without an expiry', () => {
+      const input = `${encode({ alg: 'HS256' })}.${encode({ tenant_id: 'tenant_a' })}`;
+      const signature = crypto.createHmac('sha256', 'test-jwt-secret').update(input).digest('base64url');
+
+      expect(() => jwtService.verify(`${input}.${signature}`)).toThrow('Invalid token: missing exp');
+    });
+
+    test('should enforce exp, nbf, issuer and audience', () => {
+      const now = Math.floor(Date.now() / 1000);
+      config.auth.jwt.issuer = 'https://idp.example.com';
+      config.auth.jwt.audience = 'event-feed';
+      const valid = { iss: 'https://idp.example.com', aud: ['event-feed'], tenant_id: 'tenant_a' };
+
+      expect(jwtService.verify(signHs256(valid)).tenantId).toBe('tenant_a');
+      expect(() => jwtService.verify(signHs256({ ...valid, exp: now - 10 }))).toThrow('expired');
+      expect(() => jwtService.verify(signHs256({ ...valid, nbf: now + 60 }))).toThrow(
+        'not yet valid'
+      );
+      expect(() => jwtService.verify(signHs256({ ...valid, iss: 'other' }))).toThrow(
+        'unexpected issuer'
+      );
+      expect(() => jwtService.verify(signHs256({ ...valid, aud: 'other' }))).toThrow(
+        'unexpected audience'
+      );
+    });
+
+    test('should carry a 401 INVALID_TOKEN code', () => {
+      expect(() => jwtService.verify('x')).toThrow(
+        expect.objectContaining({ statusCode: 401, code: 'INVALID_TOKEN' })
+      );
+    });
+  });
+
+  describe('RS256', () => {
+    let directory;
+    let privateKey;
+
+    beforeAll(() => {
+      const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      privateKey = pair.privateKey;
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+
+      const jwk = { ...pair.publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' };
+      fs.writeFileSync(path.join(directory, 'jwks.json'), JSON.stringify({ keys: [jwk] }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      config.auth.jwt.jwksFile = path.join(directory, 'jwks.json');
+    });
+
+    test('should verify tokens against the local JWKS', () => {
+      const token = signRs256({ tenant_id: 'tenant_a', roles: ['publisher'] }, privateKey, 'key-1');
+
+      expect(jwtService.verify(token)).toMatchObject({ tenantId: 'tenant_a', roles: ['publisher'] });
+    });
+
+    test('should accept tokens without kid when a single key is configured', () => {
+      const token = signRs256({ tenant_id: 'tenant_a' }, privateKey);
+
+      expect(jwtService.verify(token).tenantId).toBe('tenant_a');
+    });
+
+    test('should reject unknown key ids and foreign signatures', () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+      expect(() => jwtService.verify(signRs256({}, privateKey, 'key-2'))).toThrow(
+        'unknown signing key'
+      );
+      expect(() => jwtService.verify(signRs256({}, other, 'key-1'))).toThrow('bad signature');
+    });
+
+    test('should reject RS256 when no JWKS is configured', () => {
+      config.auth.jwt.jwksFile = null;
+
+      expect(() => jwtService.verify(signRs256({}, privateKey, 'key-1'))).toThrow(
+        'RS256 is not configured'
+      );
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the JSON logger
+ */
+
+const config = require('../../config/config');
+const logger = require('../../src/utils/logger');
+
+describe('Logger', () => {
+  const originalLevel = config.logLevel;
+
+  /**
+   * @param {jest.Mock} write - console.log or console.error mock
+   * @returns {Array} - Entries written, parsed
+   */
+  const entries = (write) => write.mock.calls.map(([line]) => JSON.parse(line));
+
+  afterEach(() => {
+    config.logLevel = originalLevel;
+  });
+
+  test('should write one JSON object per entry', () => {
+    config.logLevel = 'info';
+
+    logger.info('TENANT_ACCESS', { tenantId: 'tenant_a', path: '/events' });
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    const [entry] = entries(console.log);
+    expect(entry).toEqual({
+      timestamp: expect.any(String),
+      level: 'info',
+      event: 'TENANT_ACCESS',
+      tenantId: 'tenant_a',
+      path: '/events',
+    });
+    expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+  });
+
+  test('should skip entries below config.logLevel', () => {
+    config.logLevel = 'warn';
+
+    logger.debug('SOCKET_BROADCAST');
+    logger.info('SOCKET_CONNECT');
+    logger.warn('ACCESS_DENIED');
+    logger.error('SOCKET_ERROR');
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(entries(console.error).map(({ level }) => level)).toEqual(['warn', 'error']);
+
+    config.logLevel = 'debug';
+    logger.debug('SOCKET_BROADCAST');
+    expect(entries(console.log)[0].level).toBe('debug');
+  });
+
+  test('should treat an unknown level as info', () => {
+    config.logLevel = 'verbose';
+
+    logger.debug('SOCKET_BROADCAST');
+    logger.info('SOCKET_CONNECT');
+
+    expect(entries(console.log).map(({ event }) => event)).toEqual(['SOCKET_CONNECT']);
+  });
+
+  test('should add the fields of child loggers', () => {
+    config.logLevel = 'info';
+
+    const requestLog = logger.child({ requestId: 'req-1' });
+    const tenantLog = requestLog.child({ tenantId: 'tenant_b' });
+    tenantLog.info('EVENT_CREATED', { eventId: 'evt-1' });
+    requestLog.info('HTTP', { status: 200 });
+
+    expect(entries(console.log)).toEqual([
+      expect.objectContaining({ requestId: 'req-1', tenantId: 'tenant_b', eventId: 'evt-1' }),
+      expect.not.objectContaining({ tenantId: 'tenant_b' }),
+    ]);
+    expect(logger.fields).toEqual({});
+  });
+
+  test('should serialize errors with their stack', () => {
+    const error = new Error('Hub went away');
+    error.code = 'ECONNRESET';
+
+    logger.error('IPC_BUS_ERROR', { error });
+
+    expect(entries(console.error)[0].error).toEqual({
+      name: 'Error',
+      message: 'Hub went away',
+      code: 'ECONNRESET',
+      stack: error.stack,
+    });
+  });
+});
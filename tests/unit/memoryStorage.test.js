@@ -0,0 +1,82 @@
+/**
+ * Unit tests for storage adapters
+ */
+
+const { createStorage, registerStorageDriver, MemoryStorage } = require('../../src/storage');
+
+describe('Storage', () => {
+  describe('createStorage', () => {
+    test('should default to memory storage', () => {
+      expect(createStorage()).toBeInstanceOf(MemoryStorage);
+      expect(createStorage({ driver: 'memory' })).toBeInstanceOf(MemoryStorage);
+    });
+
+    test('should throw for unknown driver', () => {
+      expect(() => createStorage({ driver: 'nope' })).toThrow('Unknown storage driver: nope');
+    });
+
+    test('should use registered custom drivers', () => {
+      const adapter = { append() {}, read() {}, count() {}, truncate() {}, clear() {} };
+      registerStorageDriver('custom', () => adapter);
+
+      expect(createStorage({ driver: 'custom' })).toBe(adapter);
+    });
+  });
+
+  describe('MemoryStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new MemoryStorage();
+    });
+
+    test('should append and read newest first', () => {
+      storage.append('tenant_a', { id: '1' });
+      storage.append('tenant_a', { id: '2' });
+
+      expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['2', '1']);
+      expect(storage.count('tenant_a')).toBe(2);
+    });
+
+    test('should read ranges with offset and limit', () => {
+      ['1', '2', '3'].forEach((id) => storage.append('tenant_a', { id }));
+
+      expect(storage.read('tenant_a', { offset: 1, limit: 1 }).map((e) => e.id)).toEqual(['2']);
+      expect(storage.read('tenant_a', { offset: 1 }).map((e) => e.id)).toEqual(['2', '1']);
+      expect(storage.read('tenant_a', { offset: 2, limit: 5 }).map((e) => e.id)).toEqual(['1']);
+      expect(storage.read('tenant_a', { offset: 5, limit: 1 })).toEqual([]);
+    });
+
+    test('should return truncated events newest first', () => {
+      ['1', '2', '3'].forEach((id) => storage.append('tenant_a', { id }));
+
+      expect(storage.truncate('tenant_a', 5)).toEqual([]);
+      expect(storage.truncate('tenant_a', 0).map((e) => e.id)).toEqual(['3', '2', '1']);
+      expect(storage.count('tenant_a')).toBe(0);
+    });
+
+    test('should return empty results for unknown tenants', () => {
+      expect(storage.read('tenant_x')).toEqual([]);
+      expect(storage.count('tenant_x')).toBe(0);
+    });
+
+    test('should truncate oldest events and return them', () => {
+      ['1', '2', '3', '4'].forEach((id) => storage.append('tenant_a', { id }));
+
+      const removed = storage.truncate('tenant_a', 3);
+
+      expect(removed.map((e) => e.id)).toEqual(['1']);
+      expect(storage.read('tenant_a').map((e) => e.id)).toEqual(['4', '3', '2']);
+      expect(storage.truncate('tenant_x', 1)).toEqual([]);
+    });
+
+    test('should clear a tenant without affecting others', () => {
+      storage.append('tenant_a', { id: '1' });
+      storage.append('tenant_b', { id: '2' });
+      storage.clear('tenant_a');
+
+      expect(storage.count('tenant_a')).toBe(0);
+      expect(storage.count('tenant_b')).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the metrics registry and MetricsService
+ */
+
+const { Registry } = require('../../src/metrics/registry');
+const metrics = require('../../src/metrics');
+const metricsService = require('../../src/services/metricsService');
+const eventService = require('../../src/services/eventService');
+const tenantService = require('../../src/services/tenantService');
+const sseService = require('../../src/services/sseService');
+
+describe('Metrics', () => {
+  describe('Registry', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new Registry();
+    });
+
+    test('should render counters and gauges in the text format', () => {
+      const requests = registry.counter({
+        name: 'requests_total',
+        help: 'Requests\nhandled',
+        labelNames: ['route', 'status'],
+      });
+      const temperature = registry.gauge({ name: 'temperature', help: 'Degrees' });
+      registry.gauge({ name: 'queue_size', help: 'Queued', labelNames: ['queue'] });
+
+      requests.inc({ route: '/a', status: 200 });
+      requests.inc({ route: '/a', status: 200 }, 2);
+      requests.inc({ route: 'say "hi"\\' });
+
+      expect(registry.render()).toBe(
+        [
+          '# HELP requests_total Requests\\nhandled',
+          '# TYPE requests_total counter',
+          'requests_total{route="/a",status="200"} 3',
+          'requests_total{route="say \\"hi\\"\\\\",status=""} 1',
+          '# HELP temperature Degrees',
+          '# TYPE temperature gauge',
+          'temperature 0',
+          '# HELP queue_size Queued',
+          '# TYPE queue_size gauge',
+          '',
+        ].join('\n')
+      );
+
+      temperature.set({}, 21.5);
+      temperature.inc();
+      temperature.dec({}, 0.5);
+      expect(temperature.get()).toEqual([{ labels: {}, value: 22 }]);
+    });
+
+    test('should render cumulative histogram buckets', () => {
+      const latency = registry.histogram({
+        name: 'latency_seconds',
+        help: 'Latency',
+        labelNames: ['op'],
+        buckets: [1, 0.1],
+      });
+
+      latency.observe({ op: 'read' }, 0.05);
+      latency.observe({ op: 'read' }, 0.5);
+      latency.observe({ op: 'read' }, 3);
+
+      expect(registry.render().split('\n').slice(2, 7)).toEqual([
+        'latency_seconds_bucket{op="read",le="0.1"} 1',
+        'latency_seconds_bucket{op="read",le="1"} 2',
+        'latency_seconds_bucket{op="read",le="+Inf"} 3',
+        'latency_seconds_sum{op="read"} 3.55',
+        'latency_seconds_count{op="read"} 3',
+      ]);
+
+      const end = latency.startTimer({ op: 'write' });
+      expect(end()).toBeGreaterThanOrEqual(0);
+      expect(latency.get()[1]).toMatchObject({ labels: { op: 'write' }, count: 1 });
+    });
+
+    test('should run collectors before rendering', () => {
+      const gauge = registry.gauge({ name: 'items', help: 'Items', labelNames: ['kind'] });
+      let items = { a: 1, b: 2 };
+      registry.addCollector(() => {
+        gauge.reset();
+        for (const [kind, count] of Object.entries(items)) {
+          gauge.set({ kind }, count);
+        }
+      });
+
+      expect(registry.render()).toContain('items{kind="b"} 2');
+      items = { a: 5 };
+      expect(registry.render()).not.toContain('kind="b"');
+      expect(registry.render()).toContain('items{kind="a"} 5');
+    });
+
+    test('should reject invalid metrics and labels', () => {
+      registry.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['queue'] });
+
+      expect(() => registry.counter({ name: 'jobs_total', help: 'Again' })).toThrow(
+        'Metric already registered: jobs_total'
+      );
+      expect(() => registry.gauge({ name: 'bad-name', help: 'x' })).toThrow('Invalid metric name');
+      expect(() => registry.gauge({ name: 'ok', help: 'x', labelNames: ['le-x'] })).toThrow(
+        'Invalid label name for ok: le-x'
+      );
+      expect(() => registry.getMetric('jobs_total').inc({ qeue: 'a' })).toThrow(
+        'Unknown label for jobs_total: qeue'
+      );
+      expect(() => registry.getMetric('jobs_total').inc({}, -1)).toThrow(
+        'Counter jobs_total cannot be increased by -1'
+      );
+    });
+  });
+
+  describe('MetricsService', () => {
+    beforeEach(() => {
+      tenantService.getSupportedTenants().forEach((tenantId) => {
+        tenantService.clearTenantEvents(tenantId);
+      });
+      metrics.registry.reset();
+    });
+
+    afterEach(() => {
+      sseService.clients.clear();
+    });
+
+    test('should count created events and time publishing', () => {
+      eventService.createEvent('tenant_a', 'Message A1');
+      eventService.createEvent('tenant_a', 'Message A2');
+      eventService.createEvent('tenant_b', 'Message B1');
+
+      expect(metrics.eventsCreated.get()).toEqual([
+        { labels: { tenant: 'tenant_a' }, value: 2 },
+        { labels: { tenant: 'tenant_b' }, value: 1 },
+      ]);
+      expect(metrics.publishDuration.get()[0].count).toBe(3);
+    });
+
+    test('should report retained events per tenant', () => {
+      eventService.createEvent('tenant_a', 'Message A1');
+      eventService.createEvent('tenant_a', 'Message A2');
+      eventService.createEvent('tenant_b', 'Message B1');
+
+      expect(metricsService.getEventStats()).toEqual({
+        totalEvents: 3,
+        tenantStats: { tenant_a: 2, tenant_b: 1 },
+      });
+
+      tenantService.clearTenantEvents('tenant_a');
+      expect(metricsService.getEventStats().tenantStats.tenant_a).toBe(0);
+    });
+
+    test('should render connection and process gauges', () => {
+      sseService.clients.set('tenant_b', new Set([{}, {}]));
+
+      const text = metricsService.render();
+
+      expect(text).toContain('eventfeed_connections_active{tenant="tenant_b",transport="sse"} 2');
+      expect(text).toContain('eventfeed_events_stored{tenant="tenant_a"} 0');
+      expect(text).toContain('eventfeed_slow_connections 0');
+      expect(text).toMatch(/^process_memory_bytes\{type="heapUsed"\} \d+$/m);
+      expect(text).toMatch(/^process_uptime_seconds \d/m);
+      expect(metricsService.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the outgoing request network policy
+ */
+
+const config = require('../../config/config');
+const {
+  isAllowedAddress,
+  urlHost,
+  checkUrl,
+  lookup,
+} = require('../../src/services/networkPolicy');
+
+describe('Network policy', () => {
+  const { allowedNetworks, blockedNetworks } = config.webhooks;
+
+  afterEach(() => {
+    config.webhooks.allowedNetworks = allowedNetworks;
+    config.webhooks.blockedNetworks = blockedNetworks;
+  });
+
+  test('should block private, loopback, link-local and metadata addresses by default', () => {
+    config.webhooks.allowedNetworks = [];
+
+    for (const address of [
+      '10.1.2.3',
+      '127.0.0.1',
+      '169.254.169.254',
+      '172.31.255.255',
+      '192.168.0.10',
+      '0.0.0.0',
+      '::1',
+      '::ffff:7f00:1',
+      'fd00:ec2::254',
+      'fe80::1',
+    ]) {
+      expect({ address, allowed: isAllowedAddress(address) }).toEqual({ address, allowed: false });
+    }
+
+    expect(isAllowedAddress('93.184.216.34')).toBe(true);
+    expect(isAllowedAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+  });
+
+  test('should apply the configured allowed and blocked networks', () => {
+    config.webhooks.allowedNetworks = ['10.1.0.0/16'];
+    config.webhooks.blockedNetworks = ['93.184.216.0/24'];
+
+    expect(isAllowedAddress('10.1.2.3')).toBe(true);
+    expect(isAllowedAddress('10.2.0.1')).toBe(false);
+    expect(isAllowedAddress('93.184.216.34')).toBe(false);
+  });
+
+  test('should check every address a URL resolves to', async () => {
+    expect(urlHost('http://[::1]:8080/hook')).toBe('::1');
+
+    await expect(checkUrl('http://127.0.0.1/hook')).resolves.toBeUndefined();
+
+    config.webhooks.allowedNetworks = [];
+    await expect(checkUrl('http://127.0.0.1/hook')).rejects.toThrow(
+      'Address 127.0.0.1 of 127.0.0.1 is not allowed'
+    );
+  });
+
+  test('should only hand out allowed addresses to connections', async () => {
+    const resolve = (options) =>
+      new Promise((done) => lookup('localhost', options, (...result) => done(result)));
+
+    const [error, address] = await resolve({});
+    expect(error).toBeNull();
+    expect(['127.0.0.1', '::1']).toContain(address);
+    const [, addresses] = await resolve({ all: true });
+    expect(addresses.length).toBeGreaterThan(0);
+
+    config.webhooks.allowedNetworks = [];
+    const [blocked] = await resolve({ all: true });
+    expect(blocked.message).toMatch(/^Address (127\.0\.0\.1|::1) of localhost is not allowed$/);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for RetentionService
+ */
+
+const { EventEmitter } = require('node:events');
+const retentionService = require('../../src/services/retentionService');
+const tenantService = require('../../src/services/tenantService');
+
+describe('RetentionService', () => {
+  let emitter;
+
+  beforeEach(() => {
+    tenantService.getSupportedTenants().forEach((tenantId) => {
+      tenantService.clearTenantEvents(tenantId);
+    });
+    emitter = new EventEmitter();
+  });
+
+  afterEach(() => {
+    retentionService.stop();
+    tenantService.retentionOverrides.clear();
+  });
+
+  const addEvent = (tenantId, id, timestamp) =>
+    tenantService.addEvent(tenantId, { id, tenant_id: tenantId, message: 'x', timestamp });
+
+  test('should emit eventsExpired for tenants with expired events', () => {
+    const now = Date.parse('2024-01-02T00:00:00Z');
+    const listener = jest.fn();
+    emitter.on('eventsExpired', listener);
+
+    tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 60 * 60 * 1000 });
+    addEvent('tenant_a', 'old', '2024-01-01T00:00:00Z');
+    addEvent('tenant_a', 'fresh', '2024-01-01T23:30:00Z');
+    addEvent('tenant_b', 'kept', '2024-01-01T00:00:00Z');
+
+    retentionService.eventService = emitter;
+    const summary = retentionService.sweep(now);
+
+    expect(summary).toEqual({ tenant_a: 1 });
+    expect(listener).toHaveBeenCalledWith({
+      tenantId: 'tenant_a',
+      eventIds: ['old'],
+      count: 1,
+      timestamp: '2024-01-02T00:00:00.000Z',
+    });
+    expect(tenantService.getEventCount('tenant_b')).toBe(1);
+  });
+
+  test('should sweep immediately when started', () => {
+    const listener = jest.fn();
+    emitter.on('eventsExpired', listener);
+
+    tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 1000 });
+    addEvent('tenant_a', 'stale', '2020-01-01T00:00:00Z');
+
+    retentionService.start(emitter, 60000);
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ eventIds: ['stale'] }));
+    expect(retentionService.timer).not.toBeNull();
+
+    retentionService.stop();
+    expect(retentionService.timer).toBeNull();
+  });
+
+  test('should keep sweeping other tenants when one fails', () => {
+    const spy = jest.spyOn(tenantService, 'applyRetention').mockImplementationOnce(() => {
+      throw new Error('boom');
+    });
+
+    expect(() => retentionService.sweep()).not.toThrow();
+    expect(spy).toHaveBeenCalledTimes(tenantService.getSupportedTenants().length);
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for TenantRegistry
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { TenantRegistry } = require('../../src/services/tenantRegistry');
+
+describe('TenantRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TenantRegistry({ seed: ['tenant_a'] });
+  });
+
+  test('should seed tenants as active', () => {
+    expect(registry.ids()).toEqual(['tenant_a']);
+    expect(registry.isActive('tenant_a')).toBe(true);
+    expect(registry.get('tenant_a').displayName).toBe('tenant_a');
+  });
+
+  test('should create, update and remove tenants', () => {
+    registry.create({ id: 'tenant_b', displayName: 'B' });
+    expect(registry.has('tenant_b')).toBe(true);
+
+    const updated = registry.update('tenant_b', { status: 'suspended' });
+    expect(updated.status).toBe('suspended');
+    expect(registry.isActive('tenant_b')).toBe(false);
+
+    registry.remove('tenant_b');
+    expect(registry.has('tenant_b')).toBe(false);
+  });
+
+  test('should throw coded errors', () => {
+    expect(() => registry.create({ id: 'tenant_a' })).toThrow(
+      expect.objectContaining({ statusCode: 409, code: 'TENANT_EXISTS' })
+    );
+    expect(() => registry.get('missing')).toThrow(
+      expect.objectContaining({ statusCode: 404, code: 'TENANT_NOT_FOUND' })
+    );
+    expect(() => registry.update('missing', {})).toThrow('Tenant not found: missing');
+    expect(() => registry.remove('missing')).toThrow('Tenant not found: missing');
+    expect(() => registry.update('tenant_a', { status: 'gone' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TENANT_STATUS' })
+    );
+  });
+
+  test('should return copies of records', () => {
+    registry.get('tenant_a').status = 'suspended';
+    registry.list()[0].displayName = 'changed';
+
+    expect(registry.get('tenant_a')).toMatchObject({ status: 'active', displayName: 'tenant_a' });
+  });
+
+  test('should persist to and reload from the registry file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-registry-'));
+    const file = path.join(directory, 'tenants.json');
+
+    try {
+      const persisted = new TenantRegistry({ seed: ['tenant_a'], file });
+      persisted.create({ id: 'tenant_c', displayName: 'C' });
+
+      const reloaded = new TenantRegistry({ seed: ['ignored'], file });
+      expect(reloaded.ids()).toEqual(['tenant_a', 'tenant_c']);
+      expect(reloaded.get('tenant_c').displayName).toBe('C');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
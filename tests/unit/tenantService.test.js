@@ -148,18 +148,175 @@ describe('TenantService', () => {
     });
   });
 
-  describe('getMemoryStats', () => {
-    test('should return memory statistics for all tenants', () => {
-      tenantService.addEvent('tenant_a', global.testUtils.createTestEvent('tenant_a'));
-      tenantService.addEvent('tenant_b', global.testUtils.createTestEvent('tenant_b'));
-      
-      const stats = tenantService.getMemoryStats();
-      
-      expect(stats).toHaveProperty('tenant_a');
-      expect(stats).toHaveProperty('tenant_b');
-      expect(stats.tenant_a).toHaveProperty('eventCount', 1);
-      expect(stats.tenant_b).toHaveProperty('eventCount', 1);
-      expect(stats.tenant_a).toHaveProperty('memoryEstimate');
+  describe('retention', () => {
+    afterEach(() => {
+      tenantService.retentionOverrides.clear();
+    });
+
+    const addAt = (id, timestamp) =>
+      tenantService.addEvent('tenant_a', { id, tenant_id: 'tenant_a', message: 'x', timestamp });
+
+    test('should resolve defaults from config', () => {
+      expect(tenantService.getRetentionPolicy('tenant_a')).toEqual({
+        maxCount: 1000,
+        maxAgeMs: null,
+        maxBytes: null,
+      });
+    });
+
+    test('should apply runtime overrides per tenant', () => {
+      tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 1000 });
+      tenantService.setRetentionPolicy('tenant_a', { maxBytes: 500 });
+
+      expect(tenantService.getRetentionPolicy('tenant_a')).toMatchObject({
+        maxCount: 1000,
+        maxAgeMs: 1000,
+        maxBytes: 500,
+      });
+      expect(tenantService.getRetentionPolicy('tenant_b').maxAgeMs).toBeNull();
+      expect(() => tenantService.setRetentionPolicy('invalid_tenant', {})).toThrow(
+        'Invalid tenant: invalid_tenant'
+      );
+    });
+
+    test('should trim to maxCount on append and report it on the next sweep', () => {
+      tenantService.setRetentionPolicy('tenant_a', { maxCount: 2 });
+      ['1', '2', '3'].forEach((id) => addAt(id, new Date().toISOString()));
+
+      expect(tenantService.getEventCount('tenant_a')).toBe(2);
+      expect(tenantService.applyRetention('tenant_a')).toEqual(['1']);
+      expect(tenantService.applyRetention('tenant_a')).toEqual([]);
+    });
+
+    test('should expire events older than maxAgeMs', () => {
+      const now = Date.parse('2024-01-08T00:00:00Z');
+      tenantService.setRetentionPolicy('tenant_a', { maxAgeMs: 7 * 24 * 60 * 60 * 1000 });
+      addAt('old', '2023-12-31T00:00:00Z');
+      addAt('recent', '2024-01-07T00:00:00Z');
+
+      expect(tenantService.applyRetention('tenant_a', now)).toEqual(['old']);
+      expect(tenantService.getEvents('tenant_a').map((e) => e.id)).toEqual(['recent']);
+    });
+
+    test('should expire the oldest events beyond maxBytes', () => {
+      ['1', '2', '3'].forEach((id) => addAt(id, '2024-01-01T00:00:00Z'));
+      const eventBytes = Buffer.byteLength(JSON.stringify(tenantService.getEvents('tenant_a')[0]));
+      tenantService.setRetentionPolicy('tenant_a', { maxBytes: eventBytes * 2 });
+
+      expect(tenantService.applyRetention('tenant_a')).toEqual(['1']);
+      expect(tenantService.getEventCount('tenant_a')).toBe(2);
+    });
+  });
+
+  describe('queryEvents', () => {
+    const base = Date.parse('2024-01-01T09:00:00.000Z');
+
+    // Ten events one minute apart: e0 (09:00) ... e9 (09:09)
+    beforeEach(() => {
+      for (let i = 0; i < 10; i++) {
+        tenantService.addEvent('tenant_a', {
+          id: `e${i}`,
+          tenant_id: 'tenant_a',
+          message: `Event ${i}`,
+          timestamp: new Date(base + i * 60000).toISOString(),
+        });
+      }
+    });
+
+    const ids = result => result.events.map(e => e.id);
+
+    test('should page newest first and resume after the last event', () => {
+      const first = tenantService.queryEvents('tenant_a', { limit: 4 });
+      expect(ids(first)).toEqual(['e9', 'e8', 'e7', 'e6']);
+      expect(first.last.id).toBe('e6');
+
+      const third = tenantService.queryEvents('tenant_a', {
+        limit: 4,
+        position: { id: 'e2', time: base + 2 * 60000 },
+      });
+      expect(ids(third)).toEqual(['e1', 'e0']);
+      expect(third.last).toBeNull();
+    });
+
+    test('should page oldest first within a time range', () => {
+      const result = tenantService.queryEvents('tenant_a', {
+        since: base + 2 * 60000,
+        until: base + 6 * 60000,
+        order: 'asc',
+        limit: 3,
+      });
+
+      expect(ids(result)).toEqual(['e2', 'e3', 'e4']);
+      expect(result.last.id).toBe('e4');
+
+      const next = tenantService.queryEvents('tenant_a', {
+        since: base + 2 * 60000,
+        until: base + 6 * 60000,
+        order: 'asc',
+        limit: 3,
+        position: result.last,
+      });
+      expect(ids(next)).toEqual(['e5']);
+      expect(next.last).toBeNull();
+    });
+
+    test('should return events newer than after_id', () => {
+      const result = tenantService.queryEvents('tenant_a', { afterId: 'e7', order: 'asc' });
+
+      expect(ids(result)).toEqual(['e8', 'e9']);
+      expect(() => tenantService.queryEvents('tenant_a', { afterId: 'missing' })).toThrow(
+        'Unknown event: missing'
+      );
+    });
+
+    test('should keep the index in step with retention', () => {
+      tenantService.setRetentionPolicy('tenant_a', { maxCount: 5 });
+      try {
+        tenantService.applyRetention('tenant_a');
+
+        // e3 expired, so resuming ascending continues at the oldest retained event
+        const result = tenantService.queryEvents('tenant_a', {
+          order: 'asc',
+          position: { id: 'e3', time: base + 3 * 60000 },
+        });
+        expect(ids(result)).toEqual(['e5', 'e6', 'e7', 'e8', 'e9']);
+      } finally {
+        tenantService.retentionOverrides.delete('tenant_a');
+      }
+    });
+
+    test('should rebuild the index when storage changed underneath it', () => {
+      tenantService.storage.clear('tenant_a');
+
+      expect(tenantService.queryEvents('tenant_a', {}).events).toEqual([]);
+    });
+  });
+
+  describe('setStorage', () => {
+    test('should delegate event operations to the configured adapter', () => {
+      const original = tenantService.storage;
+      const adapter = {
+        append: jest.fn(),
+        read: jest.fn(() => [{ id: 'stored' }]),
+        count: jest.fn(() => 7),
+        truncate: jest.fn(() => []),
+        clear: jest.fn(),
+      };
+
+      try {
+        tenantService.setStorage(adapter);
+        tenantService.addEvent('tenant_a', { id: 'new' });
+
+        expect(adapter.append).toHaveBeenCalledWith('tenant_a', { id: 'new' });
+        expect(tenantService.getEvents('tenant_a', 5)).toEqual([{ id: 'stored' }]);
+        expect(adapter.read).toHaveBeenCalledWith('tenant_a', { limit: 5 });
+        expect(tenantService.getEventCount('tenant_a')).toBe(7);
+
+        tenantService.clearTenantEvents('tenant_a');
+        expect(adapter.clear).toHaveBeenCalledWith('tenant_a');
+      } finally {
+        tenantService.setStorage(original);
+      }
     });
   });
 
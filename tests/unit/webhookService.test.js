@@ -0,0 +1,404 @@
+/**
+ * Unit tests for WebhookService
+ */
+
+const crypto = require('node:crypto');
+const dns = require('node:dns');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const config = require('../../config/config');
+const { WebhookService, signPayload } = require('../../src/services/webhookService');
+
+/**
+ * Retries an assertion until it passes or the time runs out
+ * @param {Function} assertion - Function that throws while unmet
+ * @param {number} timeoutMs - Time to keep trying
+ */
+const eventually = async (assertion, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return assertion();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await global.testUtils.delay(10);
+    }
+  }
+};
+
+describe('WebhookService', () => {
+  let server;
+  let url;
+  let requests;
+  let statuses;
+  let service;
+
+  const event = (overrides = {}) => ({
+    id: crypto.randomUUID(),
+    tenant_id: 'tenant_a',
+    sequence: 1,
+    type: 'order.created',
+    message: 'Order placed',
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    // Stand-in receiver answering with the queued statuses, then 200
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+    service = new WebhookService();
+  });
+
+  afterEach(() => {
+    service.removeAllForTenant('tenant_a');
+    jest.restoreAllMocks();
+  });
+
+  test('should register webhooks and only reveal the secret on creation', () => {
+    const webhook = service.create('tenant_a', { url, eventTypes: ['order.*', 'order.*'] });
+
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect(webhook.eventTypes).toEqual(['order.*']);
+    expect(service.list('tenant_a')).toEqual([
+      expect.not.objectContaining({ secret: expect.anything() }),
+    ]);
+    expect(service.get('tenant_a', webhook.id)).not.toHaveProperty('secret');
+    expect(service.list('tenant_b')).toEqual([]);
+  });
+
+  test('should reject unknown tenants and webhooks of other tenants', () => {
+    expect(() => service.create('tenant_x', { url })).toThrow('Tenant not found: tenant_x');
+
+    const { id } = service.create('tenant_a', { url });
+    expect(() => service.get('tenant_b', id)).toThrow(`Webhook not found: ${id}`);
+  });
+
+  test('should post signed deliveries of matching events', async () => {
+    const webhook = service.create('tenant_a', { url, eventTypes: ['order.*'] });
+    const created = event();
+
+    service.dispatch('tenant_a', event({ type: 'user.created' }));
+    service.dispatch('tenant_b', event());
+    service.dispatch('tenant_a', created);
+
+    await eventually(() =>
+      expect(service.listDeliveries('tenant_a', webhook.id)[0].status).toBe('succeeded')
+    );
+    expect(requests).toHaveLength(1);
+
+    const [{ headers, body }] = requests;
+    const delivery = service.listDeliveries('tenant_a', webhook.id)[0];
+    expect(JSON.parse(body)).toEqual({
+      deliveryId: delivery.id,
+      tenantId: 'tenant_a',
+      event: created,
+    });
+    expect(headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-id': delivery.id,
+      'x-webhook-event': 'order.created',
+      'x-webhook-attempt': '1',
+    });
+
+    const timestamp = Number(headers['x-webhook-signature'].match(/^t=(\d+),/)[1]);
+    expect(headers['x-webhook-signature']).toBe(signPayload(webhook.secret, timestamp, body));
+    expect(delivery).toMatchObject({
+      eventId: created.id,
+      attempts: 1,
+      history: [{ attempt: 1, statusCode: 200, error: null }],
+    });
+  });
+
+  test('should retry with backoff and dead-letter deliveries that keep failing', async () => {
+    const webhook = service.create('tenant_a', { url });
+    statuses.push(500, 503, 500);
+
+    service.dispatch('tenant_a', event());
+    await eventually(() => expect(service.listDeadLetters('tenant_a', webhook.id)).toHaveLength(1));
+
+    const [deadLetter] = service.listDeadLetters('tenant_a', webhook.id);
+    expect(deadLetter).toMatchObject({ status: 'dead', attempts: config.webhooks.maxAttempts });
+    expect(deadLetter.history.map((result) => result.error)).toEqual([
+      'HTTP 500',
+      'HTTP 503',
+      'HTTP 500',
+    ]);
+    expect(deadLetter.event.type).toBe('order.created');
+    expect(requests.map((r) => r.headers['x-webhook-attempt'])).toEqual(['1', '2', '3']);
+    expect(new Set(requests.map((r) => r.headers['x-webhook-id'])).size).toBe(1);
+    expect(service.listDeliveries('tenant_a', webhook.id, { status: 'dead' })).toHaveLength(1);
+
+    // Redelivery starts a new round of attempts
+    const redelivered = service.redeliver('tenant_a', webhook.id, deadLetter.id);
+    expect(redelivered).toMatchObject({ id: deadLetter.id, status: 'pending' });
+    await eventually(() =>
+      expect(service.listDeliveries('tenant_a', webhook.id)[0].status).toBe('succeeded')
+    );
+    expect(service.listDeadLetters('tenant_a', webhook.id)).toEqual([]);
+    expect(service.listDeliveries('tenant_a', webhook.id)).toHaveLength(1);
+    expect(() => service.redeliver('tenant_a', webhook.id, deadLetter.id)).toThrow(
+      'Dead letter not found'
+    );
+  });
+
+  test('should treat network errors, timeouts and redirects as failures', async () => {
+    // A port nothing listens on any more
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    // A receiver that never answers
+    const silent = http.createServer(() => {});
+    await new Promise((resolve) => silent.listen(0, resolve));
+
+    const unreachable = service.create('tenant_a', { url: `http://127.0.0.1:${port}/hook` });
+    const stalled = service.create('tenant_a', {
+      url: `http://localhost:${silent.address().port}/hook`,
+    });
+    const redirected = service.create('tenant_a', { url });
+    statuses.push(302);
+
+    try {
+      service.dispatch('tenant_a', event());
+
+      // The unreachable webhook keeps retrying while the stalled one times out
+      const attempts = (webhook) => service.listDeliveries('tenant_a', webhook.id)[0].history;
+      await eventually(() => {
+        expect(attempts(stalled).length).toBeGreaterThan(0);
+        expect(attempts(unreachable).length).toBeGreaterThanOrEqual(2);
+        expect(attempts(redirected)).toHaveLength(2);
+      });
+    } finally {
+      silent.closeAllConnections();
+      await new Promise((resolve) => silent.close(resolve));
+    }
+
+    expect(service.listDeliveries('tenant_a', stalled.id)[0].history[0].error).toBe(
+      `Timed out after ${config.webhooks.timeoutMs}ms`
+    );
+    expect(
+      service.listDeliveries('tenant_a', unreachable.id)[0].history.map((result) => result.error)
+    ).toContainEqual(expect.stringMatching(/^connect ECONNREFUSED/));
+    expect(service.listDeliveries('tenant_a', redirected.id)[0]).toMatchObject({
+      status: 'succeeded',
+      history: [{ statusCode: 302, error: 'HTTP 302' }, { statusCode: 200 }],
+    });
+  });
+
+  test('should not deliver to blocked addresses', async () => {
+    const { allowedNetworks } = config.webhooks;
+
+    expect(() => service.create('tenant_a', { url: 'http://[fd00:ec2::254]/' })).toThrow(
+      expect.objectContaining({ statusCode: 400, code: 'WEBHOOK_URL_NOT_ALLOWED' })
+    );
+
+    const webhook = service.create('tenant_a', { url });
+    config.webhooks.allowedNetworks = [];
+    try {
+      service.dispatch('tenant_a', event());
+      await eventually(() =>
+        expect(service.listDeliveries('tenant_a', webhook.id)[0].history).toHaveLength(1)
+      );
+    } finally {
+      config.webhooks.allowedNetworks = allowedNetworks;
+    }
+
+    expect(service.listDeliveries('tenant_a', webhook.id)[0].history[0].error).toMatch(
+      /^Address (127\.0\.0\.1|::1) of localhost is not allowed$/
+    );
+    expect(requests).toEqual([]);
+  });
+
+  test('should connect to the address it checked', async () => {
+    const webhook = service.create('tenant_a', { url: url.replace('localhost', 'rebind.test') });
+
+    // The first answer passes the check; a second lookup would name a blocked address
+    const answers = [
+      [{ address: '127.0.0.1', family: 4 }],
+      [{ address: '169.254.169.254', family: 4 }],
+    ];
+    jest.spyOn(require('node:dns'), 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, answers.shift() || [{ address: '169.254.169.254', family: 4 }]);
+    });
+
+    service.dispatch('tenant_a', event());
+    await eventually(() =>
+      expect(service.listDeliveries('tenant_a', webhook.id)[0].status).toBe('succeeded')
+    );
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.host).toMatch(/^rebind\.test:/);
+  });
+
+  test('should drop pending retries of deleted webhooks', async () => {
+    const webhook = service.create('tenant_a', { url });
+    statuses.push(500);
+
+    service.dispatch('tenant_a', event());
+    await eventually(() => expect(requests).toHaveLength(1));
+    await eventually(() =>
+      expect(service.listDeliveries('tenant_a', webhook.id)[0].status).toBe('retrying')
+    );
+    service.remove('tenant_a', webhook.id);
+    await global.testUtils.delay(config.webhooks.retryMaxMs);
+
+    expect(requests).toHaveLength(1);
+    expect(() => service.listDeliveries('tenant_a', webhook.id)).toThrow('Webhook not found');
+  });
+
+  test('should dead-letter deliveries beyond the in-flight limit', async () => {
+    const { maxInFlight } = config.webhooks;
+    config.webhooks.maxInFlight = 1;
+
+    try {
+      const webhook = service.create('tenant_a', { url });
+      statuses.push(500);
+
+      service.dispatch('tenant_a', event({ sequence: 1 }));
+      service.dispatch('tenant_a', event({ sequence: 2 }));
+
+      expect(service.listDeadLetters('tenant_a', webhook.id)).toEqual([
+        expect.objectContaining({ sequence: 2, status: 'dead', attempts: 0, history: [] }),
+      ]);
+      const [deadLetter] = service.listDeadLetters('tenant_a', webhook.id);
+      expect(() => service.redeliver('tenant_a', webhook.id, deadLetter.id)).toThrow(
+        expect.objectContaining({ statusCode: 429, code: 'WEBHOOK_BUSY' })
+      );
+
+      await eventually(() =>
+        expect(service.listDeliveries('tenant_a', webhook.id)[1].status).toBe('succeeded')
+      );
+      expect(service.inFlight.has(webhook.id)).toBe(false);
+      service.redeliver('tenant_a', webhook.id, deadLetter.id);
+      await eventually(() => expect(requests).toHaveLength(3));
+    } finally {
+      config.webhooks.maxInFlight = maxInFlight;
+    }
+  });
+
+  test('should drop retries of deleted webhooks after they leave the log', async () => {
+    const webhook = service.create('tenant_a', { url });
+    statuses.push(500);
+
+    service.dispatch('tenant_a', event({ sequence: 1 }));
+    await eventually(() => expect(requests).toHaveLength(1));
+    for (let sequence = 2; sequence <= config.webhooks.logSize + 1; sequence++) {
+      service.dispatch('tenant_a', event({ sequence }));
+    }
+    expect(service.listDeliveries('tenant_a', webhook.id).map((d) => d.sequence)).not.toContain(1);
+
+    const attemptsOfFirst = () =>
+      requests.filter((request) => JSON.parse(request.body).event.sequence === 1).length;
+    service.remove('tenant_a', webhook.id);
+    const attempted = attemptsOfFirst();
+    await global.testUtils.delay(config.webhooks.retryMaxMs * 2);
+
+    expect(attemptsOfFirst()).toBe(attempted);
+    expect(service.inFlight.has(webhook.id)).toBe(false);
+  });
+
+  test('should keep the newest deliveries in the log', async () => {
+    const webhook = service.create('tenant_a', { url });
+
+    for (let sequence = 1; sequence <= config.webhooks.logSize + 2; sequence++) {
+      service.dispatch('tenant_a', event({ sequence }));
+    }
+    await eventually(() => expect(requests).toHaveLength(config.webhooks.logSize + 2));
+
+    const deliveries = service.listDeliveries('tenant_a', webhook.id);
+    expect(deliveries.map((delivery) => delivery.sequence)).toEqual([7, 6, 5, 4, 3]);
+    expect(service.listDeliveries('tenant_a', webhook.id, { limit: 2 })).toHaveLength(2);
+  });
+
+  test('should only deliver events created on this node', async () => {
+    const source = new EventEmitter();
+    const dispatch = jest.spyOn(service, 'dispatch').mockImplementation(() => undefined);
+    service.subscribeToEventService(source);
+
+    source.emit('eventCreated', { tenantId: 'tenant_a', event: event(), origin: 'node-2' });
+    source.emit('eventCreated', { tenantId: 'tenant_a', event: event() });
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should share deliveries so another node can list and redeliver them', async () => {
+    // A second node receiving this one's changes and sending its own back, as over the bus
+    const other = new WebhookService();
+    const link = (from, to) =>
+      from.on('change', (change) => to.applyChange(JSON.parse(JSON.stringify(change))));
+    link(service, other);
+    link(other, service);
+
+    const webhook = service.create('tenant_a', { url });
+    statuses.push(500, 500, 500);
+    service.dispatch('tenant_a', event());
+
+    await eventually(() => expect(other.listDeadLetters('tenant_a', webhook.id)).toHaveLength(1));
+    expect(other.listDeadLetters('tenant_a', webhook.id)).toEqual(
+      service.listDeadLetters('tenant_a', webhook.id)
+    );
+    const [deadLetter] = other.listDeadLetters('tenant_a', webhook.id);
+    expect(deadLetter).toMatchObject({ status: 'dead', attempts: 3, event: expect.any(Object) });
+    expect(other.listDeliveries('tenant_a', webhook.id)).toEqual(
+      service.listDeliveries('tenant_a', webhook.id)
+    );
+
+    other.redeliver('tenant_a', webhook.id, deadLetter.id);
+
+    await eventually(() =>
+      expect(service.listDeliveries('tenant_a', webhook.id)[0].status).toBe('succeeded')
+    );
+    expect(service.listDeadLetters('tenant_a', webhook.id)).toEqual([]);
+    expect(service.listDeliveries('tenant_a', webhook.id)).toEqual(
+      other.listDeliveries('tenant_a', webhook.id)
+    );
+    expect(requests).toHaveLength(4);
+    other.removeAllForTenant('tenant_a');
+  });
+
+  test('should persist webhooks to a file only its owner can read', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const file = path.join(dir, 'webhooks.json');
+
+    try {
+      const first = new WebhookService({ file });
+      const { id, secret } = first.create('tenant_a', { url, secret: 'a-secret-of-16-chars' });
+
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      const second = new WebhookService({ file });
+      expect(second.getRecord('tenant_a', id).secret).toBe(secret);
+
+      second.removeAllForTenant('tenant_a');
+      expect(new WebhookService({ file }).list('tenant_a')).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});